@@ -1,61 +1,84 @@
 // Discovery Agent Core Logic (Node.js/Render)
-import admin from 'firebase-admin';
+import crypto from 'crypto';
 import fetch from 'node-fetch';
 import 'dotenv/config';
+import { createConnectors, collectAssets } from './discovery/connectors/index.js';
+import { createSinks } from './discovery/storage/index.js';
+import { loadTenants } from './discovery/tenants.js';
+import { createRunLog } from './discovery/runs.js';
+import { createSchedule, createPool } from './discovery/scheduler.js';
+import { parseCron } from './itam-saas/Agent/cron.js';
 
 // --- CONFIGURATION ---
 const CONFIG = {
+  // Default schedule for tenants without their own: a cron expression (UTC), or else this interval
+  schedule: process.env.DISCOVERY_SCHEDULE || null,
   discoveryInterval: parseInt(process.env.DISCOVERY_INTERVAL_MS || '3600000', 10),
-  firestorePath: process.env.FIRESTORE_PATH || '/artifacts/default-asset-tracker/users',
+  // Cron schedules have minute resolution
+  schedulerTick: 60 * 1000,
+  // Tenants discovered at the same time
+  concurrency: parseInt(process.env.DISCOVERY_CONCURRENCY || '3', 10),
+  // Delta runs only fetch what changed; a full scan this often still refreshes every asset's last-seen time,
+  // which missing asset detection depends on
+  fullScanInterval: parseFloat(process.env.DISCOVERY_FULL_SCAN_HOURS || '24') * 60 * 60 * 1000,
+  // A run still marked running after this long belonged to an agent that stopped, and is marked failed
+  runTimeoutMinutes: parseInt(process.env.DISCOVERY_RUN_TIMEOUT_MINUTES || '360', 10),
+  // How often runs queued through the API are picked up (needs DATABASE_URL; 0 turns it off)
+  queuePollInterval: parseInt(process.env.DISCOVERY_QUEUE_POLL_MS || '30000', 10),
   maxRetries: 3,
   retryDelay: 2000,
 };
 
-// --- 1. FIREBASE ADMIN INITIALIZATION ---
-// This service must be authenticated with a Service Account Key
-// provided securely via environment variable (FIREBASE_SERVICE_ACCOUNT_KEY).
+// --- 1. STORAGE INITIALIZATION ---
+// Discovered assets go to the sinks named in DISCOVERY_SINKS (postgres, api, firestore);
+// see discovery/storage/ for the variables each one needs.
 
-// You must convert your Service Account JSON file into a string 
-// and store it in an environment variable (e.g., on Render).
-const serviceAccountKey = process.env.FIREBASE_SERVICE_ACCOUNT_KEY;
-
-if (!serviceAccountKey) {
-  console.error("FATAL: FIREBASE_SERVICE_ACCOUNT_KEY environment variable is not set.");
-  process.exit(1);
-}
-
-let db;
+let sinks;
+let runLog;
 try {
-  const serviceAccount = JSON.parse(serviceAccountKey);
-  
-  // Initialize the Firebase Admin SDK
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    // Use the same database URL if necessary, but Admin SDK typically infers it.
-  });
-
-  db = admin.firestore();
-  console.log("Discovery Agent initialized successfully with Firebase Admin SDK.");
-  
+  if (CONFIG.schedule) parseCron(CONFIG.schedule);
+  sinks = await createSinks(process.env);
+  runLog = await createRunLog(process.env);
+  console.log(`Discovery Agent initialized successfully (sinks: ${sinks.map(({ sink }) => sink.name).join(', ')}).`);
 } catch (error) {
-  console.error("FATAL: Error initializing Firebase Admin SDK:", error);
+  console.error("FATAL: Error initializing discovery agent:", error.message);
   process.exit(1);
 }
 
 // --- GRACEFUL SHUTDOWN HANDLER ---
 process.on('SIGTERM', () => {
   console.log("SIGTERM received. Shutting down gracefully...");
-  if (discoveryTimer) clearInterval(discoveryTimer);
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  if (queueTimer) clearInterval(queueTimer);
   process.exit(0);
 });
 
 process.on('SIGINT', () => {
   console.log("SIGINT received. Shutting down gracefully...");
-  if (discoveryTimer) clearInterval(discoveryTimer);
+  if (schedulerTimer) clearInterval(schedulerTimer);
+  if (queueTimer) clearInterval(queueTimer);
   process.exit(0);
 });
 
-let discoveryTimer = null;
+let schedulerTimer = null;
+let queueTimer = null;
+
+const schedule = createSchedule({ defaultSchedule: CONFIG.schedule, intervalMs: CONFIG.discoveryInterval });
+const pool = createPool(CONFIG.concurrency);
+
+// Tenants with a run waiting in the pool or in progress (tenant id -> runs), so a tenant is never discovered
+// twice at once by this agent. Across agents the database allows one running run per tenant.
+const activeTenants = new Map();
+
+function claimTenant(tenant) {
+  activeTenants.set(tenant.id, (activeTenants.get(tenant.id) || 0) + 1);
+}
+
+function releaseTenant(tenant) {
+  const runs = activeTenants.get(tenant.id) - 1;
+  if (runs > 0) activeTenants.set(tenant.id, runs);
+  else activeTenants.delete(tenant.id);
+}
 
 // --- 2. CORE DISCOVERY FUNCTIONS ---
 
@@ -79,123 +102,132 @@ async function retryWithBackoff(operation, maxRetries = CONFIG.maxRetries) {
 }
 
 /**
- * Discovers assets for a specific customer from external APIs.
- * @param {object} customerConfig - Configuration data for the customer (e.g., AWS keys, Zendesk subdomain).
- * @returns {Promise<Array<object>>} List of discovered raw assets.
+ * Discovers assets for a specific customer by running every connector enabled in its externalConfigs,
+ * or only the ones the run asks for. A failing connector is retried, then reported without stopping the others.
+ * Each connector's outcome is recorded on the run.
+ * Scheduled runs of connectors with a cursor only list what changed since their last run (a delta scan),
+ * falling back to a full scan every CONFIG.fullScanInterval or when the connector's settings change.
+ * @param {object} customerConfig - Tenant with externalConfigs (e.g. { aws: {...}, azure: {...}, googleWorkspace: {...} }).
+ * @param {object} run - The run from the run log; run.connectors limits it to those config keys.
+ * @returns {Promise<{assets: Array<object>, failedConnectors: number, checkpoints: Array<object>}>} Discovered
+ *   assets, normalized (see DiscoveredAsset in discovery/connectors/index.js), the number of connectors that
+ *   failed, and the cursors to store once the assets are synced.
+ * @throws {Error} If every connector failed.
  */
-async function discoverAssets(customerConfig) {
+async function discoverAssets(customerConfig, run) {
   console.log(`[Discovery] Starting scan for customer: ${customerConfig.tenantName}`);
-  
-  try {
-    // --- PLACEHOLDER FOR ACTUAL EXTERNAL API CALLS ---
-    // TODO: Implement real integrations for:
-    // - AWS EC2 API
-    // - Azure Resource Manager API
-    // - Google Workspace Directory API
-    // - Zendesk API
-    // - Etc.
-    
-    // Example implementation structure:
-    // const awsAssets = await discoverAWSAssets(customerConfig.awsKeys);
-    // const azureAssets = await discoverAzureAssets(customerConfig.azureCredentials);
-    // const allAssets = [...awsAssets, ...azureAssets];
-    
-    // For now, return mock data for demonstration
-    console.log(`[Discovery] Fetching assets for ${customerConfig.tenantName}...`);
-    await new Promise(resolve => setTimeout(resolve, 1000)); 
-
-    return [
-      { 
-        sourceId: `SRV-${Math.floor(Math.random() * 10000)}`, 
-        name: 'Web Server Alpha', 
-        type: 'cloud', 
-        vendor: 'AWS', 
-        model: 'EC2 T3.medium', 
-        user: 'system@example.com' 
-      },
-      { 
-        sourceId: `LAP-${Math.floor(Math.random() * 10000)}`, 
-        name: 'Jane Doe Laptop', 
-        type: 'hardware', 
-        vendor: 'Dell', 
-        model: 'Latitude 7420', 
-        user: 'jane.doe@example.com' 
-      },
-    ];
-  } catch (error) {
-    console.error(`[Discovery Error] Failed to discover assets for ${customerConfig.tenantName}:`, error);
-    throw error;
+
+  const externalConfigs = customerConfig.externalConfigs || {};
+  const requested = run.connectors?.length > 0 ? run.connectors : Object.keys(externalConfigs);
+  const configErrors = requested
+    .filter(configKey => !externalConfigs[configKey])
+    .map(configKey => ({ configKey, error: `"${configKey}" is not in the tenant's discovery config` }));
+  const { connectors, errors } = createConnectors(
+    Object.fromEntries(requested.filter(configKey => externalConfigs[configKey]).map(configKey => [configKey, externalConfigs[configKey]]))
+  );
+  configErrors.push(...errors);
+
+  for (const { configKey, error } of configErrors) {
+    console.error(`[Discovery Config] ${customerConfig.tenantName} / ${configKey}: ${error}`);
+    const now = new Date();
+    await runLog.recordConnector(customerConfig, run, {
+      config_key: configKey, connector: configKey, status: 'failed', started_at: now, finished_at: now, error,
+    });
   }
+  if (connectors.length === 0) {
+    if (configErrors.length > 0) {
+      throw new Error(`No connector could be configured for ${customerConfig.tenantName}`);
+    }
+    console.log(`[Discovery] No connectors configured for ${customerConfig.tenantName}`);
+    return { assets: [], failedConnectors: 0, checkpoints: [] };
+  }
+
+  // Manual runs always list everything
+  const cursors = run.trigger === 'manual' ? new Map() : await runLog.loadCursors(customerConfig);
+  const assets = [];
+  const checkpoints = [];
+  let failedConnectors = configErrors.length;
+  for (const { connector, settings } of connectors) {
+    const startedAt = new Date();
+    const stats = { payloadBytes: 0, cursor: null };
+    let attempts = 0;
+    const settingsHash = hashSettings(externalConfigs[connector.configKey]);
+    const previous = cursors.get(connector.configKey);
+    const cursor = previous && previous.settings_hash === settingsHash
+      && startedAt - new Date(previous.full_scan_at) < CONFIG.fullScanInterval ? previous.cursor : null;
+    const connectorRun = {
+      config_key: connector.configKey, connector: connector.name, mode: cursor ? 'delta' : 'full', started_at: startedAt,
+    };
+    try {
+      const found = await retryWithBackoff(() => {
+        attempts++;
+        return collectAssets(connector, settings, { fetch, cursor, stats });
+      });
+      console.log(`[Discovery] ${connector.name}: ${found.length} assets for ${customerConfig.tenantName} (${connectorRun.mode} scan)`);
+      assets.push(...found);
+      Object.assign(connectorRun, { status: 'succeeded', assets_found: found.length });
+      if (stats.cursor) {
+        checkpoints.push({ configKey: connector.configKey, cursor: stats.cursor, settingsHash, fullScan: !cursor });
+      }
+    } catch (error) {
+      failedConnectors++;
+      console.error(`[Discovery Error] ${connector.name} failed for ${customerConfig.tenantName}:`, error.message);
+      Object.assign(connectorRun, { status: 'failed', error: error.message });
+    }
+    await runLog.recordConnector(customerConfig, run, {
+      ...connectorRun, finished_at: new Date(), attempts, payload_bytes: stats.payloadBytes,
+    });
+  }
+
+  if (failedConnectors === connectors.length + configErrors.length) {
+    throw new Error(`All ${failedConnectors} connector(s) failed for ${customerConfig.tenantName}`);
+  }
+  return { assets, failedConnectors, checkpoints };
 }
 
 /**
- * Pushes normalized asset data to the customer's Firestore collection with retry logic.
- * @param {string} customerId - The ID of the customer tenant.
- * @param {Array<object>} rawAssets - The raw list of discovered assets.
- * @returns {Promise<{synced: number, failed: number}>} Sync results
+ * Fingerprint of a connector's settings; a cursor taken with other settings is not used
  */
-async function syncAssetsToFirestore(customerId, rawAssets) {
-  const collectionPath = `${CONFIG.firestorePath}/${customerId}/assets`;
-  const assetsCollectionRef = db.collection(collectionPath);
+function hashSettings(config) {
+  return crypto.createHash('sha256').update(JSON.stringify(config)).digest('hex');
+}
 
-  console.log(`[Sync] Processing ${rawAssets.length} discovered assets for customer ${customerId}`);
+/**
+ * Writes a tenant's discovered assets to every configured sink. A failing sink is reported
+ * without stopping the others.
+ * @param {object} tenant - The customer tenant.
+ * @param {Array<object>} assets - Discovered assets from discoverAssets.
+ * @returns {Promise<{synced: number, failed: number}>} Sync results, summed over the sinks
+ */
+async function syncAssets(tenant, assets) {
+  console.log(`[Sync] Processing ${assets.length} discovered assets for customer ${tenant.id}`);
 
   let synced = 0;
   let failed = 0;
 
-  for (const asset of rawAssets) {
+  for (const { sink, settings } of sinks) {
     try {
-      // This is where you normalize the external data to match your Firestore schema
-      const normalizedAsset = {
-        asset_tag: `DISC-${asset.sourceId}`,
-        serial_number: asset.sourceId,
-        asset_type: asset.type,
-        manufacturer: asset.vendor,
-        model: asset.model,
-        status: 'In Use',
-        assigned_user_name: asset.user,
-        cost: 0, // Placeholder
-        timestamp: admin.firestore.FieldValue.serverTimestamp(),
-        discovered: true,
-        last_synced: new Date().toISOString()
-      };
-
-      // Use set with merge to prevent duplicates and update existing records
-      const docRef = assetsCollectionRef.doc(`discovered_${asset.sourceId}`);
-      
-      await retryWithBackoff(async () => {
-        await docRef.set(normalizedAsset, { merge: true });
-      });
-
-      synced++;
+      const result = await sink.write(settings, tenant, assets, { fetch, retry: retryWithBackoff });
+      console.log(`[Sync] ${sink.name}: synced ${result.synced}/${assets.length} assets for customer ${tenant.id}. Failed: ${result.failed}`);
+      synced += result.synced;
+      failed += result.failed;
     } catch (error) {
-      console.error(`[Sync Error] Failed to sync asset ${asset.sourceId}:`, error);
-      failed++;
+      console.error(`[Sync Error] ${sink.name} failed for customer ${tenant.id}:`, error.message);
+      failed += assets.length;
     }
   }
 
-  console.log(`[Sync Complete] Successfully synced ${synced}/${rawAssets.length} assets for customer ${customerId}. Failed: ${failed}`);
+  console.log(`[Sync Complete] Synced ${synced} asset writes for customer ${tenant.id}. Failed: ${failed}`);
   return { synced, failed };
 }
 
 /**
- * Fetches all active customer tenants from Firestore or environment.
+ * Fetches all active customer tenants with their connector settings (see discovery/tenants.js).
  * @returns {Promise<Array<object>>} List of tenant configurations
  */
 async function getActiveTenants() {
   try {
-    // TODO: Implement dynamic tenant fetching from Firestore:
-    // const tenantsSnapshot = await db.collection('tenants').where('active', '==', true).get();
-    // return tenantsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-    
-    // For now, use environment variable or fallback to mock tenant
-    const tenantId = process.env.TENANT_ID || 'default_tenant';
-    const tenantName = process.env.TENANT_NAME || 'Default Tenant';
-    
-    console.log(`[Tenants] Loaded tenant: ${tenantId}`);
-    return [
-      { id: tenantId, tenantName, externalConfigs: {} }
-    ];
+    return await loadTenants(process.env);
   } catch (error) {
     console.error("[Tenants Error] Failed to fetch active tenants:", error);
     throw error;
@@ -203,65 +235,171 @@ async function getActiveTenants() {
 }
 
 /**
- * Main application loop to run discovery for all tenants.
+ * Discovers and syncs one tenant's assets and records the run's outcome: succeeded, partial
+ * (some connectors or asset writes failed) or failed.
+ * @returns {Promise<object>} The run summary (status, assets_found, synced, failed, error)
  */
-async function runDiscoveryCycle() {
-  const cycleId = new Date().toISOString();
-  console.log(`\n--- [${cycleId}] Starting Discovery Cycle ---`);
-  
+async function runTenantDiscovery(tenant, run) {
+  const summary = { status: 'succeeded', assets_found: 0, synced: 0, failed: 0, error: null };
   try {
-    // --- STEP 1: Fetch a list of all active customer tenants ---
-    const tenants = await getActiveTenants();
-    
-    if (tenants.length === 0) {
-      console.warn("[Cycle] No active tenants found. Skipping cycle.");
-      return;
+    // --- Discover Assets (connectors retry on their own) ---
+    const { assets, failedConnectors, checkpoints } = await discoverAssets(tenant, run);
+    summary.assets_found = assets.length;
+    if (failedConnectors > 0) summary.status = 'partial';
+
+    if (assets.length === 0) {
+      console.log(`[Discovery] No assets discovered for tenant ${tenant.id}`);
+    } else {
+      // --- Sync to the configured sinks ---
+      const result = await syncAssets(tenant, assets);
+      summary.synced = result.synced;
+      summary.failed = result.failed;
+      if (result.failed > 0) summary.status = result.synced > 0 ? 'partial' : 'failed';
     }
 
-    let totalSynced = 0;
-    let totalFailed = 0;
-    
-    for (const tenant of tenants) {
+    // Cursors only move on once everything found is stored; otherwise the next delta scan would skip it
+    if (summary.failed === 0) {
+      for (const { configKey, ...state } of checkpoints) {
+        await runLog.saveCursor(tenant, configKey, state);
+      }
+    }
+  } catch (error) {
+    console.error(`[Cycle Error] Failed to process tenant ${tenant.id}:`, error.message);
+    summary.status = 'failed';
+    summary.error = error.message;
+  }
+
+  try {
+    await runLog.finishRun(tenant, run, summary);
+  } catch (error) {
+    console.error(`[Run Log Error] Could not record the run for tenant ${tenant.id}:`, error.message);
+  }
+  return summary;
+}
+
+/**
+ * Discovers the given tenants as one cycle, at most CONFIG.concurrency of them at a time.
+ */
+async function runDiscoveryCycle(tenants) {
+  const cycleId = new Date().toISOString();
+  console.log(`\n--- [${cycleId}] Starting Discovery Cycle for ${tenants.map(tenant => tenant.slug || tenant.id).join(', ')} ---`);
+  // Taken before anything is awaited, so the next tick cannot schedule these tenants again
+  tenants.forEach(claimTenant);
+
+  let cycle = null;
+  const totals = { tenants: 0, synced: 0, failed: 0, error: null };
+  try {
+    cycle = await runLog.startCycle();
+
+    await Promise.all(tenants.map(tenant => pool.run(async () => {
       try {
-        // --- STEP 2: Discover Assets ---
-        const discoveredData = await retryWithBackoff(
-          () => discoverAssets(tenant),
-          CONFIG.maxRetries
-        );
-        
-        if (discoveredData.length === 0) {
-          console.log(`[Discovery] No assets discovered for tenant ${tenant.id}`);
-          continue;
+        const run = await runLog.startRun(tenant, cycle);
+        if (!run) {
+          console.warn(`[Cycle] ${tenant.tenantName} has a discovery run in progress elsewhere. Skipping.`);
+          return;
         }
-        
-        // --- STEP 3: Sync to Firestore ---
-        const result = await syncAssetsToFirestore(tenant.id, discoveredData);
-        totalSynced += result.synced;
-        totalFailed += result.failed;
-        
+        const summary = await runTenantDiscovery(tenant, run);
+        totals.tenants++;
+        totals.synced += summary.synced;
+        totals.failed += summary.error ? 1 : summary.failed;
       } catch (error) {
         console.error(`[Cycle Error] Failed to process tenant ${tenant.id}:`, error.message);
-        totalFailed++;
+        totals.failed++;
+      } finally {
+        releaseTenant(tenant);
       }
-    }
+    })));
 
-    console.log(`--- Cycle Complete [${cycleId}] - Total Synced: ${totalSynced}, Failed: ${totalFailed} ---\n`);
+    console.log(`--- Cycle Complete [${cycleId}] - Total Synced: ${totals.synced}, Failed: ${totals.failed} ---\n`);
   } catch (error) {
     console.error("[Cycle Fatal Error]", error);
+    totals.error = error.message;
+    // The pool never got these tenants
+    if (!cycle) tenants.forEach(releaseTenant);
+  } finally {
+    if (cycle) {
+      await runLog.finishCycle(cycle, totals).catch(error => {
+        console.error("[Run Log Error] Could not record the cycle:", error.message);
+      });
+    }
+  }
+}
+
+let ticking = false;
+
+/**
+ * Main application loop: starts a cycle for the tenants whose schedule is due. A tenant whose previous
+ * run is still going is skipped until its next scheduled time.
+ */
+async function runScheduledDiscovery() {
+  if (ticking) return;
+  ticking = true;
+  try {
+    await runLog.abandonStale(CONFIG.runTimeoutMinutes);
+
+    const due = schedule.due(await getActiveTenants()).filter(tenant => {
+      if (!activeTenants.has(tenant.id)) return true;
+      console.warn(`[Scheduler] Previous discovery for ${tenant.tenantName} still running. Skipping until ${schedule.nextRunAt(tenant.id)?.toISOString()}.`);
+      return false;
+    });
+    if (due.length > 0) {
+      // Not awaited: a long cycle must not hold back tenants that fall due while it runs
+      runDiscoveryCycle(due).catch(error => console.error("[Cycle Fatal Error]", error));
+    }
+  } catch (error) {
+    console.error("[Scheduler Error] Could not check the schedule:", error.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+let polling = false;
+
+/**
+ * Runs the discovery runs queued through the API (POST /api/discovery/run), in the same pool as scheduled runs.
+ */
+async function runQueuedDiscovery() {
+  if (polling) return;
+  polling = true;
+  try {
+    const runs = await runLog.claimQueued();
+    if (runs.length === 0) return;
+
+    console.log(`[Queue] Picked up ${runs.length} queued discovery run(s)`);
+    const tenants = await getActiveTenants();
+    for (const run of runs) {
+      const tenant = tenants.find(candidate => candidate.id === run.tenant_id);
+      if (!tenant) {
+        // Suspended since the run was queued
+        await runLog.finishRun({ id: run.tenant_id }, run, { status: 'failed', error: 'Tenant is not active' });
+        continue;
+      }
+      console.log(`[Queue] Run ${run.id} for ${tenant.tenantName} (connectors: ${run.connectors.join(', ') || 'all'})`);
+      claimTenant(tenant);
+      pool.run(() => runTenantDiscovery(tenant, run)).finally(() => releaseTenant(tenant));
+    }
+  } catch (error) {
+    console.error("[Queue Error] Failed to run queued discovery:", error);
+  } finally {
+    polling = false;
   }
 }
 
 // --- 3. SCHEDULING ---
 
-console.log(`\n[Config] Discovery Interval: ${CONFIG.discoveryInterval}ms (${(CONFIG.discoveryInterval / 60000).toFixed(1)} minutes)`);
-console.log(`[Config] Firestore Path: ${CONFIG.firestorePath}`);
+console.log(`\n[Config] Default Schedule: ${CONFIG.schedule ? `${CONFIG.schedule} (UTC)` : `every ${CONFIG.discoveryInterval}ms (${(CONFIG.discoveryInterval / 60000).toFixed(1)} minutes)`}`);
+console.log(`[Config] Concurrency: ${CONFIG.concurrency} tenant(s), full scan every ${CONFIG.fullScanInterval / 3600000} hours`);
+console.log(`[Config] Sinks: ${sinks.map(({ sink }) => sink.name).join(', ')}`);
+console.log(`[Config] Run log: ${runLog.name}`);
 console.log(`[Config] Max Retries: ${CONFIG.maxRetries}\n`);
 
-// Run immediately and then schedule the recurring job
-runDiscoveryCycle().catch(error => {
-  console.error("[Startup Error] First discovery cycle failed:", error);
-  process.exit(1);
-});
+// Check the schedule now (tenants on the interval run straight away) and then every minute
+runScheduledDiscovery();
+schedulerTimer = setInterval(runScheduledDiscovery, CONFIG.schedulerTick);
+console.log("[Scheduler] Discovery schedule started successfully.");
 
-discoveryTimer = setInterval(runDiscoveryCycle, CONFIG.discoveryInterval);
-console.log("[Scheduler] Discovery cycle scheduled successfully.");
\ No newline at end of file
+// Queued runs live in the database; without one there is nothing to poll
+if (runLog.name === 'database' && CONFIG.queuePollInterval > 0) {
+  queueTimer = setInterval(runQueuedDiscovery, CONFIG.queuePollInterval);
+  console.log(`[Scheduler] Polling for queued runs every ${CONFIG.queuePollInterval}ms.`);
+}
\ No newline at end of file
@@ -0,0 +1,68 @@
+// AWS EC2 connector: every instance in the configured regions.
+//
+// externalConfigs.aws = {
+//   accessKeyId, secretAccessKey, sessionToken?,  // omit all three to use the default AWS credential chain
+//   regions: ['us-east-1', ...],
+//   endpoint?                                     // e.g. the stand-in server
+// }
+import { EC2Client, paginateDescribeInstances } from '@aws-sdk/client-ec2';
+import { normalizeMac } from './http.js';
+
+function tag(instance, key) {
+  return instance.Tags?.find(item => item.Key === key)?.Value || null;
+}
+
+export default {
+  name: 'aws-ec2',
+  configKey: 'aws',
+
+  configure(config) {
+    const regions = Array.isArray(config.regions) ? config.regions : [config.region].filter(Boolean);
+    if (regions.length === 0) {
+      throw new Error('aws-ec2: missing regions');
+    }
+    if (Boolean(config.accessKeyId) !== Boolean(config.secretAccessKey)) {
+      throw new Error('aws-ec2: accessKeyId and secretAccessKey must be set together');
+    }
+    return {
+      regions,
+      endpoint: config.endpoint || undefined,
+      credentials: config.accessKeyId
+        ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey, sessionToken: config.sessionToken }
+        : undefined,
+    };
+  },
+
+  async *list(settings) {
+    for (const region of settings.regions) {
+      const client = new EC2Client({ region, credentials: settings.credentials, endpoint: settings.endpoint });
+      for await (const page of paginateDescribeInstances({ client, pageSize: 1000 }, {})) {
+        for (const reservation of page.Reservations || []) {
+          for (const instance of reservation.Instances || []) {
+            yield { ...instance, Region: region, OwnerId: reservation.OwnerId };
+          }
+        }
+      }
+    }
+  },
+
+  normalize(instance) {
+    const interfaces = instance.NetworkInterfaces || [];
+    return {
+      sourceId: instance.InstanceId,
+      name: tag(instance, 'Name') || instance.InstanceId,
+      hostname: instance.PrivateDnsName || null,
+      // The instance id is the closest thing to a serial number EC2 has
+      serialNumber: instance.InstanceId,
+      macAddresses: interfaces.map(nic => normalizeMac(nic.MacAddress)).filter(Boolean),
+      ipAddresses: [instance.PrivateIpAddress, instance.PublicIpAddress].filter(Boolean),
+      type: 'cloud',
+      vendor: 'AWS',
+      model: `EC2 ${instance.InstanceType}`,
+      user: tag(instance, 'Owner'),
+      state: instance.State?.Name || null,
+      location: instance.Placement?.AvailabilityZone || instance.Region,
+      lastSeenAt: null,
+    };
+  },
+};
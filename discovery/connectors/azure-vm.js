@@ -0,0 +1,76 @@
+// Azure connector: virtual machines in the configured subscriptions, via Azure Resource Manager.
+//
+// externalConfigs.azure = {
+//   tenantId, clientId, clientSecret,      // app registration with Reader on the subscriptions
+//   subscriptionIds: ['...'],
+//   authorityHost?, resourceManagerUrl?    // e.g. the stand-in server
+// }
+import { requireFields, fetchJson, fetchAccessToken } from './http.js';
+
+const API_VERSION = '2024-03-01';
+const SCOPE = 'https://management.azure.com/.default';
+
+export default {
+  name: 'azure-vm',
+  configKey: 'azure',
+
+  configure(config) {
+    requireFields(config, ['tenantId', 'clientId', 'clientSecret'], 'azure-vm');
+    const subscriptionIds = Array.isArray(config.subscriptionIds) ? config.subscriptionIds : [config.subscriptionId].filter(Boolean);
+    if (subscriptionIds.length === 0) {
+      throw new Error('azure-vm: missing subscriptionIds');
+    }
+    return {
+      tenantId: config.tenantId,
+      clientId: config.clientId,
+      clientSecret: config.clientSecret,
+      subscriptionIds,
+      authorityHost: (config.authorityHost || 'https://login.microsoftonline.com').replace(/\/$/, ''),
+      resourceManagerUrl: (config.resourceManagerUrl || 'https://management.azure.com').replace(/\/$/, ''),
+    };
+  },
+
+  async *list(settings, { fetch }) {
+    const accessToken = await fetchAccessToken(fetch, `${settings.authorityHost}/${settings.tenantId}/oauth2/v2.0/token`, {
+      grant_type: 'client_credentials',
+      client_id: settings.clientId,
+      client_secret: settings.clientSecret,
+      scope: SCOPE,
+    });
+    const headers = { Authorization: `Bearer ${accessToken}` };
+
+    for (const subscriptionId of settings.subscriptionIds) {
+      // statusOnly includes the instance view, which carries the power state
+      let url = `${settings.resourceManagerUrl}/subscriptions/${encodeURIComponent(subscriptionId)}`
+        + `/providers/Microsoft.Compute/virtualMachines?api-version=${API_VERSION}&statusOnly=true`;
+      while (url) {
+        const page = await fetchJson(fetch, url, { headers });
+        yield* page.value || [];
+        url = page.nextLink || null;
+      }
+    }
+  },
+
+  normalize(vm) {
+    const properties = vm.properties || {};
+    const image = properties.storageProfile?.imageReference;
+    const powerState = properties.instanceView?.statuses?.find(status => status.code?.startsWith('PowerState/'));
+    return {
+      sourceId: properties.vmId || vm.id,
+      name: vm.name,
+      hostname: properties.osProfile?.computerName || vm.name,
+      serialNumber: properties.vmId || null,
+      // NICs are separate resources; MAC and IP addresses are not part of the VM listing
+      macAddresses: [],
+      ipAddresses: [],
+      type: 'cloud',
+      vendor: 'Microsoft Azure',
+      model: [properties.hardwareProfile?.vmSize, image && [image.offer, image.sku].filter(Boolean).join(' ')]
+        .filter(Boolean).join(' · ') || null,
+      user: vm.tags?.owner || vm.tags?.Owner || null,
+      state: powerState ? powerState.code.replace('PowerState/', '') : null,
+      location: vm.location || null,
+      lastSeenAt: null,
+    };
+  },
+};
@@ -0,0 +1,47 @@
+// Small HTTP helpers shared by the REST connectors
+
+/**
+ * Throw if a required config field is missing
+ */
+export function requireFields(config, fields, connectorName) {
+  const missing = fields.filter(field => config[field] === undefined || config[field] === null || config[field] === '');
+  if (missing.length > 0) {
+    throw new Error(`${connectorName}: missing ${missing.join(', ')}`);
+  }
+}
+
+/**
+ * fetch() a JSON document, throwing with the status and body on a non-2xx response
+ */
+export async function fetchJson(fetch, url, options = {}) {
+  const response = await fetch(url, options);
+  const text = await response.text();
+  if (!response.ok) {
+    throw new Error(`${options.method || 'GET'} ${url} failed with ${response.status}: ${text.slice(0, 200)}`);
+  }
+  return text ? JSON.parse(text) : {};
+}
+
+/**
+ * POST an OAuth2 token request and return the access token
+ */
+export async function fetchAccessToken(fetch, url, params) {
+  const token = await fetchJson(fetch, url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+    body: new URLSearchParams(params).toString(),
+  });
+  if (!token.access_token) {
+    throw new Error(`Token endpoint ${url} returned no access_token`);
+  }
+  return token.access_token;
+}
+
+/**
+ * Lower-case, colon separated MAC address (accepts "AABBCCDDEEFF", "aa-bb-..." and "aa:bb:...")
+ */
+export function normalizeMac(mac) {
+  if (!mac) return null;
+  const hex = String(mac).toLowerCase().replace(/[^0-9a-f]/g, '');
+  return hex.length === 12 ? hex.match(/../g).join(':') : null;
+}
@@ -0,0 +1,104 @@
+// Discovery connector registry.
+//
+// A connector turns one external inventory (a cloud account, a device directory) into
+// discovered assets. Every connector module exports an object with:
+//
+//   name       - Source name stored with each asset, e.g. 'aws-ec2'
+//   configKey  - Key of the tenant's externalConfigs that enables it, e.g. 'aws'
+//   configure(config)          - Validate the tenant config and return the settings list() needs.
+//                                Throws if required fields are missing.
+//   list(settings, { fetch, cursor })
+//                              - Async iterable of raw records, following the API's paging. With a cursor
+//                                only records changed since it was taken need to be listed.
+//   normalize(raw)             - Map one raw record to a DiscoveredAsset
+//   checkpoint(settings, { startedAt })
+//                              - Optional: the cursor for the next run, as plain JSON (a sync time, an ETag, ...).
+//                                Connectors without it always list everything.
+//
+// HTTP connectors use the fetch passed to list() and accept endpoint overrides in their config,
+// so they can be pointed at the stand-in server in discovery/standin-server.js.
+import awsEc2 from './aws-ec2.js';
+import azureVm from './azure-vm.js';
+import googleWorkspace from './google-workspace.js';
+
+/**
+ * @typedef {object} DiscoveredAsset
+ * @property {string} source - Connector name
+ * @property {string} sourceId - Stable id of the record in the source
+ * @property {string} name - Display name
+ * @property {string|null} hostname
+ * @property {string|null} serialNumber
+ * @property {Array<string>} macAddresses - Lower-case, colon separated
+ * @property {Array<string>} ipAddresses
+ * @property {string} type - Asset type used by the inventory (hardware, cloud, ...)
+ * @property {string|null} vendor
+ * @property {string|null} model
+ * @property {string|null} user - Email or name of the assigned / last user
+ * @property {string|null} state - Power or management state as reported by the source
+ * @property {string|null} location - Region, zone or org unit
+ * @property {string|null} lastSeenAt - ISO timestamp of the source's last contact, if known
+ */
+
+const CONNECTORS = new Map();
+
+/**
+ * Add a connector (replaces one with the same configKey)
+ */
+export function registerConnector(connector) {
+  for (const member of ['name', 'configKey', 'configure', 'list', 'normalize']) {
+    if (!connector?.[member]) {
+      throw new Error(`Connector is missing "${member}"`);
+    }
+  }
+  CONNECTORS.set(connector.configKey, connector);
+}
+
+[awsEc2, azureVm, googleWorkspace].forEach(registerConnector);
+
+/**
+ * Connectors enabled by a tenant's externalConfigs, with their validated settings.
+ * A config with `enabled: false` is skipped; unknown keys and invalid configs are reported, not thrown.
+ *
+ * @param {object} externalConfigs - e.g. { aws: {...}, azure: {...}, googleWorkspace: {...} }
+ * @returns {{connectors: Array<{connector: object, settings: object}>, errors: Array<{configKey: string, error: string}>}}
+ */
+export function createConnectors(externalConfigs = {}) {
+  const connectors = [];
+  const errors = [];
+  for (const [configKey, config] of Object.entries(externalConfigs || {})) {
+    if (!config || config.enabled === false) continue;
+    const connector = CONNECTORS.get(configKey);
+    if (!connector) {
+      errors.push({ configKey, error: `No connector for "${configKey}"` });
+      continue;
+    }
+    try {
+      connectors.push({ connector, settings: connector.configure(config) });
+    } catch (error) {
+      errors.push({ configKey, error: error.message });
+    }
+  }
+  return { connectors, errors };
+}
+
+/**
+ * Run one connector to completion
+ * @param {object} [options.cursor] - Cursor from an earlier run, for a delta scan; null lists everything
+ * @param {object} [options.stats] - Receives payloadBytes, the size of the raw records as JSON, and
+ *   cursor, the checkpoint for the next run (null if the connector has none)
+ * @returns {Promise<Array<DiscoveredAsset>>}
+ */
+export async function collectAssets(connector, settings, { fetch, cursor = null, stats }) {
+  const startedAt = new Date();
+  const assets = [];
+  let payloadBytes = 0;
+  for await (const raw of connector.list(settings, { fetch, cursor })) {
+    payloadBytes += Buffer.byteLength(JSON.stringify(raw));
+    assets.push({ source: connector.name, ...connector.normalize(raw) });
+  }
+  if (stats) {
+    stats.payloadBytes = payloadBytes;
+    stats.cursor = connector.checkpoint ? connector.checkpoint(settings, { startedAt }) : null;
+  }
+  return assets;
+}
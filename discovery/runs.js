@@ -0,0 +1,70 @@
+// Discovery run history and connector cursors.
+//
+// With DATABASE_URL every cycle, tenant run and connector run is stored in the inventory database
+// (GET /api/discovery/runs), runs queued through POST /api/discovery/run are claimed from there, and
+// connector cursors for delta scans survive restarts. Without a database there is nowhere to keep history
+// or queue runs: runs only show in the agent's console output and cursors last until the agent stops.
+
+/**
+ * Run log kept in memory
+ */
+function createConsoleLog() {
+  // tenant id -> Map of config key -> { cursor, settings_hash, full_scan_at }
+  const cursors = new Map();
+  return {
+    name: 'console',
+    async startCycle() {
+      return { id: null };
+    },
+    async finishCycle() {},
+    async startRun() {
+      return { id: null, trigger: 'schedule', connectors: [] };
+    },
+    async claimQueued() {
+      return [];
+    },
+    async abandonStale() {
+      return 0;
+    },
+    async recordConnector() {},
+    async finishRun() {},
+    async loadCursors(tenant) {
+      return new Map(cursors.get(tenant.id));
+    },
+    async saveCursor(tenant, configKey, { cursor, settingsHash, fullScan }) {
+      if (!cursors.has(tenant.id)) cursors.set(tenant.id, new Map());
+      const previous = cursors.get(tenant.id).get(configKey);
+      cursors.get(tenant.id).set(configKey, {
+        cursor,
+        settings_hash: settingsHash,
+        full_scan_at: fullScan || !previous ? new Date() : previous.full_scan_at,
+      });
+    },
+  };
+}
+
+/**
+ * Run log for the agent. Tenants are { id, ... } as returned by loadTenants (discovery/tenants.js).
+ * @returns {Promise<object>} startCycle(), finishCycle(cycle, summary), startRun(tenant, cycle) (null while the
+ *   tenant has a run in progress), claimQueued(), abandonStale(timeoutMinutes), recordConnector(tenant, run, connectorRun),
+ *   finishRun(tenant, run, summary), loadCursors(tenant), saveCursor(tenant, configKey, state)
+ */
+export async function createRunLog(env = process.env) {
+  if (!env.DATABASE_URL) return createConsoleLog();
+
+  // Loaded on demand so an agent without a database does not need the API's dependencies
+  const queries = await import('../itam-saas/Agent/queries.js');
+  const inTenant = (tenant, work) => queries.runWithTenant(tenant.id, work);
+  return {
+    name: 'database',
+    startCycle: () => queries.startDiscoveryCycle(),
+    finishCycle: (cycle, summary) => queries.finishDiscoveryCycle(cycle.id, summary),
+    startRun: (tenant, cycle) => inTenant(tenant, () => queries.startDiscoveryRun(cycle.id)),
+    claimQueued: () => queries.runForAllTenants(() => queries.claimQueuedDiscoveryRuns()),
+    abandonStale: timeoutMinutes => queries.runForAllTenants(() => queries.abandonStaleDiscoveryRuns(timeoutMinutes)),
+    recordConnector: (tenant, run, connectorRun) => inTenant(tenant, () => queries.recordConnectorRun(run.id, connectorRun)),
+    finishRun: (tenant, run, summary) => inTenant(tenant, () => queries.finishDiscoveryRun(run.id, summary)),
+    loadCursors: tenant => inTenant(tenant, () => queries.getDiscoveryCursors()),
+    saveCursor: (tenant, configKey, state) => inTenant(tenant, () => queries.saveDiscoveryCursor(configKey, state)),
+  };
+}
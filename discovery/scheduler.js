@@ -0,0 +1,105 @@
+// Discovery scheduling: when each tenant is due, and a pool that bounds how many tenants are discovered at once.
+//
+// A tenant with a schedule (a cron expression in UTC, see itam-saas/Agent/cron.js) runs whenever it matches.
+// Tenants without one use the agent's default: DISCOVERY_SCHEDULE if set, otherwise every
+// DISCOVERY_INTERVAL_MS starting when the agent starts.
+import { parseCron, nextCronTime } from '../itam-saas/Agent/cron.js';
+
+/**
+ * Tracks when each tenant is next due
+ * @param {object} options - defaultSchedule (cron text or null) and intervalMs for tenants without any schedule
+ */
+export function createSchedule({ defaultSchedule = null, intervalMs }) {
+  // tenant id -> { schedule, cron (parsed, or null for the interval), at }
+  const plans = new Map();
+
+  function planFor(tenant, now) {
+    const schedule = tenant.schedule || defaultSchedule;
+    let cron = null;
+    if (schedule) {
+      try {
+        cron = parseCron(schedule);
+      } catch (error) {
+        console.error(`[Scheduler] Invalid schedule "${schedule}" for ${tenant.tenantName}: ${error.message}. Using the interval instead.`);
+      }
+    }
+    // Interval tenants start right away, as the agent always did
+    return { schedule, cron, at: cron ? nextCronTime(cron, now) : now };
+  }
+
+  return {
+    /**
+     * Tenants due at `now`. Each one returned is planned for its next time straight away, so a run that
+     * is skipped (the tenant is still busy) is not made up for later.
+     */
+    due(tenants, now = new Date()) {
+      const due = [];
+      const current = new Set();
+      for (const tenant of tenants) {
+        current.add(tenant.id);
+        let plan = plans.get(tenant.id);
+        if (!plan || plan.schedule !== (tenant.schedule || defaultSchedule)) {
+          plan = planFor(tenant, now);
+          plans.set(tenant.id, plan);
+        }
+        if (plan.at && plan.at <= now) {
+          due.push(tenant);
+          plan.at = plan.cron ? nextCronTime(plan.cron, now) : new Date(now.getTime() + intervalMs);
+        }
+      }
+      // Tenants that were suspended or removed start afresh if they come back
+      for (const id of plans.keys()) {
+        if (!current.has(id)) plans.delete(id);
+      }
+      return due;
+    },
+
+    /**
+     * When a tenant is next due, if it has been seen
+     */
+    nextRunAt(tenantId) {
+      return plans.get(tenantId)?.at || null;
+    },
+  };
+}
+
+/**
+ * Runs at most `size` tasks at a time; the others wait their turn in order
+ */
+export function createPool(size) {
+  let active = 0;
+  const waiting = [];
+
+  function startNext() {
+    if (active >= size || waiting.length === 0) return;
+    const { task, resolve, reject } = waiting.shift();
+    active++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active--;
+        startNext();
+      });
+  }
+
+  return {
+    /**
+     * Queue a task
+     * @param {Function} task - Async function
+     * @returns {Promise<any>} Its result, once it has had its turn
+     */
+    run(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        startNext();
+      });
+    },
+    get active() {
+      return active;
+    },
+    get waiting() {
+      return waiting.length;
+    },
+  };
+}
@@ -0,0 +1,108 @@
+// Local stand-in for the cloud APIs the discovery connectors call, serving the recorded
+// responses in discovery/fixtures. Lists are paged (STANDIN_PAGE_SIZE items per page) so
+// connector paging is exercised too.
+//
+//   node discovery/standin-server.js [port]
+//
+// Point a tenant's externalConfigs at it:
+//   aws:             { regions: ['us-east-1'], accessKeyId: 'x', secretAccessKey: 'x', endpoint: 'http://localhost:4010/aws' }
+//   azure:           { ..., authorityHost: 'http://localhost:4010/azure-login', resourceManagerUrl: 'http://localhost:4010/azure' }
+//   googleWorkspace: { ..., tokenUrl: 'http://localhost:4010/google/token', baseUrl: 'http://localhost:4010/google' }
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const PORT = parseInt(process.argv[2] || process.env.STANDIN_PORT || '4010', 10);
+const PAGE_SIZE = parseInt(process.env.STANDIN_PAGE_SIZE || '2', 10);
+
+function fixture(name) {
+  return fs.readFileSync(path.join(FIXTURES, name), 'utf8');
+}
+
+function send(res, status, body, contentType = 'application/json') {
+  res.writeHead(status, { 'Content-Type': contentType });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+function requireBearer(req, res) {
+  if (!/^Bearer .+/.test(req.headers.authorization || '')) {
+    send(res, 401, { error: { code: 'Unauthorized', message: 'Missing bearer token' } });
+    return false;
+  }
+  return true;
+}
+
+const ROUTES = [
+  // EC2 Query API (the AWS SDK POSTs Action=DescribeInstances)
+  {
+    method: 'POST',
+    pattern: /^\/aws\/?$/,
+    handle: (req, res) => send(res, 200, fixture('aws-ec2-describe-instances.xml'), 'text/xml'),
+  },
+  {
+    method: 'POST',
+    pattern: /^\/azure-login\/[^/]+\/oauth2\/v2\.0\/token$/,
+    handle: (req, res) => send(res, 200, { token_type: 'Bearer', expires_in: 3600, access_token: 'standin-azure-token' }),
+  },
+  {
+    method: 'GET',
+    pattern: /^\/azure\/subscriptions\/[^/]+\/providers\/Microsoft\.Compute\/virtualMachines$/,
+    handle: (req, res, url) => {
+      if (!requireBearer(req, res)) return;
+      const { value } = JSON.parse(fixture('azure-virtual-machines.json'));
+      const skip = parseInt(url.searchParams.get('$skiptoken') || '0', 10);
+      const page = { value: value.slice(skip, skip + PAGE_SIZE) };
+      if (skip + PAGE_SIZE < value.length) {
+        const next = new URL(url);
+        next.searchParams.set('$skiptoken', String(skip + PAGE_SIZE));
+        page.nextLink = next.toString();
+      }
+      send(res, 200, page);
+    },
+  },
+  {
+    method: 'POST',
+    pattern: /^\/google\/token$/,
+    handle: (req, res) => send(res, 200, { token_type: 'Bearer', expires_in: 3600, access_token: 'standin-google-token' }),
+  },
+  {
+    method: 'GET',
+    pattern: /^\/google\/admin\/directory\/v1\/customer\/[^/]+\/devices\/(chromeos|mobile)$/,
+    handle: (req, res, url, match) => {
+      if (!requireBearer(req, res)) return;
+      const field = match[1] === 'chromeos' ? 'chromeosdevices' : 'mobiledevices';
+      const document = JSON.parse(fixture(`google-${match[1]}-devices.json`));
+      // Only the sync:<date>.. search operator (delta runs) is understood
+      const since = (url.searchParams.get('query') || '').match(/^sync:(\d{4}-\d{2}-\d{2})\.\.$/)?.[1];
+      const devices = document[field].filter(device => !since || device.lastSync >= since);
+      const offset = parseInt(url.searchParams.get('pageToken') || '0', 10);
+      const page = { kind: document.kind, [field]: devices.slice(offset, offset + PAGE_SIZE) };
+      if (offset + PAGE_SIZE < devices.length) {
+        page.nextPageToken = String(offset + PAGE_SIZE);
+      }
+      send(res, 200, page);
+    },
+  },
+];
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  // Drain the body; the stand-in does not inspect request payloads
+  req.resume();
+  req.on('end', () => {
+    for (const route of ROUTES) {
+      const match = req.method === route.method && url.pathname.match(route.pattern);
+      if (match) {
+        console.log(`[Stand-in] ${req.method} ${url.pathname}`);
+        return route.handle(req, res, url, match);
+      }
+    }
+    send(res, 404, { error: `No stand-in for ${req.method} ${url.pathname}` });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`[Stand-in] Cloud API stand-in listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,53 @@
+// API sink: pushes to the inventory's POST /api/discovery/ingest, signed in as a service user
+// whose role holds discovery:ingest (admin or asset_manager). Records land in the service user's tenant.
+//
+//   ITAM_API_URL=https://itam.example.com/api
+//   DISCOVERY_API_EMAIL, DISCOVERY_API_PASSWORD
+import { fetchJson } from '../connectors/http.js';
+import { toIngestRecord, batches, ingestResult } from './ingest.js';
+
+// Stays well under the endpoint's body and batch limits
+const BATCH_SIZE = 500;
+
+export default {
+  name: 'api',
+
+  configure(env) {
+    const missing = ['ITAM_API_URL', 'DISCOVERY_API_EMAIL', 'DISCOVERY_API_PASSWORD'].filter(name => !env[name]);
+    if (missing.length > 0) {
+      throw new Error(`api sink: missing ${missing.join(', ')}`);
+    }
+    return {
+      baseUrl: env.ITAM_API_URL.replace(/\/$/, ''),
+      email: env.DISCOVERY_API_EMAIL,
+      password: env.DISCOVERY_API_PASSWORD,
+    };
+  },
+
+  async write(settings, tenant, assets, { fetch, retry }) {
+    // Access tokens are short lived - sign in once per write
+    const session = await retry(() => fetchJson(fetch, `${settings.baseUrl}/auth/login`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ email: settings.email, password: settings.password }),
+    }));
+
+    // Tenants loaded from the database (they have a slug) must be the service user's own
+    if (tenant.slug && session.user.tenant?.id !== tenant.id) {
+      throw new Error(`api sink: ${settings.email} does not belong to tenant ${tenant.slug}`);
+    }
+
+    const total = { synced: 0, failed: 0 };
+    for (const batch of batches(assets.map(toIngestRecord), BATCH_SIZE)) {
+      const report = await retry(() => fetchJson(fetch, `${settings.baseUrl}/discovery/ingest`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${session.accessToken}` },
+        body: JSON.stringify({ assets: batch }),
+      }));
+      const { synced, failed } = ingestResult('api', report);
+      total.synced += synced;
+      total.failed += failed;
+    }
+    return total;
+  },
+};
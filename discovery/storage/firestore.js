@@ -0,0 +1,81 @@
+// Firestore sink: the original store of the discovery agent, kept as an optional extra copy.
+// Documents go to FIRESTORE_PATH/<tenant id>/assets, one per source record, written in batches.
+//
+//   FIREBASE_SERVICE_ACCOUNT_KEY=<service-account-json>
+//   FIRESTORE_PATH=/artifacts/default-asset-tracker/users
+import { batches } from './ingest.js';
+
+// Most writes Firestore accepts in one batch
+const FIRESTORE_BATCH_SIZE = 500;
+
+/**
+ * Map the connector's DiscoveredAsset onto the Firestore schema
+ */
+function toFirestoreAsset(admin, asset, lastSynced) {
+  return {
+    asset_tag: `DISC-${asset.sourceId}`,
+    serial_number: asset.serialNumber || asset.sourceId,
+    asset_type: asset.type,
+    manufacturer: asset.vendor,
+    model: asset.model,
+    status: 'Deployed',
+    assigned_user_name: asset.user,
+    cost: 0, // Placeholder
+    timestamp: admin.firestore.FieldValue.serverTimestamp(),
+    discovered: true,
+    source: asset.source,
+    hostname: asset.hostname,
+    mac_addresses: asset.macAddresses,
+    last_synced: lastSynced,
+  };
+}
+
+export default {
+  name: 'firestore',
+
+  async configure(env) {
+    // You must convert your Service Account JSON file into a string
+    // and store it in an environment variable (e.g., on Render).
+    if (!env.FIREBASE_SERVICE_ACCOUNT_KEY) {
+      throw new Error('firestore sink: missing FIREBASE_SERVICE_ACCOUNT_KEY');
+    }
+    // Loaded on demand so the other sinks do not need firebase-admin
+    const { default: admin } = await import('firebase-admin');
+    admin.initializeApp({
+      credential: admin.credential.cert(JSON.parse(env.FIREBASE_SERVICE_ACCOUNT_KEY)),
+    });
+    console.log('[Firestore] Initialized with Firebase Admin SDK.');
+    return {
+      admin,
+      db: admin.firestore(),
+      path: env.FIRESTORE_PATH || '/artifacts/default-asset-tracker/users',
+    };
+  },
+
+  async write({ admin, db, path }, tenant, assets, { retry }) {
+    const assetsCollectionRef = db.collection(`${path}/${tenant.id}/assets`);
+    const lastSynced = new Date().toISOString();
+
+    let synced = 0;
+    let failed = 0;
+    for (const batch of batches(assets, FIRESTORE_BATCH_SIZE)) {
+      try {
+        // A committed batch cannot be sent again, so every attempt builds its own
+        await retry(() => {
+          const writeBatch = db.batch();
+          for (const asset of batch) {
+            // Set with merge to prevent duplicates and update existing records
+            const docRef = assetsCollectionRef.doc(`discovered_${asset.source}_${asset.sourceId}`);
+            writeBatch.set(docRef, toFirestoreAsset(admin, asset, lastSynced), { merge: true });
+          }
+          return writeBatch.commit();
+        });
+        synced += batch.length;
+      } catch (error) {
+        console.error(`[Sync Error] firestore: failed to write a batch of ${batch.length} assets:`, error);
+        failed += batch.length;
+      }
+    }
+    return { synced, failed };
+  },
+};
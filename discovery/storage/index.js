@@ -0,0 +1,50 @@
+// Discovery storage sinks.
+//
+// A sink is where a discovery cycle writes the assets it found. Every sink module exports an object with:
+//
+//   name                 - Value of DISCOVERY_SINKS that selects it, e.g. 'postgres'
+//   configure(env)       - Validate the environment and return the settings write() needs (may be async).
+//                          Throws if required variables are missing.
+//   write(settings, tenant, assets, { fetch, retry })
+//                        - Store the tenant's DiscoveredAssets; resolves to { synced, failed }
+//
+// DISCOVERY_SINKS is a comma separated list, so the inventory and Firestore can be written side by side.
+import postgres from './postgres.js';
+import api from './api.js';
+import firestore from './firestore.js';
+
+const SINKS = new Map();
+
+/**
+ * Add a sink (replaces one with the same name)
+ */
+export function registerSink(sink) {
+  for (const member of ['name', 'configure', 'write']) {
+    if (!sink?.[member]) {
+      throw new Error(`Sink is missing "${member}"`);
+    }
+  }
+  SINKS.set(sink.name, sink);
+}
+
+[postgres, api, firestore].forEach(registerSink);
+
+/**
+ * Sinks named in DISCOVERY_SINKS, with their settings. Defaults to the database when DATABASE_URL
+ * is set and to the API ingest endpoint otherwise.
+ * @returns {Promise<Array<{sink: object, settings: object}>>}
+ * @throws {Error} If a sink is unknown or its configuration is incomplete
+ */
+export async function createSinks(env = process.env) {
+  const names = (env.DISCOVERY_SINKS || (env.DATABASE_URL ? 'postgres' : 'api'))
+    .split(',').map(name => name.trim()).filter(Boolean);
+  const sinks = [];
+  for (const name of new Set(names)) {
+    const sink = SINKS.get(name);
+    if (!sink) {
+      throw new Error(`No discovery sink "${name}" (available: ${[...SINKS.keys()].join(', ')})`);
+    }
+    sinks.push({ sink, settings: await sink.configure(env) });
+  }
+  return sinks;
+}
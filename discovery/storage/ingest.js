@@ -0,0 +1,38 @@
+// Helpers shared by the sinks, mostly the ones that write through the inventory's ingest
+
+/**
+ * Payload accepted by the inventory's ingest (POST /api/discovery/ingest and ingestDiscoveredAssets)
+ */
+export function toIngestRecord(asset) {
+  return {
+    source: asset.source,
+    source_id: asset.sourceId,
+    serial_number: asset.serialNumber,
+    asset_type: asset.type,
+    manufacturer: asset.vendor,
+    model: asset.model,
+    hostname: asset.hostname,
+    mac_addresses: asset.macAddresses,
+  };
+}
+
+/**
+ * Split a list into batches of at most `size`
+ */
+export function batches(items, size) {
+  const result = [];
+  for (let start = 0; start < items.length; start += size) {
+    result.push(items.slice(start, start + size));
+  }
+  return result;
+}
+
+/**
+ * Log the records an ingest rejected and turn its summary into { synced, failed }
+ */
+export function ingestResult(sinkName, report) {
+  for (const entry of report.results.filter(result => result.errors)) {
+    console.error(`[Sync Error] ${sinkName}: ${entry.source}/${entry.source_id} rejected:`, JSON.stringify(entry.errors));
+  }
+  return { synced: report.summary.total - report.summary.failed, failed: report.summary.failed };
+}
@@ -0,0 +1,36 @@
+// Postgres sink: writes straight into the inventory database through the API's own query module,
+// so records are validated, keyed and audited exactly as POST /api/discovery/ingest does it.
+// Needs DATABASE_URL (and DATABASE_SSL) like the API, the API's dependencies installed in
+// itam-saas/Agent and the database migrated. Tenants then come from the database too (discovery/tenants.js).
+import { toIngestRecord, batches, ingestResult } from './ingest.js';
+
+export default {
+  name: 'postgres',
+
+  async configure(env) {
+    if (!env.DATABASE_URL) {
+      throw new Error('postgres sink: missing DATABASE_URL');
+    }
+    // Loaded on demand so the other sinks do not need the API's dependencies
+    const queries = await import('../../itam-saas/Agent/queries.js');
+    // Refuses a database whose migrations are behind, as the API does
+    await queries.initDatabase();
+    return {
+      queries,
+      // Audit entries name the agent; there is no user behind them
+      actor: { id: null, user_name: env.DISCOVERY_ACTOR_NAME || 'Discovery Agent', email: null },
+    };
+  },
+
+  async write({ queries, actor }, tenant, assets, { retry }) {
+    const total = { synced: 0, failed: 0 };
+    for (const batch of batches(assets.map(toIngestRecord), queries.MAX_INGEST_ASSETS)) {
+      // Row-level security files the records under the tenant
+      const report = await retry(() => queries.runWithTenant(tenant.id, () => queries.ingestDiscoveredAssets(batch, actor)));
+      const { synced, failed } = ingestResult('postgres', report);
+      total.synced += synced;
+      total.failed += failed;
+    }
+    return total;
+  },
+};
@@ -0,0 +1,35 @@
+// Tenants a discovery cycle runs for, each as { id, slug, tenantName, externalConfigs, schedule }.
+//
+// With DATABASE_URL they are the inventory's active tenants, with the connector settings stored in each
+// tenant's discovery config (PUT /api/tenant/discovery) and its schedule (PUT /api/tenant/discovery/schedule).
+// Without a database - e.g. when only the api sink is used - there is a single tenant from the environment:
+//
+//   TENANT_ID, TENANT_NAME
+//   TENANT_EXTERNAL_CONFIGS   connector settings as JSON, e.g. {"aws": {"regions": ["us-east-1"]}}
+//   TENANT_DISCOVERY_SCHEDULE optional cron expression (UTC), e.g. 0 */6 * * *
+
+/**
+ * Load the tenants to discover for
+ * @returns {Promise<Array<object>>}
+ */
+export async function loadTenants(env = process.env) {
+  if (env.DATABASE_URL) {
+    // Loaded on demand so an agent without a database does not need the API's dependencies
+    const queries = await import('../itam-saas/Agent/queries.js');
+    const tenants = await queries.getActiveTenants();
+    return tenants.map(tenant => ({
+      id: tenant.id,
+      slug: tenant.slug,
+      tenantName: tenant.name,
+      externalConfigs: tenant.discovery_config,
+      schedule: tenant.discovery_schedule,
+    }));
+  }
+
+  return [{
+    id: env.TENANT_ID || 'default_tenant',
+    tenantName: env.TENANT_NAME || 'Default Tenant',
+    externalConfigs: JSON.parse(env.TENANT_EXTERNAL_CONFIGS || '{}'),
+    schedule: env.TENANT_DISCOVERY_SCHEDULE || null,
+  }];
+}
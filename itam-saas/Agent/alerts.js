@@ -0,0 +1,118 @@
+// Expiration alerting: a periodic job that raises alerts for licenses and contracts
+// approaching their expiration, end or renewal date and hands them to the notifiers
+import * as db from './queries.js';
+import { createNotifiers } from './notifiers.js';
+
+const DEFAULT_LEAD_DAYS = [90, 30, 7];
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.ALERT_CHECK_INTERVAL_MINUTES || '60', 10);
+const MAX_DELIVERY_ATTEMPTS = 5;
+// How long an instance holds the alerts it is delivering before another may take them over
+const DELIVERY_LEASE_MINUTES = 15;
+
+/**
+ * Parse a comma separated list of lead times ("90,30,7"), falling back to the defaults
+ */
+export function parseLeadDays(value) {
+  if (!value) return DEFAULT_LEAD_DAYS;
+  const days = String(value).split(',').map(day => parseInt(day.trim(), 10));
+  if (days.length === 0 || days.some(day => !Number.isInteger(day) || day < 0)) {
+    console.warn(`⚠️ Invalid ALERT_LEAD_DAYS "${value}" - using ${DEFAULT_LEAD_DAYS.join(',')}`);
+    return DEFAULT_LEAD_DAYS;
+  }
+  return [...new Set(days)].sort((a, b) => b - a);
+}
+
+export const ALERT_LEAD_DAYS = parseLeadDays(process.env.ALERT_LEAD_DAYS);
+
+let notifiers = null;
+let running = false;
+
+/**
+ * Raise one tenant's due alerts and deliver any of its alerts that have not been delivered yet.
+ * Each notifier only gets the alerts it does not have yet; alerts stay pending for retry on the
+ * notifiers that failed (up to MAX_DELIVERY_ATTEMPTS).
+ */
+async function checkTenantAlerts(tenant) {
+  const created = await db.createDueAlerts(ALERT_LEAD_DAYS);
+  const summary = { created, delivered: 0, failed: 0 };
+  if (notifiers.length === 0) return summary;
+
+  const claimed = await db.claimUndeliveredAlerts(MAX_DELIVERY_ATTEMPTS, DELIVERY_LEASE_MINUTES);
+  if (claimed.length === 0) return summary;
+
+  // Notifiers get the alerts without the delivery bookkeeping
+  const alerts = claimed.map(({ delivered_channels: channels, ...alert }) => ({ alert, channels }));
+  const results = await Promise.allSettled(notifiers.map((notifier) => {
+    const pending = alerts.filter(({ channels }) => !channels.includes(notifier.name)).map(({ alert }) => alert);
+    return pending.length > 0 ? notifier.send(pending, tenant) : null;
+  }));
+  const errors = results
+    .map((result, index) => result.status === 'rejected' ? `${notifiers[index].name}: ${result.reason.message}` : null)
+    .filter(Boolean);
+  await db.recordAlertDelivery(claimed.map(alert => alert.id), {
+    channels: notifiers.map(notifier => notifier.name),
+    delivered: notifiers.filter((notifier, index) => results[index].status === 'fulfilled').map(notifier => notifier.name),
+    error: errors.length > 0 ? errors.join('; ') : null,
+  });
+
+  if (errors.length > 0) {
+    console.error(`❌ Alert delivery failed for tenant ${tenant.slug}:`, errors.join('; '));
+    summary.failed = alerts.length;
+  } else {
+    summary.delivered = alerts.length;
+  }
+  return summary;
+}
+
+/**
+ * Run the alert check for every active tenant. A failing tenant is logged and does not stop the others.
+ * @returns {Promise<{created: number, delivered: number, failed: number}|null>} null if a check is already running
+ */
+export async function runAlertCheck() {
+  if (running) return null;
+  running = true;
+  try {
+    notifiers = notifiers || createNotifiers();
+    const summary = { created: 0, delivered: 0, failed: 0 };
+    for (const tenant of await db.getActiveTenants()) {
+      try {
+        const result = await db.runWithTenant(tenant.id, () => checkTenantAlerts(tenant));
+        summary.created += result.created;
+        summary.delivered += result.delivered;
+        summary.failed += result.failed;
+      } catch (error) {
+        console.error(`❌ Expiration alert check failed for tenant ${tenant.slug}:`, error.message);
+      }
+    }
+    return summary;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Run the alert check now and then every ALERT_CHECK_INTERVAL_MINUTES (0 disables the job)
+ */
+export function startAlertScheduler() {
+  if (CHECK_INTERVAL_MINUTES <= 0) {
+    console.log('⏸️ Expiration alerts disabled (ALERT_CHECK_INTERVAL_MINUTES=0)');
+    return null;
+  }
+
+  const check = async () => {
+    try {
+      const summary = await runAlertCheck();
+      if (summary && (summary.created || summary.delivered || summary.failed)) {
+        console.log(`🔔 Expiration alerts: ${summary.created} new, ${summary.delivered} delivered, ${summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Expiration alert check failed:', error.message);
+    }
+  };
+
+  console.log(`🔔 Expiration alerts every ${CHECK_INTERVAL_MINUTES} min (lead times: ${ALERT_LEAD_DAYS.join(', ')} days)`);
+  check();
+  const timer = setInterval(check, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
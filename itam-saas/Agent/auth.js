@@ -0,0 +1,170 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import bcrypt from 'bcryptjs';
+import dotenv from 'dotenv';
+import * as db from './queries.js';
+import { normalizeRole, getPermissions } from './permissions.js';
+import { validationError } from './validation.js';
+
+dotenv.config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '14', 10);
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+// Compared against when the user is unknown so login timing stays uniform
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('not-a-real-password', BCRYPT_ROUNDS);
+
+let jwtSecret = process.env.JWT_SECRET;
+if (!jwtSecret) {
+  // Without a configured secret every restart invalidates all sessions
+  console.warn('⚠️ JWT_SECRET is not set - using a random secret for this process');
+  jwtSecret = crypto.randomBytes(48).toString('hex');
+}
+
+/**
+ * Hash a plain-text password
+ */
+export async function hashPassword(password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw validationError('Validation failed', { password: `Must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  return bcrypt.hash(password, BCRYPT_ROUNDS);
+}
+
+/**
+ * Replace a plain `password` field with `password_hash`.
+ * A client-supplied password_hash is always discarded.
+ */
+export async function prepareUserCredentials(userData) {
+  const { password, password_hash, ...rest } = userData;
+  if (password) {
+    rest.password_hash = await hashPassword(password);
+  }
+  return rest;
+}
+
+// Credentials come straight from the request body; anything but a non-empty string is treated as invalid
+const isPresent = value => typeof value === 'string' && value.length > 0;
+
+function hashRefreshToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Public user shape returned to clients: normalised role plus granted permissions, and the user's tenant
+ */
+export function withPermissions(user, tenant) {
+  const role = normalizeRole(user.role);
+  return {
+    ...user,
+    role,
+    permissions: getPermissions(role),
+    tenant: tenant ? { id: tenant.id, slug: tenant.slug, name: tenant.name } : null,
+  };
+}
+
+// The tid claim is the user's tenant; every request is scoped to it
+function signAccessToken(user) {
+  return jwt.sign(
+    { sub: user.id, tid: user.tenant_id, email: user.email, role: normalizeRole(user.role), user_name: user.user_name },
+    jwtSecret,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Issue a new access token and a new (stored) refresh token for a user of an active tenant
+ */
+async function issueSession(user, tenant) {
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await db.storeRefreshToken(user.id, hashRefreshToken(refreshToken), expiresAt);
+
+  return {
+    accessToken: signAccessToken(user),
+    refreshToken,
+    user: withPermissions(user, tenant),
+  };
+}
+
+/**
+ * Authenticate with email and password
+ * @returns {Promise<object|null>} Session, or null if the credentials are invalid
+ */
+export async function login(email, password) {
+  if (!isPresent(email) || !isPresent(password)) return null;
+
+  const user = await db.getUserCredentialsByEmail(email.trim());
+  const valid = await bcrypt.compare(password, user?.password_hash || DUMMY_PASSWORD_HASH);
+
+  if (!user || !user.password_hash || !valid || user.status !== 'Active') {
+    return null;
+  }
+
+  const { password_hash, ...publicUser } = user;
+  return db.runWithTenant(user.tenant_id, async () => {
+    await db.recordUserLogin(user.id);
+    return issueSession(publicUser, await db.getTenantById(user.tenant_id));
+  });
+}
+
+/**
+ * Exchange a refresh token for a new session (the old token is revoked)
+ * @returns {Promise<object|null>} Session, or null if the token is invalid
+ */
+export async function refreshSession(refreshToken) {
+  if (!isPresent(refreshToken)) return null;
+
+  const stored = await db.consumeRefreshToken(hashRefreshToken(refreshToken));
+  if (!stored) return null;
+
+  return db.runWithTenant(stored.tenant_id, async () => {
+    const [user, tenant] = await Promise.all([db.getUserById(stored.user_id), db.getTenantById(stored.tenant_id)]);
+    if (!user || user.status !== 'Active' || tenant?.status !== 'Active') return null;
+
+    return issueSession({ ...user, tenant_id: stored.tenant_id }, tenant);
+  });
+}
+
+/**
+ * Revoke a refresh token
+ */
+export async function logout(refreshToken) {
+  if (!isPresent(refreshToken)) return;
+  await db.revokeRefreshToken(hashRefreshToken(refreshToken));
+}
+
+/**
+ * Express middleware: require a valid Bearer access token.
+ * The rest of the request runs scoped to the token's tenant.
+ */
+export function authenticate(req, res, next) {
+  const header = req.headers.authorization || '';
+  const [scheme, token] = header.split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, jwtSecret);
+  } catch (error) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+  // Tokens issued before tenants existed carry no tenant
+  if (!payload.tid) {
+    return res.status(401).json({ error: 'Invalid or expired token' });
+  }
+
+  req.user = {
+    id: payload.sub,
+    tenant_id: payload.tid,
+    email: payload.email,
+    role: payload.role,
+    user_name: payload.user_name,
+  };
+  db.runWithTenant(payload.tid, next);
+}
@@ -0,0 +1,120 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week), evaluated in UTC.
+// Used for per-tenant discovery schedules: the API validates them, the discovery agent runs them.
+// Fields take *, numbers, ranges (1-5), steps (*/15, 0-30/10), lists (1,15) and month / weekday
+// names (JAN, MON); @hourly, @daily, @weekly, @monthly and @yearly are accepted too.
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'] },
+  // 7 is Sunday too
+  { name: 'day of week', min: 0, max: 7, names: ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'] },
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+  '@yearly': '0 0 1 1 *',
+};
+
+// Far enough to reach any valid date (Feb 29 only comes round every four years)
+const SEARCH_YEARS = 5;
+
+function parseValue(value, field) {
+  const index = field.names?.indexOf(value.toUpperCase()) ?? -1;
+  if (index < 0 && !/^\d+$/.test(value)) {
+    throw new Error(`Invalid ${field.name} "${value}"`);
+  }
+  const number = index >= 0 ? index + field.min : Number(value);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} ${value} is outside ${field.min}-${field.max}`);
+  }
+  return number;
+}
+
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const [range, stepText] = part.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (!Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name} "${part}"`);
+    }
+    let from = field.min;
+    let to = field.max;
+    if (range !== '*') {
+      const [start, end] = range.split('-');
+      from = parseValue(start, field);
+      // "5/15" means from 5 to the end of the range
+      to = end !== undefined ? parseValue(end, field) : stepText !== undefined ? field.max : from;
+      if (from > to) {
+        throw new Error(`Invalid range in ${field.name} "${part}"`);
+      }
+    }
+    for (let value = from; value <= to; value += step) {
+      values.add(value);
+    }
+  }
+  return values;
+}
+
+/**
+ * Parse a cron expression
+ * @returns {{minutes: Set, hours: Set, days: Set, months: Set, weekdays: Set, anyDay: boolean, anyWeekday: boolean}}
+ * @throws {Error} With a message naming the invalid part
+ */
+export function parseCron(expression) {
+  const text = String(expression ?? '').trim();
+  const parts = (ALIASES[text.toLowerCase()] || text).split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error('A cron expression has five fields: minute hour day-of-month month day-of-week');
+  }
+  const [minutes, hours, days, months, weekdays] = parts.map((part, index) => parseField(part, FIELDS[index]));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return {
+    minutes, hours, days, months, weekdays,
+    // As in cron, a restricted day of month and day of week match when either does
+    anyDay: parts[2].startsWith('*'),
+    anyWeekday: parts[4].startsWith('*'),
+  };
+}
+
+function dayMatches(schedule, date) {
+  const day = schedule.days.has(date.getUTCDate());
+  const weekday = schedule.weekdays.has(date.getUTCDay());
+  if (schedule.anyDay || schedule.anyWeekday) return day && weekday;
+  return day || weekday;
+}
+
+/**
+ * The first time after `from` that the expression matches, to the minute
+ * @param {string|object} expression - Cron text or a parseCron result
+ * @returns {Date|null} Null when the expression never matches (e.g. 30 February)
+ */
+export function nextCronTime(expression, from = new Date()) {
+  const schedule = typeof expression === 'string' ? parseCron(expression) : expression;
+  const time = new Date(from.getTime());
+  time.setUTCSeconds(0, 0);
+  time.setUTCMinutes(time.getUTCMinutes() + 1);
+
+  const limit = from.getTime() + SEARCH_YEARS * 366 * 24 * 60 * 60 * 1000;
+  while (time.getTime() <= limit) {
+    if (!schedule.months.has(time.getUTCMonth() + 1)) {
+      time.setUTCMonth(time.getUTCMonth() + 1, 1);
+      time.setUTCHours(0, 0);
+    } else if (!dayMatches(schedule, time)) {
+      time.setUTCDate(time.getUTCDate() + 1);
+      time.setUTCHours(0, 0);
+    } else if (!schedule.hours.has(time.getUTCHours())) {
+      time.setUTCHours(time.getUTCHours() + 1, 0);
+    } else if (!schedule.minutes.has(time.getUTCMinutes())) {
+      time.setUTCMinutes(time.getUTCMinutes() + 1);
+    } else {
+      return time;
+    }
+  }
+  return null;
+}
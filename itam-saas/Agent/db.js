@@ -1,3 +1,4 @@
+import { AsyncLocalStorage } from 'async_hooks';
 import { Pool } from 'pg';
 import dotenv from 'dotenv';
 
@@ -7,7 +8,8 @@ const connectionString = process.env.DATABASE_URL;
 
 const pool = new Pool({
   connectionString: connectionString,
-  ssl: {
+  // Set DATABASE_SSL=false for a local Postgres without TLS
+  ssl: process.env.DATABASE_SSL === 'false' ? false : {
     rejectUnauthorized: false,
   },
   application_name: 'itam_tracker',
@@ -17,4 +19,62 @@ pool.on('error', (err) => {
   console.error('Unexpected error on idle client', err);
 });
 
-export default pool;
+// Tenant the current request or job works for: { tenantId } or { allTenants: true }.
+// Row-level security (migration 015) reads it from the connection settings applied below.
+const tenantScope = new AsyncLocalStorage();
+
+/**
+ * Run work() with every query scoped to one tenant
+ */
+export function runWithTenant(tenantId, work) {
+  return tenantScope.run({ tenantId }, work);
+}
+
+/**
+ * Run work() with the rows of every tenant visible - for sign-in lookups, background jobs and migrations.
+ * Rows inserted here still need a tenant, so writes belong inside runWithTenant.
+ */
+export function runForAllTenants(work) {
+  return tenantScope.run({ allTenants: true }, work);
+}
+
+/**
+ * Tenant of the current scope, or null
+ */
+export function currentTenantId() {
+  return tenantScope.getStore()?.tenantId || null;
+}
+
+/**
+ * Check out a connection with the current tenant scope applied.
+ * Outside any scope the connection sees no tenant rows at all.
+ */
+async function connect() {
+  const client = await pool.connect();
+  const scope = tenantScope.getStore() || {};
+  try {
+    await client.query(
+      `SELECT set_config('app.tenant_id', $1, false), set_config('app.all_tenants', $2, false)`,
+      [scope.tenantId || '', scope.allTenants ? 'on' : 'off']
+    );
+  } catch (error) {
+    client.release(error);
+    throw error;
+  }
+  return client;
+}
+
+export default {
+  connect,
+
+  async query(...args) {
+    const client = await connect();
+    try {
+      return await client.query(...args);
+    } finally {
+      client.release();
+    }
+  },
+
+  end: () => pool.end(),
+};
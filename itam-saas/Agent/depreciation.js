@@ -0,0 +1,235 @@
+// Asset depreciation: book value over an asset's useful life, straight-line or declining balance.
+// An asset's own settings (purchase_date, useful_life_months, depreciation_method, salvage_value) win; the
+// tenant's profile for its asset type fills in a method or useful life the asset leaves empty.
+// Depreciation is booked monthly from the purchase date, in whole cents, and schedules group it by calendar year.
+// A disposed asset is written off at its disposal date (disposed_at, see lifecycle.js).
+
+export const DEPRECIATION_METHODS = ['straight_line', 'declining_balance'];
+
+// Declining balance is double-declining; it switches to straight-line once that depreciates more
+const DECLINING_FACTOR = 2;
+
+const toCents = value => Math.round(Number(value || 0) * 100);
+const fromCents = cents => cents / 100;
+
+function toDate(value) {
+  const date = value instanceof Date ? value : new Date(`${value}T00:00:00Z`);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+}
+
+const formatDate = date => date.toISOString().slice(0, 10);
+
+/**
+ * The same day `months` later, or the month's last day when it is shorter (31 Jan + 1 month = 28 Feb)
+ */
+function addMonths(date, months) {
+  const target = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(date.getUTCDate(), lastDay));
+  return target;
+}
+
+/**
+ * Whole months from `from` to `to` (0 if `to` is earlier)
+ */
+function monthsBetween(from, to) {
+  let months = (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+  if (months > 0 && addMonths(from, months) > to) months--;
+  return Math.max(0, months);
+}
+
+/**
+ * Settings an asset depreciates with
+ * @param {object} profiles - Asset type -> { method, useful_life_months } (tenants.depreciation_profiles)
+ * @returns {{settings: object|null, missing: Array<string>}} settings is null while anything is missing
+ */
+export function depreciationSettings(asset, profiles = {}) {
+  const profile = profiles[asset.asset_type] || {};
+  const method = asset.depreciation_method || profile.method;
+  const usefulLifeMonths = asset.useful_life_months || profile.useful_life_months;
+  const missing = [
+    !asset.purchase_date && 'purchase_date',
+    !method && 'depreciation_method',
+    !usefulLifeMonths && 'useful_life_months',
+  ].filter(Boolean);
+  if (missing.length > 0) return { settings: null, missing };
+
+  return {
+    settings: {
+      method,
+      useful_life_months: usefulLifeMonths,
+      salvage_value: Math.min(Number(asset.salvage_value || 0), Number(asset.cost || 0)),
+      source: asset.depreciation_method && asset.useful_life_months ? 'asset' : 'asset_type',
+    },
+    missing,
+  };
+}
+
+/**
+ * Depreciation booked in each month of the useful life, in cents. The last month brings the value down to salvage.
+ */
+function monthlyAmounts(costCents, salvageCents, lifeMonths, method) {
+  const amounts = [];
+  let book = costCents;
+  for (let month = 1; month <= lifeMonths; month++) {
+    const straight = Math.round((book - salvageCents) / (lifeMonths - month + 1));
+    const amount = method === 'declining_balance'
+      ? Math.max(Math.round(book * DECLINING_FACTOR / lifeMonths), straight)
+      : straight;
+    const booked = Math.min(amount, book - salvageCents);
+    amounts.push(booked);
+    book -= booked;
+  }
+  return amounts;
+}
+
+/**
+ * Value an asset on a date
+ * @param {object} asset - Asset row
+ * @param {object} profiles - The tenant's depreciation profiles by asset type
+ * @param {Date|string} asOf - Date to value the asset on (YYYY-MM-DD or Date)
+ * @returns {object} cost, book_value and accumulated_depreciation on the date, the settings used and a
+ *   calendar-year schedule of { year, opening_value, depreciation, written_off, closing_value }. Assets
+ *   missing settings are carried at cost with depreciable: false and the missing fields listed.
+ */
+export function valueAsset(asset, profiles, asOf = new Date()) {
+  const date = toDate(asOf);
+  const costCents = toCents(asset.cost);
+  const valuation = {
+    asset_id: asset.id,
+    asset_tag: asset.asset_tag,
+    asset_type: asset.asset_type,
+    status: asset.status,
+    as_of: formatDate(date),
+    cost: fromCents(costCents),
+    purchase_date: asset.purchase_date ? formatDate(toDate(asset.purchase_date)) : null,
+  };
+
+  const disposed = asset.disposed_at ? toDate(asset.disposed_at) : null;
+  const isDisposed = Boolean(disposed && disposed <= date);
+
+  const { settings, missing } = depreciationSettings(asset, profiles);
+  if (!settings) {
+    return {
+      ...valuation,
+      depreciable: false,
+      missing,
+      accumulated_depreciation: 0,
+      book_value: isDisposed ? 0 : valuation.cost,
+      disposed_on: isDisposed ? formatDate(disposed) : null,
+      written_off: isDisposed ? valuation.cost : 0,
+      schedule: [],
+    };
+  }
+
+  const purchased = toDate(asset.purchase_date);
+  const amounts = monthlyAmounts(costCents, toCents(settings.salvage_value), settings.useful_life_months, settings.method);
+
+  // Calendar-year schedule up to the disposal, if there is one
+  const schedule = [];
+  let book = costCents;
+  const period = (year) => {
+    let entry = schedule[schedule.length - 1];
+    if (!entry || entry.year !== year) {
+      entry = { year, opening_value: book, depreciation: 0, written_off: 0, closing_value: book };
+      schedule.push(entry);
+    }
+    return entry;
+  };
+  amounts.forEach((amount, index) => {
+    const bookedOn = addMonths(purchased, index + 1);
+    if (disposed && bookedOn > disposed) return;
+    const entry = period(bookedOn.getUTCFullYear());
+    entry.depreciation += amount;
+    book -= amount;
+    entry.closing_value = book;
+  });
+  if (disposed) {
+    const entry = period(disposed.getUTCFullYear());
+    entry.written_off = book;
+    entry.closing_value = 0;
+  }
+
+  const elapsed = Math.min(monthsBetween(purchased, date), settings.useful_life_months);
+  const accumulated = amounts.slice(0, disposed ? Math.min(elapsed, monthsBetween(purchased, disposed)) : elapsed)
+    .reduce((sum, amount) => sum + amount, 0);
+
+  return {
+    ...valuation,
+    depreciable: true,
+    method: settings.method,
+    useful_life_months: settings.useful_life_months,
+    salvage_value: settings.salvage_value,
+    settings_source: settings.source,
+    end_of_life: formatDate(addMonths(purchased, settings.useful_life_months)),
+    accumulated_depreciation: fromCents(accumulated),
+    book_value: isDisposed ? 0 : fromCents(costCents - accumulated),
+    fully_depreciated: elapsed >= settings.useful_life_months,
+    disposed_on: isDisposed ? formatDate(disposed) : null,
+    written_off: isDisposed ? fromCents(costCents - accumulated) : 0,
+    schedule: schedule.map(entry => ({
+      year: entry.year,
+      opening_value: fromCents(entry.opening_value),
+      depreciation: fromCents(entry.depreciation),
+      written_off: fromCents(entry.written_off),
+      closing_value: fromCents(entry.closing_value),
+    })),
+  };
+}
+
+/**
+ * Value a portfolio of assets on a date: totals and totals per asset type of the assets still held, the
+ * depreciation and write-offs booked in each calendar year, and each asset's valuation without its schedule
+ */
+export function valuePortfolio(assets, profiles, asOf = new Date()) {
+  const totals = { assets: 0, not_depreciable: 0, disposed: 0, cost: 0, accumulated_depreciation: 0, book_value: 0 };
+  const byType = new Map();
+  const years = new Map();
+  const valuations = [];
+  const addSchedule = (schedule) => {
+    for (const entry of schedule) {
+      const year = years.get(entry.year) || { year: entry.year, depreciation: 0, written_off: 0 };
+      years.set(entry.year, year);
+      year.depreciation += toCents(entry.depreciation);
+      year.written_off += toCents(entry.written_off);
+    }
+  };
+
+  for (const asset of assets) {
+    const { schedule, ...valuation } = valueAsset(asset, profiles, asOf);
+    valuations.push(valuation);
+    addSchedule(schedule);
+
+    if (valuation.disposed_on) {
+      totals.disposed += 1;
+      continue;
+    }
+    const type = byType.get(asset.asset_type) || { asset_type: asset.asset_type, assets: 0, cost: 0, accumulated_depreciation: 0, book_value: 0 };
+    byType.set(asset.asset_type, type);
+    for (const sums of [totals, type]) {
+      sums.assets += 1;
+      sums.cost += toCents(valuation.cost);
+      sums.accumulated_depreciation += toCents(valuation.accumulated_depreciation);
+      sums.book_value += toCents(valuation.book_value);
+    }
+    if (!valuation.depreciable) totals.not_depreciable += 1;
+  }
+
+  const money = ({ cost, accumulated_depreciation, book_value, ...rest }) => ({
+    ...rest,
+    cost: fromCents(cost),
+    accumulated_depreciation: fromCents(accumulated_depreciation),
+    book_value: fromCents(book_value),
+  });
+  return {
+    as_of: formatDate(toDate(asOf)),
+    totals: money(totals),
+    by_asset_type: [...byType.values()].sort((a, b) => b.book_value - a.book_value).map(money),
+    schedule: [...years.values()].sort((a, b) => a.year - b.year).map(year => ({
+      year: year.year,
+      depreciation: fromCents(year.depreciation),
+      written_off: fromCents(year.written_off),
+    })),
+    assets: valuations,
+  };
+}
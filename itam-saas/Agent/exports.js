@@ -0,0 +1,260 @@
+// Export writers: stream list rows to the response as CSV, XLSX, JSON or PDF
+import { stringify } from 'csv-stringify/sync';
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import { SCHEMAS, validationError } from './validation.js';
+
+export const EXPORT_FORMATS = ['csv', 'xlsx', 'json', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  json: 'application/json; charset=utf-8',
+  pdf: 'application/pdf',
+};
+
+// Computed and discovery-managed columns exported after the editable fields
+const EXTRA_COLUMNS = {
+  assets: ['assigned_user_name', 'discovery_sources', 'last_discovered_at', 'missing_since'],
+  licenses: ['seats_used'],
+  users: ['current_assets'],
+  contracts: ['covered_items'],
+};
+
+// A PDF page only fits a handful of columns - the ones the tables show
+const PDF_COLUMNS = {
+  assets: ['asset_tag', 'asset_type', 'manufacturer', 'model', 'serial_number', 'status', 'assigned_user_name', 'cost'],
+  licenses: ['license_name', 'software_name', 'vendor', 'expiration_date', 'quantity', 'seats_used', 'status', 'cost'],
+  users: ['user_name', 'email', 'department', 'phone', 'role', 'status', 'current_assets'],
+  contracts: ['contract_name', 'vendor', 'contract_type', 'start_date', 'end_date', 'contract_value', 'currency', 'status'],
+};
+
+const TITLES = { assets: 'Assets', licenses: 'Licenses', users: 'Users', contracts: 'Contracts' };
+
+/**
+ * Columns written for an entity: id, the schema fields, computed columns and timestamps.
+ * Headers use field names, so a CSV/XLSX export can be imported again as is.
+ */
+export function exportColumns(entity) {
+  return ['id', ...Object.keys(SCHEMAS[entity]), ...EXTRA_COLUMNS[entity], 'created_at', 'updated_at'];
+}
+
+function pad(number) {
+  return String(number).padStart(2, '0');
+}
+
+// Columns holding a list of records -> the field of each record that is exported
+const LIST_LABELS = {
+  current_assets: 'asset_tag',
+  discovery_sources: 'source',
+  covered_items: 'label',
+};
+
+/**
+ * Plain export value: dates as YYYY-MM-DD, timestamps as ISO, decimals as numbers, lists as text
+ * (JSON keeps them as arrays)
+ */
+function formatValue(entity, column, value, format) {
+  if (value === null || value === undefined) return null;
+  const rule = SCHEMAS[entity][column];
+  if (Array.isArray(value)) {
+    const list = LIST_LABELS[column] ? value.map(item => item[LIST_LABELS[column]]) : value;
+    return format === 'json' ? list : list.join(', ');
+  }
+  if (value instanceof Date) {
+    // DATE columns arrive as local midnight
+    return rule?.type === 'date'
+      ? `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`
+      : value.toISOString();
+  }
+  if ((rule?.type === 'number' || rule?.type === 'integer') && typeof value === 'string') return Number(value);
+  return value;
+}
+
+function clientGone() {
+  return new Error('Client closed the connection');
+}
+
+/**
+ * Wait for `event` on the response. Rejects if the client disconnects first, so an abandoned
+ * download stops reading rows and its database cursor and connection are released.
+ */
+function waitFor(res, event) {
+  if (res.destroyed) return Promise.reject(clientGone());
+  return new Promise((resolve, reject) => {
+    const settle = (error) => {
+      res.off(event, onEvent);
+      res.off('close', onClose);
+      res.off('error', settle);
+      if (error) reject(error);
+      else resolve();
+    };
+    const onEvent = () => settle();
+    const onClose = () => settle(clientGone());
+    res.on(event, onEvent);
+    res.on('close', onClose);
+    res.on('error', settle);
+  });
+}
+
+/**
+ * Wait until the response can take more data
+ */
+async function writable(res) {
+  if (res.destroyed) throw clientGone();
+  if (res.writableNeedDrain) await waitFor(res, 'drain');
+}
+
+async function write(res, chunk) {
+  if (!res.write(chunk)) await waitFor(res, 'drain');
+}
+
+function csvWriter(res, columns) {
+  return {
+    async begin() {
+      await write(res, `﻿${stringify([columns])}`);
+    },
+    async rows(records) {
+      await write(res, stringify(records.map(record => columns.map(column => record[column])), {
+        cast: { boolean: value => String(value) },
+      }));
+    },
+    async end() {
+      res.end();
+    },
+  };
+}
+
+function jsonWriter(res) {
+  let first = true;
+  return {
+    async begin() {
+      await write(res, '[');
+    },
+    async rows(records) {
+      const body = records.map(record => JSON.stringify(record)).join(',\n');
+      await write(res, `${first ? '\n' : ',\n'}${body}`);
+      first = false;
+    },
+    async end() {
+      res.end(first ? ']' : '\n]\n');
+    },
+  };
+}
+
+function xlsxWriter(res, columns, entity) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+  const sheet = workbook.addWorksheet(TITLES[entity]);
+  return {
+    async begin() {
+      sheet.columns = columns.map(column => ({ header: column, key: column, width: column === 'id' ? 38 : 20 }));
+      sheet.getRow(1).font = { bold: true };
+      sheet.getRow(1).commit();
+    },
+    async rows(records) {
+      for (const record of records) {
+        sheet.addRow(record).commit();
+      }
+    },
+    async end() {
+      sheet.commit();
+      await Promise.all([workbook.commit(), waitFor(res, 'finish')]);
+    },
+  };
+}
+
+function pdfWriter(res, entity) {
+  const columns = PDF_COLUMNS[entity];
+  const doc = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+  const width = (doc.page.width - 60) / columns.length;
+  const rowHeight = 14;
+
+  const header = () => {
+    doc.font('Helvetica-Bold').fontSize(8);
+    columns.forEach((column, index) => {
+      doc.text(column, 30 + index * width, doc.y, { width: width - 4, lineBreak: false, ellipsis: true });
+    });
+    doc.moveDown(0.5);
+    doc.font('Helvetica');
+  };
+
+  return {
+    async begin() {
+      doc.pipe(res);
+      doc.font('Helvetica-Bold').fontSize(14).text(`${TITLES[entity]} - ${new Date().toISOString().split('T')[0]}`);
+      doc.moveDown();
+      header();
+    },
+    async rows(records) {
+      for (const record of records) {
+        if (doc.y + rowHeight > doc.page.height - 30) {
+          doc.addPage();
+          header();
+        }
+        const y = doc.y;
+        columns.forEach((column, index) => {
+          const value = record[column];
+          doc.text(value === null ? '' : String(value), 30 + index * width, y, { width: width - 4, lineBreak: false, ellipsis: true });
+        });
+        doc.y = y + rowHeight;
+      }
+    },
+    async end() {
+      doc.end();
+      await waitFor(res, 'finish');
+    },
+  };
+}
+
+function createWriter(format, res, entity, columns) {
+  switch (format) {
+    case 'csv': return csvWriter(res, columns);
+    case 'json': return jsonWriter(res);
+    case 'xlsx': return xlsxWriter(res, columns, entity);
+    case 'pdf': return pdfWriter(res, entity);
+    default: throw new Error(`Unknown export format: ${format}`);
+  }
+}
+
+/**
+ * Parse ?format= (default csv)
+ * @throws {Error} code VALIDATION_FAILED for an unknown format
+ */
+export function parseExportFormat(query = {}) {
+  const format = String(query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw validationError('Invalid export format', { format: `Must be one of: ${EXPORT_FORMATS.join(', ')}` });
+  }
+  return format;
+}
+
+/**
+ * Stream an export to the response. Headers are sent with the first batch, so errors raised
+ * before any rows are read (e.g. invalid filters) can still be answered as JSON by the caller.
+ * It throws once the client disconnects, which stops readRows.
+ *
+ * @param {function(function(Array<object>): Promise<void>): Promise<void>} readRows - Feeds row batches, e.g. db.exportRows
+ */
+export async function streamExport(res, entity, format, readRows) {
+  const columns = exportColumns(entity);
+  let writer = null;
+
+  const begin = async () => {
+    if (writer) return;
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${entity}-${new Date().toISOString().split('T')[0]}.${format}"`);
+    writer = createWriter(format, res, entity, columns);
+    await writer.begin();
+  };
+
+  await readRows(async (rows) => {
+    await begin();
+    // XLSX and PDF are piped to the response, so the writers cannot wait for it themselves
+    await writable(res);
+    await writer.rows(rows.map(row => Object.fromEntries(
+      columns.map(column => [column, formatValue(entity, column, row[column], format)])
+    )));
+  });
+  await begin();
+  await writer.end();
+}
@@ -0,0 +1,157 @@
+// Bulk import helpers: read uploaded CSV / XLSX files and map their columns onto entity fields
+import { parse } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+import { SCHEMAS, validationError } from './validation.js';
+
+export const MAX_IMPORT_ROWS = 5000;
+export const MAX_IMPORT_BYTES = 10 * 1024 * 1024;
+
+// Natural key used to match an imported row to an existing record (null: always create)
+export const IMPORT_KEYS = {
+  assets: 'asset_tag',
+  licenses: 'license_key',
+  users: 'email',
+  contracts: null,
+};
+
+/**
+ * Plain value of an XLSX cell (formulas, rich text and hyperlinks reduced to their text)
+ */
+function cellValue(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().split('T')[0];
+  if (typeof value !== 'object') return value;
+  if ('result' in value) return cellValue(value.result);
+  if (value.richText) return value.richText.map(part => part.text).join('');
+  if ('text' in value) return value.text;
+  return '';
+}
+
+async function readWorkbook(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const table = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    row.eachCell({ includeEmpty: true }, (cell, columnNumber) => {
+      values[columnNumber - 1] = cellValue(cell.value);
+    });
+    table[rowNumber - 1] = Array.from(values, value => value ?? '');
+  });
+  return Array.from(table, row => row || []);
+}
+
+/**
+ * Read the first sheet of an uploaded file. The first row holds the column names.
+ * @param {{buffer: Buffer, originalname: string}} file - multer upload
+ * @returns {Promise<{columns: Array<string>, rows: Array<{line: number, values: object}>}>}
+ * @throws {Error} code VALIDATION_FAILED if the file is missing, unreadable or too large
+ */
+export async function parseImportFile(file) {
+  if (!file) {
+    throw validationError('No file uploaded', { file: 'Required' });
+  }
+
+  const extension = file.originalname.split('.').pop().toLowerCase();
+  let table;
+  try {
+    if (extension === 'csv') {
+      table = parse(file.buffer, { bom: true, relax_column_count: true, skip_empty_lines: true });
+    } else if (extension === 'xlsx') {
+      table = await readWorkbook(file.buffer);
+    } else {
+      throw validationError('Unsupported file type', { file: 'Must be a .csv or .xlsx file' });
+    }
+  } catch (error) {
+    if (error.code === 'VALIDATION_FAILED') throw error;
+    throw validationError('Could not read file', { file: error.message });
+  }
+
+  const [header = [], ...body] = table;
+  const columns = header.map(column => String(column).trim());
+  if (columns.filter(Boolean).length === 0) {
+    throw validationError('File has no header row', { file: 'The first row must name the columns' });
+  }
+
+  // Line numbers match the spreadsheet (header is line 1)
+  const rows = body
+    .map((cells, index) => ({
+      line: index + 2,
+      values: Object.fromEntries(columns.map((column, position) => [column, cells[position] ?? ''])),
+    }))
+    .filter(row => Object.values(row.values).some(value => String(value).trim() !== ''));
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw validationError('File is too large', { file: `At most ${MAX_IMPORT_ROWS} rows per import` });
+  }
+  return { columns, rows };
+}
+
+function normalizeName(name) {
+  return String(name).trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+/**
+ * Column -> field mapping. Columns named like a field ("Asset Tag", "asset_tag") map automatically;
+ * an explicit mapping ({column: field}, '' to skip a column) overrides them.
+ * @throws {Error} code VALIDATION_FAILED for unknown fields or a field mapped twice
+ */
+export function buildImportMapping(entity, columns, requested = null) {
+  const fields = Object.keys(SCHEMAS[entity]);
+  let mapping = {};
+
+  if (requested) {
+    let parsed = requested;
+    if (typeof requested === 'string') {
+      try {
+        parsed = JSON.parse(requested);
+      } catch {
+        throw validationError('Invalid column mapping', { mapping: 'Must be a JSON object' });
+      }
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      throw validationError('Invalid column mapping', { mapping: 'Must be a JSON object' });
+    }
+    mapping = Object.fromEntries(
+      Object.entries(parsed).filter(([column, field]) => columns.includes(column) && field)
+    );
+  } else {
+    for (const column of columns) {
+      const field = normalizeName(column);
+      if (fields.includes(field)) mapping[column] = field;
+    }
+  }
+
+  const errors = {};
+  const seen = {};
+  for (const [column, field] of Object.entries(mapping)) {
+    if (!fields.includes(field)) {
+      errors[column] = `Unknown field: ${field}`;
+    } else if (seen[field]) {
+      errors[column] = `${field} is already mapped from "${seen[field]}"`;
+    } else {
+      seen[field] = column;
+    }
+  }
+  if (Object.keys(errors).length > 0) {
+    throw validationError('Invalid column mapping', errors);
+  }
+  return mapping;
+}
+
+/**
+ * Apply a mapping to one row. Blank cells are left out so defaults apply on create
+ * and stored values are kept on update.
+ */
+export function mapImportRow(values, mapping) {
+  const data = {};
+  for (const [column, field] of Object.entries(mapping)) {
+    const value = values[column];
+    if (value === undefined || value === null || String(value).trim() === '') continue;
+    data[field] = typeof value === 'string' ? value.trim() : value;
+  }
+  return data;
+}
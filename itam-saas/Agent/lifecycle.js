@@ -0,0 +1,122 @@
+// Asset lifecycle: the states an asset moves through, which moves are allowed and what each one needs.
+// New assets start in an entry state. Every status change - edits, POST /api/assets/:id/transition,
+// check-out / check-in, imports and the missing-asset job - goes through here, and stamps the column
+// recording when the new state was entered.
+
+export const ASSET_STATUSES = ['Ordered', 'In Stock', 'Deployed', 'In Repair', 'Pending Retirement', 'Retired', 'Disposed'];
+
+export const DEFAULT_ASSET_STATUS = 'Deployed';
+
+// States a new asset can start in. Later states are reached through transitions and the fields they need.
+export const INITIAL_STATUSES = ['Ordered', 'In Stock', 'Deployed'];
+
+// State -> states it can move to. Disposed is final. Pending Retirement holds an asset for review (e.g. one
+// discovery stopped reporting) until it is retired or put back into service.
+export const ASSET_TRANSITIONS = {
+  Ordered: ['In Stock'],
+  'In Stock': ['Deployed', 'In Repair', 'Pending Retirement', 'Retired'],
+  Deployed: ['In Stock', 'In Repair', 'Pending Retirement', 'Retired'],
+  'In Repair': ['In Stock', 'Deployed', 'Pending Retirement', 'Retired'],
+  'Pending Retirement': ['In Stock', 'Deployed', 'Retired'],
+  Retired: ['In Stock', 'Disposed'],
+  Disposed: [],
+};
+
+// State -> column holding when the asset last entered it
+export const STATUS_TIMESTAMPS = {
+  Ordered: 'ordered_at',
+  'In Stock': 'in_stock_at',
+  Deployed: 'deployed_at',
+  'In Repair': 'in_repair_at',
+  'Pending Retirement': 'pending_retirement_at',
+  Retired: 'retired_at',
+  Disposed: 'disposed_at',
+};
+
+// State -> fields a move into it must carry. They are cleared when the asset goes back into service.
+export const TRANSITION_FIELDS = {
+  Retired: ['retirement_reason'],
+  Disposed: ['disposal_reason'],
+};
+
+const OUT_OF_SERVICE = ['Retired', 'Disposed'];
+
+// A checked-out asset has to be checked in before it can go back on the shelf or out of service
+const UNASSIGNED_STATES = ['In Stock', ...OUT_OF_SERVICE];
+
+/**
+ * Whether an asset in state `from` can move to `to`
+ */
+export function canTransition(from, to) {
+  return (ASSET_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Fields that record entering `status` now, added to `fields`
+ */
+export function enterStatus(fields, status, at = new Date()) {
+  return { ...fields, status, [STATUS_TIMESTAMPS[status]]: at };
+}
+
+/**
+ * Check the status of a new asset and return the fields to insert, with the entry timestamp stamped
+ * @throws {Error} code VALIDATION_FAILED for a status a new asset cannot start in
+ */
+export function planCreate(fields) {
+  if (!INITIAL_STATUSES.includes(fields.status)) {
+    const error = new Error('Validation failed');
+    error.code = 'VALIDATION_FAILED';
+    error.fields = { status: `A new asset must start in one of: ${INITIAL_STATUSES.join(', ')}` };
+    throw error;
+  }
+  const cleared = Object.fromEntries(Object.values(TRANSITION_FIELDS).flat().map(field => [field, null]));
+  return enterStatus({ ...fields, ...cleared }, fields.status);
+}
+
+/**
+ * Check a move of `asset` to fields.status and return the fields to write: the entry timestamp is
+ * stamped, and retirement and disposal reasons are cleared when the asset goes back into service.
+ * Fields without a status change come back as they are.
+ * @param {object} asset - Current row (status, assigned_user_id, assigned_user_name)
+ * @throws {Error} code VALIDATION_FAILED for a move that is not allowed or lacks its fields,
+ *   CONFLICT for a move that needs the asset checked in first
+ */
+export function planTransition(asset, fields) {
+  const to = fields.status;
+  if (to === undefined || to === asset.status) return fields;
+
+  if (!canTransition(asset.status, to)) {
+    const error = new Error('Validation failed');
+    error.code = 'VALIDATION_FAILED';
+    error.fields = {
+      status: ASSET_TRANSITIONS[asset.status]
+        ? `Cannot move from ${asset.status} to ${to}`
+        : `Unknown current status ${asset.status}`,
+    };
+    throw error;
+  }
+
+  const missing = {};
+  for (const field of TRANSITION_FIELDS[to] || []) {
+    if (fields[field] === undefined || fields[field] === null || fields[field] === '') {
+      missing[field] = `Required to move to ${to}`;
+    }
+  }
+  if (Object.keys(missing).length > 0) {
+    const error = new Error('Validation failed');
+    error.code = 'VALIDATION_FAILED';
+    error.fields = missing;
+    throw error;
+  }
+
+  if ((asset.assigned_user_id || asset.assigned_user_name) && UNASSIGNED_STATES.includes(to)) {
+    const error = new Error(`Check the asset in from ${asset.assigned_user_name || 'its user'} before moving it to ${to}`);
+    error.code = 'CONFLICT';
+    throw error;
+  }
+
+  const cleared = OUT_OF_SERVICE.includes(to)
+    ? {}
+    : Object.fromEntries(Object.values(TRANSITION_FIELDS).flat().map(field => [field, null]));
+  return enterStatus({ ...fields, ...cleared }, to);
+}
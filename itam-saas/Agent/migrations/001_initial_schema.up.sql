@@ -0,0 +1,66 @@
+-- Initial schema: the four core inventory tables.
+-- Uses IF NOT EXISTS so databases that were created by hand before the
+-- migration runner existed can be adopted without changes.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+CREATE TABLE IF NOT EXISTS assets (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  asset_tag VARCHAR(255) UNIQUE NOT NULL,
+  asset_type VARCHAR(50) NOT NULL,
+  manufacturer VARCHAR(255),
+  model VARCHAR(255),
+  serial_number VARCHAR(255) UNIQUE,
+  assigned_user_name VARCHAR(255),
+  status VARCHAR(50) DEFAULT 'In Use',
+  cost DECIMAL(10, 2) DEFAULT 0,
+  discovered BOOLEAN DEFAULT false,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS licenses (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  license_name VARCHAR(255) NOT NULL,
+  license_type VARCHAR(100) NOT NULL,
+  license_key VARCHAR(255),
+  software_name VARCHAR(255),
+  vendor VARCHAR(255),
+  expiration_date DATE,
+  quantity INTEGER DEFAULT 1,
+  status VARCHAR(50) DEFAULT 'Active',
+  cost DECIMAL(10, 2) DEFAULT 0,
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS users (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_name VARCHAR(255) NOT NULL,
+  email VARCHAR(255) UNIQUE,
+  department VARCHAR(255),
+  phone VARCHAR(50),
+  role VARCHAR(100),
+  status VARCHAR(50) DEFAULT 'Active',
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS contracts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  contract_name VARCHAR(255) NOT NULL,
+  vendor VARCHAR(255),
+  contract_type VARCHAR(100),
+  start_date DATE,
+  end_date DATE,
+  contract_value DECIMAL(12, 2) DEFAULT 0,
+  status VARCHAR(50) DEFAULT 'Active',
+  renewal_date DATE,
+  contact_person VARCHAR(255),
+  contact_email VARCHAR(255),
+  notes TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
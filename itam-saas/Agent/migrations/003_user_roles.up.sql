@@ -0,0 +1,14 @@
+-- Replace free-text users.role with the defined roles from permissions.js.
+-- Existing values are mapped to the closest role; anything unrecognised becomes 'employee'.
+
+UPDATE users SET role = CASE
+  WHEN LOWER(TRIM(role)) IN ('admin', 'administrator') THEN 'admin'
+  WHEN LOWER(REGEXP_REPLACE(TRIM(role), '[\s-]+', '_', 'g')) IN ('asset_manager', 'it_manager', 'manager') THEN 'asset_manager'
+  WHEN LOWER(REGEXP_REPLACE(TRIM(role), '[\s-]+', '_', 'g')) IN ('auditor', 'read_only', 'readonly') THEN 'auditor'
+  ELSE 'employee'
+END;
+
+ALTER TABLE users ALTER COLUMN role SET DEFAULT 'employee';
+ALTER TABLE users ALTER COLUMN role SET NOT NULL;
+ALTER TABLE users ADD CONSTRAINT users_role_check
+  CHECK (role IN ('admin', 'asset_manager', 'auditor', 'employee'));
@@ -0,0 +1,2 @@
+-- Contracts are priced in different currencies; the client form already collects one.
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS currency VARCHAR(3) DEFAULT 'USD';
@@ -0,0 +1,10 @@
+DROP INDEX IF EXISTS idx_contracts_status;
+DROP INDEX IF EXISTS idx_contracts_created_at;
+DROP INDEX IF EXISTS idx_users_status;
+DROP INDEX IF EXISTS idx_users_created_at;
+DROP INDEX IF EXISTS idx_licenses_status;
+DROP INDEX IF EXISTS idx_licenses_created_at;
+DROP INDEX IF EXISTS idx_assets_manufacturer;
+DROP INDEX IF EXISTS idx_assets_asset_type;
+DROP INDEX IF EXISTS idx_assets_status;
+DROP INDEX IF EXISTS idx_assets_created_at;
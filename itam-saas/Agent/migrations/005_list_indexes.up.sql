@@ -0,0 +1,14 @@
+-- Indexes backing the default sort and common filters on list endpoints.
+CREATE INDEX IF NOT EXISTS idx_assets_created_at ON assets(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_assets_status ON assets(status);
+CREATE INDEX IF NOT EXISTS idx_assets_asset_type ON assets(asset_type);
+CREATE INDEX IF NOT EXISTS idx_assets_manufacturer ON assets(manufacturer);
+
+CREATE INDEX IF NOT EXISTS idx_licenses_created_at ON licenses(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_licenses_status ON licenses(status);
+
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_users_status ON users(status);
+
+CREATE INDEX IF NOT EXISTS idx_contracts_created_at ON contracts(created_at, id);
+CREATE INDEX IF NOT EXISTS idx_contracts_status ON contracts(status);
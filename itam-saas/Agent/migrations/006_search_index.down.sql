@@ -0,0 +1,17 @@
+DROP INDEX IF EXISTS idx_contracts_search_trgm;
+DROP INDEX IF EXISTS idx_contracts_search_vector;
+DROP INDEX IF EXISTS idx_users_search_trgm;
+DROP INDEX IF EXISTS idx_users_search_vector;
+DROP INDEX IF EXISTS idx_licenses_search_trgm;
+DROP INDEX IF EXISTS idx_licenses_search_vector;
+DROP INDEX IF EXISTS idx_assets_search_trgm;
+DROP INDEX IF EXISTS idx_assets_search_vector;
+
+DROP FUNCTION IF EXISTS contracts_search_text(contracts);
+DROP FUNCTION IF EXISTS contracts_search_vector(contracts);
+DROP FUNCTION IF EXISTS users_search_text(users);
+DROP FUNCTION IF EXISTS users_search_vector(users);
+DROP FUNCTION IF EXISTS licenses_search_text(licenses);
+DROP FUNCTION IF EXISTS licenses_search_vector(licenses);
+DROP FUNCTION IF EXISTS assets_search_text(assets);
+DROP FUNCTION IF EXISTS assets_search_vector(assets);
@@ -0,0 +1,68 @@
+-- Ranked full-text search with typo tolerance.
+-- Each entity gets two immutable functions over its row:
+--   <table>_search_vector(row) - weighted tsvector for ranked full-text matching
+--   <table>_search_text(row)   - plain text for trigram (fuzzy) matching
+-- Both are indexed, and queries call the same functions so the indexes are used.
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+CREATE OR REPLACE FUNCTION assets_search_vector(a assets) RETURNS tsvector
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT setweight(to_tsvector('simple', coalesce(a.asset_tag, '') || ' ' || coalesce(a.serial_number, '')), 'A')
+      || setweight(to_tsvector('simple', coalesce(a.manufacturer, '') || ' ' || coalesce(a.model, '') || ' ' || coalesce(a.assigned_user_name, '')), 'B')
+      || setweight(to_tsvector('simple', coalesce(a.asset_type, '') || ' ' || coalesce(a.status, '')), 'C')
+$$;
+
+CREATE OR REPLACE FUNCTION assets_search_text(a assets) RETURNS text
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT coalesce(a.asset_tag, '') || ' ' || coalesce(a.serial_number, '') || ' ' || coalesce(a.manufacturer, '') || ' '
+      || coalesce(a.model, '') || ' ' || coalesce(a.assigned_user_name, '') || ' ' || coalesce(a.asset_type, '')
+$$;
+
+CREATE OR REPLACE FUNCTION licenses_search_vector(l licenses) RETURNS tsvector
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT setweight(to_tsvector('simple', coalesce(l.license_name, '') || ' ' || coalesce(l.software_name, '')), 'A')
+      || setweight(to_tsvector('simple', coalesce(l.vendor, '') || ' ' || coalesce(l.license_key, '') || ' ' || coalesce(l.license_type, '')), 'B')
+      || setweight(to_tsvector('simple', coalesce(l.notes, '')), 'D')
+$$;
+
+CREATE OR REPLACE FUNCTION licenses_search_text(l licenses) RETURNS text
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT coalesce(l.license_name, '') || ' ' || coalesce(l.software_name, '') || ' ' || coalesce(l.vendor, '') || ' '
+      || coalesce(l.license_key, '') || ' ' || coalesce(l.license_type, '') || ' ' || coalesce(l.notes, '')
+$$;
+
+CREATE OR REPLACE FUNCTION users_search_vector(u users) RETURNS tsvector
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT setweight(to_tsvector('simple', coalesce(u.user_name, '') || ' ' || coalesce(u.email, '')), 'A')
+      || setweight(to_tsvector('simple', coalesce(u.department, '') || ' ' || coalesce(u.phone, '') || ' ' || coalesce(u.role, '')), 'B')
+      || setweight(to_tsvector('simple', coalesce(u.notes, '')), 'D')
+$$;
+
+CREATE OR REPLACE FUNCTION users_search_text(u users) RETURNS text
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT coalesce(u.user_name, '') || ' ' || coalesce(u.email, '') || ' ' || coalesce(u.department, '') || ' '
+      || coalesce(u.phone, '') || ' ' || coalesce(u.notes, '')
+$$;
+
+CREATE OR REPLACE FUNCTION contracts_search_vector(c contracts) RETURNS tsvector
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT setweight(to_tsvector('simple', coalesce(c.contract_name, '') || ' ' || coalesce(c.vendor, '')), 'A')
+      || setweight(to_tsvector('simple', coalesce(c.contract_type, '') || ' ' || coalesce(c.contact_person, '') || ' ' || coalesce(c.contact_email, '')), 'B')
+      || setweight(to_tsvector('simple', coalesce(c.notes, '')), 'D')
+$$;
+
+CREATE OR REPLACE FUNCTION contracts_search_text(c contracts) RETURNS text
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT coalesce(c.contract_name, '') || ' ' || coalesce(c.vendor, '') || ' ' || coalesce(c.contract_type, '') || ' '
+      || coalesce(c.contact_person, '') || ' ' || coalesce(c.contact_email, '') || ' ' || coalesce(c.notes, '')
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_assets_search_vector ON assets USING GIN (assets_search_vector(assets));
+CREATE INDEX IF NOT EXISTS idx_assets_search_trgm ON assets USING GIN (assets_search_text(assets) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_licenses_search_vector ON licenses USING GIN (licenses_search_vector(licenses));
+CREATE INDEX IF NOT EXISTS idx_licenses_search_trgm ON licenses USING GIN (licenses_search_text(licenses) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_users_search_vector ON users USING GIN (users_search_vector(users));
+CREATE INDEX IF NOT EXISTS idx_users_search_trgm ON users USING GIN (users_search_text(users) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_contracts_search_vector ON contracts USING GIN (contracts_search_vector(contracts));
+CREATE INDEX IF NOT EXISTS idx_contracts_search_trgm ON contracts USING GIN (contracts_search_text(contracts) gin_trgm_ops);
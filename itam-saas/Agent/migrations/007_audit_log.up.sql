@@ -0,0 +1,19 @@
+-- Who changed what: one row per create/update/delete, written in the same
+-- transaction as the change. Actor details are copied so history survives
+-- the actor's account being deleted.
+
+CREATE TABLE IF NOT EXISTS audit_log (
+  id BIGSERIAL PRIMARY KEY,
+  entity VARCHAR(50) NOT NULL,
+  entity_id UUID NOT NULL,
+  action VARCHAR(50) NOT NULL,
+  actor_id UUID,
+  actor_name VARCHAR(255),
+  actor_email VARCHAR(255),
+  changes JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity, entity_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created_at ON audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor_id ON audit_log(actor_id);
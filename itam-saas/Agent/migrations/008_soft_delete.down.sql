@@ -0,0 +1,23 @@
+-- Rows still in the trash are removed for good before the column goes away
+DELETE FROM assets WHERE deleted_at IS NOT NULL;
+DELETE FROM licenses WHERE deleted_at IS NOT NULL;
+DELETE FROM users WHERE deleted_at IS NOT NULL;
+DELETE FROM contracts WHERE deleted_at IS NOT NULL;
+
+DROP INDEX IF EXISTS idx_contracts_deleted_at;
+DROP INDEX IF EXISTS idx_users_deleted_at;
+DROP INDEX IF EXISTS idx_licenses_deleted_at;
+DROP INDEX IF EXISTS idx_assets_deleted_at;
+
+DROP INDEX IF EXISTS idx_users_email_live;
+DROP INDEX IF EXISTS idx_assets_serial_number_live;
+DROP INDEX IF EXISTS idx_assets_asset_tag_live;
+
+ALTER TABLE users ADD CONSTRAINT users_email_key UNIQUE (email);
+ALTER TABLE assets ADD CONSTRAINT assets_serial_number_key UNIQUE (serial_number);
+ALTER TABLE assets ADD CONSTRAINT assets_asset_tag_key UNIQUE (asset_tag);
+
+ALTER TABLE contracts DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE users DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE licenses DROP COLUMN IF EXISTS deleted_at;
+ALTER TABLE assets DROP COLUMN IF EXISTS deleted_at;
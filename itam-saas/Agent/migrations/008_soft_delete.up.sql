@@ -0,0 +1,21 @@
+-- Soft delete: rows are moved to the trash by setting deleted_at and only
+-- removed for good when purged. Unique keys only apply to live rows so a
+-- deleted asset tag, serial number or email can be reused.
+
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE licenses ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+ALTER TABLE contracts ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+ALTER TABLE assets DROP CONSTRAINT IF EXISTS assets_asset_tag_key;
+ALTER TABLE assets DROP CONSTRAINT IF EXISTS assets_serial_number_key;
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_email_key;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assets_asset_tag_live ON assets(asset_tag) WHERE deleted_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assets_serial_number_live ON assets(serial_number) WHERE deleted_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_live ON users(email) WHERE deleted_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_assets_deleted_at ON assets(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_licenses_deleted_at ON licenses(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_users_deleted_at ON users(deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_contracts_deleted_at ON contracts(deleted_at) WHERE deleted_at IS NOT NULL;
@@ -0,0 +1,4 @@
+DROP TABLE IF EXISTS asset_assignments;
+
+DROP INDEX IF EXISTS idx_assets_assigned_user_id;
+ALTER TABLE assets DROP COLUMN IF EXISTS assigned_user_id;
@@ -0,0 +1,56 @@
+-- Link assets to users and keep a check-out / check-in history.
+-- assets.assigned_user_name stays as a display copy of the holder's name; it is
+-- only changed by check-out and check-in. Existing names that match exactly one
+-- user (by name or email) are linked; anything else is left as unlinked text.
+
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS assigned_user_id UUID REFERENCES users(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_assets_assigned_user_id ON assets(assigned_user_id) WHERE deleted_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS asset_assignments (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  asset_id UUID NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  user_name VARCHAR(255),
+  checked_out_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  expected_return_date DATE,
+  checkout_condition VARCHAR(255),
+  checkout_notes TEXT,
+  checked_out_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  checked_out_by_name VARCHAR(255),
+  checked_in_at TIMESTAMP,
+  checkin_condition VARCHAR(255),
+  checkin_notes TEXT,
+  checked_in_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  checked_in_by_name VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one open assignment per asset
+CREATE UNIQUE INDEX IF NOT EXISTS idx_asset_assignments_open ON asset_assignments(asset_id) WHERE checked_in_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_asset_assignments_asset_id ON asset_assignments(asset_id, checked_out_at DESC);
+CREATE INDEX IF NOT EXISTS idx_asset_assignments_user_id ON asset_assignments(user_id);
+
+WITH candidates AS (
+  SELECT a.id AS asset_id, u.id AS user_id, u.user_name
+  FROM assets a
+  JOIN users u ON u.deleted_at IS NULL
+    AND (LOWER(TRIM(a.assigned_user_name)) = LOWER(TRIM(u.user_name))
+      OR LOWER(TRIM(a.assigned_user_name)) = LOWER(TRIM(u.email)))
+  WHERE a.assigned_user_name IS NOT NULL AND TRIM(a.assigned_user_name) <> ''
+),
+unique_matches AS (
+  SELECT asset_id, MIN(user_id::text)::uuid AS user_id, MIN(user_name) AS user_name
+  FROM candidates
+  GROUP BY asset_id
+  HAVING COUNT(DISTINCT user_id) = 1
+)
+UPDATE assets a
+SET assigned_user_id = m.user_id, assigned_user_name = m.user_name
+FROM unique_matches m
+WHERE a.id = m.asset_id;
+
+INSERT INTO asset_assignments (asset_id, user_id, user_name, checked_out_at, checkout_notes)
+SELECT id, assigned_user_id, assigned_user_name, COALESCE(updated_at, created_at, CURRENT_TIMESTAMP),
+       'Recorded from the existing assignment when check-out history was introduced'
+FROM assets
+WHERE assigned_user_id IS NOT NULL;
@@ -0,0 +1,26 @@
+-- Seat allocation: which users or assets consume each license.
+-- A seat is held by one user or one asset and stays open until released. holder_name is a display copy of the
+-- holder; purging a user or an asset from the trash releases its seats and leaves them with the name only.
+
+CREATE TABLE IF NOT EXISTS license_seats (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  license_id UUID NOT NULL REFERENCES licenses(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  asset_id UUID REFERENCES assets(id) ON DELETE SET NULL,
+  holder_name VARCHAR(255),
+  notes TEXT,
+  allocated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  allocated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  allocated_by_name VARCHAR(255),
+  released_at TIMESTAMP,
+  released_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  released_by_name VARCHAR(255),
+  CONSTRAINT license_seats_holder_check CHECK (user_id IS NULL OR asset_id IS NULL)
+);
+
+-- A holder can have at most one open seat of a license
+CREATE UNIQUE INDEX IF NOT EXISTS idx_license_seats_open_user ON license_seats(license_id, user_id) WHERE released_at IS NULL AND user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_license_seats_open_asset ON license_seats(license_id, asset_id) WHERE released_at IS NULL AND asset_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_license_seats_license_id ON license_seats(license_id) WHERE released_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_license_seats_user_id ON license_seats(user_id);
+CREATE INDEX IF NOT EXISTS idx_license_seats_asset_id ON license_seats(asset_id);
@@ -0,0 +1 @@
+DROP TABLE IF EXISTS expiration_alerts;
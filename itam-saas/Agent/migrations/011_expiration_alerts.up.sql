@@ -0,0 +1,22 @@
+-- Expiration alerts: one row per (record, date field, due date, lead time) so each alert fires once.
+-- A changed date gets fresh alerts; delivery state is tracked so failed notifications are retried.
+
+CREATE TABLE IF NOT EXISTS expiration_alerts (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  entity VARCHAR(50) NOT NULL,
+  entity_id UUID NOT NULL,
+  date_field VARCHAR(50) NOT NULL,
+  due_date DATE NOT NULL,
+  lead_days INTEGER NOT NULL,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  delivered_at TIMESTAMP,
+  delivery_attempts INTEGER NOT NULL DEFAULT 0,
+  delivery_error TEXT,
+  acknowledged_at TIMESTAMP,
+  acknowledged_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  acknowledged_by_name VARCHAR(255),
+  CONSTRAINT expiration_alerts_once UNIQUE (entity, entity_id, date_field, due_date, lead_days)
+);
+
+CREATE INDEX IF NOT EXISTS idx_expiration_alerts_pending ON expiration_alerts(due_date) WHERE acknowledged_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_expiration_alerts_undelivered ON expiration_alerts(created_at) WHERE delivered_at IS NULL;
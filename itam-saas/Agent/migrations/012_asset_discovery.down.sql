@@ -0,0 +1,7 @@
+DROP INDEX IF EXISTS idx_assets_discovery_key;
+
+ALTER TABLE assets DROP COLUMN IF EXISTS last_discovered_at;
+ALTER TABLE assets DROP COLUMN IF EXISTS discovery_source_id;
+ALTER TABLE assets DROP COLUMN IF EXISTS discovery_source;
+ALTER TABLE assets DROP COLUMN IF EXISTS mac_addresses;
+ALTER TABLE assets DROP COLUMN IF EXISTS hostname;
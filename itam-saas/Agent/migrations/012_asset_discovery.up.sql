@@ -0,0 +1,11 @@
+-- Discovery ingest: assets reported by the discovery agent carry their source and the
+-- identifiers it reported. A discovered asset is keyed on (discovery_source, serial_number).
+
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS hostname VARCHAR(255);
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS mac_addresses TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS discovery_source VARCHAR(100);
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS discovery_source_id VARCHAR(255);
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS last_discovered_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_assets_discovery_key ON assets (discovery_source, serial_number)
+  WHERE discovery_source IS NOT NULL;
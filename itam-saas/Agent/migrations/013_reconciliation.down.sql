@@ -0,0 +1,17 @@
+DROP INDEX IF EXISTS idx_assets_hostname;
+DROP INDEX IF EXISTS idx_assets_mac_addresses;
+
+DROP TABLE IF EXISTS reconciliation_queue;
+
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS discovery_source VARCHAR(100);
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS discovery_source_id VARCHAR(255);
+
+-- An asset keeps only the source that created it
+UPDATE assets a SET discovery_source = s.source, discovery_source_id = s.source_id
+FROM asset_sources s
+WHERE s.asset_id = a.id AND s.is_origin;
+
+CREATE INDEX IF NOT EXISTS idx_assets_discovery_key ON assets (discovery_source, serial_number)
+  WHERE discovery_source IS NOT NULL;
+
+DROP TABLE IF EXISTS asset_sources;
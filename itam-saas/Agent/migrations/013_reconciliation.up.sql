@@ -0,0 +1,55 @@
+-- Reconciliation: a discovered record is linked to an asset through asset_sources, so one asset can be
+-- reported by several sources (and by a source after someone entered it by hand). Records that only
+-- loosely match an existing asset wait in reconciliation_queue for a person to approve or reject.
+-- The per-source key replaces assets.discovery_source / discovery_source_id from migration 012.
+
+CREATE TABLE IF NOT EXISTS asset_sources (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  asset_id UUID NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+  source VARCHAR(100) NOT NULL,
+  -- Serial number as reported, or the source id when the source has none
+  source_key VARCHAR(255) NOT NULL,
+  source_id VARCHAR(255) NOT NULL,
+  -- The source created the asset, so the asset's reported fields follow it; other sources only fill blanks
+  is_origin BOOLEAN NOT NULL DEFAULT false,
+  first_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  last_seen_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  CONSTRAINT asset_sources_key UNIQUE (source, source_key)
+);
+CREATE INDEX IF NOT EXISTS idx_asset_sources_asset_id ON asset_sources(asset_id);
+
+INSERT INTO asset_sources (asset_id, source, source_key, source_id, is_origin, first_seen_at, last_seen_at)
+SELECT id, discovery_source, serial_number, COALESCE(discovery_source_id, serial_number), true,
+       created_at, COALESCE(last_discovered_at, created_at)
+FROM assets
+WHERE discovery_source IS NOT NULL AND serial_number IS NOT NULL
+ON CONFLICT (source, source_key) DO NOTHING;
+
+DROP INDEX IF EXISTS idx_assets_discovery_key;
+ALTER TABLE assets DROP COLUMN IF EXISTS discovery_source;
+ALTER TABLE assets DROP COLUMN IF EXISTS discovery_source_id;
+
+CREATE TABLE IF NOT EXISTS reconciliation_queue (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  source VARCHAR(100) NOT NULL,
+  source_key VARCHAR(255) NOT NULL,
+  -- The discovered record as last ingested
+  record JSONB NOT NULL,
+  asset_id UUID NOT NULL REFERENCES assets(id) ON DELETE CASCADE,
+  confidence NUMERIC(4, 3) NOT NULL,
+  matched_on TEXT[] NOT NULL DEFAULT '{}',
+  conflicts TEXT[] NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  resolved_at TIMESTAMP,
+  resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  resolved_by_name VARCHAR(255),
+  CONSTRAINT reconciliation_queue_pair UNIQUE (source, source_key, asset_id)
+);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_queue_pending ON reconciliation_queue(confidence DESC, created_at)
+  WHERE status = 'pending';
+
+-- Candidate lookups by MAC and hostname
+CREATE INDEX IF NOT EXISTS idx_assets_mac_addresses ON assets USING GIN (mac_addresses);
+CREATE INDEX IF NOT EXISTS idx_assets_hostname ON assets (lower(split_part(hostname, '.', 1))) WHERE deleted_at IS NULL;
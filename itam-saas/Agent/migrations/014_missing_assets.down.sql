@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_assets_last_discovered_at;
+DROP INDEX IF EXISTS idx_assets_missing_since;
+
+-- Assets moved to Pending Retirement by the job keep that status
+ALTER TABLE assets DROP COLUMN IF EXISTS missing_since;
@@ -0,0 +1,7 @@
+-- Missing asset detection: a discovered asset that no source has reported for a while is flagged
+-- with the time it was last seen. Reporting it again clears the flag.
+
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS missing_since TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_assets_missing_since ON assets(missing_since) WHERE missing_since IS NOT NULL AND deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_assets_last_discovered_at ON assets(last_discovered_at) WHERE last_discovered_at IS NOT NULL AND deleted_at IS NULL;
@@ -0,0 +1,32 @@
+-- Only the default tenant's rows survive the way back to a single inventory
+DELETE FROM tenants WHERE slug <> 'default';
+
+ALTER TABLE asset_sources DROP CONSTRAINT IF EXISTS asset_sources_key;
+ALTER TABLE asset_sources ADD CONSTRAINT asset_sources_key UNIQUE (source, source_key);
+
+DROP INDEX IF EXISTS idx_users_login_email;
+DROP INDEX IF EXISTS idx_users_email_live;
+DROP INDEX IF EXISTS idx_assets_serial_number_live;
+DROP INDEX IF EXISTS idx_assets_asset_tag_live;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assets_asset_tag_live ON assets(asset_tag) WHERE deleted_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assets_serial_number_live ON assets(serial_number) WHERE deleted_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_live ON users(email) WHERE deleted_at IS NULL;
+
+DO $$
+DECLARE
+  tenant_table TEXT;
+BEGIN
+  FOREACH tenant_table IN ARRAY ARRAY[
+    'assets', 'licenses', 'users', 'contracts', 'audit_log', 'asset_assignments', 'license_seats',
+    'expiration_alerts', 'asset_sources', 'reconciliation_queue'
+  ] LOOP
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tenant_table);
+    EXECUTE format('ALTER TABLE %I NO FORCE ROW LEVEL SECURITY', tenant_table);
+    EXECUTE format('ALTER TABLE %I DISABLE ROW LEVEL SECURITY', tenant_table);
+    EXECUTE format('ALTER TABLE %I DROP COLUMN IF EXISTS tenant_id', tenant_table);
+  END LOOP;
+END $$;
+
+DROP FUNCTION IF EXISTS tenant_visible(UUID);
+DROP FUNCTION IF EXISTS current_tenant_id();
+DROP TABLE IF EXISTS tenants;
@@ -0,0 +1,64 @@
+-- Tenants: every inventory row belongs to one tenant and Postgres row-level security keeps tenants apart.
+-- The API sets app.tenant_id on each connection from the caller's token (db.js); rows of other tenants are
+-- invisible and new rows take the connection's tenant. Background jobs and the migration runner set
+-- app.all_tenants instead. Existing rows move to a "default" tenant.
+-- Row-level security does not apply to superusers or roles with BYPASSRLS - connect as a normal role.
+
+CREATE TABLE IF NOT EXISTS tenants (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  slug VARCHAR(63) UNIQUE NOT NULL CHECK (slug ~ '^[a-z0-9][a-z0-9-]*$'),
+  name VARCHAR(255) NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'Active' CHECK (status IN ('Active', 'Suspended')),
+  -- Discovery connector settings keyed like the agent's externalConfigs, e.g. {"aws": {"regions": [...]}}
+  discovery_config JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO tenants (slug, name) VALUES ('default', 'Default Tenant') ON CONFLICT (slug) DO NOTHING;
+
+CREATE OR REPLACE FUNCTION current_tenant_id() RETURNS UUID
+LANGUAGE sql STABLE AS $$
+  SELECT NULLIF(current_setting('app.tenant_id', true), '')::uuid
+$$;
+
+CREATE OR REPLACE FUNCTION tenant_visible(row_tenant_id UUID) RETURNS BOOLEAN
+LANGUAGE sql STABLE AS $$
+  SELECT row_tenant_id = current_tenant_id() OR current_setting('app.all_tenants', true) = 'on'
+$$;
+
+DO $$
+DECLARE
+  tenant_table TEXT;
+BEGIN
+  FOREACH tenant_table IN ARRAY ARRAY[
+    'assets', 'licenses', 'users', 'contracts', 'audit_log', 'asset_assignments', 'license_seats',
+    'expiration_alerts', 'asset_sources', 'reconciliation_queue'
+  ] LOOP
+    EXECUTE format('ALTER TABLE %I ADD COLUMN IF NOT EXISTS tenant_id UUID REFERENCES tenants(id) ON DELETE CASCADE', tenant_table);
+    EXECUTE format('UPDATE %I SET tenant_id = (SELECT id FROM tenants WHERE slug = %L) WHERE tenant_id IS NULL', tenant_table, 'default');
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN tenant_id SET DEFAULT current_tenant_id()', tenant_table);
+    EXECUTE format('ALTER TABLE %I ALTER COLUMN tenant_id SET NOT NULL', tenant_table);
+    EXECUTE format('CREATE INDEX IF NOT EXISTS %I ON %I(tenant_id)', 'idx_' || tenant_table || '_tenant_id', tenant_table);
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tenant_table);
+    -- Applies to the table owner too, which is usually the role the API connects as
+    EXECUTE format('ALTER TABLE %I FORCE ROW LEVEL SECURITY', tenant_table);
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tenant_table);
+    EXECUTE format('CREATE POLICY tenant_isolation ON %I USING (tenant_visible(tenant_id))', tenant_table);
+  END LOOP;
+END $$;
+
+-- Natural keys are unique per tenant
+DROP INDEX IF EXISTS idx_assets_asset_tag_live;
+DROP INDEX IF EXISTS idx_assets_serial_number_live;
+DROP INDEX IF EXISTS idx_users_email_live;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assets_asset_tag_live ON assets(tenant_id, asset_tag) WHERE deleted_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_assets_serial_number_live ON assets(tenant_id, serial_number) WHERE deleted_at IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_email_live ON users(tenant_id, email) WHERE deleted_at IS NULL;
+
+-- Sign-in looks an account up by email alone, so accounts with a password stay unique across tenants
+CREATE UNIQUE INDEX IF NOT EXISTS idx_users_login_email ON users(LOWER(email))
+  WHERE password_hash IS NOT NULL AND deleted_at IS NULL;
+
+ALTER TABLE asset_sources DROP CONSTRAINT IF EXISTS asset_sources_key;
+ALTER TABLE asset_sources ADD CONSTRAINT asset_sources_key UNIQUE (tenant_id, source, source_key);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS discovery_connector_runs;
+DROP TABLE IF EXISTS discovery_runs;
+DROP TABLE IF EXISTS discovery_cycles;
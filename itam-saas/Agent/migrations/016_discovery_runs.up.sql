@@ -0,0 +1,67 @@
+-- Discovery run history. A cycle is one scheduled pass of the discovery agent over every tenant; within it
+-- each tenant gets a run, and each connector of that run a connector run with its counts and error.
+-- Runs requested through the API wait as 'queued' until the agent picks them up, outside any cycle.
+-- A tenant has at most one running run, so agents never discover the same tenant at once.
+
+CREATE TABLE IF NOT EXISTS discovery_cycles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  finished_at TIMESTAMP,
+  tenants INTEGER NOT NULL DEFAULT 0,
+  synced INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  error TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_discovery_cycles_started_at ON discovery_cycles(started_at DESC);
+
+CREATE TABLE IF NOT EXISTS discovery_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL DEFAULT current_tenant_id() REFERENCES tenants(id) ON DELETE CASCADE,
+  cycle_id UUID REFERENCES discovery_cycles(id) ON DELETE SET NULL,
+  trigger VARCHAR(20) NOT NULL CHECK (trigger IN ('schedule', 'manual')),
+  -- Config keys to run (e.g. {aws}); empty runs every configured connector
+  connectors TEXT[] NOT NULL DEFAULT '{}',
+  status VARCHAR(20) NOT NULL CHECK (status IN ('queued', 'running', 'succeeded', 'partial', 'failed')),
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  requested_by_name VARCHAR(255),
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMP,
+  finished_at TIMESTAMP,
+  assets_found INTEGER NOT NULL DEFAULT 0,
+  synced INTEGER NOT NULL DEFAULT 0,
+  failed INTEGER NOT NULL DEFAULT 0,
+  error TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_discovery_runs_tenant_id ON discovery_runs(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_discovery_runs_queued ON discovery_runs(created_at) WHERE status = 'queued';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_discovery_runs_running ON discovery_runs(tenant_id) WHERE status = 'running';
+
+CREATE TABLE IF NOT EXISTS discovery_connector_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL DEFAULT current_tenant_id() REFERENCES tenants(id) ON DELETE CASCADE,
+  run_id UUID NOT NULL REFERENCES discovery_runs(id) ON DELETE CASCADE,
+  config_key VARCHAR(100) NOT NULL,
+  -- Source name of the connector; the config key when no connector could be configured
+  connector VARCHAR(100) NOT NULL,
+  status VARCHAR(20) NOT NULL CHECK (status IN ('succeeded', 'failed')),
+  started_at TIMESTAMP NOT NULL,
+  finished_at TIMESTAMP NOT NULL,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  assets_found INTEGER NOT NULL DEFAULT 0,
+  -- Size of the raw records as JSON, before normalisation
+  payload_bytes BIGINT NOT NULL DEFAULT 0,
+  error TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_discovery_connector_runs_run_id ON discovery_connector_runs(run_id);
+
+DO $$
+DECLARE
+  tenant_table TEXT;
+BEGIN
+  FOREACH tenant_table IN ARRAY ARRAY['discovery_runs', 'discovery_connector_runs'] LOOP
+    EXECUTE format('ALTER TABLE %I ENABLE ROW LEVEL SECURITY', tenant_table);
+    EXECUTE format('ALTER TABLE %I FORCE ROW LEVEL SECURITY', tenant_table);
+    EXECUTE format('DROP POLICY IF EXISTS tenant_isolation ON %I', tenant_table);
+    EXECUTE format('CREATE POLICY tenant_isolation ON %I USING (tenant_visible(tenant_id))', tenant_table);
+  END LOOP;
+END $$;
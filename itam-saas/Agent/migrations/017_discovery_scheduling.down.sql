@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS discovery_cursors;
+ALTER TABLE discovery_connector_runs DROP COLUMN IF EXISTS mode;
+ALTER TABLE tenants DROP COLUMN IF EXISTS discovery_schedule;
@@ -0,0 +1,25 @@
+-- Discovery scheduling: a cron schedule per tenant, and the cursors connectors keep between runs so a
+-- scheduled run only fetches what changed since the last one.
+
+-- Cron expression in UTC (cron.js); NULL runs the tenant on the agent's default schedule
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS discovery_schedule VARCHAR(100);
+
+-- 'delta' when the connector only listed records changed since its cursor
+ALTER TABLE discovery_connector_runs ADD COLUMN IF NOT EXISTS mode VARCHAR(10) NOT NULL DEFAULT 'full'
+  CHECK (mode IN ('full', 'delta'));
+
+CREATE TABLE IF NOT EXISTS discovery_cursors (
+  tenant_id UUID NOT NULL DEFAULT current_tenant_id() REFERENCES tenants(id) ON DELETE CASCADE,
+  config_key VARCHAR(100) NOT NULL,
+  cursor JSONB NOT NULL,
+  -- Hash of the connector settings the cursor was taken with; other settings start over with a full scan
+  settings_hash VARCHAR(64) NOT NULL,
+  full_scan_at TIMESTAMP NOT NULL,
+  updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (tenant_id, config_key)
+);
+
+ALTER TABLE discovery_cursors ENABLE ROW LEVEL SECURITY;
+ALTER TABLE discovery_cursors FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON discovery_cursors;
+CREATE POLICY tenant_isolation ON discovery_cursors USING (tenant_visible(tenant_id));
@@ -0,0 +1,18 @@
+ALTER TABLE assets DROP CONSTRAINT IF EXISTS assets_status_check;
+ALTER TABLE assets ALTER COLUMN status DROP NOT NULL;
+ALTER TABLE assets ALTER COLUMN status SET DEFAULT 'In Use';
+
+-- Ordered assets go back to stock and disposed ones stay retired
+UPDATE assets SET status = 'In Use' WHERE status = 'Deployed';
+UPDATE assets SET status = 'In Stock' WHERE status = 'Ordered';
+UPDATE assets SET status = 'Retired' WHERE status = 'Disposed';
+
+ALTER TABLE assets DROP COLUMN IF EXISTS disposal_reason;
+ALTER TABLE assets DROP COLUMN IF EXISTS retirement_reason;
+ALTER TABLE assets DROP COLUMN IF EXISTS disposed_at;
+ALTER TABLE assets DROP COLUMN IF EXISTS retired_at;
+ALTER TABLE assets DROP COLUMN IF EXISTS pending_retirement_at;
+ALTER TABLE assets DROP COLUMN IF EXISTS in_repair_at;
+ALTER TABLE assets DROP COLUMN IF EXISTS deployed_at;
+ALTER TABLE assets DROP COLUMN IF EXISTS in_stock_at;
+ALTER TABLE assets DROP COLUMN IF EXISTS ordered_at;
@@ -0,0 +1,33 @@
+-- Asset lifecycle (lifecycle.js): a fixed set of states, when the asset last entered each one, and the
+-- reasons recorded when it is retired or disposed of.
+
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS ordered_at TIMESTAMP;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS in_stock_at TIMESTAMP;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS deployed_at TIMESTAMP;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS in_repair_at TIMESTAMP;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS pending_retirement_at TIMESTAMP;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS retired_at TIMESTAMP;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS disposed_at TIMESTAMP;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS retirement_reason TEXT;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS disposal_reason TEXT;
+
+-- In Use is now Deployed
+UPDATE assets SET status = 'Deployed' WHERE status = 'In Use' OR status IS NULL;
+UPDATE assets SET status = 'In Stock'
+WHERE status NOT IN ('Ordered', 'In Stock', 'Deployed', 'In Repair', 'Pending Retirement', 'Retired', 'Disposed');
+
+-- Best guess at when each asset entered its current state: its open check-out if it has one, else its last change
+UPDATE assets a SET deployed_at = COALESCE(
+  (SELECT MAX(checked_out_at) FROM asset_assignments s WHERE s.asset_id = a.id AND s.checked_in_at IS NULL),
+  a.updated_at, a.created_at
+) WHERE a.status = 'Deployed';
+UPDATE assets SET in_stock_at = COALESCE(updated_at, created_at) WHERE status = 'In Stock';
+UPDATE assets SET in_repair_at = COALESCE(updated_at, created_at) WHERE status = 'In Repair';
+UPDATE assets SET pending_retirement_at = COALESCE(updated_at, created_at) WHERE status = 'Pending Retirement';
+UPDATE assets SET retired_at = COALESCE(updated_at, created_at) WHERE status = 'Retired';
+
+ALTER TABLE assets ALTER COLUMN status SET DEFAULT 'Deployed';
+ALTER TABLE assets ALTER COLUMN status SET NOT NULL;
+ALTER TABLE assets DROP CONSTRAINT IF EXISTS assets_status_check;
+ALTER TABLE assets ADD CONSTRAINT assets_status_check
+  CHECK (status IN ('Ordered', 'In Stock', 'Deployed', 'In Repair', 'Pending Retirement', 'Retired', 'Disposed'));
@@ -0,0 +1,6 @@
+ALTER TABLE tenants DROP COLUMN IF EXISTS depreciation_profiles;
+
+ALTER TABLE assets DROP COLUMN IF EXISTS salvage_value;
+ALTER TABLE assets DROP COLUMN IF EXISTS depreciation_method;
+ALTER TABLE assets DROP COLUMN IF EXISTS useful_life_months;
+ALTER TABLE assets DROP COLUMN IF EXISTS purchase_date;
@@ -0,0 +1,10 @@
+-- Depreciation (depreciation.js): when an asset was bought and how it loses value, per asset, with defaults
+-- per asset type kept on the tenant: { "<asset type>": { "method": ..., "useful_life_months": ... } }
+
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS purchase_date DATE;
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS useful_life_months INTEGER CHECK (useful_life_months > 0);
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS depreciation_method VARCHAR(20)
+  CHECK (depreciation_method IN ('straight_line', 'declining_balance'));
+ALTER TABLE assets ADD COLUMN IF NOT EXISTS salvage_value DECIMAL(10, 2) CHECK (salvage_value >= 0);
+
+ALTER TABLE tenants ADD COLUMN IF NOT EXISTS depreciation_profiles JSONB NOT NULL DEFAULT '{}';
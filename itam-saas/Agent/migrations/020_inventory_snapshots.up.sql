@@ -0,0 +1,27 @@
+-- Inventory snapshots: a nightly job (snapshots.js) records, per tenant and day, how many live records each
+-- entity had in each status and type, with their seats and cost, for /api/analytics/trends. A day has one
+-- snapshot; taking it again the same day replaces it.
+
+CREATE TABLE IF NOT EXISTS inventory_snapshots (
+  tenant_id UUID NOT NULL DEFAULT current_tenant_id() REFERENCES tenants(id) ON DELETE CASCADE,
+  snapshot_date DATE NOT NULL,
+  entity VARCHAR(20) NOT NULL CHECK (entity IN ('assets', 'licenses', 'contracts', 'users')),
+  status VARCHAR(50) NOT NULL,
+  -- asset_type, license_type, contract_type or the user's role
+  item_type VARCHAR(100) NOT NULL,
+  -- Contracts only; '' for the other entities
+  currency VARCHAR(3) NOT NULL DEFAULT '',
+  count INTEGER NOT NULL,
+  -- License seats; 0 for the other entities
+  quantity INTEGER NOT NULL DEFAULT 0,
+  -- Asset and license cost, contract value
+  amount DECIMAL(14, 2) NOT NULL DEFAULT 0,
+  created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (tenant_id, snapshot_date, entity, status, item_type, currency)
+);
+CREATE INDEX IF NOT EXISTS idx_inventory_snapshots_entity ON inventory_snapshots(tenant_id, entity, snapshot_date);
+
+ALTER TABLE inventory_snapshots ENABLE ROW LEVEL SECURITY;
+ALTER TABLE inventory_snapshots FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON inventory_snapshots;
+CREATE POLICY tenant_isolation ON inventory_snapshots USING (tenant_visible(tenant_id));
@@ -0,0 +1,25 @@
+-- Contract coverage: the assets and licenses a contract covers, e.g. the support contract for a server or the
+-- agreement a license was bought under. An item can be covered by several contracts and a contract can cover
+-- any number of items. Links go when the contract or the item is purged from the trash.
+
+CREATE TABLE IF NOT EXISTS contract_coverage (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  tenant_id UUID NOT NULL DEFAULT current_tenant_id() REFERENCES tenants(id) ON DELETE CASCADE,
+  contract_id UUID NOT NULL REFERENCES contracts(id) ON DELETE CASCADE,
+  asset_id UUID REFERENCES assets(id) ON DELETE CASCADE,
+  license_id UUID REFERENCES licenses(id) ON DELETE CASCADE,
+  notes TEXT,
+  attached_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  attached_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  attached_by_name VARCHAR(255),
+  CONSTRAINT contract_coverage_item_check CHECK ((asset_id IS NULL) <> (license_id IS NULL))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contract_coverage_asset ON contract_coverage(contract_id, asset_id) WHERE asset_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_contract_coverage_license ON contract_coverage(contract_id, license_id) WHERE license_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_contract_coverage_asset_id ON contract_coverage(asset_id) WHERE asset_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_contract_coverage_license_id ON contract_coverage(license_id) WHERE license_id IS NOT NULL;
+
+ALTER TABLE contract_coverage ENABLE ROW LEVEL SECURITY;
+ALTER TABLE contract_coverage FORCE ROW LEVEL SECURITY;
+DROP POLICY IF EXISTS tenant_isolation ON contract_coverage;
+CREATE POLICY tenant_isolation ON contract_coverage USING (tenant_visible(tenant_id));
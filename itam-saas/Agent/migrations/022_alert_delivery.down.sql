@@ -0,0 +1,2 @@
+ALTER TABLE expiration_alerts DROP COLUMN IF EXISTS claimed_until;
+ALTER TABLE expiration_alerts DROP COLUMN IF EXISTS delivered_channels;
@@ -0,0 +1,5 @@
+-- Alert delivery per channel: the notifiers that have accepted an alert, so a retry only goes to the channels
+-- that failed, and a lease (claimed_until) so an alert is delivered by one server instance at a time.
+
+ALTER TABLE expiration_alerts ADD COLUMN IF NOT EXISTS delivered_channels TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE expiration_alerts ADD COLUMN IF NOT EXISTS claimed_until TIMESTAMP;
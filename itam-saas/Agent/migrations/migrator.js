@@ -0,0 +1,184 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import pool from '../db.js';
+
+const MIGRATIONS_DIR = path.dirname(fileURLToPath(import.meta.url));
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(up|down)\.sql$/;
+
+// Arbitrary but fixed key so every instance contends for the same advisory lock
+const MIGRATION_LOCK_ID = 7741001;
+
+/**
+ * Load migration files from disk, sorted by version
+ * @returns {Promise<Array<{version: string, name: string, up: string, down: string|null}>>}
+ */
+export async function loadMigrations() {
+  const files = await fs.readdir(MIGRATIONS_DIR);
+  const migrations = new Map();
+
+  for (const file of files) {
+    const match = file.match(MIGRATION_FILE_PATTERN);
+    if (!match) continue;
+
+    const [, version, name, direction] = match;
+    const sql = await fs.readFile(path.join(MIGRATIONS_DIR, file), 'utf8');
+    const migration = migrations.get(version) || { version, name, up: null, down: null };
+
+    if (migration.name !== name) {
+      throw new Error(`Migration ${version} has mismatched file names: ${migration.name} / ${name}`);
+    }
+
+    migration[direction] = sql;
+    migrations.set(version, migration);
+  }
+
+  for (const migration of migrations.values()) {
+    if (!migration.up) {
+      throw new Error(`Migration ${migration.version}_${migration.name} is missing its .up.sql file`);
+    }
+  }
+
+  return [...migrations.values()].sort((a, b) => Number(a.version) - Number(b.version));
+}
+
+/**
+ * Create the schema_migrations tracking table if needed
+ */
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(32) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+/**
+ * Get applied migration versions, oldest first
+ */
+async function getAppliedVersions(client) {
+  const result = await client.query('SELECT version FROM schema_migrations');
+  return result.rows.map(row => row.version).sort((a, b) => Number(a) - Number(b));
+}
+
+/**
+ * Run a callback on a dedicated client while holding the migration advisory lock.
+ * A second instance blocks here until the first one has finished migrating.
+ */
+async function withMigrationLock(callback) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+    try {
+      await ensureMigrationsTable(client);
+      return await callback(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply a single migration direction inside a transaction
+ */
+async function applyMigration(client, migration, direction) {
+  const label = `${migration.version}_${migration.name}`;
+  const sql = migration[direction];
+
+  if (!sql) {
+    throw new Error(`Migration ${label} has no .${direction}.sql file and cannot be reverted`);
+  }
+
+  try {
+    await client.query('BEGIN');
+    await client.query(sql);
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+    await client.query('COMMIT');
+    console.log(`✅ ${direction === 'up' ? 'Applied' : 'Reverted'} migration ${label}`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`❌ Migration ${label} (${direction}) failed:`, error.message);
+    throw error;
+  }
+}
+
+/**
+ * Apply all pending migrations, optionally stopping at a target version
+ * @returns {Promise<Array<string>>} Versions that were applied
+ */
+export async function migrateUp({ target } = {}) {
+  const migrations = await loadMigrations();
+
+  return withMigrationLock(async (client) => {
+    const applied = new Set(await getAppliedVersions(client));
+    const pending = migrations.filter(m =>
+      !applied.has(m.version) && (target === undefined || Number(m.version) <= Number(target))
+    );
+
+    if (pending.length === 0) {
+      console.log('✅ Database schema is up to date');
+      return [];
+    }
+
+    for (const migration of pending) {
+      await applyMigration(client, migration, 'up');
+    }
+    return pending.map(m => m.version);
+  });
+}
+
+/**
+ * Revert the most recently applied migrations
+ * @returns {Promise<Array<string>>} Versions that were reverted
+ */
+export async function migrateDown({ steps = 1 } = {}) {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  return withMigrationLock(async (client) => {
+    const applied = await getAppliedVersions(client);
+    const toRevert = applied.slice(-steps).reverse();
+
+    for (const version of toRevert) {
+      const migration = byVersion.get(version);
+      if (!migration) {
+        throw new Error(`Applied migration ${version} has no files on disk`);
+      }
+      await applyMigration(client, migration, 'down');
+    }
+    return toRevert;
+  });
+}
+
+/**
+ * Compare applied migrations with the files on disk
+ * @returns {Promise<{current: string|null, latest: string|null, pending: Array<string>}>}
+ */
+export async function getMigrationStatus() {
+  const migrations = await loadMigrations();
+  const tableCheck = await pool.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+
+  let applied = [];
+  if (tableCheck.rows[0].exists) {
+    const result = await pool.query('SELECT version FROM schema_migrations');
+    applied = result.rows.map(row => row.version).sort((a, b) => Number(a) - Number(b));
+  }
+
+  const appliedSet = new Set(applied);
+  return {
+    current: applied.length > 0 ? applied[applied.length - 1] : null,
+    latest: migrations.length > 0 ? migrations[migrations.length - 1].version : null,
+    pending: migrations.filter(m => !appliedSet.has(m.version)).map(m => `${m.version}_${m.name}`),
+  };
+}
@@ -0,0 +1,52 @@
+// Migration CLI
+// Usage:
+//   npm run migrate                 apply all pending migrations
+//   npm run migrate -- up [version] apply pending migrations up to a version
+//   npm run migrate -- down [steps] revert the last N migrations (default 1)
+//   npm run migrate -- status       show current and pending migrations
+import pool, { runForAllTenants } from '../db.js';
+import { migrateUp, migrateDown, getMigrationStatus } from './migrator.js';
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp({ target: arg });
+      console.log(`🚀 Applied ${applied.length} migration(s)`);
+      break;
+    }
+    case 'down': {
+      const steps = parseInt(arg || '1', 10);
+      if (!Number.isInteger(steps) || steps < 1) {
+        throw new Error(`Invalid step count: ${arg}`);
+      }
+      const reverted = await migrateDown({ steps });
+      console.log(`⏪ Reverted ${reverted.length} migration(s)`);
+      break;
+    }
+    case 'status': {
+      const status = await getMigrationStatus();
+      console.log(`📊 Current version: ${status.current || 'none'}`);
+      console.log(`📊 Latest version:  ${status.latest || 'none'}`);
+      if (status.pending.length > 0) {
+        console.log('⏳ Pending migrations:');
+        status.pending.forEach(name => console.log(`   - ${name}`));
+      } else {
+        console.log('✅ No pending migrations');
+      }
+      break;
+    }
+    default:
+      throw new Error(`Unknown migrate command: ${command}`);
+  }
+}
+
+// Data changes in migrations must reach every tenant's rows
+runForAllTenants(main)
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌ Migration failed:', error.message);
+    await pool.end();
+    process.exit(1);
+  });
@@ -0,0 +1,116 @@
+// Alert delivery channels. Each notifier is {name, send(alerts, tenant)} and is built from
+// environment variables by a factory that returns null when the channel is not configured.
+// A send() carries the alerts of one tenant.
+import crypto from 'crypto';
+import nodemailer from 'nodemailer';
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const DATE_FIELD_LABELS = {
+  expiration_date: 'expires',
+  end_date: 'ends',
+  renewal_date: 'is due for renewal',
+};
+
+const ENTITY_LABELS = {
+  licenses: 'License',
+  contracts: 'Contract',
+};
+
+/**
+ * One-line human readable description of an alert
+ */
+export function describeAlert(alert) {
+  const when = alert.days_left === 0 ? 'today' : `in ${alert.days_left} day${alert.days_left === 1 ? '' : 's'}`;
+  const label = ENTITY_LABELS[alert.entity] || alert.entity;
+  return `${label} "${alert.title}" ${DATE_FIELD_LABELS[alert.date_field] || alert.date_field} ${when} (${alert.due_date})`;
+}
+
+/**
+ * Email notifier (SMTP_URL or SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS)
+ */
+function createSmtpNotifier(env) {
+  const recipients = env.ALERT_EMAIL_TO;
+  if (!recipients || !(env.SMTP_URL || env.SMTP_HOST)) return null;
+
+  const transport = nodemailer.createTransport(env.SMTP_URL || {
+    host: env.SMTP_HOST,
+    port: parseInt(env.SMTP_PORT || '587', 10),
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: 'smtp',
+    async send(alerts, tenant) {
+      await transport.sendMail({
+        from: env.ALERT_EMAIL_FROM || env.SMTP_USER,
+        to: recipients,
+        subject: `[ITAM] ${tenant.name}: ${alerts.length} upcoming expiration${alerts.length === 1 ? '' : 's'}`,
+        text: `${alerts.map(alert => `- ${describeAlert(alert)}`).join('\n')}\n`,
+      });
+    },
+  };
+}
+
+/**
+ * Generic webhook notifier: POSTs {tenant, alerts} as JSON to ALERT_WEBHOOK_URL.
+ * With ALERT_WEBHOOK_SECRET the body is signed in the X-ITAM-Signature header (sha256 HMAC).
+ */
+function createWebhookNotifier(env) {
+  const url = env.ALERT_WEBHOOK_URL;
+  if (!url) return null;
+
+  return {
+    name: 'webhook',
+    async send(alerts, tenant) {
+      const body = JSON.stringify({
+        tenant: { id: tenant.id, slug: tenant.slug, name: tenant.name },
+        alerts: alerts.map(alert => ({ ...alert, message: describeAlert(alert) })),
+      });
+      const headers = { 'Content-Type': 'application/json' };
+      if (env.ALERT_WEBHOOK_SECRET) {
+        const signature = crypto.createHmac('sha256', env.ALERT_WEBHOOK_SECRET).update(body).digest('hex');
+        headers['X-ITAM-Signature'] = `sha256=${signature}`;
+      }
+      const response = await fetch(url, {
+        method: 'POST',
+        headers,
+        body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      if (!response.ok) {
+        throw new Error(`Webhook responded with ${response.status}`);
+      }
+    },
+  };
+}
+
+const NOTIFIER_FACTORIES = {
+  smtp: createSmtpNotifier,
+  webhook: createWebhookNotifier,
+};
+
+/**
+ * Add a delivery channel, e.g. registerNotifier('slack', env => ({ name: 'slack', send }))
+ */
+export function registerNotifier(type, factory) {
+  NOTIFIER_FACTORIES[type] = factory;
+}
+
+/**
+ * Build the notifiers listed in ALERT_NOTIFIERS (default: every built-in channel) that are configured
+ * @returns {Array<{name: string, send: function(Array<object>, object): Promise<void>}>}
+ */
+export function createNotifiers(env = process.env) {
+  const types = (env.ALERT_NOTIFIERS || 'smtp,webhook').split(',').map(type => type.trim()).filter(Boolean);
+  return types.flatMap(type => {
+    const factory = NOTIFIER_FACTORIES[type];
+    if (!factory) {
+      console.warn(`⚠️ Unknown alert notifier "${type}" - skipped`);
+      return [];
+    }
+    const notifier = factory(env);
+    return notifier ? [notifier] : [];
+  });
+}
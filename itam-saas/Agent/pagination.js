@@ -0,0 +1,84 @@
+// List query parameters: paging, sorting, filtering and opaque keyset cursors
+import { validationError } from './validation.js';
+
+export const DEFAULT_LIMIT = 50;
+export const MAX_LIMIT = 200;
+
+/**
+ * Encode the last row's sort value and id as an opaque cursor
+ */
+export function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @returns {{value: string|null, id: string}|null} null if the cursor is malformed
+ */
+export function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof id !== 'string' || (value !== null && typeof value !== 'string')) return null;
+    return { value, id };
+  } catch {
+    return null;
+  }
+}
+
+function toList(value) {
+  const values = Array.isArray(value) ? value : String(value).split(',');
+  return values.map(v => String(v).trim()).filter(Boolean);
+}
+
+/**
+ * Parse and validate list query-string parameters against an entity's list config.
+ *
+ * @param {object} query - req.query
+ * @param {{sortable: Array<string>, filters: Array<string>, defaultSort: string}} config
+ * @returns {{page: number, limit: number, sort: string, order: string, filters: object, search: string|null, cursor: object|null}}
+ * @throws {Error} code VALIDATION_FAILED with `fields` mapping parameter -> message
+ */
+export function parseListParams(query = {}, config) {
+  const fields = {};
+
+  const page = query.page === undefined ? 1 : Number(query.page);
+  if (!Number.isInteger(page) || page < 1) {
+    fields.page = 'Must be a positive whole number';
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    fields.limit = `Must be a whole number between 1 and ${MAX_LIMIT}`;
+  }
+
+  const sort = query.sort || config.defaultSort;
+  if (!config.sortable.includes(sort)) {
+    fields.sort = `Must be one of: ${config.sortable.join(', ')}`;
+  }
+
+  const order = String(query.order || 'desc').toLowerCase();
+  if (order !== 'asc' && order !== 'desc') {
+    fields.order = 'Must be asc or desc';
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(String(query.cursor));
+    if (!cursor) fields.cursor = 'Invalid cursor';
+  }
+
+  const filters = {};
+  for (const column of config.filters) {
+    if (query[column] === undefined || query[column] === '') continue;
+    const values = toList(query[column]);
+    if (values.length > 0) filters[column] = values;
+  }
+
+  const search = query.search ? String(query.search).trim() : '';
+
+  if (Object.keys(fields).length > 0) {
+    throw validationError('Invalid list parameters', fields);
+  }
+
+  return { page, limit, sort, order, filters, search: search || null, cursor };
+}
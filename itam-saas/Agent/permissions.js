@@ -0,0 +1,88 @@
+// Role-based access control: roles, permission matrix and route guard
+
+export const ROLES = ['admin', 'asset_manager', 'auditor', 'employee'];
+
+// Role assumed for users whose stored role is empty or unrecognised
+export const DEFAULT_ROLE = 'employee';
+
+export const ENTITIES = ['assets', 'licenses', 'users', 'contracts'];
+const ACTIONS = ['read', 'create', 'update', 'delete'];
+
+const all = (entity) => ACTIONS.map(action => `${entity}:${action}`);
+
+/**
+ * Permission matrix - each role lists every permission it is granted.
+ * Permissions are `<entity>:<action>`; `audit:read` grants the change history,
+ * `discovery:ingest` lets an account push discovered assets (the discovery agent's service user),
+ * `discovery:read` / `discovery:run` cover the discovery run history and manual runs,
+ * `finance:read` covers asset valuations and the depreciation report, and
+ * `tenant:manage` covers the settings of the user's own tenant.
+ */
+const ROLE_PERMISSIONS = {
+  admin: [...ENTITIES.flatMap(all), 'audit:read', 'discovery:ingest', 'discovery:read', 'discovery:run', 'finance:read', 'tenant:manage'],
+  asset_manager: [
+    ...all('assets'),
+    ...all('licenses'),
+    'contracts:read', 'contracts:create', 'contracts:update',
+    'users:read',
+    'audit:read',
+    'discovery:ingest',
+    'discovery:read',
+    'discovery:run',
+    'finance:read',
+  ],
+  auditor: [...ENTITIES.map(entity => `${entity}:read`), 'audit:read', 'discovery:read', 'finance:read'],
+  employee: ['assets:read', 'licenses:read'],
+};
+
+/**
+ * Normalise a stored role ("Asset Manager", " ADMIN ") to a defined role
+ */
+export function normalizeRole(role) {
+  const normalized = String(role || '').trim().toLowerCase().replace(/[\s-]+/g, '_');
+  return ROLES.includes(normalized) ? normalized : DEFAULT_ROLE;
+}
+
+/**
+ * Whether a role is one of the defined roles (as written, not normalised)
+ */
+export function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+/**
+ * List the permissions granted to a role
+ */
+export function getPermissions(role) {
+  return ROLE_PERMISSIONS[normalizeRole(role)];
+}
+
+/**
+ * Check a single permission for a role
+ */
+export function hasPermission(role, permission) {
+  return getPermissions(role).includes(permission);
+}
+
+/**
+ * Entities on which a role holds an action ('read', 'delete', ...)
+ */
+export function getPermittedEntities(role, action) {
+  return ENTITIES.filter(entity => hasPermission(role, `${entity}:${action}`));
+}
+
+/**
+ * Express middleware: require the authenticated user to hold a permission.
+ * Must run after auth.authenticate.
+ */
+export function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+    if (!hasPermission(req.user.role, permission)) {
+      return res.status(403).json({ error: `Permission denied: ${permission}` });
+    }
+    next();
+  };
+}
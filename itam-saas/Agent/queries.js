@@ -1,588 +1,3243 @@
-import pool from './db.js';
+import Cursor from 'pg-cursor';
+import pool, { runForAllTenants } from './db.js';
+import { getMigrationStatus } from './migrations/migrator.js';
+import {
+  validateEntity, validateDiscoveryConfig, validateDiscoverySchedule, validateDepreciationProfiles, validateAsOfDate,
+  validateAnalyticsMonths, validateTrendQuery, validationError, UUID_PATTERN,
+} from './validation.js';
+import { parseListParams, encodeCursor } from './pagination.js';
+import { buildTsQuery, parseHeadline, parseSearchParams, HEADLINE_OPTIONS } from './search.js';
+import { IMPORT_KEYS, mapImportRow } from './imports.js';
+import { scoreMatch, discoveredFields } from './reconciliation.js';
+import { ASSET_STATUSES, canTransition, enterStatus, planCreate, planTransition } from './lifecycle.js';
+import { valueAsset, valuePortfolio } from './depreciation.js';
+
+export { runWithTenant, runForAllTenants, currentTenantId } from './db.js';
+
+// Public user columns - password_hash must never leave the server
+const USER_COLUMNS = 'id, user_name, email, department, phone, role, status, notes, last_login_at, created_at, updated_at, deleted_at';
+
+// Assets currently checked out to the user, for user lists
+const USER_EQUIPMENT_COLUMN = `(
+  SELECT COALESCE(json_agg(json_build_object('id', a.id, 'asset_tag', a.asset_tag, 'asset_type', a.asset_type, 'model', a.model) ORDER BY a.asset_tag), '[]')
+  FROM assets a WHERE a.assigned_user_id = users.id AND a.deleted_at IS NULL
+) AS current_assets`;
+
+/**
+ * Verify the database schema is at the latest migration version.
+ * Throws with code SCHEMA_OUT_OF_DATE if migrations are pending.
+ */
+export async function initDatabase() {
+  try {
+    console.log('🔄 Verifying database schema version...');
+
+    const status = await getMigrationStatus();
+
+    if (status.pending.length > 0) {
+      const error = new Error(
+        `Database schema is behind (current: ${status.current || 'none'}, latest: ${status.latest}). ` +
+        `Pending migrations: ${status.pending.join(', ')}. Run "npm run migrate".`
+      );
+      error.code = 'SCHEMA_OUT_OF_DATE';
+      throw error;
+    }
+
+    console.log(`✅ Database schema verified at version ${status.current}`);
+    await verifyTenantIsolation();
+  } catch (error) {
+    console.error('❌ Error verifying database:', error.message);
+    throw error;
+  }
+}
+
+/**
+ * Tenants are kept apart by row-level security, which superusers and BYPASSRLS roles skip.
+ * Warns on such a role, and refuses it once there is more than one tenant (code TENANT_ISOLATION_UNSAFE).
+ */
+async function verifyTenantIsolation() {
+  const result = await runForAllTenants(() => pool.query(
+    `SELECT current_user AS role, (rolsuper OR rolbypassrls) AS bypasses_rls, (SELECT COUNT(*)::int FROM tenants) AS tenants
+     FROM pg_roles WHERE rolname = current_user`
+  ));
+  const { role, bypasses_rls: bypassesRls, tenants } = result.rows[0];
+  if (!bypassesRls) return;
+  if (tenants > 1) {
+    const error = new Error(
+      `Database role "${role}" bypasses row-level security, so ${tenants} tenants would see each other's data. ` +
+      'Connect as a role without SUPERUSER or BYPASSRLS.'
+    );
+    error.code = 'TENANT_ISOLATION_UNSAFE';
+    throw error;
+  }
+  console.warn(`⚠️ Database role "${role}" bypasses row-level security - use another role before adding tenants`);
+}
+
+// Open seats per license, for license lists
+const LICENSE_SEATS_USED_COLUMN = `(
+  SELECT COUNT(*)::int FROM license_seats s WHERE s.license_id = licenses.id AND s.released_at IS NULL
+) AS seats_used`;
+
+// Discovery sources that report each asset and when each first and last saw it, for asset lists
+const ASSET_DISCOVERY_SOURCES_COLUMN = `(
+  SELECT COALESCE(json_agg(json_build_object(
+    'source', s.source, 'first_seen_at', s.first_seen_at, 'last_seen_at', s.last_seen_at
+  ) ORDER BY s.source), '[]') FROM asset_sources s WHERE s.asset_id = assets.id
+) AS discovery_sources`;
+
+// Where a contract's coverage stands today (contracts c): lapsed once the contract has ended or is Expired or
+// Inactive, pending while it is Pending or has not started, active otherwise
+const COVERAGE_STATUS_SQL = `CASE
+  WHEN c.status IN ('Expired', 'Inactive') OR c.end_date < CURRENT_DATE THEN 'lapsed'
+  WHEN c.status = 'Pending' OR c.start_date > CURRENT_DATE THEN 'pending'
+  ELSE 'active' END`;
+
+// Contracts covering each asset or license (contract_coverage.asset_id / license_id), for their lists
+const coveringContractsColumn = (table, itemColumn) => `(
+  SELECT COALESCE(json_agg(json_build_object(
+    'id', c.id, 'contract_name', c.contract_name, 'vendor', c.vendor, 'end_date', c.end_date, 'status', c.status,
+    'coverage_status', ${COVERAGE_STATUS_SQL}
+  ) ORDER BY c.end_date DESC NULLS FIRST, c.contract_name), '[]')
+  FROM contract_coverage cc JOIN contracts c ON c.id = cc.contract_id AND c.deleted_at IS NULL
+  WHERE cc.${itemColumn} = ${table}.id
+) AS covering_contracts`;
+
+// Assets and licenses each contract covers, for contract lists
+const CONTRACT_COVERED_ITEMS_COLUMN = `(
+  SELECT COALESCE(json_agg(item ORDER BY item->>'entity', item->>'label'), '[]') FROM (
+    SELECT json_build_object('entity', 'assets', 'id', a.id, 'label', a.asset_tag, 'detail', a.asset_type, 'status', a.status) AS item
+    FROM contract_coverage cc JOIN assets a ON a.id = cc.asset_id AND a.deleted_at IS NULL
+    WHERE cc.contract_id = contracts.id
+    UNION ALL
+    SELECT json_build_object('entity', 'licenses', 'id', l.id, 'label', l.license_name, 'detail', l.software_name, 'status', l.status)
+    FROM contract_coverage cc JOIN licenses l ON l.id = cc.license_id AND l.deleted_at IS NULL
+    WHERE cc.contract_id = contracts.id
+  ) items
+) AS covered_items`;
+
+// Sortable columns, exact-match filters and ?flag=true conditions per list endpoint
+const LIST_CONFIG = {
+  assets: {
+    columns: `*, ${ASSET_DISCOVERY_SOURCES_COLUMN}, ${coveringContractsColumn('assets', 'asset_id')}`,
+    defaultSort: 'created_at',
+    sortable: ['asset_tag', 'asset_type', 'manufacturer', 'model', 'serial_number', 'assigned_user_name', 'status', 'cost', 'purchase_date', 'last_discovered_at', 'created_at', 'updated_at'],
+    filters: ['status', 'asset_type', 'manufacturer'],
+    flags: { stale: 'missing_since IS NOT NULL' },
+    sumColumn: 'cost',
+  },
+  licenses: {
+    columns: `*, ${LICENSE_SEATS_USED_COLUMN}, ${coveringContractsColumn('licenses', 'license_id')}`,
+    defaultSort: 'created_at',
+    sortable: ['license_name', 'license_type', 'software_name', 'vendor', 'expiration_date', 'quantity', 'status', 'cost', 'created_at', 'updated_at'],
+    filters: ['status', 'license_type', 'vendor'],
+    sumColumn: 'cost',
+  },
+  users: {
+    columns: `${USER_COLUMNS}, ${USER_EQUIPMENT_COLUMN}`,
+    defaultSort: 'created_at',
+    sortable: ['user_name', 'email', 'department', 'phone', 'role', 'status', 'created_at', 'updated_at'],
+    filters: ['status', 'department', 'role'],
+  },
+  contracts: {
+    columns: `*, ${CONTRACT_COVERED_ITEMS_COLUMN}`,
+    defaultSort: 'created_at',
+    sortable: ['contract_name', 'vendor', 'contract_type', 'start_date', 'end_date', 'contract_value', 'status', 'renewal_date', 'created_at', 'updated_at'],
+    filters: ['status', 'contract_type', 'vendor'],
+    sumColumn: 'contract_value',
+  },
+};
+
+/**
+ * WHERE conditions and bound values for a list's filters, flags and search.
+ * Rows in the trash never appear in lists.
+ */
+function listConditions(table, filters, search, query = {}) {
+  const where = ['deleted_at IS NULL'];
+  const values = [];
+  for (const [flag, condition] of Object.entries(LIST_CONFIG[table].flags || {})) {
+    if (String(query[flag]) === 'true') where.push(condition);
+  }
+  for (const [column, list] of Object.entries(filters)) {
+    values.push(list);
+    where.push(`${column} = ANY($${values.length})`);
+  }
+  if (search) {
+    values.push(buildTsQuery(search), search);
+    where.push(searchCondition(table, `$${values.length - 1}`, `$${values.length}`));
+  }
+  return { where, values };
+}
+
+/**
+ * List rows with filtering, sorting and page or cursor pagination.
+ * Identifiers come from LIST_CONFIG; request values are always bound parameters.
+ *
+ * @returns {Promise<{data: Array<object>, pagination: object, summary: object}>}
+ */
+async function listRows(table, query) {
+  const config = LIST_CONFIG[table];
+  const { page, limit, sort, order, filters, search, cursor } = parseListParams(query, config);
+
+  const { where, values } = listConditions(table, filters, search, query);
+  const filterSql = `WHERE ${where.join(' AND ')}`;
+
+  // Totals ignore the cursor so they describe the whole filtered set
+  const summaryResult = await pool.query(
+    `SELECT status, COUNT(*)::int AS count${config.sumColumn ? `, COALESCE(SUM(${config.sumColumn}), 0) AS total_value` : ''}
+     FROM ${table} ${filterSql}
+     GROUP BY status`,
+    values
+  );
+  const byStatus = {};
+  let total = 0;
+  let totalValue = 0;
+  for (const row of summaryResult.rows) {
+    byStatus[row.status || 'Unknown'] = row.count;
+    total += row.count;
+    totalValue += parseFloat(row.total_value || 0);
+  }
+
+  // Keyset condition: rows after the cursor in (sort, id) order, NULL sort values last
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+  const op = order === 'asc' ? '>' : '<';
+  const pageWhere = [...where];
+  const pageValues = [...values];
+  if (cursor) {
+    pageValues.push(cursor.id);
+    const idParam = `$${pageValues.length}`;
+    if (cursor.value === null) {
+      pageWhere.push(`(${sort} IS NULL AND id ${op} ${idParam})`);
+    } else {
+      pageValues.push(cursor.value);
+      const valueParam = `$${pageValues.length}`;
+      pageWhere.push(`(${sort} ${op} ${valueParam} OR (${sort} = ${valueParam} AND id ${op} ${idParam}) OR ${sort} IS NULL)`);
+    }
+  }
+
+  pageValues.push(limit + 1);
+  let pageSql = `SELECT ${config.columns}, ${sort}::text AS cursor_value FROM ${table}
+     WHERE ${pageWhere.join(' AND ')}
+     ORDER BY ${sort} ${direction} NULLS LAST, id ${direction}
+     LIMIT $${pageValues.length}`;
+  if (!cursor) {
+    pageValues.push((page - 1) * limit);
+    pageSql += ` OFFSET $${pageValues.length}`;
+  }
+
+  const pageResult = await pool.query(pageSql, pageValues);
+  const hasMore = pageResult.rows.length > limit;
+  const rows = pageResult.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  return {
+    data: rows.map(({ cursor_value, ...row }) => row),
+    pagination: {
+      total,
+      page: cursor ? null : page,
+      limit,
+      totalPages: Math.max(1, Math.ceil(total / limit)),
+      hasMore,
+      nextCursor: hasMore && last ? encodeCursor(last.cursor_value, last.id) : null,
+    },
+    summary: {
+      byStatus,
+      ...(config.sumColumn ? { totalValue } : {}),
+    },
+  };
+}
+
+// Title and subtitle identifying a record in search results and the trash.
+// The <table>_search_vector / <table>_search_text functions come from migration 006.
+const RECORD_DISPLAY = {
+  assets: {
+    title: 'asset_tag',
+    subtitle: "concat_ws(' · ', asset_type, manufacturer, model, serial_number)",
+  },
+  licenses: {
+    title: 'license_name',
+    subtitle: "concat_ws(' · ', software_name, vendor, license_type)",
+  },
+  users: {
+    title: 'user_name',
+    subtitle: "concat_ws(' · ', email, department)",
+  },
+  contracts: {
+    title: 'contract_name',
+    subtitle: "concat_ws(' · ', vendor, contract_type)",
+  },
+};
+
+const SEARCHABLE_ENTITIES = Object.keys(RECORD_DISPLAY);
+
+/**
+ * SQL condition matching a row by prefix full-text query or by trigram similarity (typos)
+ */
+function searchCondition(table, tsQueryParam, textParam) {
+  return `(${table}_search_vector(${table}) @@ to_tsquery('simple', ${tsQueryParam})
+     OR ${textParam} <% ${table}_search_text(${table}))`;
+}
+
+/**
+ * SQL relevance score - full-text rank first, trigram similarity as a weaker signal
+ */
+function searchRank(table, tsQueryParam, textParam) {
+  return `(COALESCE(ts_rank(${table}_search_vector(${table}), to_tsquery('simple', ${tsQueryParam})), 0)
+     + word_similarity(${textParam}, ${table}_search_text(${table})) * 0.5)`;
+}
+
+/**
+ * Search one table, best matches first
+ */
+async function searchRows(table, text, columns = '*') {
+  const result = await pool.query(
+    `SELECT ${columns} FROM ${table}
+     WHERE deleted_at IS NULL AND ${searchCondition(table, '$1', '$2')}
+     ORDER BY ${searchRank(table, '$1', '$2')} DESC, created_at DESC`,
+    [buildTsQuery(text), String(text).trim()]
+  );
+  return result.rows;
+}
+
+// Columns left out of audit diffs - the database maintains them
+const AUDIT_IGNORED_COLUMNS = ['id', 'created_at', 'updated_at', 'tenant_id'];
+const AUDIT_HIDDEN_VALUE = '[hidden]';
+
+/**
+ * Run work(client) inside a transaction on a dedicated connection
+ */
+async function withTransaction(work) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await work(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+function auditValue(value) {
+  if (value === undefined) return null;
+  return value instanceof Date ? value.toISOString() : value;
+}
+
+/**
+ * Field-level diff between two row snapshots: { column: { before, after } }.
+ * Pass null as before for a create, or null as after for a delete.
+ */
+function diffRows(before, after) {
+  const changes = {};
+  const columns = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const column of columns) {
+    if (AUDIT_IGNORED_COLUMNS.includes(column)) continue;
+    const oldValue = auditValue(before?.[column]);
+    const newValue = auditValue(after?.[column]);
+    if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+      changes[column] = { before: oldValue, after: newValue };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Audit entries for written columns whose values must not be logged (password_hash)
+ */
+function hiddenChanges(columns, { created = false } = {}) {
+  const before = created ? null : AUDIT_HIDDEN_VALUE;
+  return Object.fromEntries(columns.map(column => [column, { before, after: AUDIT_HIDDEN_VALUE }]));
+}
+
+/**
+ * Append an audit entry inside the caller's transaction
+ * @param {object|null} actor - Authenticated user ({id, user_name, email}), or null for system changes
+ */
+async function recordAudit(client, actor, entity, entityId, action, changes) {
+  await client.query(
+    `INSERT INTO audit_log (entity, entity_id, action, actor_id, actor_name, actor_email, changes)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [entity, entityId, action, actor?.id || null, actor?.user_name || null, actor?.email || null, JSON.stringify(changes)]
+  );
+}
+
+/**
+ * Insert a row from validated fields and audit the create, inside the caller's transaction.
+ * Column names come from the entity schema, never from the request.
+ */
+async function insertRowWith(client, table, fields, actor, returning = '*') {
+  const columns = Object.keys(fields);
+  const result = await client.query(
+    `INSERT INTO ${table} (${columns.join(', ')})
+     VALUES (${columns.map((column, index) => `$${index + 1}`).join(', ')})
+     RETURNING ${returning}`,
+    columns.map(column => fields[column])
+  );
+  const created = result.rows[0];
+  const changes = {
+    ...diffRows(null, created),
+    ...hiddenChanges(columns.filter(column => !(column in created)), { created: true }),
+  };
+  await recordAudit(client, actor, table, created.id, 'create', changes);
+  return created;
+}
+
+async function insertRow(table, fields, actor, returning = '*') {
+  try {
+    return await withTransaction(client => insertRowWith(client, table, fields, actor, returning));
+  } catch (error) {
+    throw uniqueConflict(error);
+  }
+}
+
+/**
+ * Update a row from validated fields and audit what changed, inside the caller's transaction.
+ * Column names come from the entity schema, never from the request.
+ */
+async function updateRowWith(client, table, id, fields, actor, returning = '*') {
+  const columns = Object.keys(fields);
+  const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+  assignments.push('updated_at = CURRENT_TIMESTAMP');
+
+  const current = await client.query(
+    `SELECT ${returning} FROM ${table} WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+    [id]
+  );
+  if (current.rows.length === 0) return undefined;
+
+  const result = await client.query(
+    `UPDATE ${table} SET ${assignments.join(', ')} WHERE id = $${columns.length + 1} RETURNING ${returning}`,
+    [...columns.map(column => fields[column]), id]
+  );
+  const updated = result.rows[0];
+
+  // Columns outside the returned projection (password_hash) are logged without values
+  const changes = {
+    ...diffRows(current.rows[0], updated),
+    ...hiddenChanges(columns.filter(column => !(column in updated))),
+  };
+  if (Object.keys(changes).length > 0) {
+    await recordAudit(client, actor, table, id, 'update', changes);
+  }
+  return updated;
+}
+
+async function updateRow(table, id, fields, actor, returning = '*') {
+  try {
+    return await withTransaction(client => updateRowWith(client, table, id, fields, actor, returning));
+  } catch (error) {
+    throw uniqueConflict(error);
+  }
+}
+
+/**
+ * Move a row to the trash and audit it, inside the caller's transaction
+ */
+async function deleteRowWith(client, table, id, actor, returning = '*') {
+  const result = await client.query(
+    `UPDATE ${table} SET deleted_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING ${returning}`,
+    [id]
+  );
+  const deleted = result.rows[0];
+  if (deleted) {
+    await recordAudit(client, actor, table, id, 'delete', {
+      deleted_at: { before: null, after: auditValue(deleted.deleted_at) },
+    });
+  }
+  return deleted;
+}
+
+async function deleteRow(table, id, actor, returning = '*') {
+  return withTransaction(client => deleteRowWith(client, table, id, actor, returning));
+}
+
+// Partial unique indexes on live rows (migrations 008 and 015) and the column each protects
+const UNIQUE_INDEX_COLUMNS = {
+  idx_assets_asset_tag_live: 'asset_tag',
+  idx_assets_serial_number_live: 'serial_number',
+  idx_users_email_live: 'email',
+  idx_users_login_email: 'email',
+};
+
+/**
+ * A unique violation on one of those indexes as a CONFLICT naming the field; other errors are returned as they are
+ */
+function uniqueConflict(error) {
+  const column = error.code === '23505' && UNIQUE_INDEX_COLUMNS[error.constraint];
+  if (!column) return error;
+  const conflict = new Error(`Another record already uses this ${column}`);
+  conflict.code = 'CONFLICT';
+  conflict.fields = { [column]: 'Already used by another record' };
+  return conflict;
+}
+
+/**
+ * Take a row out of the trash and audit it.
+ * Throws with code CONFLICT if a live row now holds one of its unique values.
+ */
+async function restoreRow(table, id, actor, returning = '*') {
+  try {
+    return await withTransaction(async (client) => {
+      const current = await client.query(
+        `SELECT deleted_at FROM ${table} WHERE id = $1 AND deleted_at IS NOT NULL FOR UPDATE`,
+        [id]
+      );
+      if (current.rows.length === 0) return undefined;
+
+      const result = await client.query(
+        `UPDATE ${table} SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING ${returning}`,
+        [id]
+      );
+      await recordAudit(client, actor, table, id, 'restore', {
+        deleted_at: { before: auditValue(current.rows[0].deleted_at), after: null },
+      });
+      return result.rows[0];
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      const column = UNIQUE_INDEX_COLUMNS[error.constraint] || 'unique value';
+      const conflict = new Error(`Cannot restore: an active record already uses this ${column}`);
+      conflict.code = 'CONFLICT';
+      throw conflict;
+    }
+    throw error;
+  }
+}
+
+
+
+/**
+ * List assets with pagination, sorting and filters
+ * @param {object} query - List parameters (page, limit, cursor, sort, order, search, filters)
+ */
+export async function getAllAssets(query = {}) {
+  try {
+    return await listRows('assets', query);
+  } catch (error) {
+    console.error('Error fetching assets:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get asset by ID
+ */
+export async function getAssetById(id) {
+  try {
+    const result = await pool.query('SELECT * FROM assets WHERE id = $1 AND deleted_at IS NULL', [id]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error fetching asset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get asset by tag
+ */
+export async function getAssetByTag(assetTag) {
+  try {
+    const result = await pool.query('SELECT * FROM assets WHERE asset_tag = $1 AND deleted_at IS NULL', [assetTag]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error fetching asset by tag:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create new asset. It must start in one of the lifecycle's entry states.
+ */
+export async function createAsset(assetData, actor = null) {
+  const fields = validateEntity('assets', assetData);
+
+  try {
+    return await insertRow('assets', planCreate(fields), actor);
+  } catch (error) {
+    console.error('Error creating asset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Asset update fields with the lifecycle applied to a status change (lifecycle.js), inside the caller's transaction
+ */
+async function assetUpdateFields(client, id, fields) {
+  if (fields.status === undefined) return fields;
+  const current = await client.query(
+    'SELECT status, assigned_user_id, assigned_user_name FROM assets WHERE id = $1 AND deleted_at IS NULL FOR UPDATE',
+    [id]
+  );
+  return current.rows[0] ? planTransition(current.rows[0], fields) : fields;
+}
+
+/**
+ * Update asset. A status change must be an allowed lifecycle transition with the fields it requires.
+ */
+export async function updateAsset(id, assetData, actor = null) {
+  const fields = validateEntity('assets', assetData, { partial: true });
+
+  try {
+    return await withTransaction(async client =>
+      updateRowWith(client, 'assets', id, await assetUpdateFields(client, id, fields), actor));
+  } catch (error) {
+    console.error('Error updating asset:', error);
+    throw uniqueConflict(error);
+  }
+}
+
+/**
+ * Move an asset to another lifecycle state, with the fields that state requires (retirement_reason, disposal_reason).
+ * Throws with code CONFLICT if the asset is already in that state or has to be checked in first.
+ * @returns {Promise<object|undefined>} The updated asset, undefined if it does not exist
+ */
+export async function transitionAsset(id, transitionData, actor = null) {
+  const fields = validateEntity('asset_transition', transitionData);
+
+  try {
+    return await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM assets WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [id]);
+      const asset = current.rows[0];
+      if (!asset) return undefined;
+
+      if (asset.status === fields.status) {
+        const error = new Error(`Asset is already ${asset.status}`);
+        error.code = 'CONFLICT';
+        throw error;
+      }
+      return await updateRowWith(client, 'assets', id, planTransition(asset, fields), actor);
+    });
+  } catch (error) {
+    console.error('Error moving asset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete asset
+ */
+export async function deleteAsset(id, actor = null) {
+  try {
+    return await deleteRow('assets', id, actor);
+  } catch (error) {
+    console.error('Error deleting asset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Restore asset from the trash
+ */
+export async function restoreAsset(id, actor = null) {
+  try {
+    return await restoreRow('assets', id, actor);
+  } catch (error) {
+    console.error('Error restoring asset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Search assets
+ */
+export async function searchAssets(query) {
+  try {
+    return await searchRows('assets', query);
+  } catch (error) {
+    console.error('Error searching assets:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get asset statistics: totals and a count per lifecycle state (every state, zero if none)
+ */
+export async function getAssetStats() {
+  try {
+    const result = await pool.query(`
+      SELECT status, COUNT(*)::int AS count, COUNT(CASE WHEN discovered = true THEN 1 END)::int AS discovered
+      FROM assets
+      WHERE deleted_at IS NULL
+      GROUP BY status
+    `);
+    const stats = { total_assets: 0, discovered: 0, by_status: Object.fromEntries(ASSET_STATUSES.map(status => [status, 0])) };
+    for (const row of result.rows) {
+      stats.total_assets += row.count;
+      stats.discovered += row.discovered;
+      stats.by_status[row.status] = row.count;
+    }
+    return stats;
+  } catch (error) {
+    console.error('Error fetching stats:', error);
+    throw error;
+  }
+}
+
+// ============ ASSIGNMENT FUNCTIONS ============
+
+/**
+ * Check an asset out to a user, recording the assignment, and deploy it.
+ * Throws with code CONFLICT if the asset is already checked out or its lifecycle state cannot be deployed.
+ * @returns {Promise<{asset: object, assignment: object}|undefined>} undefined if the asset does not exist
+ */
+export async function checkoutAsset(assetId, checkoutData, actor = null) {
+  const { user_id, expected_return_date, condition, notes } = validateEntity('asset_checkout', checkoutData);
+
+  try {
+    return await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM assets WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [assetId]);
+      const asset = current.rows[0];
+      if (!asset) return undefined;
+
+      const deployable = asset.status === 'Deployed' || canTransition(asset.status, 'Deployed');
+      if (asset.assigned_user_id || !deployable) {
+        const error = new Error(asset.assigned_user_id
+          ? `Asset is already checked out to ${asset.assigned_user_name}`
+          : `${asset.status} assets cannot be checked out`);
+        error.code = 'CONFLICT';
+        throw error;
+      }
+
+      const userResult = await client.query(
+        'SELECT id, user_name, status FROM users WHERE id = $1 AND deleted_at IS NULL FOR SHARE',
+        [user_id]
+      );
+      const user = userResult.rows[0];
+      if (!user || user.status !== 'Active') {
+        throw validationError('Validation failed', { user_id: user ? 'User is not active' : 'User not found' });
+      }
+
+      const assignmentResult = await client.query(
+        `INSERT INTO asset_assignments (asset_id, user_id, user_name, expected_return_date, checkout_condition, checkout_notes, checked_out_by, checked_out_by_name)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         RETURNING *`,
+        [assetId, user.id, user.user_name, expected_return_date, condition, notes, actor?.id || null, actor?.user_name || null]
+      );
+
+      const updated = await client.query(
+        `UPDATE assets SET assigned_user_id = $1, assigned_user_name = $2, status = 'Deployed',
+           deployed_at = CASE WHEN status = 'Deployed' THEN deployed_at ELSE CURRENT_TIMESTAMP END, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING *`,
+        [user.id, user.user_name, assetId]
+      );
+      await recordAudit(client, actor, 'assets', assetId, 'checkout', diffRows(asset, updated.rows[0]));
+
+      return { asset: updated.rows[0], assignment: assignmentResult.rows[0] };
+    });
+  } catch (error) {
+    console.error('Error checking out asset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check an asset back in, closing its open assignment. A deployed asset goes back to stock;
+ * one in repair stays there.
+ * Throws with code CONFLICT if the asset is not checked out.
+ * @returns {Promise<{asset: object, assignment: object|null}|undefined>} undefined if the asset does not exist
+ */
+export async function checkinAsset(assetId, checkinData, actor = null) {
+  const { condition, notes } = validateEntity('asset_checkin', checkinData);
+
+  try {
+    return await withTransaction(async (client) => {
+      const current = await client.query('SELECT * FROM assets WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [assetId]);
+      const asset = current.rows[0];
+      if (!asset) return undefined;
+
+      const assignmentResult = await client.query(
+        `UPDATE asset_assignments
+         SET checked_in_at = CURRENT_TIMESTAMP, checkin_condition = $1, checkin_notes = $2, checked_in_by = $3, checked_in_by_name = $4
+         WHERE asset_id = $5 AND checked_in_at IS NULL
+         RETURNING *`,
+        [condition, notes, actor?.id || null, actor?.user_name || null, assetId]
+      );
+      // Unlinked names from before assignments were tracked can still be cleared
+      if (assignmentResult.rows.length === 0 && !asset.assigned_user_name) {
+        const error = new Error('Asset is not checked out');
+        error.code = 'CONFLICT';
+        throw error;
+      }
+
+      const updated = await client.query(
+        `UPDATE assets SET assigned_user_id = NULL, assigned_user_name = NULL,
+           status = CASE WHEN status = 'Deployed' THEN 'In Stock' ELSE status END,
+           in_stock_at = CASE WHEN status = 'Deployed' THEN CURRENT_TIMESTAMP ELSE in_stock_at END,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1
+         RETURNING *`,
+        [assetId]
+      );
+      await recordAudit(client, actor, 'assets', assetId, 'checkin', diffRows(asset, updated.rows[0]));
+
+      return { asset: updated.rows[0], assignment: assignmentResult.rows[0] || null };
+    });
+  } catch (error) {
+    console.error('Error checking in asset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an asset's assignment history, most recent first
+ */
+export async function getAssetAssignments(assetId) {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM asset_assignments WHERE asset_id = $1 ORDER BY checked_out_at DESC',
+      [assetId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching asset assignments:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the assets currently checked out to a user
+ */
+export async function getUserAssets(userId) {
+  try {
+    const result = await pool.query(
+      `SELECT a.*, aa.checked_out_at, aa.expected_return_date
+       FROM assets a
+       LEFT JOIN asset_assignments aa ON aa.asset_id = a.id AND aa.checked_in_at IS NULL
+       WHERE a.assigned_user_id = $1 AND a.deleted_at IS NULL
+       ORDER BY a.asset_tag`,
+      [userId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching user assets:', error);
+    throw error;
+  }
+}
+
+// ============ LICENSES FUNCTIONS ============
+
+/**
+ * List licenses with pagination, sorting and filters
+ * @param {object} query - List parameters (page, limit, cursor, sort, order, search, filters)
+ */
+export async function getAllLicenses(query = {}) {
+  try {
+    return await listRows('licenses', query);
+  } catch (error) {
+    console.error('Error fetching licenses:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create license
+ */
+export async function createLicense(licenseData, actor = null) {
+  const fields = validateEntity('licenses', licenseData);
+
+  try {
+    return await insertRow('licenses', fields, actor);
+  } catch (error) {
+    console.error('Error creating license:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update license
+ */
+export async function updateLicense(id, licenseData, actor = null) {
+  const fields = validateEntity('licenses', licenseData, { partial: true });
+
+  try {
+    return await updateRow('licenses', id, fields, actor);
+  } catch (error) {
+    console.error('Error updating license:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete license
+ */
+export async function deleteLicense(id, actor = null) {
+  try {
+    return await deleteRow('licenses', id, actor);
+  } catch (error) {
+    console.error('Error deleting license:', error);
+    throw error;
+  }
+}
+
+/**
+ * Restore license from the trash
+ */
+export async function restoreLicense(id, actor = null) {
+  try {
+    return await restoreRow('licenses', id, actor);
+  } catch (error) {
+    console.error('Error restoring license:', error);
+    throw error;
+  }
+}
+
+/**
+ * Search licenses
+ */
+export async function searchLicenses(query) {
+  try {
+    return await searchRows('licenses', query);
+  } catch (error) {
+    console.error('Error searching licenses:', error);
+    throw error;
+  }
+}
+
+// ============ LICENSE SEAT FUNCTIONS ============
+
+/**
+ * Seat usage for one row of the compliance query
+ */
+function toCompliance(row) {
+  const purchased = row.purchased || 0;
+  return {
+    ...row,
+    purchased,
+    available: purchased - row.used,
+    utilization: purchased > 0 ? row.used / purchased : null,
+    over_allocated: row.used > purchased,
+  };
+}
+
+/**
+ * Used versus purchased seats per license, most over-allocated first
+ * @param {string|null} licenseId - One license, or null for all
+ */
+export async function getLicenseCompliance(licenseId = null) {
+  try {
+    const result = await pool.query(
+      `SELECT l.id, l.license_name, l.software_name, l.vendor, l.quantity AS purchased, COUNT(s.id)::int AS used
+       FROM licenses l
+       LEFT JOIN license_seats s ON s.license_id = l.id AND s.released_at IS NULL
+       WHERE l.deleted_at IS NULL AND ($1::uuid IS NULL OR l.id = $1)
+       GROUP BY l.id
+       ORDER BY COUNT(s.id) - COALESCE(l.quantity, 0) DESC, l.license_name`,
+      [licenseId]
+    );
+    return result.rows.map(toCompliance);
+  } catch (error) {
+    console.error('Error fetching license compliance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the open seats of a license with their holders
+ */
+export async function getLicenseSeats(licenseId) {
+  try {
+    const result = await pool.query(
+      `SELECT s.*, u.user_name, u.email, a.asset_tag, a.asset_type
+       FROM license_seats s
+       LEFT JOIN users u ON u.id = s.user_id
+       LEFT JOIN assets a ON a.id = s.asset_id
+       WHERE s.license_id = $1 AND s.released_at IS NULL
+       ORDER BY s.allocated_at`,
+      [licenseId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching license seats:', error);
+    throw error;
+  }
+}
+
+/**
+ * Allocate or release a license seat for a user or an asset.
+ * Over-allocation is allowed and reported through the returned compliance.
+ * Throws with code CONFLICT if the holder already has (or does not have) a seat.
+ * @returns {Promise<{seat: object, compliance: object}|undefined>} undefined if the license does not exist
+ */
+export async function updateLicenseSeats(licenseId, seatData, actor = null) {
+  const { action, user_id, asset_id, notes } = validateEntity('license_seat', seatData);
+  if (Boolean(user_id) === Boolean(asset_id)) {
+    throw validationError('Validation failed', { user_id: 'Provide either user_id or asset_id' });
+  }
+  const holderColumn = user_id ? 'user_id' : 'asset_id';
+  const holderId = user_id || asset_id;
+
+  try {
+    const seat = await withTransaction(async (client) => {
+      const license = await client.query('SELECT id FROM licenses WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [licenseId]);
+      if (license.rows.length === 0) return undefined;
+
+      const holderResult = user_id
+        ? await client.query('SELECT user_name AS label FROM users WHERE id = $1 AND deleted_at IS NULL FOR SHARE', [user_id])
+        : await client.query('SELECT asset_tag AS label FROM assets WHERE id = $1 AND deleted_at IS NULL', [asset_id]);
+      const holder = holderResult.rows[0];
+      if (!holder) {
+        throw validationError('Validation failed', { [holderColumn]: user_id ? 'User not found' : 'Asset not found' });
+      }
+
+      const open = await client.query(
+        `SELECT * FROM license_seats WHERE license_id = $1 AND ${holderColumn} = $2 AND released_at IS NULL`,
+        [licenseId, holderId]
+      );
+
+      if (action === 'allocate') {
+        if (open.rows.length > 0) {
+          const error = new Error(`${holder.label} already holds a seat`);
+          error.code = 'CONFLICT';
+          throw error;
+        }
+        const inserted = await client.query(
+          `INSERT INTO license_seats (license_id, ${holderColumn}, holder_name, notes, allocated_by, allocated_by_name)
+           VALUES ($1, $2, $3, $4, $5, $6)
+           RETURNING *`,
+          [licenseId, holderId, holder.label, notes, actor?.id || null, actor?.user_name || null]
+        );
+        await recordAudit(client, actor, 'licenses', licenseId, 'seat_allocate', { seat_holder: { before: null, after: holder.label } });
+        return inserted.rows[0];
+      }
+
+      if (open.rows.length === 0) {
+        const error = new Error(`${holder.label} does not hold a seat`);
+        error.code = 'CONFLICT';
+        throw error;
+      }
+      const released = await client.query(
+        `UPDATE license_seats SET released_at = CURRENT_TIMESTAMP, released_by = $1, released_by_name = $2
+         WHERE id = $3
+         RETURNING *`,
+        [actor?.id || null, actor?.user_name || null, open.rows[0].id]
+      );
+      await recordAudit(client, actor, 'licenses', licenseId, 'seat_release', { seat_holder: { before: holder.label, after: null } });
+      return released.rows[0];
+    });
+    if (!seat) return undefined;
+
+    const [compliance] = await getLicenseCompliance(licenseId);
+    return { seat, compliance };
+  } catch (error) {
+    console.error('Error updating license seats:', error);
+    throw error;
+  }
+}
+
+// ============ USERS FUNCTIONS ============
+
+/**
+ * List users with pagination, sorting and filters
+ * @param {object} query - List parameters (page, limit, cursor, sort, order, search, filters)
+ */
+export async function getAllUsers(query = {}) {
+  try {
+    return await listRows('users', query);
+  } catch (error) {
+    console.error('Error fetching users:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get user by ID
+ */
+export async function getUserById(id) {
+  try {
+    const result = await pool.query(`SELECT ${USER_COLUMNS} FROM users WHERE id = $1 AND deleted_at IS NULL`, [id]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error fetching user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create user
+ */
+export async function createUser(userData, actor = null) {
+  const { password_hash, ...rest } = userData;
+  const fields = validateEntity('users', rest);
+  if (password_hash) {
+    fields.password_hash = password_hash;
+  }
+
+  try {
+    return await insertRow('users', fields, actor, USER_COLUMNS);
+  } catch (error) {
+    console.error('Error creating user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update user. password_hash is accepted from auth.prepareUserCredentials only.
+ */
+export async function updateUser(id, userData, actor = null) {
+  const { password_hash, ...rest } = userData;
+  // A password-only change has no profile fields to validate
+  const fields = password_hash && Object.keys(rest).length === 0
+    ? {}
+    : validateEntity('users', rest, { partial: true });
+  if (password_hash) {
+    fields.password_hash = password_hash;
+  }
+
+  try {
+    return await updateRow('users', id, fields, actor, USER_COLUMNS);
+  } catch (error) {
+    console.error('Error updating user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete user and revoke their sessions.
+ * Throws with code CONFLICT while the user still holds checked-out assets or license seats.
+ */
+export async function deleteUser(id, actor = null) {
+  try {
+    return await withTransaction(async (client) => {
+      // Locked so a check-out or seat allocation cannot slip in before the user is trashed
+      const current = await client.query(
+        `SELECT user_name,
+           (SELECT COUNT(*)::int FROM assets a WHERE a.assigned_user_id = users.id AND a.deleted_at IS NULL) AS assets,
+           (SELECT COUNT(*)::int FROM license_seats s WHERE s.user_id = users.id AND s.released_at IS NULL) AS seats
+         FROM users WHERE id = $1 AND deleted_at IS NULL FOR UPDATE`,
+        [id]
+      );
+      const holdings = current.rows[0];
+      if (!holdings) return undefined;
+      if (holdings.assets > 0 || holdings.seats > 0) {
+        const held = [holdings.assets > 0 && `${holdings.assets} checked-out asset(s)`, holdings.seats > 0 && `${holdings.seats} license seat(s)`];
+        const error = new Error(`${holdings.user_name} still holds ${held.filter(Boolean).join(' and ')} - return them before deleting the user`);
+        error.code = 'CONFLICT';
+        throw error;
+      }
+
+      const user = await deleteRowWith(client, 'users', id, actor, USER_COLUMNS);
+      await client.query('UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL', [id]);
+      return user;
+    });
+  } catch (error) {
+    console.error('Error deleting user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Restore user from the trash
+ */
+export async function restoreUser(id, actor = null) {
+  try {
+    return await restoreRow('users', id, actor, USER_COLUMNS);
+  } catch (error) {
+    console.error('Error restoring user:', error);
+    throw error;
+  }
+}
+
+/**
+ * Search users
+ */
+export async function searchUsers(query) {
+  try {
+    return await searchRows('users', query, USER_COLUMNS);
+  } catch (error) {
+    console.error('Error searching users:', error);
+    throw error;
+  }
+}
+
+// ============ AUTH FUNCTIONS ============
+
+/**
+ * Get the account with this email in any active tenant, including its password hash and tenant - for login only
+ */
+export async function getUserCredentialsByEmail(email) {
+  try {
+    const result = await runForAllTenants(() => pool.query(
+      `SELECT ${USER_COLUMNS}, password_hash, tenant_id FROM users
+       WHERE LOWER(email) = LOWER($1) AND password_hash IS NOT NULL AND deleted_at IS NULL
+         AND tenant_id IN (SELECT id FROM tenants WHERE status = 'Active')`,
+      [email]
+    ));
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error fetching user credentials:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set a user's password hash by email
+ */
+export async function setUserPasswordByEmail(email, passwordHash) {
+  try {
+    return await withTransaction(async (client) => {
+      const result = await client.query(
+        `UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE LOWER(email) = LOWER($2) AND deleted_at IS NULL
+         RETURNING ${USER_COLUMNS}`,
+        [passwordHash, email]
+      );
+      const user = result.rows[0];
+      if (user) {
+        await recordAudit(client, null, 'users', user.id, 'update', hiddenChanges(['password_hash']));
+      }
+      return user;
+    });
+  } catch (error) {
+    console.error('Error setting user password:', error);
+    throw error;
+  }
+}
+
+/**
+ * Record a successful login
+ */
+export async function recordUserLogin(id) {
+  try {
+    await pool.query('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = $1', [id]);
+  } catch (error) {
+    console.error('Error recording login:', error);
+    throw error;
+  }
+}
+
+/**
+ * Store a hashed refresh token
+ */
+export async function storeRefreshToken(userId, tokenHash, expiresAt) {
+  try {
+    await pool.query(
+      'INSERT INTO refresh_tokens (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+      [userId, tokenHash, expiresAt]
+    );
+  } catch (error) {
+    console.error('Error storing refresh token:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke a refresh token if it is still valid and return it with its user's tenant_id.
+ * Single statement, so a token can only be exchanged once.
+ */
+export async function consumeRefreshToken(tokenHash) {
+  try {
+    const result = await runForAllTenants(() => pool.query(
+      `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+       WHERE token_hash = $1 AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+       RETURNING *, (SELECT tenant_id FROM users WHERE users.id = refresh_tokens.user_id)`,
+      [tokenHash]
+    ));
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error consuming refresh token:', error);
+    throw error;
+  }
+}
+
+/**
+ * Revoke a refresh token
+ */
+export async function revokeRefreshToken(tokenHash) {
+  try {
+    await pool.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE token_hash = $1 AND revoked_at IS NULL',
+      [tokenHash]
+    );
+  } catch (error) {
+    console.error('Error revoking refresh token:', error);
+    throw error;
+  }
+}
+
+// ============ TENANT FUNCTIONS ============
+
+const TENANT_COLUMNS = 'id, slug, name, status, created_at, updated_at';
+
+// Connector settings that are never sent back to clients; sending the mask back keeps the stored value
+const DISCOVERY_SECRET_FIELDS = ['secretAccessKey', 'sessionToken', 'clientSecret', 'privateKey'];
+export const DISCOVERY_SECRET_MASK = '********';
+
+function maskDiscoveryConfig(config) {
+  return Object.fromEntries(Object.entries(config).map(([key, settings]) => [
+    key,
+    Object.fromEntries(Object.entries(settings).map(([field, value]) => [
+      field,
+      DISCOVERY_SECRET_FIELDS.includes(field) && value ? DISCOVERY_SECRET_MASK : value,
+    ])),
+  ]));
+}
+
+/**
+ * Get a tenant (without its discovery config)
+ */
+export async function getTenantById(id) {
+  try {
+    const result = await pool.query(`SELECT ${TENANT_COLUMNS} FROM tenants WHERE id = $1`, [id]);
+    return result.rows[0];
+  } catch (error) {
+    console.error('Error fetching tenant:', error);
+    throw error;
+  }
+}
+
+/**
+ * Active tenants with their discovery config, unmasked, and schedule - for background jobs and the discovery agent
+ */
+export async function getActiveTenants() {
+  try {
+    const result = await pool.query(
+      `SELECT ${TENANT_COLUMNS}, discovery_config, discovery_schedule FROM tenants WHERE status = 'Active' ORDER BY slug`
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching active tenants:', error);
+    throw error;
+  }
+}
+
+/**
+ * Tenants with a live user holding this email (set-password picks the account from these)
+ */
+export async function getTenantsByUserEmail(email) {
+  try {
+    const result = await runForAllTenants(() => pool.query(
+      `SELECT ${TENANT_COLUMNS} FROM tenants
+       WHERE id IN (SELECT tenant_id FROM users WHERE LOWER(email) = LOWER($1) AND deleted_at IS NULL)
+       ORDER BY slug`,
+      [email]
+    ));
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching tenants by user email:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create a tenant (slug, name, status) together with its first account, in one transaction
+ * @param {object} adminData - User fields for the account, plus password_hash from auth.hashPassword
+ * @returns {Promise<object>} The tenant, with the account as `admin`
+ * Throws with code CONFLICT if the slug or the account's email is taken.
+ */
+export async function createTenant(tenantData, adminData) {
+  const fields = validateEntity('tenants', tenantData);
+  const { password_hash, ...adminProfile } = adminData;
+  const adminFields = { ...validateEntity('users', adminProfile), password_hash };
+  try {
+    return await withTransaction(async (client) => {
+      const result = await client.query(
+        `INSERT INTO tenants (slug, name, status) VALUES ($1, $2, $3) RETURNING ${TENANT_COLUMNS}`,
+        [fields.slug, fields.name, fields.status]
+      );
+      const tenant = result.rows[0];
+      // The account is the new tenant's first row, so scope the rest of the transaction to it
+      await client.query(`SELECT set_config('app.tenant_id', $1, true)`, [tenant.id]);
+      const admin = await insertRowWith(client, 'users', adminFields, null, USER_COLUMNS);
+      return { ...tenant, admin };
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      const conflict = new Error(error.constraint === 'tenants_slug_key'
+        ? `A tenant with slug "${fields.slug}" already exists`
+        : `Another account already uses the email ${adminFields.email}`);
+      conflict.code = 'CONFLICT';
+      throw conflict;
+    }
+    console.error('Error creating tenant:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a tenant's discovery connector settings, secrets masked, and its discovery schedule
+ * @returns {Promise<{config: object, schedule: string|null}|null>}
+ */
+export async function getTenantDiscoveryConfig(id) {
+  try {
+    const result = await pool.query('SELECT discovery_config, discovery_schedule FROM tenants WHERE id = $1', [id]);
+    if (!result.rows[0]) return null;
+    return { config: maskDiscoveryConfig(result.rows[0].discovery_config), schedule: result.rows[0].discovery_schedule };
+  } catch (error) {
+    console.error('Error fetching discovery config:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace a tenant's discovery connector settings. Masked secrets keep their stored value.
+ * @returns {Promise<object|null>} The new settings, secrets masked
+ */
+export async function updateTenantDiscoveryConfig(id, config) {
+  validateDiscoveryConfig(config);
+  try {
+    return await withTransaction(async (client) => {
+      const current = await client.query('SELECT discovery_config FROM tenants WHERE id = $1 FOR UPDATE', [id]);
+      if (!current.rows[0]) return null;
+
+      const stored = current.rows[0].discovery_config;
+      const merged = Object.fromEntries(Object.entries(config).map(([key, settings]) => [
+        key,
+        Object.fromEntries(Object.entries(settings).map(([field, value]) => [
+          field,
+          value === DISCOVERY_SECRET_MASK ? stored[key]?.[field] : value,
+        ])),
+      ]));
+      const result = await client.query(
+        'UPDATE tenants SET discovery_config = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING discovery_config',
+        [id, merged]
+      );
+      return maskDiscoveryConfig(result.rows[0].discovery_config);
+    });
+  } catch (error) {
+    console.error('Error updating discovery config:', error);
+    throw error;
+  }
+}
+
+/**
+ * Set a tenant's discovery schedule: a cron expression in UTC, or null for the agent's default
+ * @returns {Promise<string|null|undefined>} The schedule; undefined if there is no such tenant
+ */
+export async function updateTenantDiscoverySchedule(id, schedule) {
+  const value = validateDiscoverySchedule(schedule);
+  try {
+    const result = await pool.query(
+      'UPDATE tenants SET discovery_schedule = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING discovery_schedule',
+      [id, value]
+    );
+    return result.rows[0]?.discovery_schedule;
+  } catch (error) {
+    console.error('Error updating discovery schedule:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a tenant's depreciation profiles: asset type -> { method, useful_life_months }
+ * @returns {Promise<object|null>} null if there is no such tenant
+ */
+export async function getTenantDepreciationProfiles(id) {
+  try {
+    const result = await pool.query('SELECT depreciation_profiles FROM tenants WHERE id = $1', [id]);
+    return result.rows[0]?.depreciation_profiles ?? null;
+  } catch (error) {
+    console.error('Error fetching depreciation profiles:', error);
+    throw error;
+  }
+}
+
+/**
+ * Replace a tenant's depreciation profiles
+ * @returns {Promise<object|null>} The new profiles, null if there is no such tenant
+ */
+export async function updateTenantDepreciationProfiles(id, profiles) {
+  const cleaned = validateDepreciationProfiles(profiles);
+  try {
+    const result = await pool.query(
+      'UPDATE tenants SET depreciation_profiles = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING depreciation_profiles',
+      [id, cleaned]
+    );
+    return result.rows[0]?.depreciation_profiles ?? null;
+  } catch (error) {
+    console.error('Error updating depreciation profiles:', error);
+    throw error;
+  }
+}
+
+// ============ DEPRECIATION FUNCTIONS ============
+
+// What depreciation.js needs of an asset. Dates go out as text so they are not shifted by the server's time zone.
+const VALUATION_COLUMNS = `id, asset_tag, asset_type, status, cost, purchase_date::text AS purchase_date, useful_life_months,
+  depreciation_method, salvage_value, disposed_at::date::text AS disposed_at`;
+
+async function currentDepreciationProfiles() {
+  const result = await pool.query('SELECT depreciation_profiles FROM tenants WHERE id = current_tenant_id()');
+  return result.rows[0]?.depreciation_profiles || {};
+}
+
+/**
+ * Value an asset on a date (default today): book value, the settings used and its calendar-year schedule
+ * @returns {Promise<object|undefined>} undefined if the asset does not exist
+ */
+export async function getAssetValuation(id, asOf) {
+  const date = validateAsOfDate(asOf);
+  try {
+    const result = await pool.query(`SELECT ${VALUATION_COLUMNS} FROM assets WHERE id = $1 AND deleted_at IS NULL`, [id]);
+    if (!result.rows[0]) return undefined;
+    return valueAsset(result.rows[0], await currentDepreciationProfiles(), date);
+  } catch (error) {
+    console.error('Error valuing asset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Depreciation report for the tenant's live assets on a date (default today). Assets bought after the
+ * date are left out, as are assets without a purchase date that were recorded after it.
+ * @param {boolean} summary - Leave out the per-asset valuations
+ */
+export async function getDepreciationReport(asOf, { summary = false } = {}) {
+  const date = validateAsOfDate(asOf);
+  try {
+    const result = await pool.query(
+      `SELECT ${VALUATION_COLUMNS} FROM assets
+       WHERE deleted_at IS NULL
+         AND (purchase_date <= $1 OR (purchase_date IS NULL AND created_at::date <= $1))
+       ORDER BY asset_tag`,
+      [date]
+    );
+    const report = valuePortfolio(result.rows, await currentDepreciationProfiles(), date);
+    if (summary) delete report.assets;
+    return report;
+  } catch (error) {
+    console.error('Error building depreciation report:', error);
+    throw error;
+  }
+}
+
+// ============ ANALYTICS FUNCTIONS ============
+
+// Asset breakdowns -> what the assets are grouped by (assets a, with their assignee as u)
+const ASSET_BREAKDOWNS = {
+  by_type: `COALESCE(NULLIF(TRIM(a.asset_type), ''), 'Unknown')`,
+  by_manufacturer: `COALESCE(NULLIF(TRIM(a.manufacturer), ''), 'Unknown')`,
+  by_department: `CASE WHEN a.assigned_user_id IS NULL AND a.assigned_user_name IS NULL THEN 'Unassigned'
+    ELSE COALESCE(NULLIF(TRIM(u.department), ''), 'No department') END`,
+};
+
+// The last `months` calendar months, oldest first, as YYYY-MM
+const ANALYTICS_MONTHS_SQL = `
+  SELECT to_char(month, 'YYYY-MM') AS month
+  FROM generate_series(date_trunc('month', CURRENT_DATE) - ($1::int - 1) * INTERVAL '1 month', date_trunc('month', CURRENT_DATE), INTERVAL '1 month') month`;
+
+async function assetAnalytics(finance) {
+  const totals = await pool.query(`
+    SELECT COUNT(*)::int AS total, COALESCE(SUM(cost) FILTER (WHERE status <> 'Disposed'), 0)::float AS total_cost,
+      COUNT(*) FILTER (WHERE discovered)::int AS discovered,
+      COUNT(*) FILTER (WHERE missing_since IS NOT NULL)::int AS missing,
+      COUNT(*) FILTER (WHERE assigned_user_id IS NOT NULL OR assigned_user_name IS NOT NULL)::int AS assigned
+    FROM assets WHERE deleted_at IS NULL
+  `);
+  const assets = { ...totals.rows[0], book_value: null };
+
+  const byStatus = await pool.query(`
+    SELECT status AS name, COUNT(*)::int AS count, COALESCE(SUM(cost), 0)::float AS value
+    FROM assets WHERE deleted_at IS NULL GROUP BY status
+  `);
+  const statuses = new Map(byStatus.rows.map(row => [row.name, row]));
+  assets.by_status = ASSET_STATUSES.map(status => statuses.get(status) || { name: status, count: 0, value: 0 });
+
+  for (const [key, expression] of Object.entries(ASSET_BREAKDOWNS)) {
+    const result = await pool.query(`
+      SELECT ${expression} AS name, COUNT(*)::int AS count, COALESCE(SUM(a.cost), 0)::float AS value
+      FROM assets a LEFT JOIN users u ON u.id = a.assigned_user_id
+      WHERE a.deleted_at IS NULL
+      GROUP BY 1 ORDER BY count DESC, name
+    `);
+    assets[key] = result.rows;
+  }
+
+  if (finance) {
+    const report = await getDepreciationReport(undefined, { summary: true });
+    assets.book_value = report.totals.book_value;
+  }
+  return assets;
+}
+
+async function licenseAnalytics(months) {
+  const totals = await pool.query(`
+    SELECT COUNT(*)::int AS total, COALESCE(SUM(cost), 0)::float AS total_spend,
+      COUNT(*) FILTER (WHERE expiration_date IS NULL OR expiration_date >= CURRENT_DATE)::int AS active,
+      COUNT(*) FILTER (WHERE expiration_date < CURRENT_DATE)::int AS expired,
+      COALESCE(SUM(quantity), 0)::int AS seats
+    FROM licenses WHERE deleted_at IS NULL
+  `);
+  const seats = await pool.query(
+    `SELECT COUNT(*)::int AS used FROM license_seats s JOIN licenses l ON l.id = s.license_id
+     WHERE s.released_at IS NULL AND l.deleted_at IS NULL`
+  );
+  // Licenses have no purchase date, so spend is counted in the month a license was recorded
+  const spend = await pool.query(
+    `SELECT m.month, COALESCE(SUM(l.cost), 0)::float AS amount
+     FROM (${ANALYTICS_MONTHS_SQL}) m
+     LEFT JOIN licenses l ON to_char(l.created_at, 'YYYY-MM') = m.month AND l.deleted_at IS NULL
+     GROUP BY m.month ORDER BY m.month`,
+    [months]
+  );
+  return { ...totals.rows[0], seats_used: seats.rows[0].used, spend: spend.rows };
+}
+
+async function contractAnalytics(months) {
+  const totals = await pool.query(`
+    SELECT COALESCE(currency, 'USD') AS currency, COUNT(*)::int AS count,
+      COUNT(*) FILTER (WHERE end_date IS NULL OR end_date >= CURRENT_DATE)::int AS active,
+      COALESCE(SUM(contract_value), 0)::float AS total_value,
+      COALESCE(SUM(contract_value) FILTER (WHERE end_date IS NULL OR end_date >= CURRENT_DATE), 0)::float AS active_value
+    FROM contracts WHERE deleted_at IS NULL
+    GROUP BY 1 ORDER BY total_value DESC
+  `);
+  // Contract value counts in the month the contract starts (or was recorded, without a start date)
+  const spend = await pool.query(
+    `SELECT m.month, COALESCE(c.currency, 'USD') AS currency, SUM(c.contract_value)::float AS amount
+     FROM (${ANALYTICS_MONTHS_SQL}) m
+     JOIN contracts c ON to_char(COALESCE(c.start_date, c.created_at::date), 'YYYY-MM') = m.month AND c.deleted_at IS NULL
+     GROUP BY 1, 2 ORDER BY 1, 2`,
+    [months]
+  );
+  const byMonth = new Map();
+  for (const row of spend.rows) {
+    byMonth.set(row.month, { ...byMonth.get(row.month), [row.currency]: row.amount });
+  }
+  const monthList = await pool.query(ANALYTICS_MONTHS_SQL, [months]);
+  return {
+    total: totals.rows.reduce((sum, row) => sum + row.count, 0),
+    active: totals.rows.reduce((sum, row) => sum + row.active, 0),
+    by_currency: totals.rows,
+    spend: monthList.rows.map(({ month }) => ({ month, amounts: byMonth.get(month) || {} })),
+  };
+}
+
+/**
+ * Dashboard analytics. Each section is only built for entities the caller may read:
+ * assets - counts, cost and book value (with finance) of the assets not disposed of, and breakdowns by status, type, manufacturer and
+ * the assignee's department, as [{ name, count, value }]; licenses - counts, seats and monthly spend;
+ * contracts - counts and value per currency and monthly value per currency. Money is in each record's currency.
+ * @param {object} query - months: how many months of spend to return (default 12)
+ * @param {Array<string>} allowedEntities - Entities the caller may read
+ * @param {object} options - finance: whether the caller may see book values
+ */
+export async function getAnalytics(query = {}, allowedEntities, { finance = false } = {}) {
+  const months = validateAnalyticsMonths(query.months);
+  try {
+    const analytics = { generated_at: new Date().toISOString(), months };
+    if (allowedEntities.includes('assets')) analytics.assets = await assetAnalytics(finance);
+    if (allowedEntities.includes('licenses')) analytics.licenses = await licenseAnalytics(months);
+    if (allowedEntities.includes('contracts')) analytics.contracts = await contractAnalytics(months);
+    return analytics;
+  } catch (error) {
+    console.error('Error building analytics:', error);
+    throw error;
+  }
+}
+
+// ============ SNAPSHOT FUNCTIONS ============
+
+// Live records per entity, status and type: entity, status, item_type, currency, count, quantity, amount
+const SNAPSHOT_ROWS_SQL = `
+  SELECT 'assets', COALESCE(status, 'Unknown'), COALESCE(NULLIF(TRIM(asset_type), ''), 'Unknown'), '',
+    COUNT(*), 0, COALESCE(SUM(cost), 0)
+  FROM assets WHERE deleted_at IS NULL GROUP BY 2, 3
+  UNION ALL
+  SELECT 'licenses', COALESCE(status, 'Unknown'), COALESCE(NULLIF(TRIM(license_type), ''), 'Unknown'), '',
+    COUNT(*), COALESCE(SUM(quantity), 0), COALESCE(SUM(cost), 0)
+  FROM licenses WHERE deleted_at IS NULL GROUP BY 2, 3
+  UNION ALL
+  SELECT 'contracts', COALESCE(status, 'Unknown'), COALESCE(NULLIF(TRIM(contract_type), ''), 'Unknown'), COALESCE(currency, 'USD'),
+    COUNT(*), 0, COALESCE(SUM(contract_value), 0)
+  FROM contracts WHERE deleted_at IS NULL GROUP BY 2, 3, 4
+  UNION ALL
+  SELECT 'users', COALESCE(status, 'Unknown'), COALESCE(role, 'Unknown'), '', COUNT(*), 0, 0
+  FROM users WHERE deleted_at IS NULL GROUP BY 2, 3`;
+
+/**
+ * Snapshot the current tenant's inventory for a day, replacing any snapshot already taken that day
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Promise<number>} Rows written
+ */
+export async function snapshotInventory(date) {
+  try {
+    return await withTransaction(async (client) => {
+      await client.query('DELETE FROM inventory_snapshots WHERE snapshot_date = $1', [date]);
+      const result = await client.query(
+        `INSERT INTO inventory_snapshots (snapshot_date, entity, status, item_type, currency, count, quantity, amount)
+         SELECT $1, rows.* FROM (${SNAPSHOT_ROWS_SQL}) rows`,
+        [date]
+      );
+      return result.rowCount;
+    });
+  } catch (error) {
+    console.error('Error taking inventory snapshot:', error);
+    throw error;
+  }
+}
+
+// Trend grouping and filter -> snapshot column
+const TREND_GROUP_COLUMNS = { status: 's.status', type: 's.item_type', currency: 's.currency' };
+
+/**
+ * A metric over time from the inventory snapshots. Each interval (day, week, month or quarter) takes the
+ * last snapshot within it; intervals without a snapshot are left out.
+ * @param {object} query - metric, from, to, interval, group_by and status / type / currency filters (validateTrendQuery)
+ * @returns {Promise<object>} The parameters used and series: [{ name, points: [{ period, snapshot_date, value }] }],
+ *   one series per group ("total" without group_by), largest last value first
+ */
+export async function getTrends(query = {}) {
+  const trend = validateTrendQuery(query);
+  const params = [trend.interval, trend.from, trend.to, trend.entity];
+  const filters = [];
+  for (const [key, column] of Object.entries(TREND_GROUP_COLUMNS)) {
+    if (trend[key]) {
+      params.push(trend[key]);
+      filters.push(`AND ${column} = $${params.length}`);
+    }
+  }
+
+  try {
+    // trend.column comes from TREND_METRICS, never from the request
+    const result = await pool.query(
+      `WITH picked AS (
+         SELECT DISTINCT ON (date_trunc($1, snapshot_date)) date_trunc($1, snapshot_date)::date AS period, snapshot_date
+         FROM (SELECT DISTINCT snapshot_date FROM inventory_snapshots WHERE snapshot_date BETWEEN $2 AND $3) days
+         ORDER BY date_trunc($1, snapshot_date), snapshot_date DESC
+       )
+       SELECT p.period::text AS period, p.snapshot_date::text AS snapshot_date,
+         ${TREND_GROUP_COLUMNS[trend.group_by] || `'total'`} AS name, SUM(s.${trend.column})::float AS value
+       FROM picked p
+       LEFT JOIN inventory_snapshots s ON s.snapshot_date = p.snapshot_date AND s.entity = $4 ${filters.join(' ')}
+       GROUP BY 1, 2, 3
+       ORDER BY 1`,
+      params
+    );
+
+    const periods = new Map(result.rows.map(row => [row.period, row.snapshot_date]));
+    const values = new Map(trend.group_by ? [] : [['total', new Map()]]);
+    for (const row of result.rows) {
+      if (row.name === null) continue;
+      if (!values.has(row.name)) values.set(row.name, new Map());
+      values.get(row.name).set(row.period, row.value || 0);
+    }
+    const series = [...values].map(([name, byPeriod]) => ({
+      name,
+      points: [...periods].map(([period, snapshotDate]) => ({ period, snapshot_date: snapshotDate, value: byPeriod.get(period) || 0 })),
+    }));
+    const last = points => points[points.length - 1]?.value || 0;
+    series.sort((a, b) => last(b.points) - last(a.points) || a.name.localeCompare(b.name));
+
+    const { column, ...parameters } = trend;
+    return { ...parameters, series };
+  } catch (error) {
+    console.error('Error fetching trends:', error);
+    throw error;
+  }
+}
+
+// ============ CONTRACTS FUNCTIONS ============
+
+/**
+ * List contracts with pagination, sorting and filters
+ * @param {object} query - List parameters (page, limit, cursor, sort, order, search, filters)
+ */
+export async function getAllContracts(query = {}) {
+  try {
+    return await listRows('contracts', query);
+  } catch (error) {
+    console.error('Error fetching contracts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Create contract
+ */
+export async function createContract(contractData, actor = null) {
+  const fields = validateEntity('contracts', contractData);
+
+  try {
+    return await insertRow('contracts', fields, actor);
+  } catch (error) {
+    console.error('Error creating contract:', error);
+    throw error;
+  }
+}
+
+/**
+ * Update contract
+ */
+export async function updateContract(id, contractData, actor = null) {
+  const fields = validateEntity('contracts', contractData, { partial: true });
+
+  try {
+    return await updateRow('contracts', id, fields, actor);
+  } catch (error) {
+    console.error('Error updating contract:', error);
+    throw error;
+  }
+}
+
+/**
+ * Delete contract
+ */
+export async function deleteContract(id, actor = null) {
+  try {
+    return await deleteRow('contracts', id, actor);
+  } catch (error) {
+    console.error('Error deleting contract:', error);
+    throw error;
+  }
+}
+
+/**
+ * Restore contract from the trash
+ */
+export async function restoreContract(id, actor = null) {
+  try {
+    return await restoreRow('contracts', id, actor);
+  } catch (error) {
+    console.error('Error restoring contract:', error);
+    throw error;
+  }
+}
+
+/**
+ * Search contracts
+ */
+export async function searchContracts(query) {
+  try {
+    return await searchRows('contracts', query);
+  } catch (error) {
+    console.error('Error searching contracts:', error);
+    throw error;
+  }
+}
+
+// ============ CONTRACT COVERAGE FUNCTIONS ============
+
+// Coverable entity -> its contract_coverage column and what identifies an item of it
+const COVERED_ENTITIES = {
+  assets: { column: 'asset_id', label: 'asset_tag', detail: 'asset_type', name: 'Asset' },
+  licenses: { column: 'license_id', label: 'license_name', detail: 'software_name', name: 'License' },
+};
+
+/**
+ * Get the assets and licenses a contract covers
+ * @returns {Promise<{contract: object, items: Array<object>}|undefined>} items are { id (of the link), entity,
+ *   item_id, label, detail, status, notes, attached_at, attached_by_name }; undefined if the contract does not exist
+ */
+export async function getContractCoverage(contractId) {
+  try {
+    const contract = await pool.query(
+      `SELECT c.id, c.contract_name, c.vendor, c.start_date, c.end_date, c.status, ${COVERAGE_STATUS_SQL} AS coverage_status
+       FROM contracts c WHERE c.id = $1 AND c.deleted_at IS NULL`,
+      [contractId]
+    );
+    if (!contract.rows[0]) return undefined;
+
+    const items = await pool.query(
+      `SELECT cc.id, 'assets' AS entity, a.id AS item_id, a.asset_tag AS label, a.asset_type AS detail, a.status,
+         cc.notes, cc.attached_at, cc.attached_by_name
+       FROM contract_coverage cc JOIN assets a ON a.id = cc.asset_id AND a.deleted_at IS NULL
+       WHERE cc.contract_id = $1
+       UNION ALL
+       SELECT cc.id, 'licenses', l.id, l.license_name, l.software_name, l.status, cc.notes, cc.attached_at, cc.attached_by_name
+       FROM contract_coverage cc JOIN licenses l ON l.id = cc.license_id AND l.deleted_at IS NULL
+       WHERE cc.contract_id = $1
+       ORDER BY entity, label`,
+      [contractId]
+    );
+    return { contract: contract.rows[0], items: items.rows };
+  } catch (error) {
+    console.error('Error fetching contract coverage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Attach an asset or a license to a contract.
+ * Throws with code CONFLICT if the contract already covers the item.
+ * @returns {Promise<object|undefined>} The link with the item's label; undefined if the contract does not exist
+ */
+export async function attachCoverage(contractId, coverageData, actor = null) {
+  const { asset_id, license_id, notes } = validateEntity('contract_coverage', coverageData);
+  if (Boolean(asset_id) === Boolean(license_id)) {
+    throw validationError('Validation failed', { asset_id: 'Provide either asset_id or license_id' });
+  }
+  const entity = asset_id ? 'assets' : 'licenses';
+  const covered = COVERED_ENTITIES[entity];
+  const itemId = asset_id || license_id;
+
+  try {
+    return await withTransaction(async (client) => {
+      const contract = await client.query('SELECT id FROM contracts WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [contractId]);
+      if (contract.rows.length === 0) return undefined;
+
+      const itemResult = await client.query(
+        `SELECT ${covered.label} AS label FROM ${entity} WHERE id = $1 AND deleted_at IS NULL`,
+        [itemId]
+      );
+      const item = itemResult.rows[0];
+      if (!item) {
+        throw validationError('Validation failed', { [covered.column]: `${covered.name} not found` });
+      }
+
+      const existing = await client.query(
+        `SELECT id FROM contract_coverage WHERE contract_id = $1 AND ${covered.column} = $2`,
+        [contractId, itemId]
+      );
+      if (existing.rows.length > 0) {
+        const error = new Error(`${item.label} is already covered by this contract`);
+        error.code = 'CONFLICT';
+        throw error;
+      }
+
+      const inserted = await client.query(
+        `INSERT INTO contract_coverage (contract_id, ${covered.column}, notes, attached_by, attached_by_name)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [contractId, itemId, notes, actor?.id || null, actor?.user_name || null]
+      );
+      await recordAudit(client, actor, 'contracts', contractId, 'coverage_attach', { covered_item: { before: null, after: item.label } });
+      return { ...inserted.rows[0], entity, label: item.label };
+    });
+  } catch (error) {
+    console.error('Error attaching contract coverage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Detach an asset or a license from a contract.
+ * Throws with code CONFLICT if the contract does not cover the item.
+ * @param {string} entity - assets or licenses
+ * @returns {Promise<object|undefined>} The removed link; undefined if the contract does not exist
+ */
+export async function detachCoverage(contractId, entity, itemId, actor = null) {
+  const covered = COVERED_ENTITIES[entity];
+  if (!covered) {
+    throw validationError('Validation failed', { entity: `Must be one of: ${Object.keys(COVERED_ENTITIES).join(', ')}` });
+  }
+
+  try {
+    return await withTransaction(async (client) => {
+      const contract = await client.query('SELECT id FROM contracts WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [contractId]);
+      if (contract.rows.length === 0) return undefined;
+
+      // Items in the trash can still be detached
+      const removed = await client.query(
+        `DELETE FROM contract_coverage cc USING ${entity} i
+         WHERE cc.contract_id = $1 AND cc.${covered.column} = $2 AND i.id = cc.${covered.column}
+         RETURNING cc.*, i.${covered.label} AS label`,
+        [contractId, itemId]
+      );
+      const link = removed.rows[0];
+      if (!link) {
+        const error = new Error(`${covered.name} is not covered by this contract`);
+        error.code = 'CONFLICT';
+        throw error;
+      }
+      await recordAudit(client, actor, 'contracts', contractId, 'coverage_detach', { covered_item: { before: link.label, after: null } });
+      return { ...link, entity };
+    });
+  } catch (error) {
+    console.error('Error detaching contract coverage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the contracts covering an asset or a license, with whether each one's coverage holds today
+ * (coverage_status active, pending or lapsed), covering ones first
+ * @param {string} entity - assets or licenses
+ * @returns {Promise<Array<object>|undefined>} undefined if the item does not exist
+ */
+export async function getCoveringContracts(entity, itemId) {
+  const covered = COVERED_ENTITIES[entity];
+  try {
+    const item = await pool.query(`SELECT id FROM ${entity} WHERE id = $1 AND deleted_at IS NULL`, [itemId]);
+    if (!item.rows[0]) return undefined;
+
+    const result = await pool.query(
+      `SELECT c.id, c.contract_name, c.vendor, c.contract_type, c.start_date, c.end_date, c.renewal_date,
+         c.contract_value, c.currency, c.status, ${COVERAGE_STATUS_SQL} AS coverage_status,
+         cc.notes, cc.attached_at, cc.attached_by_name
+       FROM contract_coverage cc JOIN contracts c ON c.id = cc.contract_id AND c.deleted_at IS NULL
+       WHERE cc.${covered.column} = $1
+       ORDER BY CASE ${COVERAGE_STATUS_SQL} WHEN 'active' THEN 0 WHEN 'pending' THEN 1 ELSE 2 END, c.end_date DESC NULLS FIRST`,
+      [itemId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching covering contracts:', error);
+    throw error;
+  }
+}
+
+// ============ IMPORT FUNCTIONS ============
+
+/**
+ * Create or update records from an uploaded sheet, matching existing records by natural key
+ * (asset_tag, license_key, email). Every row runs in one transaction with a savepoint per row,
+ * so a dry run reports database conflicts too. Nothing is written on a dry run or if any row fails.
+ *
+ * @param {string} entity - assets, licenses, users or contracts
+ * @param {{columns: Array<string>, rows: Array<{line: number, values: object}>}} sheet - From parseImportFile
+ * @param {object} mapping - Column -> field, from buildImportMapping
+ * @returns {Promise<{committed: boolean, summary: object, rows: Array<{line: number, action: string, key: string|null, data: object, errors?: object}>}>}
+ */
+export async function importRecords(entity, sheet, mapping, { dryRun = true } = {}, actor = null) {
+  const key = IMPORT_KEYS[entity];
+  const returning = entity === 'users' ? USER_COLUMNS : '*';
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const prepared = sheet.rows.map(row => ({ line: row.line, data: mapImportRow(row.values, mapping) }));
+    const keyValues = key ? [...new Set(prepared.map(row => row.data[key]).filter(Boolean).map(String))] : [];
+    const existing = {};
+    if (keyValues.length > 0) {
+      const result = await client.query(
+        `SELECT id, ${key} AS key FROM ${entity} WHERE deleted_at IS NULL AND ${key} = ANY($1) FOR UPDATE`,
+        [keyValues]
+      );
+      for (const row of result.rows) {
+        existing[row.key] = existing[row.key] ? [...existing[row.key], row.id] : [row.id];
+      }
+    }
+
+    const seenLines = {};
+    const report = [];
+    for (const { line, data } of prepared) {
+      const keyValue = key && data[key] ? String(data[key]) : null;
+      const matches = keyValue ? existing[keyValue] || [] : [];
+      const entry = { line, action: matches.length > 0 ? 'update' : 'create', key: keyValue, data };
+      report.push(entry);
+
+      if (keyValue && seenLines[keyValue]) {
+        entry.errors = { [key]: `Duplicate of line ${seenLines[keyValue]}` };
+        continue;
+      }
+      if (keyValue) seenLines[keyValue] = line;
+      if (matches.length > 1) {
+        entry.errors = { [key]: `Matches ${matches.length} existing records` };
+        continue;
+      }
+
+      await client.query('SAVEPOINT import_row');
+      try {
+        let record;
+        if (matches.length > 0) {
+          const fields = validateEntity(entity, data, { partial: true });
+          record = await updateRowWith(client, entity, matches[0],
+            entity === 'assets' ? await assetUpdateFields(client, matches[0], fields) : fields, actor, returning);
+        } else {
+          const fields = validateEntity(entity, data);
+          record = await insertRowWith(client, entity,
+            entity === 'assets' ? planCreate(fields) : fields, actor, returning);
+        }
+        entry.id = record.id;
+        await client.query('RELEASE SAVEPOINT import_row');
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT import_row');
+        if (error.code === 'VALIDATION_FAILED') {
+          entry.errors = Object.keys(error.fields).length > 0 ? error.fields : { row: error.message };
+        } else if (error.code === 'CONFLICT') {
+          entry.errors = { status: error.message };
+        } else if (error.code === '23505') {
+          const column = UNIQUE_INDEX_COLUMNS[error.constraint] || 'row';
+          entry.errors = { [column]: 'Already used by another record' };
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    const failed = report.filter(entry => entry.errors).length;
+    const committed = !dryRun && failed === 0;
+    await client.query(committed ? 'COMMIT' : 'ROLLBACK');
+
+    return {
+      committed,
+      summary: {
+        total: report.length,
+        created: report.filter(entry => !entry.errors && entry.action === 'create').length,
+        updated: report.filter(entry => !entry.errors && entry.action === 'update').length,
+        failed,
+      },
+      rows: report,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`Error importing ${entity}:`, error);
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// ============ EXPORT FUNCTIONS ============
+
+const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Read every row of a filtered, sorted list (page, limit and cursor are ignored) through a
+ * server-side cursor, handing it over in batches so large exports are never held in memory.
+ *
+ * @param {string} table - assets, licenses, users or contracts
+ * @param {object} query - The list's search, filter and sort parameters
+ * @param {function(Array<object>): Promise<void>} onBatch - Called for each batch, in order
+ * @throws {Error} code VALIDATION_FAILED for invalid list parameters (before onBatch is called)
+ */
+export async function exportRows(table, query, onBatch) {
+  const config = LIST_CONFIG[table];
+  const { sort, order, filters, search } = parseListParams(
+    { ...query, page: undefined, limit: undefined, cursor: undefined },
+    config
+  );
+  const { where, values } = listConditions(table, filters, search, query);
+  const direction = order === 'asc' ? 'ASC' : 'DESC';
+
+  const client = await pool.connect();
+  const cursor = client.query(new Cursor(
+    `SELECT ${config.columns} FROM ${table}
+     WHERE ${where.join(' AND ')}
+     ORDER BY ${sort} ${direction} NULLS LAST, id ${direction}`,
+    values
+  ));
+  try {
+    let rows;
+    do {
+      rows = await cursor.read(EXPORT_BATCH_SIZE);
+      if (rows.length > 0) await onBatch(rows);
+    } while (rows.length === EXPORT_BATCH_SIZE);
+  } catch (error) {
+    console.error(`Error exporting ${table}:`, error);
+    throw error;
+  } finally {
+    try {
+      await cursor.close();
+    } finally {
+      client.release();
+    }
+  }
+}
+
+// ============ DISCOVERY FUNCTIONS ============
+
+// Largest batch a single ingest call accepts
+export const MAX_INGEST_ASSETS = 1000;
+
+/**
+ * Key a discovered record is stored under for its source: the serial number, or the source id without one
+ */
+function discoveryKey(record) {
+  return record.serial_number || record.source_id;
+}
 
 /**
- * Verify database tables exist (no automatic creation)
+ * Apply the fields a discovered record sets to an asset (see discoveredFields) and mark it as seen,
+ * which clears a missing flag.
+ * @returns {Promise<{asset: object, changes: object}>} The asset after the update and what changed
  */
-export async function initDatabase() {
+async function applyDiscoveredRecord(client, asset, record, { origin }) {
+  const fields = discoveredFields(record, asset, { origin });
+  const columns = Object.keys(fields).filter(column => JSON.stringify(asset[column]) !== JSON.stringify(fields[column]));
+  const assignments = columns.map((column, index) => `${column} = $${index + 1}`);
+  if (columns.length > 0 || asset.missing_since) assignments.push('updated_at = CURRENT_TIMESTAMP');
+  assignments.push('last_discovered_at = CURRENT_TIMESTAMP', 'missing_since = NULL');
+
+  const result = await client.query(
+    `UPDATE assets SET ${assignments.join(', ')} WHERE id = $${columns.length + 1} RETURNING *`,
+    [...columns.map(column => fields[column]), asset.id]
+  );
+  // Sightings are not audited - changes to the reported values and a cleared missing flag are
+  const changes = diffRows(asset, result.rows[0]);
+  delete changes.last_discovered_at;
+  return { asset: result.rows[0], changes };
+}
+
+/**
+ * Link a source's record to an asset. Linking to an asset the source did not create is a merge,
+ * audited with the fields it filled in.
+ */
+async function linkDiscoveredRecord(client, asset, record, actor, { origin, firstSeenAt = null }) {
+  await client.query(
+    `INSERT INTO asset_sources (asset_id, source, source_key, source_id, is_origin, first_seen_at)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6, CURRENT_TIMESTAMP))`,
+    [asset.id, record.source, discoveryKey(record), record.source_id, origin, firstSeenAt]
+  );
+  const { asset: updated, changes } = await applyDiscoveredRecord(client, asset, record, { origin });
+  if (!origin) {
+    await recordAudit(client, actor, 'assets', asset.id, 'merge', {
+      ...changes,
+      discovery_source: { before: null, after: `${record.source} ${discoveryKey(record)}` },
+    });
+  }
+  return updated;
+}
+
+/**
+ * Create an asset from a discovered record and link the record to it
+ */
+async function createDiscoveredAsset(client, record, actor) {
+  const created = await insertRowWith(client, 'assets', enterStatus({
+    asset_tag: `DISC-${record.source_id}`.slice(0, 255),
+    serial_number: discoveryKey(record),
+    cost: 0,
+    discovered: true,
+    ...discoveredFields(record, {}, { origin: true }),
+  }, 'Deployed'), actor);
+  return linkDiscoveredRecord(client, created, record, actor, { origin: true });
+}
+
+/**
+ * Live assets a new discovered record could be, scored with scoreMatch (best first).
+ * Assets already reported by the same source and pairs someone rejected are left out.
+ */
+async function findMatchCandidates(client, record) {
+  const result = await client.query(
+    `SELECT a.* FROM assets a
+     WHERE a.deleted_at IS NULL
+       AND (lower(a.serial_number) = lower($1)
+         OR a.mac_addresses && $2::text[]
+         OR lower(split_part(a.hostname, '.', 1)) = lower(split_part($3, '.', 1)))
+       AND NOT EXISTS (SELECT 1 FROM asset_sources s WHERE s.asset_id = a.id AND s.source = $4)
+       AND NOT EXISTS (
+         SELECT 1 FROM reconciliation_queue q
+         WHERE q.asset_id = a.id AND q.source = $4 AND q.source_key = $5 AND q.status = 'rejected'
+       )
+     FOR UPDATE OF a`,
+    [record.serial_number || null, record.mac_addresses, record.hostname || null, record.source, discoveryKey(record)]
+  );
+  return result.rows
+    .map(asset => ({ asset, ...scoreMatch(record, asset) }))
+    .filter(candidate => candidate.confidence > 0)
+    .sort((a, b) => b.confidence - a.confidence);
+}
+
+/**
+ * Store assets reported by the discovery agent. A record is keyed on its source and serial number
+ * (the source id when there is no serial):
+ * - a known record updates its asset (assets in the trash are left there)
+ * - a new record that exactly matches one existing asset is merged into it
+ * - a new record with looser matches waits in the reconciliation queue
+ * - anything else becomes a new asset
+ * Each record runs under its own savepoint, so a bad record is reported without losing the rest of the batch.
+ *
+ * @param {Array<object>} records - discovered_asset payloads
+ * @returns {Promise<{summary: object, results: Array<{source: string, source_id: string, action: string, id?: string, errors?: object}>}>}
+ */
+export async function ingestDiscoveredAssets(records, actor = null) {
+  if (!Array.isArray(records) || records.length === 0 || records.length > MAX_INGEST_ASSETS) {
+    throw validationError('Invalid discovery batch', { assets: `Must be a list of 1 to ${MAX_INGEST_ASSETS} assets` });
+  }
+
+  const client = await pool.connect();
   try {
-    console.log('🔄 Verifying database tables...');
-
-    // Verify tables exist
-    const tablesCheck = await pool.query(`
-      SELECT EXISTS (
-        SELECT 1 FROM information_schema.tables WHERE table_name = 'assets'
-      ) as assets_exists,
-      EXISTS (
-        SELECT 1 FROM information_schema.tables WHERE table_name = 'licenses'
-      ) as licenses_exists,
-      EXISTS (
-        SELECT 1 FROM information_schema.tables WHERE table_name = 'users'
-      ) as users_exists,
-      EXISTS (
-        SELECT 1 FROM information_schema.tables WHERE table_name = 'contracts'
-      ) as contracts_exists;
-    `);
-    
-    const { assets_exists, licenses_exists, users_exists, contracts_exists } = tablesCheck.rows[0];
-    
-    if (assets_exists) {
-      console.log('✅ Assets table exists');
-    } else {
-      console.warn('⚠️ Assets table not found');
-    }
-    
-    if (licenses_exists) {
-      console.log('✅ Licenses table exists');
-    } else {
-      console.warn('⚠️ Licenses table not found');
-    }
-    
-    if (users_exists) {
-      console.log('✅ Users table exists');
-    } else {
-      console.warn('⚠️ Users table not found');
-    }
-    
-    if (contracts_exists) {
-      console.log('✅ Contracts table exists');
-    } else {
-      console.warn('⚠️ Contracts table not found');
-    }
-    
-    if (assets_exists && licenses_exists && users_exists && contracts_exists) {
-      console.log('✅ All required database tables verified successfully');
-    } else {
-      throw new Error(`Missing tables: assets=${assets_exists}, licenses=${licenses_exists}, users=${users_exists}, contracts=${contracts_exists}`);
+    await client.query('BEGIN');
+
+    const results = [];
+    for (const input of records) {
+      const entry = { source: input?.source ?? null, source_id: input?.source_id ?? null };
+      results.push(entry);
+
+      await client.query('SAVEPOINT ingest_asset');
+      try {
+        const record = validateEntity('discovered_asset', input);
+        const linked = await client.query(
+          `SELECT a.*, s.id AS link_id, s.is_origin FROM asset_sources s JOIN assets a ON a.id = s.asset_id
+           WHERE s.source = $1 AND s.source_key = $2 FOR UPDATE OF a, s`,
+          [record.source, discoveryKey(record)]
+        );
+
+        if (linked.rows.length > 0) {
+          const { link_id, is_origin, ...asset } = linked.rows[0];
+          if (asset.deleted_at) {
+            Object.assign(entry, { action: 'skip', id: asset.id });
+          } else {
+            const { changes } = await applyDiscoveredRecord(client, asset, record, { origin: is_origin });
+            if (Object.keys(changes).length > 0) {
+              await recordAudit(client, actor, 'assets', asset.id, 'update', changes);
+            }
+            Object.assign(entry, { action: Object.keys(changes).length > 0 ? 'update' : 'unchanged', id: asset.id });
+          }
+          await client.query(
+            'UPDATE asset_sources SET source_id = $1, last_seen_at = CURRENT_TIMESTAMP WHERE id = $2',
+            [record.source_id, link_id]
+          );
+        } else {
+          const candidates = await findMatchCandidates(client, record);
+          const exact = candidates.filter(candidate => candidate.exact);
+
+          if (exact.length === 1) {
+            await linkDiscoveredRecord(client, exact[0].asset, record, actor, { origin: false });
+            Object.assign(entry, { action: 'merge', id: exact[0].asset.id });
+          } else if (candidates.length > 0) {
+            for (const { asset, confidence, matchedOn, conflicts } of candidates) {
+              await client.query(
+                `INSERT INTO reconciliation_queue (source, source_key, record, asset_id, confidence, matched_on, conflicts)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7)
+                 ON CONFLICT (source, source_key, asset_id) DO UPDATE
+                 SET record = EXCLUDED.record, confidence = EXCLUDED.confidence, matched_on = EXCLUDED.matched_on,
+                     conflicts = EXCLUDED.conflicts, updated_at = CURRENT_TIMESTAMP
+                 WHERE reconciliation_queue.status = 'pending'`,
+                [record.source, discoveryKey(record), JSON.stringify(record), asset.id, confidence, matchedOn, conflicts]
+              );
+            }
+            Object.assign(entry, { action: 'review', candidates: candidates.length });
+          } else {
+            const created = await createDiscoveredAsset(client, record, actor);
+            Object.assign(entry, { action: 'create', id: created.id });
+          }
+        }
+        await client.query('RELEASE SAVEPOINT ingest_asset');
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT ingest_asset');
+        if (error.code === 'VALIDATION_FAILED') {
+          entry.errors = error.fields;
+        } else if (error.code === '23505') {
+          const column = UNIQUE_INDEX_COLUMNS[error.constraint] || 'asset';
+          entry.errors = { [column]: 'Already used by another asset' };
+        } else {
+          throw error;
+        }
+      }
     }
+
+    await client.query('COMMIT');
+
+    const count = action => results.filter(entry => !entry.errors && entry.action === action).length;
+    return {
+      summary: {
+        total: results.length,
+        created: count('create'),
+        updated: count('update'),
+        merged: count('merge'),
+        review: count('review'),
+        unchanged: count('unchanged'),
+        skipped: count('skip'),
+        failed: results.filter(entry => entry.errors).length,
+      },
+      results,
+    };
   } catch (error) {
-    console.error('❌ Error verifying database:', error);
+    await client.query('ROLLBACK');
+    console.error('Error ingesting discovered assets:', error);
     throw error;
+  } finally {
+    client.release();
   }
 }
 
+// Move a missing asset makes for each MISSING_ACTION (staleness.js); 'flag' leaves the status alone
+const MISSING_MOVES = {
+  review: () => ({ status: 'Pending Retirement' }),
+  retire: days => ({ status: 'Retired', retirement_reason: `Not reported by discovery for ${days} days` }),
+};
+
 /**
- * Get all assets
+ * Flag live discovered assets that no source has reported for `days` days as missing (missing_since
+ * is when they were last seen). With action 'review' they also move to Pending Retirement, with 'retire'
+ * they are retired; assets whose state does not allow the move keep it, and checked-out assets are not
+ * retired before their check-in. Audited as system changes.
+ * @param {object} options - action: flag, review or retire
+ * @returns {Promise<number>} Number of assets flagged
  */
-export async function getAllAssets() {
+export async function markMissingAssets(days, { action = 'flag' } = {}) {
+  const move = MISSING_MOVES[action]?.(days);
   try {
-    const result = await pool.query('SELECT * FROM assets ORDER BY created_at DESC');
-    return result.rows;
+    return await withTransaction(async (client) => {
+      const result = await client.query(
+        `SELECT * FROM assets
+         WHERE deleted_at IS NULL AND missing_since IS NULL
+           AND last_discovered_at < CURRENT_TIMESTAMP - make_interval(days => $1)
+         FOR UPDATE SKIP LOCKED`,
+        [days]
+      );
+      for (const asset of result.rows) {
+        let moved = {};
+        if (move && canTransition(asset.status, move.status)) {
+          try {
+            moved = planTransition(asset, move);
+          } catch (error) {
+            // Checked out - it stays as it is until it is checked in
+            if (error.code !== 'CONFLICT') throw error;
+          }
+        }
+        const columns = Object.keys(moved);
+        const updated = await client.query(
+          `UPDATE assets SET missing_since = last_discovered_at${columns.map((column, index) => `, ${column} = $${index + 2}`).join('')}${columns.length > 0 ? ', updated_at = CURRENT_TIMESTAMP' : ''}
+           WHERE id = $1 RETURNING *`,
+          [asset.id, ...columns.map(column => moved[column])]
+        );
+        await recordAudit(client, null, 'assets', asset.id, 'missing', diffRows(asset, updated.rows[0]));
+      }
+      return result.rows.length;
+    });
   } catch (error) {
-    console.error('Error fetching assets:', error);
+    console.error('Error flagging missing assets:', error);
     throw error;
   }
 }
 
+// ============ DISCOVERY RUN FUNCTIONS ============
+
+const DISCOVERY_RUN_LIST_CONFIG = {
+  defaultSort: 'created_at',
+  sortable: ['created_at'],
+  filters: ['status', 'trigger'],
+};
+
+const DISCOVERY_RUN_COLUMNS = `r.*, COALESCE((
+  SELECT json_agg(c ORDER BY c.started_at, c.config_key)
+  FROM (SELECT id, config_key, connector, mode, status, started_at, finished_at, attempts, assets_found, payload_bytes, error
+        FROM discovery_connector_runs WHERE run_id = r.id) c
+), '[]') AS connector_runs`;
+
 /**
- * Get asset by ID
+ * Record the start of a scheduled discovery cycle (one pass over every tenant). Cycles belong to no tenant.
  */
-export async function getAssetById(id) {
+export async function startDiscoveryCycle() {
   try {
-    const result = await pool.query('SELECT * FROM assets WHERE id = $1', [id]);
+    const result = await pool.query('INSERT INTO discovery_cycles DEFAULT VALUES RETURNING *');
     return result.rows[0];
   } catch (error) {
-    console.error('Error fetching asset:', error);
+    console.error('Error starting discovery cycle:', error);
     throw error;
   }
 }
 
 /**
- * Get asset by tag
+ * Record the end of a discovery cycle
+ * @param {object} summary - tenants, synced, failed and an error for a cycle that could not run
  */
-export async function getAssetByTag(assetTag) {
+export async function finishDiscoveryCycle(id, { tenants = 0, synced = 0, failed = 0, error: cycleError = null }) {
   try {
-    const result = await pool.query('SELECT * FROM assets WHERE asset_tag = $1', [assetTag]);
-    return result.rows[0];
+    await pool.query(
+      `UPDATE discovery_cycles SET finished_at = CURRENT_TIMESTAMP, tenants = $2, synced = $3, failed = $4, error = $5
+       WHERE id = $1`,
+      [id, tenants, synced, failed, cycleError]
+    );
   } catch (error) {
-    console.error('Error fetching asset by tag:', error);
+    console.error('Error finishing discovery cycle:', error);
     throw error;
   }
 }
 
 /**
- * Create new asset
+ * Start a scheduled run for the current tenant
+ * @returns {Promise<object|null>} The run (status running), or null while another run of the tenant is running
  */
-export async function createAsset(assetData) {
-  const { asset_tag, asset_type, manufacturer, model, serial_number, assigned_user_name, status, cost, discovered } = assetData;
-  
+export async function startDiscoveryRun(cycleId) {
   try {
     const result = await pool.query(
-      `INSERT INTO assets (asset_tag, asset_type, manufacturer, model, serial_number, assigned_user_name, status, cost, discovered)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-       RETURNING *`,
-      [asset_tag, asset_type, manufacturer, model, serial_number, assigned_user_name, status || 'In Use', cost || 0, discovered || false]
+      `INSERT INTO discovery_runs (cycle_id, trigger, status, started_at)
+       VALUES ($1, 'schedule', 'running', CURRENT_TIMESTAMP) RETURNING *`,
+      [cycleId]
     );
     return result.rows[0];
   } catch (error) {
-    console.error('Error creating asset:', error);
+    if (error.constraint === 'idx_discovery_runs_running') return null;
+    console.error('Error starting discovery run:', error);
     throw error;
   }
 }
 
 /**
- * Update asset
+ * Queue a run for the current tenant, for the discovery agent to pick up
+ * @param {Array<string>} connectors - Config keys to run (e.g. ['aws']); empty for all
+ * Throws with code VALIDATION_FAILED for keys missing from the tenant's discovery config, and
+ * CONFLICT if a run for the same connectors is already waiting.
  */
-export async function updateAsset(id, assetData) {
-  const fields = [];
-  const values = [];
-  let paramCount = 1;
-
-  for (const [key, value] of Object.entries(assetData)) {
-    if (value !== undefined && value !== null) {
-      fields.push(`${key} = $${paramCount}`);
-      values.push(value);
-      paramCount++;
-    }
+export async function queueDiscoveryRun(connectors = [], actor = null) {
+  if (!Array.isArray(connectors) || connectors.some(key => typeof key !== 'string' || !key.trim())) {
+    throw validationError('Validation failed', { connectors: 'Must be a list of connector config keys' });
   }
+  const keys = [...new Set(connectors.map(key => key.trim()))].sort();
 
-  if (fields.length === 0) {
-    throw new Error('No fields to update');
+  try {
+    return await withTransaction(async (client) => {
+      // Serialises queueing per tenant so the duplicate check holds
+      await client.query('SELECT pg_advisory_xact_lock(hashtext(current_tenant_id()::text))');
+      const tenant = await client.query('SELECT discovery_config FROM tenants WHERE id = current_tenant_id()');
+      const configured = Object.keys(tenant.rows[0]?.discovery_config || {});
+      const unknown = keys.filter(key => !configured.includes(key));
+      if (configured.length === 0 || unknown.length > 0) {
+        throw validationError('Validation failed', {
+          connectors: configured.length === 0 ? 'No discovery connectors are configured' : `Not configured: ${unknown.join(', ')}`,
+        });
+      }
+      const waiting = await client.query(
+        `SELECT id FROM discovery_runs WHERE status = 'queued' AND connectors = $1::text[]`,
+        [keys]
+      );
+      if (waiting.rows.length > 0) {
+        const error = new Error('A discovery run for these connectors is already queued');
+        error.code = 'CONFLICT';
+        throw error;
+      }
+      const result = await client.query(
+        `INSERT INTO discovery_runs (trigger, connectors, status, requested_by, requested_by_name)
+         VALUES ('manual', $1, 'queued', $2, $3) RETURNING *`,
+        [keys, actor?.id || null, actor?.user_name || null]
+      );
+      return result.rows[0];
+    });
+  } catch (error) {
+    if (!['VALIDATION_FAILED', 'CONFLICT'].includes(error.code)) console.error('Error queueing discovery run:', error);
+    throw error;
   }
+}
 
-  fields.push(`updated_at = $${paramCount}`);
-  values.push(new Date());
-  values.push(id);
-
+/**
+ * Claim the oldest queued run of each tenant that has no run in progress, marking it running.
+ * Runs claimed by another agent in the meantime are skipped. Needs the all-tenants scope.
+ */
+export async function claimQueuedDiscoveryRuns() {
   try {
-    const query = `UPDATE assets SET ${fields.join(', ')} WHERE id = $${paramCount + 1} RETURNING *`;
-    const result = await pool.query(query, values);
-    return result.rows[0];
+    const candidates = await pool.query(
+      `SELECT DISTINCT ON (tenant_id) id FROM discovery_runs q
+       WHERE status = 'queued'
+         AND NOT EXISTS (SELECT 1 FROM discovery_runs r WHERE r.tenant_id = q.tenant_id AND r.status = 'running')
+       ORDER BY tenant_id, created_at`
+    );
+    const claimed = [];
+    for (const { id } of candidates.rows) {
+      try {
+        const result = await pool.query(
+          `UPDATE discovery_runs SET status = 'running', started_at = CURRENT_TIMESTAMP
+           WHERE id = $1 AND status = 'queued' RETURNING *`,
+          [id]
+        );
+        if (result.rows[0]) claimed.push(result.rows[0]);
+      } catch (error) {
+        // A scheduled run of the tenant started first; the queued run waits for the next poll
+        if (error.constraint !== 'idx_discovery_runs_running') throw error;
+      }
+    }
+    return claimed.sort((a, b) => a.created_at - b.created_at);
   } catch (error) {
-    console.error('Error updating asset:', error);
+    console.error('Error claiming queued discovery runs:', error);
     throw error;
   }
 }
 
 /**
- * Delete asset
+ * Mark runs that have been running for longer than timeoutMinutes as failed - their agent stopped
+ * without finishing them, and they would hold back the tenant's next run. Needs the all-tenants scope.
+ * @returns {Promise<number>} Runs marked
  */
-export async function deleteAsset(id) {
+export async function abandonStaleDiscoveryRuns(timeoutMinutes) {
   try {
-    const result = await pool.query('DELETE FROM assets WHERE id = $1 RETURNING *', [id]);
-    return result.rows[0];
+    const result = await pool.query(
+      `UPDATE discovery_runs
+       SET status = 'failed', finished_at = CURRENT_TIMESTAMP, error = $2
+       WHERE status = 'running' AND started_at < CURRENT_TIMESTAMP - make_interval(mins => $1)`,
+      [timeoutMinutes, `Abandoned: no result after ${timeoutMinutes} minutes`]
+    );
+    return result.rowCount;
   } catch (error) {
-    console.error('Error deleting asset:', error);
+    console.error('Error abandoning stale discovery runs:', error);
     throw error;
   }
 }
 
 /**
- * Search assets
+ * Record how one connector of a run went
+ * @param {object} connectorRun - config_key, connector, mode (full, delta), status, started_at, finished_at, attempts,
+ *   assets_found, payload_bytes, error
  */
-export async function searchAssets(query) {
+export async function recordConnectorRun(runId, connectorRun) {
   try {
-    const searchTerm = `%${query}%`;
     const result = await pool.query(
-      `SELECT * FROM assets 
-       WHERE asset_tag ILIKE $1 
-          OR manufacturer ILIKE $1 
-          OR model ILIKE $1 
-          OR assigned_user_name ILIKE $1
-       ORDER BY created_at DESC`,
-      [searchTerm]
+      `INSERT INTO discovery_connector_runs
+         (run_id, config_key, connector, mode, status, started_at, finished_at, attempts, assets_found, payload_bytes, error)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *`,
+      [
+        runId, connectorRun.config_key, connectorRun.connector, connectorRun.mode || 'full', connectorRun.status,
+        connectorRun.started_at, connectorRun.finished_at, connectorRun.attempts || 0,
+        connectorRun.assets_found || 0, connectorRun.payload_bytes || 0, connectorRun.error || null,
+      ]
     );
-    return result.rows;
+    return result.rows[0];
   } catch (error) {
-    console.error('Error searching assets:', error);
+    console.error('Error recording connector run:', error);
     throw error;
   }
 }
 
 /**
- * Get asset statistics
+ * Record the end of a run
+ * @param {object} summary - status (succeeded, partial, failed), assets_found, synced, failed, error
  */
-export async function getAssetStats() {
+export async function finishDiscoveryRun(id, summary) {
   try {
-    const result = await pool.query(`
-      SELECT 
-        COUNT(*) as total_assets,
-        COUNT(CASE WHEN status = 'In Use' THEN 1 END) as in_use,
-        COUNT(CASE WHEN discovered = true THEN 1 END) as discovered,
-        COUNT(CASE WHEN status = 'Retired' THEN 1 END) as retired
-      FROM assets
-    `);
+    const result = await pool.query(
+      `UPDATE discovery_runs
+       SET status = $2, finished_at = CURRENT_TIMESTAMP, assets_found = $3, synced = $4, failed = $5, error = $6
+       WHERE id = $1 RETURNING *`,
+      [id, summary.status, summary.assets_found || 0, summary.synced || 0, summary.failed || 0, summary.error || null]
+    );
     return result.rows[0];
   } catch (error) {
-    console.error('Error fetching stats:', error);
+    console.error('Error finishing discovery run:', error);
     throw error;
   }
 }
 
-// ============ LICENSES FUNCTIONS ============
-
 /**
- * Get all licenses
+ * The current tenant's connector cursors for delta discovery, by config key
+ * @returns {Promise<Map<string, {cursor: object, settings_hash: string, full_scan_at: Date}>>}
  */
-export async function getAllLicenses() {
+export async function getDiscoveryCursors() {
   try {
-    const result = await pool.query('SELECT * FROM licenses ORDER BY created_at DESC');
-    return result.rows;
+    const result = await pool.query('SELECT config_key, cursor, settings_hash, full_scan_at FROM discovery_cursors');
+    return new Map(result.rows.map(({ config_key, ...cursor }) => [config_key, cursor]));
   } catch (error) {
-    console.error('Error fetching licenses:', error);
+    console.error('Error fetching discovery cursors:', error);
     throw error;
   }
 }
 
 /**
- * Create license
+ * Store a connector's cursor for the current tenant after a successful run
+ * @param {object} state - cursor, settingsHash, and fullScan when the run listed everything
  */
-export async function createLicense(licenseData) {
-  const { license_name, license_type, license_key, software_name, vendor, expiration_date, quantity, status, cost, notes } = licenseData;
-  
-  // Validate required fields
-  if (!license_name || !license_name.trim()) {
-    throw new Error('License name is required');
-  }
-  if (!license_type || !license_type.trim()) {
-    throw new Error('License type is required');
-  }
-  
-  // Format date to yyyy-MM-dd if provided
-  let formattedDate = null;
-  if (expiration_date) {
-    if (typeof expiration_date === 'string') {
-      if (expiration_date.includes('T')) {
-        // ISO format - extract date part
-        formattedDate = expiration_date.split('T')[0];
-      } else if (expiration_date.includes('/')) {
-        // dd/mm/yyyy format
-        const parts = expiration_date.split('/');
-        if (parts.length === 3) {
-          formattedDate = `${parts[2]}-${parts[1]}-${parts[0]}`;
-        }
-      } else {
-        // Assume already in correct format
-        formattedDate = expiration_date;
-      }
-    }
-  }
-  
+export async function saveDiscoveryCursor(configKey, { cursor, settingsHash, fullScan }) {
   try {
-    const result = await pool.query(
-      `INSERT INTO licenses (license_name, license_type, license_key, software_name, vendor, expiration_date, quantity, status, cost, notes)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-       RETURNING *`,
-      [
-        license_name.trim(), 
-        license_type.trim(), 
-        license_key?.trim() || null, 
-        software_name?.trim() || null, 
-        vendor?.trim() || null, 
-        formattedDate, 
-        quantity || 1, 
-        status || 'Active', 
-        cost || 0, 
-        notes?.trim() || null
-      ]
+    await pool.query(
+      `INSERT INTO discovery_cursors (config_key, cursor, settings_hash, full_scan_at)
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+       ON CONFLICT (tenant_id, config_key) DO UPDATE
+       SET cursor = EXCLUDED.cursor, settings_hash = EXCLUDED.settings_hash, updated_at = CURRENT_TIMESTAMP,
+           full_scan_at = CASE WHEN $4 THEN CURRENT_TIMESTAMP ELSE discovery_cursors.full_scan_at END`,
+      [configKey, JSON.stringify(cursor), settingsHash, Boolean(fullScan)]
     );
-    return result.rows[0];
   } catch (error) {
-    console.error('Error creating license:', error);
+    console.error('Error saving discovery cursor:', error);
     throw error;
   }
 }
 
 /**
- * Update license
+ * List the current tenant's discovery runs, newest first, each with its connector runs
+ * @param {object} query - status, trigger, page, limit
+ * @returns {Promise<{data: Array<object>, pagination: object}>}
  */
-export async function updateLicense(id, licenseData) {
-  const fields = [];
-  const values = [];
-  let paramCount = 1;
-  
-  // Fields that should not be updated
-  const excludeFields = ['id', 'created_at', 'updated_at'];
-
-  for (const [key, value] of Object.entries(licenseData)) {
-    // Skip excluded fields and undefined values
-    if (excludeFields.includes(key) || value === undefined) {
-      continue;
-    }
-    
-    // Allow null values to be set
-    let processedValue = value;
-    
-    if (value !== null) {
-      // Format date fields
-      if (key === 'expiration_date' && typeof value === 'string') {
-        if (value.includes('T')) {
-          processedValue = value.split('T')[0];
-        } else if (value.includes('/')) {
-          const parts = value.split('/');
-          if (parts.length === 3) {
-            processedValue = `${parts[2]}-${parts[1]}-${parts[0]}`;
-          }
-        }
-      }
-      
-      // Trim string values
-      if (typeof processedValue === 'string') {
-        processedValue = processedValue.trim();
+export async function getDiscoveryRuns(query = {}) {
+  try {
+    const { page, limit, filters } = parseListParams(query, DISCOVERY_RUN_LIST_CONFIG);
+    const values = [];
+    const where = ['TRUE'];
+    for (const column of ['status', 'trigger']) {
+      if (filters[column]) {
+        values.push(filters[column]);
+        where.push(`r.${column} = ANY($${values.length})`);
       }
     }
-    
-    fields.push(`${key} = $${paramCount}`);
-    values.push(processedValue);
-    paramCount++;
-  }
 
-  if (fields.length === 0) {
-    throw new Error('No fields to update');
-  }
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM discovery_runs r WHERE ${where.join(' AND ')}`,
+      values
+    );
+    const total = countResult.rows[0].total;
 
-  fields.push(`updated_at = $${paramCount}`);
-  values.push(new Date());
-  values.push(id);
+    const result = await pool.query(
+      `SELECT ${DISCOVERY_RUN_COLUMNS} FROM discovery_runs r
+       WHERE ${where.join(' AND ')}
+       ORDER BY r.created_at DESC, r.id
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, (page - 1) * limit]
+    );
 
-  try {
-    const query = `UPDATE licenses SET ${fields.join(', ')} WHERE id = $${paramCount + 1} RETURNING *`;
-    console.log('Update query:', query);
-    console.log('Update values:', values);
-    const result = await pool.query(query, values);
-    return result.rows[0];
+    return {
+      data: result.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.max(1, Math.ceil(total / limit)),
+        hasMore: page * limit < total,
+      },
+    };
   } catch (error) {
-    console.error('Error updating license:', error);
+    console.error('Error fetching discovery runs:', error);
     throw error;
   }
 }
 
+// ============ RECONCILIATION FUNCTIONS ============
+
+const RECONCILIATION_LIST_CONFIG = {
+  defaultSort: 'confidence',
+  sortable: ['confidence'],
+  filters: ['status', 'source'],
+};
+
+const RECONCILIATION_COLUMNS = `q.*, json_build_object(
+  'id', a.id, 'asset_tag', a.asset_tag, 'asset_type', a.asset_type, 'manufacturer', a.manufacturer,
+  'model', a.model, 'serial_number', a.serial_number, 'hostname', a.hostname, 'mac_addresses', a.mac_addresses,
+  'status', a.status, 'assigned_user_name', a.assigned_user_name, 'deleted_at', a.deleted_at
+) AS asset`;
+
 /**
- * Delete license
+ * List reconciliation queue entries: pending ones (the default) by confidence, resolved ones newest first
+ * @param {object} query - status, source, page, limit
+ * @returns {Promise<{data: Array<object>, pagination: object}>}
  */
-export async function deleteLicense(id) {
+export async function getReconciliationQueue(query = {}) {
   try {
-    const result = await pool.query('DELETE FROM licenses WHERE id = $1 RETURNING *', [id]);
-    return result.rows[0];
+    const { page, limit, filters } = parseListParams(query, RECONCILIATION_LIST_CONFIG);
+    const statuses = filters.status || ['pending'];
+    const values = [statuses];
+    const where = ['q.status = ANY($1)'];
+    if (filters.source) {
+      values.push(filters.source);
+      where.push(`q.source = ANY($${values.length})`);
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM reconciliation_queue q WHERE ${where.join(' AND ')}`,
+      values
+    );
+    const total = countResult.rows[0].total;
+
+    const result = await pool.query(
+      `SELECT ${RECONCILIATION_COLUMNS} FROM reconciliation_queue q JOIN assets a ON a.id = q.asset_id
+       WHERE ${where.join(' AND ')}
+       ORDER BY (q.status = 'pending') DESC, q.resolved_at DESC NULLS LAST, q.confidence DESC, q.created_at, q.id
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, (page - 1) * limit]
+    );
+
+    return {
+      data: result.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.max(1, Math.ceil(total / limit)),
+        hasMore: page * limit < total,
+      },
+    };
   } catch (error) {
-    console.error('Error deleting license:', error);
+    console.error('Error fetching reconciliation queue:', error);
     throw error;
   }
 }
 
 /**
- * Search licenses
+ * Lock a pending queue entry. Throws with code CONFLICT if it was already resolved.
+ * @returns {Promise<object|undefined>} The entry, or undefined if it does not exist
  */
-export async function searchLicenses(query) {
+async function lockPendingMatch(client, id) {
+  if (!UUID_PATTERN.test(String(id))) return undefined;
+  const result = await client.query('SELECT * FROM reconciliation_queue WHERE id = $1 FOR UPDATE', [id]);
+  const entry = result.rows[0];
+  if (entry && entry.status !== 'pending') {
+    const error = new Error(`This match was already ${entry.status}`);
+    error.code = 'CONFLICT';
+    throw error;
+  }
+  return entry;
+}
+
+async function resolveMatch(client, id, status, actor) {
+  const result = await client.query(
+    `UPDATE reconciliation_queue
+     SET status = $2, resolved_at = CURRENT_TIMESTAMP, resolved_by = $3, resolved_by_name = $4, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 RETURNING *`,
+    [id, status, actor?.id || null, actor?.user_name || null]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Approve a match: merge the discovered record into the matched asset. The record's other
+ * pending matches are rejected.
+ * @returns {Promise<{match: object, asset: object}|undefined>} Undefined if the entry does not exist
+ */
+export async function approveMatch(id, actor = null) {
   try {
-    const searchTerm = `%${query}%`;
-    const result = await pool.query(
-      `SELECT * FROM licenses 
-       WHERE license_name ILIKE $1 
-          OR software_name ILIKE $1 
-          OR vendor ILIKE $1 
-          OR license_key ILIKE $1
-       ORDER BY created_at DESC`,
-      [searchTerm]
-    );
-    return result.rows;
+    return await withTransaction(async (client) => {
+      const entry = await lockPendingMatch(client, id);
+      if (!entry) return undefined;
+
+      const assetResult = await client.query('SELECT * FROM assets WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [entry.asset_id]);
+      if (assetResult.rows.length === 0) {
+        const error = new Error('The matched asset is in the trash');
+        error.code = 'CONFLICT';
+        throw error;
+      }
+
+      const asset = await linkDiscoveredRecord(client, assetResult.rows[0], entry.record, actor, {
+        origin: false,
+        firstSeenAt: entry.created_at,
+      });
+      const match = await resolveMatch(client, entry.id, 'approved', actor);
+      const others = await client.query(
+        `SELECT id FROM reconciliation_queue WHERE source = $1 AND source_key = $2 AND status = 'pending'`,
+        [entry.source, entry.source_key]
+      );
+      for (const other of others.rows) {
+        await resolveMatch(client, other.id, 'rejected', actor);
+      }
+      return { match, asset };
+    });
   } catch (error) {
-    console.error('Error searching licenses:', error);
+    if (error.code === '23505') {
+      const conflict = new Error(error.constraint === 'asset_sources_key'
+        ? 'This discovered record is already linked to an asset'
+        : `Cannot merge: another asset already uses this ${UNIQUE_INDEX_COLUMNS[error.constraint] || 'unique value'}`);
+      conflict.code = 'CONFLICT';
+      throw conflict;
+    }
+    console.error('Error approving reconciliation match:', error);
     throw error;
   }
 }
 
-// ============ USERS FUNCTIONS ============
-
 /**
- * Get all users
+ * Reject a match. Once every match of the discovered record is rejected, the record is added
+ * as a new asset - unless its serial number is already in use, in which case it is left out.
+ * @returns {Promise<{match: object, asset: object|null, error?: string}|undefined>} Undefined if the entry does not exist
  */
-export async function getAllUsers() {
+export async function rejectMatch(id, actor = null) {
   try {
-    const result = await pool.query('SELECT * FROM users ORDER BY created_at DESC');
-    return result.rows;
+    return await withTransaction(async (client) => {
+      const entry = await lockPendingMatch(client, id);
+      if (!entry) return undefined;
+
+      const match = await resolveMatch(client, entry.id, 'rejected', actor);
+      const remaining = await client.query(
+        `SELECT 1 FROM reconciliation_queue WHERE source = $1 AND source_key = $2 AND status = 'pending'
+         UNION ALL
+         SELECT 1 FROM asset_sources WHERE source = $1 AND source_key = $2`,
+        [entry.source, entry.source_key]
+      );
+      if (remaining.rows.length > 0) return { match, asset: null };
+
+      await client.query('SAVEPOINT create_discovered');
+      try {
+        return { match, asset: await createDiscoveredAsset(client, entry.record, actor) };
+      } catch (error) {
+        if (error.code !== '23505') throw error;
+        await client.query('ROLLBACK TO SAVEPOINT create_discovered');
+        const column = UNIQUE_INDEX_COLUMNS[error.constraint] || 'unique value';
+        return { match, asset: null, error: `Not added as a new asset: another asset already uses this ${column}` };
+      }
+    });
   } catch (error) {
-    console.error('Error fetching users:', error);
+    console.error('Error rejecting reconciliation match:', error);
     throw error;
   }
 }
 
+// ============ TRASH FUNCTIONS ============
+
+// Deleted rows can be purged for good once they have been in the trash this long
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30', 10);
+
+const TRASH_LIST_CONFIG = {
+  defaultSort: 'deleted_at',
+  sortable: ['deleted_at'],
+  filters: ['entity'],
+};
+
 /**
- * Create user
+ * List deleted records across entities, most recently deleted first
+ * @param {object} query - entity, page, limit
+ * @param {Array<string>} allowedEntities - Entities the caller may delete
+ * @returns {Promise<{data: Array<object>, pagination: object, retentionDays: number}>}
  */
-export async function createUser(userData) {
-  const { user_name, email, department, phone, role, status, notes } = userData;
+export async function getTrash(query = {}, allowedEntities) {
   try {
+    const { page, limit, filters } = parseListParams(query, TRASH_LIST_CONFIG);
+    const tables = (filters.entity || SEARCHABLE_ENTITIES).filter(entity => allowedEntities.includes(entity));
+    const empty = { data: [], pagination: { total: 0, page, limit, totalPages: 1, hasMore: false }, retentionDays: TRASH_RETENTION_DAYS };
+    if (tables.length === 0) return empty;
+
+    const selects = tables.map(table => {
+      const config = RECORD_DISPLAY[table];
+      return `SELECT '${table}' AS entity, id, ${config.title} AS title, ${config.subtitle} AS subtitle, deleted_at
+       FROM ${table} WHERE deleted_at IS NOT NULL`;
+    });
+    const trashSql = selects.join(' UNION ALL ');
+
+    const countResult = await pool.query(`SELECT COUNT(*)::int AS total FROM (${trashSql}) trash`);
+    const total = countResult.rows[0].total;
+
     const result = await pool.query(
-      `INSERT INTO users (user_name, email, department, phone, role, status, notes)
-       VALUES ($1, $2, $3, $4, $5, $6, $7)
-       RETURNING *`,
-      [user_name, email, department, phone, role, status || 'Active', notes]
+      `SELECT *, deleted_at + make_interval(days => $1) AS purge_after
+       FROM (${trashSql}) trash
+       ORDER BY deleted_at DESC, id DESC
+       LIMIT $2 OFFSET $3`,
+      [TRASH_RETENTION_DAYS, limit, (page - 1) * limit]
     );
-    return result.rows[0];
+
+    return {
+      data: result.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.max(1, Math.ceil(total / limit)),
+        hasMore: page * limit < total,
+      },
+      retentionDays: TRASH_RETENTION_DAYS,
+    };
   } catch (error) {
-    console.error('Error creating user:', error);
+    console.error('Error fetching trash:', error);
     throw error;
   }
 }
 
+// License seat column pointing at each kind of holder
+const SEAT_HOLDER_COLUMNS = { users: 'user_id', assets: 'asset_id' };
+
 /**
- * Update user
+ * Permanently delete trashed rows of one table that are past the retention period.
+ * Seats still open for a purged user or asset are released first; the seat rows stay as history.
+ * @param {string|null} id - One row, or null for every expired row
+ * @returns {Promise<Array<object>>} Purged rows
  */
-export async function updateUser(id, userData) {
-  const fields = [];
-  const values = [];
-  let paramCount = 1;
-
-  for (const [key, value] of Object.entries(userData)) {
-    if (value !== undefined && value !== null) {
-      fields.push(`${key} = $${paramCount}`);
-      values.push(value);
-      paramCount++;
+async function purgeRows(table, id, actor) {
+  return withTransaction(async (client) => {
+    const values = [TRASH_RETENTION_DAYS];
+    let idSql = '';
+    if (id) {
+      values.push(id);
+      idSql = 'AND id = $2';
     }
-  }
+    const expiredSql = `deleted_at IS NOT NULL AND deleted_at <= CURRENT_TIMESTAMP - make_interval(days => $1) ${idSql}`;
 
-  if (fields.length === 0) {
-    throw new Error('No fields to update');
-  }
+    const holderColumn = SEAT_HOLDER_COLUMNS[table];
+    if (holderColumn) {
+      const released = await client.query(
+        `UPDATE license_seats SET released_at = CURRENT_TIMESTAMP, released_by = $${values.length + 1}, released_by_name = $${values.length + 2}
+         WHERE released_at IS NULL AND ${holderColumn} IN (SELECT id FROM ${table} WHERE ${expiredSql})
+         RETURNING license_id, holder_name`,
+        [...values, actor?.id || null, actor?.user_name || null]
+      );
+      for (const seat of released.rows) {
+        await recordAudit(client, actor, 'licenses', seat.license_id, 'seat_release', { seat_holder: { before: seat.holder_name, after: null } });
+      }
+    }
 
-  fields.push(`updated_at = $${paramCount}`);
-  values.push(new Date());
-  values.push(id);
+    const result = await client.query(
+      `DELETE FROM ${table}
+       WHERE ${expiredSql}
+       RETURNING ${table === 'users' ? USER_COLUMNS : '*'}`,
+      values
+    );
+    for (const row of result.rows) {
+      await recordAudit(client, actor, table, row.id, 'purge', diffRows(row, null));
+    }
+    return result.rows;
+  });
+}
 
+/**
+ * Permanently delete one trashed record.
+ * Throws with code CONFLICT if it has not been in the trash for the retention period.
+ * @returns {Promise<object|undefined>} The purged row, or undefined if it is not in the trash
+ */
+export async function purgeTrashItem(entity, id, actor = null) {
   try {
-    const query = `UPDATE users SET ${fields.join(', ')} WHERE id = $${paramCount + 1} RETURNING *`;
-    const result = await pool.query(query, values);
-    return result.rows[0];
+    const [purged] = await purgeRows(entity, id, actor);
+    if (purged) return purged;
+
+    const trashed = await pool.query(`SELECT id FROM ${entity} WHERE id = $1 AND deleted_at IS NOT NULL`, [id]);
+    if (trashed.rows.length > 0) {
+      const error = new Error(`Items can only be purged after ${TRASH_RETENTION_DAYS} days in the trash`);
+      error.code = 'CONFLICT';
+      throw error;
+    }
+    return undefined;
   } catch (error) {
-    console.error('Error updating user:', error);
+    console.error('Error purging record:', error);
     throw error;
   }
 }
 
 /**
- * Delete user
+ * Permanently delete every trashed record past the retention period
+ * @param {Array<string>} entities - Entities the caller may delete
+ * @returns {Promise<number>} Number of purged records
  */
-export async function deleteUser(id) {
+export async function purgeExpiredTrash(entities, actor = null) {
   try {
-    const result = await pool.query('DELETE FROM users WHERE id = $1 RETURNING *', [id]);
-    return result.rows[0];
+    let purged = 0;
+    for (const entity of entities) {
+      purged += (await purgeRows(entity, null, actor)).length;
+    }
+    return purged;
   } catch (error) {
-    console.error('Error deleting user:', error);
+    console.error('Error purging trash:', error);
     throw error;
   }
 }
 
+// ============ ALERT FUNCTIONS ============
+
+// Dates watched for upcoming expiry; inactive or already expired records are skipped
+const ALERT_SOURCES = [
+  { entity: 'licenses', dateField: 'expiration_date' },
+  { entity: 'contracts', dateField: 'end_date' },
+  { entity: 'contracts', dateField: 'renewal_date' },
+];
+
+const ALERT_INACTIVE_STATUSES = ['Expired', 'Inactive'];
+
+// Watched dates of live records - alerts for a date that has since changed no longer match
+const ALERT_RECORDS_SQL = ALERT_SOURCES.map(({ entity, dateField }) =>
+  `SELECT '${entity}' AS entity, id AS entity_id, '${dateField}' AS date_field, ${dateField} AS due_date,
+     ${RECORD_DISPLAY[entity].title} AS title, status
+   FROM ${entity}
+   WHERE deleted_at IS NULL AND ${dateField} IS NOT NULL`
+).join(' UNION ALL ');
+
+const ALERT_COLUMNS = `a.id, a.entity, a.entity_id, a.date_field, to_char(a.due_date, 'YYYY-MM-DD') AS due_date,
+  (a.due_date - CURRENT_DATE) AS days_left, a.lead_days, r.title, a.created_at, a.delivered_at`;
+
 /**
- * Search users
+ * Create alerts for watched dates inside the narrowest lead time they have reached.
+ * Existing alerts are left alone, so each (date, lead time) fires once.
+ * @param {Array<number>} leadDays - Lead times in days, e.g. [90, 30, 7]
+ * @returns {Promise<number>} Number of new alerts
  */
-export async function searchUsers(query) {
+export async function createDueAlerts(leadDays) {
   try {
-    const searchTerm = `%${query}%`;
     const result = await pool.query(
-      `SELECT * FROM users 
-       WHERE user_name ILIKE $1 
-          OR email ILIKE $1 
-          OR department ILIKE $1 
-          OR phone ILIKE $1
-       ORDER BY created_at DESC`,
-      [searchTerm]
+      `INSERT INTO expiration_alerts (entity, entity_id, date_field, due_date, lead_days)
+       SELECT entity, entity_id, date_field, due_date,
+         (SELECT MIN(lead) FROM unnest($1::int[]) lead WHERE due_date - CURRENT_DATE <= lead)
+       FROM (${ALERT_RECORDS_SQL}) records
+       WHERE status <> ALL($2) AND due_date >= CURRENT_DATE AND due_date - CURRENT_DATE <= $3
+       ON CONFLICT ON CONSTRAINT expiration_alerts_once DO NOTHING`,
+      [leadDays, ALERT_INACTIVE_STATUSES, Math.max(...leadDays)]
     );
-    return result.rows;
+    return result.rowCount;
   } catch (error) {
-    console.error('Error searching users:', error);
+    console.error('Error creating expiration alerts:', error);
     throw error;
   }
 }
 
-// ============ CONTRACTS FUNCTIONS ============
-
 /**
- * Get all contracts
+ * Claim alerts still waiting for delivery whose record still has the alerted date, counting the
+ * attempt. A claimed alert is leased for
+ * `leaseMinutes`: other instances skip it until the delivery is recorded or the lease runs out.
+ * @returns {Promise<Array<object>>} Alerts with the channels that already have them (delivered_channels)
  */
-export async function getAllContracts() {
+export async function claimUndeliveredAlerts(maxAttempts, leaseMinutes) {
   try {
-    const result = await pool.query('SELECT * FROM contracts ORDER BY created_at DESC');
+    const result = await pool.query(
+      `WITH claimed AS (
+         UPDATE expiration_alerts
+         SET delivery_attempts = delivery_attempts + 1,
+           claimed_until = CURRENT_TIMESTAMP + make_interval(mins => $2)
+         WHERE id IN (
+           SELECT a.id FROM expiration_alerts a
+           JOIN (${ALERT_RECORDS_SQL}) r USING (entity, entity_id, date_field, due_date)
+           WHERE a.delivered_at IS NULL AND a.delivery_attempts < $1
+             AND (a.claimed_until IS NULL OR a.claimed_until < CURRENT_TIMESTAMP)
+           FOR UPDATE OF a SKIP LOCKED
+         )
+         RETURNING *
+       )
+       SELECT ${ALERT_COLUMNS}, a.delivered_channels
+       FROM claimed a
+       JOIN (${ALERT_RECORDS_SQL}) r USING (entity, entity_id, date_field, due_date)
+       ORDER BY a.due_date, r.title`,
+      [maxAttempts, leaseMinutes]
+    );
     return result.rows;
   } catch (error) {
-    console.error('Error fetching contracts:', error);
+    console.error('Error claiming alerts:', error);
     throw error;
   }
 }
 
 /**
- * Create contract
+ * Record the outcome of a delivery attempt and release the claim. An alert is delivered once every
+ * channel has it; the others are retried on the next run.
+ * @param {object} outcome - channels (every configured notifier), delivered (notifiers that accepted
+ *   the alerts this time) and error (null when none failed)
  */
-export async function createContract(contractData) {
-  const { contract_name, vendor, contract_type, start_date, end_date, contract_value, status, renewal_date, contact_person, contact_email, notes } = contractData;
+export async function recordAlertDelivery(ids, { channels, delivered, error: deliveryError = null }) {
   try {
-    const result = await pool.query(
-      `INSERT INTO contracts (contract_name, vendor, contract_type, start_date, end_date, contract_value, status, renewal_date, contact_person, contact_email, notes)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
-       RETURNING *`,
-      [contract_name, vendor, contract_type, start_date, end_date, contract_value || 0, status || 'Active', renewal_date, contact_person, contact_email, notes]
+    await pool.query(
+      `UPDATE expiration_alerts
+       SET delivered_channels = ARRAY(SELECT DISTINCT unnest(delivered_channels || $2::text[])),
+         delivered_at = CASE WHEN $3::text[] <@ (delivered_channels || $2::text[]) THEN CURRENT_TIMESTAMP END,
+         delivery_error = $4, claimed_until = NULL
+       WHERE id = ANY($1)`,
+      [ids, delivered, channels, deliveryError]
     );
-    return result.rows[0];
   } catch (error) {
-    console.error('Error creating contract:', error);
+    console.error('Error recording alert delivery:', error);
     throw error;
   }
 }
 
 /**
- * Update contract
+ * Unacknowledged alerts for records that still have the alerted date, soonest first.
+ * Only the narrowest lead time per date is returned.
+ * @param {Array<string>} allowedEntities - Entities the caller may read
  */
-export async function updateContract(id, contractData) {
-  const fields = [];
-  const values = [];
-  let paramCount = 1;
-
-  for (const [key, value] of Object.entries(contractData)) {
-    if (value !== undefined && value !== null) {
-      fields.push(`${key} = $${paramCount}`);
-      values.push(value);
-      paramCount++;
-    }
-  }
-
-  if (fields.length === 0) {
-    throw new Error('No fields to update');
+export async function getPendingAlerts(allowedEntities) {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM (
+         SELECT DISTINCT ON (a.entity, a.entity_id, a.date_field) ${ALERT_COLUMNS}
+         FROM expiration_alerts a
+         JOIN (${ALERT_RECORDS_SQL}) r USING (entity, entity_id, date_field, due_date)
+         WHERE a.acknowledged_at IS NULL AND a.entity = ANY($1)
+         ORDER BY a.entity, a.entity_id, a.date_field, a.lead_days
+       ) alerts
+       ORDER BY days_left, title`,
+      [allowedEntities]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    throw error;
   }
+}
 
-  fields.push(`updated_at = $${paramCount}`);
-  values.push(new Date());
-  values.push(id);
-
+/**
+ * Acknowledge an alert together with the other lead times for the same date
+ * @returns {Promise<{id: string, acknowledged: number}|undefined>} undefined if the alert does not exist or is for a hidden entity
+ */
+export async function acknowledgeAlert(id, allowedEntities, actor = null) {
   try {
-    const query = `UPDATE contracts SET ${fields.join(', ')} WHERE id = $${paramCount + 1} RETURNING *`;
-    const result = await pool.query(query, values);
-    return result.rows[0];
+    const result = await pool.query(
+      `UPDATE expiration_alerts a
+       SET acknowledged_at = CURRENT_TIMESTAMP, acknowledged_by = $3, acknowledged_by_name = $4
+       FROM expiration_alerts target
+       WHERE target.id = $1 AND target.entity = ANY($2)
+         AND a.entity = target.entity AND a.entity_id = target.entity_id
+         AND a.date_field = target.date_field AND a.due_date = target.due_date
+         AND a.acknowledged_at IS NULL
+       RETURNING a.id`,
+      [id, allowedEntities, actor?.id || null, actor?.user_name || null]
+    );
+    if (result.rowCount === 0) {
+      // Already acknowledged alerts are not an error
+      const existing = await pool.query(
+        'SELECT id FROM expiration_alerts WHERE id = $1 AND entity = ANY($2)',
+        [id, allowedEntities]
+      );
+      if (existing.rows.length === 0) return undefined;
+    }
+    return { id, acknowledged: result.rowCount };
   } catch (error) {
-    console.error('Error updating contract:', error);
+    console.error('Error acknowledging alert:', error);
     throw error;
   }
 }
 
+// ============ AUDIT FUNCTIONS ============
+
+const AUDIT_LIST_CONFIG = {
+  defaultSort: 'created_at',
+  sortable: ['created_at'],
+  filters: ['entity', 'action'],
+};
+
 /**
- * Delete contract
+ * List audit entries, newest first
+ * @param {object} query - entity, id, action, page, limit
+ * @param {Array<string>} allowedEntities - Entities the caller may read
+ * @returns {Promise<{data: Array<object>, pagination: object}>}
  */
-export async function deleteContract(id) {
+export async function getAuditLog(query = {}, allowedEntities) {
   try {
-    const result = await pool.query('DELETE FROM contracts WHERE id = $1 RETURNING *', [id]);
-    return result.rows[0];
+    const { page, limit, filters } = parseListParams(query, AUDIT_LIST_CONFIG);
+    if (query.id && !UUID_PATTERN.test(String(query.id))) {
+      throw validationError('Invalid list parameters', { id: 'Must be a record id' });
+    }
+
+    const entities = filters.entity
+      ? filters.entity.filter(entity => allowedEntities.includes(entity))
+      : allowedEntities;
+    const values = [entities];
+    const where = ['entity = ANY($1)'];
+    if (query.id) {
+      values.push(String(query.id));
+      where.push(`entity_id = $${values.length}`);
+    }
+    if (filters.action) {
+      values.push(filters.action);
+      where.push(`action = ANY($${values.length})`);
+    }
+
+    const countResult = await pool.query(
+      `SELECT COUNT(*)::int AS total FROM audit_log WHERE ${where.join(' AND ')}`,
+      values
+    );
+    const total = countResult.rows[0].total;
+
+    const result = await pool.query(
+      `SELECT * FROM audit_log WHERE ${where.join(' AND ')}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, (page - 1) * limit]
+    );
+
+    return {
+      data: result.rows,
+      pagination: {
+        total,
+        page,
+        limit,
+        totalPages: Math.max(1, Math.ceil(total / limit)),
+        hasMore: page * limit < total,
+      },
+    };
   } catch (error) {
-    console.error('Error deleting contract:', error);
+    console.error('Error fetching audit log:', error);
     throw error;
   }
 }
 
+// ============ SEARCH FUNCTIONS ============
+
 /**
- * Search contracts
+ * Ranked search across entities, returning mixed results with highlights.
+ *
+ * @param {object} query - Search parameters (q, limit, types)
+ * @param {Array<string>} allowedEntities - Entities the caller may read
+ * @returns {Promise<Array<{entity: string, id: string, title: string, subtitle: string, rank: number, highlight: Array<object>}>>}
  */
-export async function searchContracts(query) {
+export async function globalSearch(query, allowedEntities) {
   try {
-    const searchTerm = `%${query}%`;
+    const { q, limit, entities } = parseSearchParams(query, SEARCHABLE_ENTITIES);
+    const tsQuery = buildTsQuery(q);
+    const tables = (entities || SEARCHABLE_ENTITIES).filter(entity => allowedEntities.includes(entity));
+    if (tables.length === 0) return [];
+
+    const selects = tables.map(table => {
+      const config = RECORD_DISPLAY[table];
+      return `SELECT '${table}' AS entity, id, ${config.title} AS title, ${config.subtitle} AS subtitle,
+         ${searchRank(table, '$1', '$2')} AS rank,
+         ts_headline('simple', ${table}_search_text(${table}), COALESCE(to_tsquery('simple', $1), ''::tsquery), $3) AS headline
+       FROM ${table}
+       WHERE deleted_at IS NULL AND ${searchCondition(table, '$1', '$2')}`;
+    });
+
     const result = await pool.query(
-      `SELECT * FROM contracts 
-       WHERE contract_name ILIKE $1 
-          OR vendor ILIKE $1 
-          OR contact_person ILIKE $1 
-          OR contact_email ILIKE $1
-       ORDER BY created_at DESC`,
-      [searchTerm]
+      `SELECT * FROM (${selects.join(' UNION ALL ')}) results
+       ORDER BY rank DESC, title ASC
+       LIMIT $4`,
+      [tsQuery, q, HEADLINE_OPTIONS, limit]
     );
-    return result.rows;
+
+    return result.rows.map(({ headline, rank, ...row }) => ({
+      ...row,
+      rank: parseFloat(rank),
+      highlight: parseHeadline(headline),
+    }));
   } catch (error) {
-    console.error('Error searching contracts:', error);
+    console.error('Error running search:', error);
     throw error;
   }
 }
@@ -0,0 +1,74 @@
+// Matching discovered records against inventory assets: which identifiers agree and how sure the match is
+
+// Weight of each identifier in a match's confidence
+export const MATCH_WEIGHTS = { serial_number: 0.6, mac_addresses: 0.3, hostname: 0.1 };
+
+const TOTAL_WEIGHT = Object.values(MATCH_WEIGHTS).reduce((sum, weight) => sum + weight, 0);
+
+function normalizeSerial(serialNumber) {
+  return serialNumber ? String(serialNumber).trim().toLowerCase() : null;
+}
+
+// "LAPTOP-42.corp.example.com" and "laptop-42" are the same host
+function shortHostname(hostname) {
+  return hostname ? String(hostname).trim().split('.')[0].toLowerCase() || null : null;
+}
+
+/**
+ * Compare a discovered record (discovered_asset fields) with an asset.
+ * Only identifiers both sides have are compared; confidence is the weight of those that agree out of
+ * every identifier's weight, so a match on a weak identifier alone (the hostname) stays low.
+ * A match is exact - safe to merge without review - when the serial numbers agree and nothing conflicts.
+ *
+ * @returns {{confidence: number, matchedOn: Array<string>, conflicts: Array<string>, exact: boolean}}
+ */
+export function scoreMatch(record, asset) {
+  const recordMacs = record.mac_addresses || [];
+  const assetMacs = asset.mac_addresses || [];
+  const comparisons = {
+    serial_number: [normalizeSerial(record.serial_number), normalizeSerial(asset.serial_number), (a, b) => a === b],
+    mac_addresses: [recordMacs.length > 0, assetMacs.length > 0, () => recordMacs.some(mac => assetMacs.includes(mac))],
+    hostname: [shortHostname(record.hostname), shortHostname(asset.hostname), (a, b) => a === b],
+  };
+
+  const matchedOn = [];
+  const conflicts = [];
+  let matched = 0;
+  for (const [identifier, [ours, theirs, agrees]] of Object.entries(comparisons)) {
+    if (!ours || !theirs) continue;
+    if (agrees(ours, theirs)) {
+      matched += MATCH_WEIGHTS[identifier];
+      matchedOn.push(identifier);
+    } else {
+      conflicts.push(identifier);
+    }
+  }
+
+  const confidence = Math.round((matched / TOTAL_WEIGHT) * 1000) / 1000;
+  return {
+    confidence,
+    matchedOn,
+    conflicts,
+    exact: matchedOn.includes('serial_number') && conflicts.length === 0,
+  };
+}
+
+/**
+ * Asset fields a discovered record sets. The source that created an asset keeps them in sync;
+ * any other source only fills fields that are still blank (including the serial number).
+ */
+export function discoveredFields(record, asset, { origin }) {
+  const reported = {
+    asset_type: record.asset_type,
+    manufacturer: record.manufacturer ?? null,
+    model: record.model ?? null,
+    hostname: record.hostname ?? null,
+    mac_addresses: record.mac_addresses || [],
+  };
+  if (origin) return reported;
+
+  // The serial number is the key of the source that created the asset, so only a merge can fill it in
+  reported.serial_number = record.serial_number ?? null;
+  const blank = value => value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+  return Object.fromEntries(Object.entries(reported).filter(([column, value]) => blank(asset[column]) && !blank(value)));
+}
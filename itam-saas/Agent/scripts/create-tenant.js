@@ -0,0 +1,26 @@
+// Create a tenant and its first admin account
+// Usage: npm run create-tenant -- <slug> <name> <admin-email> <admin-password>
+import pool from '../db.js';
+import { hashPassword } from '../auth.js';
+import { createTenant } from '../queries.js';
+
+async function main() {
+  const [slug, name, email, password] = process.argv.slice(2);
+  if (!slug || !name || !email || !password) {
+    throw new Error('Usage: npm run create-tenant -- <slug> <name> <admin-email> <admin-password>');
+  }
+
+  const tenant = await createTenant(
+    { slug, name },
+    { user_name: 'Administrator', email, role: 'admin', password_hash: await hashPassword(password) }
+  );
+  console.log(`✅ Tenant ${tenant.name} (${tenant.slug}) created with admin ${tenant.admin.email}`);
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌', error.fields ? `${error.message}: ${JSON.stringify(error.fields)}` : error.message);
+    await pool.end();
+    process.exit(1);
+  });
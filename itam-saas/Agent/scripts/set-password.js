@@ -0,0 +1,43 @@
+// Set the login password (and optionally the role) for an existing user
+// Usage: npm run set-password -- <email> <password> [role] [tenant-slug]
+// The tenant is only needed when users in several tenants share the email.
+import pool, { runWithTenant } from '../db.js';
+import { hashPassword } from '../auth.js';
+import { setUserPasswordByEmail, updateUser, getTenantsByUserEmail } from '../queries.js';
+import { isValidRole, ROLES } from '../permissions.js';
+
+async function main() {
+  const [email, password, role, tenantSlug] = process.argv.slice(2);
+  if (!email || !password) {
+    throw new Error('Usage: npm run set-password -- <email> <password> [role] [tenant-slug]');
+  }
+  if (role && !isValidRole(role)) {
+    throw new Error(`Invalid role. Must be one of: ${ROLES.join(', ')}`);
+  }
+
+  const tenants = (await getTenantsByUserEmail(email)).filter(tenant => !tenantSlug || tenant.slug === tenantSlug);
+  if (tenants.length === 0) {
+    throw new Error(`No user found with email ${email}${tenantSlug ? ` in tenant ${tenantSlug}` : ''}`);
+  }
+  if (tenants.length > 1) {
+    throw new Error(`Users in several tenants have email ${email} - pass one of: ${tenants.map(tenant => tenant.slug).join(', ')}`);
+  }
+  const [tenant] = tenants;
+
+  const passwordHash = await hashPassword(password);
+  await runWithTenant(tenant.id, async () => {
+    let user = await setUserPasswordByEmail(email, passwordHash);
+    if (role) {
+      user = await updateUser(user.id, { role });
+    }
+    console.log(`✅ Password set for ${user.user_name} <${user.email}> in ${tenant.name} (role: ${user.role})`);
+  });
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error('❌', error.message);
+    await pool.end();
+    process.exit(1);
+  });
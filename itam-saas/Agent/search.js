@@ -0,0 +1,77 @@
+// Full-text search helpers: turn user input into a prefix tsquery and
+// split ts_headline output into highlight segments
+import { validationError } from './validation.js';
+
+export const DEFAULT_SEARCH_LIMIT = 20;
+export const MAX_SEARCH_LIMIT = 100;
+const MAX_TERMS = 8;
+
+// Control characters used as ts_headline delimiters - they cannot appear in user data
+const START_SEL = '\u0002';
+const STOP_SEL = '\u0003';
+export const HEADLINE_OPTIONS = `StartSel=${START_SEL}, StopSel=${STOP_SEL}, MaxWords=20, MinWords=6, MaxFragments=2`;
+
+/**
+ * Build a prefix tsquery ("dell:* & lat:*") from free text.
+ * Punctuation splits terms, so "LAP-0042" matches the tokens "lap" and "0042".
+ * @returns {string|null} null if the text has no searchable terms
+ */
+export function buildTsQuery(text) {
+  const terms = String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, MAX_TERMS);
+  return terms.length > 0 ? terms.map(term => `${term}:*`).join(' & ') : null;
+}
+
+/**
+ * Split a ts_headline result into [{text, match}] segments for safe rendering
+ */
+export function parseHeadline(headline) {
+  const segments = [];
+  for (const [index, part] of String(headline || '').split(START_SEL).entries()) {
+    if (index === 0) {
+      if (part) segments.push({ text: part, match: false });
+      continue;
+    }
+    const [matched, rest] = part.split(STOP_SEL);
+    if (matched) segments.push({ text: matched, match: true });
+    if (rest) segments.push({ text: rest, match: false });
+  }
+  return segments;
+}
+
+/**
+ * Parse the unified search query string
+ * @returns {{q: string, limit: number, entities: Array<string>|null}}
+ * @throws {Error} code VALIDATION_FAILED with `fields` mapping parameter -> message
+ */
+export function parseSearchParams(query = {}, entities) {
+  const fields = {};
+
+  const q = query.q ? String(query.q).trim() : '';
+  if (!q) {
+    fields.q = 'Required';
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_SEARCH_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+    fields.limit = `Must be a whole number between 1 and ${MAX_SEARCH_LIMIT}`;
+  }
+
+  let types = null;
+  if (query.types) {
+    types = String(query.types).split(',').map(type => type.trim()).filter(Boolean);
+    const unknown = types.filter(type => !entities.includes(type));
+    if (unknown.length > 0) {
+      fields.types = `Must be any of: ${entities.join(', ')}`;
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw validationError('Invalid search parameters', fields);
+  }
+
+  return { q, limit, entities: types };
+}
@@ -1,8 +1,18 @@
+import { AsyncResource } from 'async_hooks';
 import express from 'express';
 import cors from 'cors';
 import bodyParser from 'body-parser';
 import dotenv from 'dotenv';
+import multer from 'multer';
 import * as db from './queries.js';
+import * as auth from './auth.js';
+import { requirePermission, hasPermission, getPermittedEntities, ENTITIES } from './permissions.js';
+import { SCHEMAS, TREND_METRICS } from './validation.js';
+import { parseImportFile, buildImportMapping, IMPORT_KEYS, MAX_IMPORT_BYTES } from './imports.js';
+import { parseExportFormat, streamExport } from './exports.js';
+import { startAlertScheduler, ALERT_LEAD_DAYS } from './alerts.js';
+import { startMissingAssetScheduler, MISSING_AFTER_DAYS } from './staleness.js';
+import { startSnapshotScheduler } from './snapshots.js';
 
 dotenv.config();
 
@@ -16,8 +26,12 @@ console.log('🔧 CORS Origin:', allowedOrigin);
 // Middleware
 app.use(cors({
   origin: allowedOrigin,
-  credentials: true
+  credentials: true,
+  // Lets the client read export file names
+  exposedHeaders: ['Content-Disposition']
 }));
+// Discovery batches outgrow the default 100kb body limit
+app.use('/api/discovery/ingest', bodyParser.json({ limit: '5mb' }));
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
@@ -35,8 +49,16 @@ async function startServer() {
       console.log(`🔄 Attempting to initialize database (${6 - retries}/5)...`);
       await db.initDatabase();
       console.log('✅ Database initialized successfully');
+      startAlertScheduler();
+      startMissingAssetScheduler();
+      startSnapshotScheduler();
       return;
     } catch (error) {
+      if (error.code === 'SCHEMA_OUT_OF_DATE' || error.code === 'TENANT_ISOLATION_UNSAFE') {
+        // Serving against an old schema would corrupt data, and without isolation would leak it - refuse to start
+        console.error('❌ Refusing to start:', error.message);
+        process.exit(1);
+      }
       retries--;
       console.error(`❌ Database init failed (${retries} retries left):`, error.message);
       if (retries > 0) {
@@ -49,6 +71,42 @@ async function startServer() {
   console.warn('⚠️ Database initialization failed after retries - server starting without DB');
 }
 
+/**
+ * Send an error response. Validation failures become 422 with field-level messages, conflicts 409.
+ */
+function sendError(res, error, status = 500) {
+  if (error.code === 'VALIDATION_FAILED') {
+    return res.status(422).json({ error: error.message, fields: error.fields });
+  }
+  if (error.code === 'CONFLICT') {
+    return res.status(409).json({ error: error.message, ...(error.fields && { fields: error.fields }) });
+  }
+  res.status(status).json({ error: error.message });
+}
+
+/**
+ * Asset and license lists name the contracts covering each row - drop them for callers who cannot read contracts
+ */
+function withCoverage(list, user) {
+  if (hasPermission(user.role, 'contracts:read')) return list;
+  return { ...list, data: list.data.map(({ covering_contracts, ...row }) => row) };
+}
+
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_IMPORT_BYTES, files: 1 } });
+
+/**
+ * Accept one multipart upload in the "file" field. Upload errors (e.g. too large) become 422.
+ */
+function uploadFile(req, res, next) {
+  // Bound so the handler stays in the request's tenant scope after multer's stream callbacks
+  upload.single('file')(req, res, AsyncResource.bind((error) => {
+    if (error) {
+      return res.status(422).json({ error: 'Upload failed', fields: { file: error.message } });
+    }
+    next();
+  }));
+}
+
 // --- ROUTES ---
 
 // Health check
@@ -56,18 +114,159 @@ app.get('/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Get all assets
-app.get('/api/assets', async (req, res) => {
+// --- AUTH ROUTES ---
+
+// Log in with email and password
+app.post('/api/auth/login', async (req, res) => {
   try {
-    const assets = await db.getAllAssets();
-    res.json(assets);
+    const session = await auth.login(req.body.email, req.body.password);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid email or password' });
+    }
+    console.log('🔐 User logged in:', session.user.email);
+    res.json(session);
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Exchange a refresh token for a new session
+app.post('/api/auth/refresh', async (req, res) => {
+  try {
+    const session = await auth.refreshSession(req.body.refreshToken);
+    if (!session) {
+      return res.status(401).json({ error: 'Invalid or expired refresh token' });
+    }
+    res.json(session);
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Log out (revoke the refresh token)
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    await auth.logout(req.body.refreshToken);
+    res.json({ message: 'Logged out' });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Every /api route below this line requires a valid access token
+app.use('/api', auth.authenticate);
+
+// Get the logged-in user
+app.get('/api/auth/me', async (req, res) => {
+  try {
+    const [user, tenant] = await Promise.all([db.getUserById(req.user.id), db.getTenantById(req.user.tenant_id)]);
+    if (!user) {
+      return res.status(401).json({ error: 'User no longer exists' });
+    }
+    res.json(auth.withPermissions(user, tenant));
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// --- TENANT ROUTES ---
+
+// The caller's tenant
+app.get('/api/tenant', async (req, res) => {
+  try {
+    res.json(await db.getTenantById(req.user.tenant_id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Discovery connector settings of the caller's tenant (secrets masked) and its discovery schedule
+app.get('/api/tenant/discovery', requirePermission('tenant:manage'), async (req, res) => {
+  try {
+    res.json(await db.getTenantDiscoveryConfig(req.user.tenant_id));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Replace the discovery connector settings, e.g. { "config": { "aws": { "regions": ["us-east-1"] } } }
+app.put('/api/tenant/discovery', requirePermission('tenant:manage'), async (req, res) => {
+  try {
+    const config = await db.updateTenantDiscoveryConfig(req.user.tenant_id, req.body.config);
+    console.log('🔧 Discovery config updated for tenant:', req.user.tenant_id);
+    res.json({ config });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Run discovery for the tenant on a cron schedule (UTC), e.g. { "schedule": "0 */6 * * *" }; null for the default
+app.put('/api/tenant/discovery/schedule', requirePermission('tenant:manage'), async (req, res) => {
+  try {
+    const schedule = await db.updateTenantDiscoverySchedule(req.user.tenant_id, req.body.schedule);
+    console.log('🔧 Discovery schedule updated for tenant:', req.user.tenant_id, schedule || 'default');
+    res.json({ schedule });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Depreciation settings per asset type, e.g. { "laptop": { "method": "straight_line", "useful_life_months": 36 } }
+app.get('/api/tenant/depreciation', requirePermission('finance:read'), async (req, res) => {
+  try {
+    res.json({ profiles: await db.getTenantDepreciationProfiles(req.user.tenant_id) });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Replace the depreciation settings per asset type: { "profiles": { ... } }
+app.put('/api/tenant/depreciation', requirePermission('tenant:manage'), async (req, res) => {
+  try {
+    const profiles = await db.updateTenantDepreciationProfiles(req.user.tenant_id, req.body.profiles);
+    console.log('🔧 Depreciation profiles updated for tenant:', req.user.tenant_id);
+    res.json({ profiles });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// --- EXPORT ROUTES ---
+
+// Download a list as ?format=csv|xlsx|json|pdf with the same search, filter and sort parameters.
+// Registered ahead of the entity routes so "export" is not taken for a record id.
+for (const entity of ENTITIES) {
+  app.get(`/api/${entity}/export`, requirePermission(`${entity}:read`), async (req, res) => {
+    try {
+      const format = parseExportFormat(req.query);
+      await streamExport(res, entity, format, onBatch => db.exportRows(entity, req.query, onBatch));
+    } catch (error) {
+      // The client went away - there is no one left to answer
+      if (res.destroyed) return;
+      if (res.headersSent) {
+        // Part of the file is already out - cut the download short rather than append JSON
+        console.error(`❌ Export of ${entity} failed:`, error.message);
+        return res.destroy(error);
+      }
+      sendError(res, error);
+    }
+  });
+}
+
+// --- ASSETS ROUTES ---
+
+// List assets (paginated, sortable, filterable); ?stale=true lists assets flagged missing by discovery
+app.get('/api/assets', requirePermission('assets:read'), async (req, res) => {
+  try {
+    const assets = await db.getAllAssets(req.query);
+    res.json({ ...withCoverage(assets, req.user), missingAfterDays: MISSING_AFTER_DAYS });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // Get asset by ID
-app.get('/api/assets/:id', async (req, res) => {
+app.get('/api/assets/:id', requirePermission('assets:read'), async (req, res) => {
   try {
     const asset = await db.getAssetById(req.params.id);
     if (!asset) {
@@ -80,7 +279,7 @@ app.get('/api/assets/:id', async (req, res) => {
 });
 
 // Search assets
-app.get('/api/assets/search/:query', async (req, res) => {
+app.get('/api/assets/search/:query', requirePermission('assets:read'), async (req, res) => {
   try {
     const assets = await db.searchAssets(req.params.query);
     res.json(assets);
@@ -90,7 +289,7 @@ app.get('/api/assets/search/:query', async (req, res) => {
 });
 
 // Get asset statistics
-app.get('/api/stats', async (req, res) => {
+app.get('/api/stats', requirePermission('assets:read'), async (req, res) => {
   try {
     const stats = await db.getAssetStats();
     res.json(stats);
@@ -100,55 +299,143 @@ app.get('/api/stats', async (req, res) => {
 });
 
 // Create new asset
-app.post('/api/assets', async (req, res) => {
+app.post('/api/assets', requirePermission('assets:create'), async (req, res) => {
   try {
-    const asset = await db.createAsset(req.body);
+    const asset = await db.createAsset(req.body, req.user);
     res.status(201).json(asset);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error, 400);
   }
 });
 
 // Update asset
-app.put('/api/assets/:id', async (req, res) => {
+app.put('/api/assets/:id', requirePermission('assets:update'), async (req, res) => {
   try {
-    const asset = await db.updateAsset(req.params.id, req.body);
+    const asset = await db.updateAsset(req.params.id, req.body, req.user);
     if (!asset) {
       return res.status(404).json({ error: 'Asset not found' });
     }
     res.json(asset);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error, 400);
   }
 });
 
 // Delete asset
-app.delete('/api/assets/:id', async (req, res) => {
+app.delete('/api/assets/:id', requirePermission('assets:delete'), async (req, res) => {
   try {
-    const asset = await db.deleteAsset(req.params.id);
+    const asset = await db.deleteAsset(req.params.id, req.user);
     if (!asset) {
       return res.status(404).json({ error: 'Asset not found' });
     }
-    res.json({ message: 'Asset deleted', asset });
+    res.json({ message: 'Asset moved to trash', asset });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Restore asset from the trash
+app.post('/api/assets/:id/restore', requirePermission('assets:delete'), async (req, res) => {
+  try {
+    const asset = await db.restoreAsset(req.params.id, req.user);
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found in trash' });
+    }
+    res.json({ message: 'Asset restored', asset });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Check an asset out to a user
+app.post('/api/assets/:id/checkout', requirePermission('assets:update'), async (req, res) => {
+  try {
+    const result = await db.checkoutAsset(req.params.id, req.body, req.user);
+    if (!result) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 400);
+  }
+});
+
+// Check an asset back in
+app.post('/api/assets/:id/checkin', requirePermission('assets:update'), async (req, res) => {
+  try {
+    const result = await db.checkinAsset(req.params.id, req.body, req.user);
+    if (!result) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 400);
+  }
+});
+
+// Move an asset to another lifecycle state
+app.post('/api/assets/:id/transition', requirePermission('assets:update'), async (req, res) => {
+  try {
+    const asset = await db.transitionAsset(req.params.id, req.body, req.user);
+    if (!asset) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    res.json(asset);
+  } catch (error) {
+    sendError(res, error, 400);
+  }
+});
+
+// Assignment history for an asset
+app.get('/api/assets/:id/assignments', requirePermission('assets:read'), async (req, res) => {
+  try {
+    const assignments = await db.getAssetAssignments(req.params.id);
+    res.json(assignments);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Contracts covering an asset, and whether each one's coverage has lapsed
+app.get('/api/assets/:id/contracts', requirePermission('contracts:read'), async (req, res) => {
+  try {
+    const contracts = await db.getCoveringContracts('assets', req.params.id);
+    if (!contracts) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    res.json(contracts);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Book value of an asset and its depreciation schedule (?as_of=YYYY-MM-DD, default today)
+app.get('/api/assets/:id/valuation', requirePermission('finance:read'), async (req, res) => {
+  try {
+    const valuation = await db.getAssetValuation(req.params.id, req.query.as_of);
+    if (!valuation) {
+      return res.status(404).json({ error: 'Asset not found' });
+    }
+    res.json(valuation);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // --- LICENSES ROUTES ---
 
-// Get all licenses
-app.get('/api/licenses', async (req, res) => {
+// List licenses (paginated, sortable, filterable)
+app.get('/api/licenses', requirePermission('licenses:read'), async (req, res) => {
   try {
-    const licenses = await db.getAllLicenses();
-    res.json(licenses);
+    const licenses = await db.getAllLicenses(req.query);
+    res.json(withCoverage(licenses, req.user));
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // Search licenses
-app.get('/api/licenses/search/:query', async (req, res) => {
+app.get('/api/licenses/search/:query', requirePermission('licenses:read'), async (req, res) => {
   try {
     const licenses = await db.searchLicenses(req.params.query);
     res.json(licenses);
@@ -158,23 +445,23 @@ app.get('/api/licenses/search/:query', async (req, res) => {
 });
 
 // Create new license
-app.post('/api/licenses', async (req, res) => {
+app.post('/api/licenses', requirePermission('licenses:create'), async (req, res) => {
   try {
     console.log('📝 Creating license with data:', req.body);
-    const license = await db.createLicense(req.body);
+    const license = await db.createLicense(req.body, req.user);
     console.log('✅ License created:', license);
     res.status(201).json(license);
   } catch (error) {
     console.error('❌ License creation error:', error.message);
-    res.status(400).json({ error: error.message });
+    sendError(res, error, 400);
   }
 });
 
 // Update license
-app.put('/api/licenses/:id', async (req, res) => {
+app.put('/api/licenses/:id', requirePermission('licenses:update'), async (req, res) => {
   try {
     console.log('📝 Updating license', req.params.id, 'with data:', req.body);
-    const license = await db.updateLicense(req.params.id, req.body);
+    const license = await db.updateLicense(req.params.id, req.body, req.user);
     if (!license) {
       return res.status(404).json({ error: 'License not found' });
     }
@@ -182,37 +469,111 @@ app.put('/api/licenses/:id', async (req, res) => {
     res.json(license);
   } catch (error) {
     console.error('❌ License update error:', error.message);
-    res.status(400).json({ error: error.message });
+    sendError(res, error, 400);
   }
 });
 
 // Delete license
-app.delete('/api/licenses/:id', async (req, res) => {
+app.delete('/api/licenses/:id', requirePermission('licenses:delete'), async (req, res) => {
   try {
-    const license = await db.deleteLicense(req.params.id);
+    const license = await db.deleteLicense(req.params.id, req.user);
     if (!license) {
       return res.status(404).json({ error: 'License not found' });
     }
-    res.json({ message: 'License deleted', license });
+    res.json({ message: 'License moved to trash', license });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Restore license from the trash
+app.post('/api/licenses/:id/restore', requirePermission('licenses:delete'), async (req, res) => {
+  try {
+    const license = await db.restoreLicense(req.params.id, req.user);
+    if (!license) {
+      return res.status(404).json({ error: 'License not found in trash' });
+    }
+    res.json({ message: 'License restored', license });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Used versus purchased seats for every license (?over_allocated=true for violations only)
+app.get('/api/licenses/compliance', requirePermission('licenses:read'), async (req, res) => {
+  try {
+    let licenses = await db.getLicenseCompliance();
+    if (req.query.over_allocated === 'true') {
+      licenses = licenses.filter(license => license.over_allocated);
+    }
+    res.json({
+      licenses,
+      summary: {
+        licenses: licenses.length,
+        purchased: licenses.reduce((sum, license) => sum + license.purchased, 0),
+        used: licenses.reduce((sum, license) => sum + license.used, 0),
+        overAllocated: licenses.filter(license => license.over_allocated).length,
+      },
+    });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Open seats of a license and who holds them
+app.get('/api/licenses/:id/seats', requirePermission('licenses:read'), async (req, res) => {
+  try {
+    const [compliance] = await db.getLicenseCompliance(req.params.id);
+    if (!compliance) {
+      return res.status(404).json({ error: 'License not found' });
+    }
+    const seats = await db.getLicenseSeats(req.params.id);
+    res.json({ seats, compliance });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Contracts covering a license, and whether each one's coverage has lapsed
+app.get('/api/licenses/:id/contracts', requirePermission('contracts:read'), async (req, res) => {
+  try {
+    const contracts = await db.getCoveringContracts('licenses', req.params.id);
+    if (!contracts) {
+      return res.status(404).json({ error: 'License not found' });
+    }
+    res.json(contracts);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Allocate or release a seat ({ action: 'allocate' | 'release', user_id | asset_id, notes })
+app.post('/api/licenses/:id/seats', requirePermission('licenses:update'), async (req, res) => {
+  try {
+    const result = await db.updateLicenseSeats(req.params.id, req.body, req.user);
+    if (!result) {
+      return res.status(404).json({ error: 'License not found' });
+    }
+    res.json(result);
+  } catch (error) {
+    sendError(res, error, 400);
+  }
+});
+
 // --- USERS ROUTES ---
 
-// Get all users
-app.get('/api/users', async (req, res) => {
+// List users (paginated, sortable, filterable)
+app.get('/api/users', requirePermission('users:read'), async (req, res) => {
   try {
-    const users = await db.getAllUsers();
+    const users = await db.getAllUsers(req.query);
     res.json(users);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // Search users
-app.get('/api/users/search/:query', async (req, res) => {
+app.get('/api/users/search/:query', requirePermission('users:read'), async (req, res) => {
   try {
     const users = await db.searchUsers(req.params.query);
     res.json(users);
@@ -222,55 +583,78 @@ app.get('/api/users/search/:query', async (req, res) => {
 });
 
 // Create new user
-app.post('/api/users', async (req, res) => {
+app.post('/api/users', requirePermission('users:create'), async (req, res) => {
   try {
-    const user = await db.createUser(req.body);
+    const user = await db.createUser(await auth.prepareUserCredentials(req.body), req.user);
     res.status(201).json(user);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error, 400);
   }
 });
 
 // Update user
-app.put('/api/users/:id', async (req, res) => {
+app.put('/api/users/:id', requirePermission('users:update'), async (req, res) => {
   try {
-    const user = await db.updateUser(req.params.id, req.body);
+    const user = await db.updateUser(req.params.id, await auth.prepareUserCredentials(req.body), req.user);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
     res.json(user);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error, 400);
   }
 });
 
 // Delete user
-app.delete('/api/users/:id', async (req, res) => {
+app.delete('/api/users/:id', requirePermission('users:delete'), async (req, res) => {
   try {
-    const user = await db.deleteUser(req.params.id);
+    const user = await db.deleteUser(req.params.id, req.user);
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
-    res.json({ message: 'User deleted', user });
+    res.json({ message: 'User moved to trash', user });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
+  }
+});
+
+// Restore user from the trash
+app.post('/api/users/:id/restore', requirePermission('users:delete'), async (req, res) => {
+  try {
+    const user = await db.restoreUser(req.params.id, req.user);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found in trash' });
+    }
+    res.json({ message: 'User restored', user });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Equipment currently checked out to a user
+app.get('/api/users/:id/assets', requirePermission('users:read'), requirePermission('assets:read'), async (req, res) => {
+  try {
+    const assets = await db.getUserAssets(req.params.id);
+    res.json(assets);
+  } catch (error) {
+    sendError(res, error);
   }
 });
 
 // --- CONTRACTS ROUTES ---
 
-// Get all contracts
-app.get('/api/contracts', async (req, res) => {
+// List contracts (paginated, sortable, filterable)
+app.get('/api/contracts', requirePermission('contracts:read'), async (req, res) => {
   try {
-    const contracts = await db.getAllContracts();
+    const contracts = await db.getAllContracts(req.query);
     res.json(contracts);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, error);
   }
 });
 
 // Search contracts
-app.get('/api/contracts/search/:query', async (req, res) => {
+app.get('/api/contracts/search/:query', requirePermission('contracts:read'), async (req, res) => {
   try {
     const contracts = await db.searchContracts(req.params.query);
     res.json(contracts);
@@ -280,41 +664,318 @@ app.get('/api/contracts/search/:query', async (req, res) => {
 });
 
 // Create new contract
-app.post('/api/contracts', async (req, res) => {
+app.post('/api/contracts', requirePermission('contracts:create'), async (req, res) => {
   try {
-    const contract = await db.createContract(req.body);
+    const contract = await db.createContract(req.body, req.user);
     res.status(201).json(contract);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error, 400);
   }
 });
 
 // Update contract
-app.put('/api/contracts/:id', async (req, res) => {
+app.put('/api/contracts/:id', requirePermission('contracts:update'), async (req, res) => {
   try {
-    const contract = await db.updateContract(req.params.id, req.body);
+    const contract = await db.updateContract(req.params.id, req.body, req.user);
     if (!contract) {
       return res.status(404).json({ error: 'Contract not found' });
     }
     res.json(contract);
   } catch (error) {
-    res.status(400).json({ error: error.message });
+    sendError(res, error, 400);
   }
 });
 
 // Delete contract
-app.delete('/api/contracts/:id', async (req, res) => {
+app.delete('/api/contracts/:id', requirePermission('contracts:delete'), async (req, res) => {
   try {
-    const contract = await db.deleteContract(req.params.id);
+    const contract = await db.deleteContract(req.params.id, req.user);
     if (!contract) {
       return res.status(404).json({ error: 'Contract not found' });
     }
-    res.json({ message: 'Contract deleted', contract });
+    res.json({ message: 'Contract moved to trash', contract });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
+// Restore contract from the trash
+app.post('/api/contracts/:id/restore', requirePermission('contracts:delete'), async (req, res) => {
+  try {
+    const contract = await db.restoreContract(req.params.id, req.user);
+    if (!contract) {
+      return res.status(404).json({ error: 'Contract not found in trash' });
+    }
+    res.json({ message: 'Contract restored', contract });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Assets and licenses a contract covers
+app.get('/api/contracts/:id/coverage', requirePermission('contracts:read'), async (req, res) => {
+  try {
+    const coverage = await db.getContractCoverage(req.params.id);
+    if (!coverage) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    res.json(coverage);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Cover an asset or a license with a contract ({ asset_id | license_id, notes })
+app.post('/api/contracts/:id/coverage', requirePermission('contracts:update'), async (req, res) => {
+  try {
+    const coverage = await db.attachCoverage(req.params.id, req.body, req.user);
+    if (!coverage) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    res.status(201).json(coverage);
+  } catch (error) {
+    sendError(res, error, 400);
+  }
+});
+
+// Stop covering an asset or a license (/api/contracts/:id/coverage/assets/:assetId)
+app.delete('/api/contracts/:id/coverage/:entity/:itemId', requirePermission('contracts:update'), async (req, res) => {
+  try {
+    const coverage = await db.detachCoverage(req.params.id, req.params.entity, req.params.itemId, req.user);
+    if (!coverage) {
+      return res.status(404).json({ error: 'Contract not found' });
+    }
+    res.json({ message: 'Coverage removed', coverage });
+  } catch (error) {
+    sendError(res, error, 400);
+  }
+});
+
+// --- IMPORT ROUTES ---
+
+// Bulk create/update from a CSV or XLSX file: multipart "file", optional "mapping"
+// (JSON column -> field) and "dry_run=true" to preview without writing
+for (const entity of ENTITIES) {
+  app.post(`/api/${entity}/import`, requirePermission(`${entity}:create`), requirePermission(`${entity}:update`), uploadFile, async (req, res) => {
+    try {
+      const dryRun = String(req.body.dry_run ?? req.query.dry_run) === 'true';
+      const sheet = await parseImportFile(req.file);
+      const mapping = buildImportMapping(entity, sheet.columns, req.body.mapping);
+      const report = await db.importRecords(entity, sheet, mapping, { dryRun }, req.user);
+      const result = {
+        dryRun,
+        key: IMPORT_KEYS[entity],
+        columns: sheet.columns,
+        availableFields: Object.keys(SCHEMAS[entity]),
+        mapping,
+        ...report,
+      };
+      if (!dryRun && !report.committed) {
+        return res.status(422).json({ error: `${report.summary.failed} row(s) have errors - nothing was imported`, ...result });
+      }
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+}
+
+// --- DISCOVERY ROUTES ---
+
+// Assets reported by the discovery agent: { assets: [discovered_asset, ...] }.
+// Records are applied independently; the per-record outcome is in `results`.
+app.post('/api/discovery/ingest', requirePermission('discovery:ingest'), async (req, res) => {
+  try {
+    const report = await db.ingestDiscoveredAssets(req.body.assets, req.user);
+    const { created, updated, merged, review, failed } = report.summary;
+    console.log(`🛰️ Discovery ingest: ${created} created, ${updated} updated, ${merged} merged, ${review} for review, ${failed} failed`);
+    res.json(report);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Discovery run history of the caller's tenant, newest first (?status=failed&trigger=manual&page=1&limit=25)
+app.get('/api/discovery/runs', requirePermission('discovery:read'), async (req, res) => {
+  try {
+    res.json(await db.getDiscoveryRuns(req.query));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Queue a run for the discovery agent; { "connectors": ["aws"] } limits it to some connectors (e.g. a retry)
+app.post('/api/discovery/run', requirePermission('discovery:run'), async (req, res) => {
+  try {
+    const run = await db.queueDiscoveryRun(req.body.connectors || [], req.user);
+    console.log('📡 Discovery run queued:', run.id, run.connectors.join(', ') || 'all connectors');
+    res.status(202).json(run);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// --- RECONCILIATION ROUTES ---
+
+// Discovered records waiting for a person to confirm their match (?status=pending|approved|rejected&source=)
+app.get('/api/reconciliation', requirePermission('assets:read'), async (req, res) => {
+  try {
+    const queue = await db.getReconciliationQueue(req.query);
+    res.json(queue);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Merge the discovered record into the matched asset
+app.post('/api/reconciliation/:id/approve', requirePermission('assets:update'), async (req, res) => {
+  try {
+    const result = await db.approveMatch(req.params.id, req.user);
+    if (!result) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    res.json({ message: 'Match approved', ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Not the same asset; the record becomes a new asset once all its matches are rejected
+app.post('/api/reconciliation/:id/reject', requirePermission('assets:update'), requirePermission('assets:create'), async (req, res) => {
+  try {
+    const result = await db.rejectMatch(req.params.id, req.user);
+    if (!result) {
+      return res.status(404).json({ error: 'Match not found' });
+    }
+    res.json({ message: result.error || 'Match rejected', ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// --- TRASH ROUTES ---
+
+// Deleted records of every entity the caller may delete (?entity=assets&page=1&limit=50)
+app.get('/api/trash', async (req, res) => {
+  try {
+    const trash = await db.getTrash(req.query, getPermittedEntities(req.user.role, 'delete'));
+    res.json(trash);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Permanently delete every trashed record past the retention period
+app.post('/api/trash/purge', async (req, res) => {
+  try {
+    const purged = await db.purgeExpiredTrash(getPermittedEntities(req.user.role, 'delete'), req.user);
+    res.json({ message: `Purged ${purged} record(s)`, purged });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Permanently delete one trashed record past the retention period
+app.delete('/api/trash/:entity/:id', async (req, res) => {
+  try {
+    if (!getPermittedEntities(req.user.role, 'delete').includes(req.params.entity)) {
+      return res.status(403).json({ error: `Permission denied: ${req.params.entity}:delete` });
+    }
+    const record = await db.purgeTrashItem(req.params.entity, req.params.id, req.user);
+    if (!record) {
+      return res.status(404).json({ error: 'Record not found in trash' });
+    }
+    res.json({ message: 'Record permanently deleted', record });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// --- REPORT ROUTES ---
+
+// Book value of every asset and the depreciation booked per year (?as_of=YYYY-MM-DD; summary=true leaves out the assets)
+app.get('/api/reports/depreciation', requirePermission('finance:read'), async (req, res) => {
+  try {
+    res.json(await db.getDepreciationReport(req.query.as_of, { summary: req.query.summary === 'true' }));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Dashboard analytics for the entities the caller can read (?months=12 of spend history)
+app.get('/api/analytics', async (req, res) => {
+  try {
+    const analytics = await db.getAnalytics(req.query, getPermittedEntities(req.user.role, 'read'), {
+      finance: hasPermission(req.user.role, 'finance:read'),
+    });
+    res.json(analytics);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// A metric over time from the nightly inventory snapshots (?metric=assets.count&from&to&interval=month&group_by=type)
+app.get('/api/analytics/trends', async (req, res) => {
+  try {
+    const entity = Object.hasOwn(TREND_METRICS, req.query.metric) ? TREND_METRICS[req.query.metric].entity : null;
+    if (entity && !getPermittedEntities(req.user.role, 'read').includes(entity)) {
+      return res.status(403).json({ error: `Permission denied: ${entity}:read` });
+    }
+    res.json(await db.getTrends(req.query));
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// --- AUDIT ROUTES ---
+
+// Change history, newest first (?entity=assets&id=<uuid>&action=update)
+app.get('/api/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const entries = await db.getAuditLog(req.query, getPermittedEntities(req.user.role, 'read'));
+    res.json(entries);
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// --- ALERT ROUTES ---
+
+// Pending expiration and renewal alerts the caller can see, soonest first
+app.get('/api/alerts', async (req, res) => {
+  try {
+    const alerts = await db.getPendingAlerts(getPermittedEntities(req.user.role, 'read'));
+    res.json({ alerts, leadDays: ALERT_LEAD_DAYS });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// Dismiss an alert (and the other lead times for the same date)
+app.post('/api/alerts/:id/acknowledge', async (req, res) => {
+  try {
+    const result = await db.acknowledgeAlert(req.params.id, getPermittedEntities(req.user.role, 'update'), req.user);
+    if (!result) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+    res.json({ message: 'Alert acknowledged', ...result });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
+// --- SEARCH ROUTES ---
+
+// Ranked search across every entity the caller can read
+app.get('/api/search', async (req, res) => {
+  try {
+    const results = await db.globalSearch(req.query, getPermittedEntities(req.user.role, 'read'));
+    res.json({ query: String(req.query.q || '').trim(), results });
+  } catch (error) {
+    sendError(res, error);
+  }
+});
+
 // Initialize and start server
 startServer();
 
@@ -0,0 +1,78 @@
+// Inventory snapshots: a nightly job that records each tenant's counts and costs per entity, status and type
+// (inventory_snapshots) for /api/analytics/trends. It runs on SNAPSHOT_SCHEDULE, a cron expression in UTC
+// (cron.js), and once when the server starts so a night the server was down is covered the next day.
+import * as db from './queries.js';
+import { parseCron, nextCronTime } from './cron.js';
+
+// Late in the (UTC) day, so each snapshot shows how the day ended
+const SCHEDULE = process.env.SNAPSHOT_SCHEDULE || '55 23 * * *';
+// setTimeout cannot wait longer than this; longer waits are done in steps
+const MAX_TIMER_MS = 2 ** 31 - 1;
+
+let running = false;
+
+/**
+ * Snapshot every active tenant's inventory for today (UTC). A failing tenant is logged and does not stop the others.
+ * @returns {Promise<number|null>} Tenants snapshotted, or null if a snapshot is already running
+ */
+export async function runSnapshot(date = new Date().toISOString().slice(0, 10)) {
+  if (running) return null;
+  running = true;
+  try {
+    let tenants = 0;
+    for (const tenant of await db.getActiveTenants()) {
+      try {
+        await db.runWithTenant(tenant.id, () => db.snapshotInventory(date));
+        tenants++;
+      } catch (error) {
+        console.error(`❌ Inventory snapshot failed for tenant ${tenant.slug}:`, error.message);
+      }
+    }
+    return tenants;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Take a snapshot now and then on SNAPSHOT_SCHEDULE ("off" disables the job)
+ */
+export function startSnapshotScheduler() {
+  if (SCHEDULE === 'off') {
+    console.log('⏸️ Inventory snapshots disabled (SNAPSHOT_SCHEDULE=off)');
+    return;
+  }
+  let schedule;
+  try {
+    schedule = parseCron(SCHEDULE);
+  } catch (error) {
+    console.error(`❌ Invalid SNAPSHOT_SCHEDULE "${SCHEDULE}": ${error.message}. Inventory snapshots are disabled.`);
+    return;
+  }
+
+  const take = async () => {
+    try {
+      const tenants = await runSnapshot();
+      if (tenants) console.log(`📸 Inventory snapshot taken for ${tenants} tenant${tenants === 1 ? '' : 's'}`);
+    } catch (error) {
+      console.error('❌ Inventory snapshot failed:', error.message);
+    }
+  };
+
+  const waitFor = (at) => {
+    const timer = setTimeout(async () => {
+      if (Date.now() < at.getTime()) return waitFor(at);
+      await take();
+      planNext();
+    }, Math.min(Math.max(0, at.getTime() - Date.now()), MAX_TIMER_MS));
+    timer.unref();
+  };
+  const planNext = () => {
+    const at = nextCronTime(schedule);
+    if (at) waitFor(at);
+  };
+
+  console.log(`📸 Inventory snapshots on "${SCHEDULE}" (UTC)`);
+  take();
+  planNext();
+}
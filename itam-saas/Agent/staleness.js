@@ -0,0 +1,78 @@
+// Missing asset detection: a periodic job that flags discovered assets no source has reported
+// for MISSING_AFTER_DAYS and, with MISSING_ACTION, moves them to Pending Retirement for review or retires them
+import * as db from './queries.js';
+
+export const MISSING_AFTER_DAYS = parseInt(process.env.MISSING_AFTER_DAYS || '30', 10);
+
+// What happens to a missing asset besides the flag
+export const MISSING_ACTIONS = ['flag', 'review', 'retire'];
+
+/**
+ * Parse MISSING_ACTION (default flag)
+ */
+export function parseMissingAction(env = process.env) {
+  const action = (env.MISSING_ACTION || 'flag').trim().toLowerCase();
+  if (MISSING_ACTIONS.includes(action)) return action;
+  console.warn(`⚠️ Invalid MISSING_ACTION "${env.MISSING_ACTION}" - missing assets are only flagged`);
+  return 'flag';
+}
+
+const ACTION = parseMissingAction();
+const ACTION_NOTES = {
+  flag: '',
+  review: ' (moved to Pending Retirement)',
+  retire: ' (retired unless checked out)',
+};
+const CHECK_INTERVAL_MINUTES = parseInt(process.env.MISSING_CHECK_INTERVAL_MINUTES || '60', 10);
+
+let running = false;
+
+/**
+ * Flag assets that have gone missing since the last check, tenant by tenant
+ * @returns {Promise<number|null>} Assets flagged, or null if a check is already running
+ */
+export async function runMissingCheck() {
+  if (running) return null;
+  running = true;
+  try {
+    let flagged = 0;
+    for (const tenant of await db.getActiveTenants()) {
+      try {
+        flagged += await db.runWithTenant(tenant.id, () =>
+          db.markMissingAssets(MISSING_AFTER_DAYS, { action: ACTION }));
+      } catch (error) {
+        console.error(`❌ Missing asset check failed for tenant ${tenant.slug}:`, error.message);
+      }
+    }
+    return flagged;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Run the missing asset check now and then every MISSING_CHECK_INTERVAL_MINUTES (0 disables the job)
+ */
+export function startMissingAssetScheduler() {
+  if (CHECK_INTERVAL_MINUTES <= 0) {
+    console.log('⏸️ Missing asset detection disabled (MISSING_CHECK_INTERVAL_MINUTES=0)');
+    return null;
+  }
+
+  const check = async () => {
+    try {
+      const flagged = await runMissingCheck();
+      if (flagged) {
+        console.log(`📡 Missing assets: ${flagged} not seen for ${MISSING_AFTER_DAYS} days${ACTION_NOTES[ACTION]}`);
+      }
+    } catch (error) {
+      console.error('❌ Missing asset check failed:', error.message);
+    }
+  };
+
+  console.log(`📡 Missing asset check every ${CHECK_INTERVAL_MINUTES} min (after ${MISSING_AFTER_DAYS} days unseen)`);
+  check();
+  const timer = setInterval(check, CHECK_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  return timer;
+}
@@ -0,0 +1,474 @@
+// Per-entity field schemas and validation for create/update payloads.
+// Only fields declared here can ever reach an INSERT or UPDATE statement.
+import { ROLES } from './permissions.js';
+import { ASSET_STATUSES, DEFAULT_ASSET_STATUS, STATUS_TIMESTAMPS } from './lifecycle.js';
+import { DEPRECIATION_METHODS } from './depreciation.js';
+import { parseCron, nextCronTime } from './cron.js';
+
+/**
+ * Error answered with 422 and `fields` mapping field -> message
+ */
+export function validationError(message, fields) {
+  const error = new Error(message);
+  error.code = 'VALIDATION_FAILED';
+  error.fields = fields;
+  return error;
+}
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const SLUG_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+// Keys of a tenant's discovery config are the agent's connector config keys (aws, azure, googleWorkspace, ...)
+const DISCOVERY_CONFIG_KEY_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+export const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Columns managed by the database or by dedicated endpoints (asset check-out / check-in,
+// discovery ingest) or stamped by the asset lifecycle - silently dropped from payloads. The tenant always comes from the caller's token.
+const READ_ONLY_FIELDS = [
+  'id', 'created_at', 'updated_at', 'last_login_at', 'deleted_at', 'assigned_user_id', 'assigned_user_name',
+  'discovery_sources', 'last_discovered_at', 'missing_since', 'tenant_id', 'covering_contracts', 'covered_items',
+  ...Object.values(STATUS_TIMESTAMPS),
+];
+
+export const SCHEMAS = {
+  assets: {
+    asset_tag: { type: 'string', required: true, maxLength: 255 },
+    asset_type: { type: 'string', required: true, maxLength: 50 },
+    manufacturer: { type: 'string', maxLength: 255 },
+    model: { type: 'string', maxLength: 255 },
+    serial_number: { type: 'string', maxLength: 255 },
+    status: { type: 'enum', values: ASSET_STATUSES, default: DEFAULT_ASSET_STATUS },
+    cost: { type: 'number', min: 0, default: 0 },
+    discovered: { type: 'boolean', default: false },
+    hostname: { type: 'string', maxLength: 255 },
+    mac_addresses: { type: 'list', format: 'mac', default: [] },
+    retirement_reason: { type: 'string' },
+    disposal_reason: { type: 'string' },
+    // Depreciation (depreciation.js); an empty method or useful life falls back to the asset type's profile
+    purchase_date: { type: 'date' },
+    useful_life_months: { type: 'integer', min: 1 },
+    depreciation_method: { type: 'enum', values: DEPRECIATION_METHODS },
+    salvage_value: { type: 'number', min: 0 },
+  },
+  licenses: {
+    license_name: { type: 'string', required: true, maxLength: 255 },
+    license_type: { type: 'string', required: true, maxLength: 100 },
+    license_key: { type: 'string', maxLength: 255 },
+    software_name: { type: 'string', maxLength: 255 },
+    vendor: { type: 'string', maxLength: 255 },
+    expiration_date: { type: 'date' },
+    quantity: { type: 'integer', min: 1, default: 1 },
+    status: { type: 'enum', values: ['Active', 'Expired', 'Inactive'], default: 'Active' },
+    cost: { type: 'number', min: 0, default: 0 },
+    notes: { type: 'string' },
+  },
+  users: {
+    user_name: { type: 'string', required: true, maxLength: 255 },
+    email: { type: 'email', maxLength: 255 },
+    department: { type: 'string', maxLength: 255 },
+    phone: { type: 'string', maxLength: 50 },
+    role: { type: 'enum', values: ROLES, default: 'employee' },
+    status: { type: 'enum', values: ['Active', 'Inactive', 'Suspended'], default: 'Active' },
+    notes: { type: 'string' },
+  },
+  asset_checkout: {
+    user_id: { type: 'uuid', required: true },
+    expected_return_date: { type: 'date' },
+    condition: { type: 'string', maxLength: 255 },
+    notes: { type: 'string' },
+  },
+  depreciation_profile: {
+    method: { type: 'enum', values: DEPRECIATION_METHODS, required: true },
+    useful_life_months: { type: 'integer', min: 1, required: true },
+  },
+  asset_transition: {
+    status: { type: 'enum', values: ASSET_STATUSES, required: true },
+    retirement_reason: { type: 'string' },
+    disposal_reason: { type: 'string' },
+  },
+  asset_checkin: {
+    condition: { type: 'string', maxLength: 255 },
+    notes: { type: 'string' },
+  },
+  license_seat: {
+    action: { type: 'enum', values: ['allocate', 'release'], required: true },
+    user_id: { type: 'uuid' },
+    asset_id: { type: 'uuid' },
+    notes: { type: 'string' },
+  },
+  contract_coverage: {
+    asset_id: { type: 'uuid' },
+    license_id: { type: 'uuid' },
+    notes: { type: 'string' },
+  },
+  discovered_asset: {
+    source: { type: 'string', required: true, maxLength: 100 },
+    source_id: { type: 'string', required: true, maxLength: 255 },
+    serial_number: { type: 'string', maxLength: 255 },
+    asset_type: { type: 'string', required: true, maxLength: 50 },
+    manufacturer: { type: 'string', maxLength: 255 },
+    model: { type: 'string', maxLength: 255 },
+    hostname: { type: 'string', maxLength: 255 },
+    mac_addresses: { type: 'list', format: 'mac', default: [] },
+  },
+  tenants: {
+    slug: { type: 'string', format: 'slug', required: true, maxLength: 63 },
+    name: { type: 'string', required: true, maxLength: 255 },
+    status: { type: 'enum', values: ['Active', 'Suspended'], default: 'Active' },
+  },
+  contracts: {
+    contract_name: { type: 'string', required: true, maxLength: 255 },
+    vendor: { type: 'string', maxLength: 255 },
+    contract_type: { type: 'enum', values: ['Service', 'Software', 'Hardware', 'Maintenance', 'Support'] },
+    start_date: { type: 'date' },
+    end_date: { type: 'date' },
+    contract_value: { type: 'number', min: 0, default: 0 },
+    currency: { type: 'enum', values: ['USD', 'EUR', 'GBP', 'ILS'], default: 'USD' },
+    status: { type: 'enum', values: ['Active', 'Expired', 'Pending', 'Inactive'], default: 'Active' },
+    renewal_date: { type: 'date' },
+    contact_person: { type: 'string', maxLength: 255 },
+    contact_email: { type: 'email', maxLength: 255 },
+    notes: { type: 'string' },
+  },
+};
+
+/**
+ * Normalise a date to yyyy-MM-dd. Accepts ISO timestamps and dd/mm/yyyy.
+ * @returns {string|null} Normalised date, or null if it is not a real date
+ */
+function normalizeDate(value) {
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value.toISOString().split('T')[0];
+  }
+  if (typeof value !== 'string') return null;
+
+  let date = value.trim();
+  if (date.includes('T')) {
+    date = date.split('T')[0];
+  } else if (date.includes('/')) {
+    const parts = date.split('/');
+    if (parts.length !== 3) return null;
+    date = `${parts[2]}-${parts[1].padStart(2, '0')}-${parts[0].padStart(2, '0')}`;
+  }
+
+  if (!DATE_PATTERN.test(date)) return null;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !isNaN(parsed) && parsed.toISOString().startsWith(date) ? date : null;
+}
+
+/**
+ * Normalise a MAC address to lower-case, colon separated ("AA-BB-..." and "aabb..." are accepted)
+ * @returns {string|null} Normalised address, or null if it is not a MAC address
+ */
+function normalizeMac(value) {
+  const hex = value.toLowerCase().replace(/[:.-]/g, '');
+  return /^[0-9a-f]{12}$/.test(hex) ? hex.match(/../g).join(':') : null;
+}
+
+/**
+ * Coerce and check one value against its field rule
+ * @returns {{value?: any, error?: string}}
+ */
+function validateField(rule, raw) {
+  switch (rule.type) {
+    case 'string':
+    case 'email': {
+      if (typeof raw !== 'string' && typeof raw !== 'number') return { error: 'Must be text' };
+      const value = String(raw).trim();
+      if (value === '') return { value: null };
+      if (rule.maxLength && value.length > rule.maxLength) {
+        return { error: `Must be at most ${rule.maxLength} characters` };
+      }
+      if (rule.type === 'email' && !EMAIL_PATTERN.test(value)) {
+        return { error: 'Must be a valid email address' };
+      }
+      if (rule.format === 'slug' && !SLUG_PATTERN.test(value)) {
+        return { error: 'Must be lower-case letters, digits and dashes' };
+      }
+      return { value };
+    }
+    case 'number':
+    case 'integer': {
+      if (raw === '') return { value: null };
+      const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'Must be a number' };
+      if (rule.type === 'integer' && !Number.isInteger(value)) return { error: 'Must be a whole number' };
+      if (rule.min !== undefined && value < rule.min) return { error: `Must be at least ${rule.min}` };
+      return { value };
+    }
+    case 'uuid': {
+      if (raw === '') return { value: null };
+      return typeof raw === 'string' && UUID_PATTERN.test(raw.trim())
+        ? { value: raw.trim() }
+        : { error: 'Must be a valid id' };
+    }
+    case 'boolean': {
+      if (typeof raw === 'boolean') return { value: raw };
+      if (raw === 'true' || raw === 'false') return { value: raw === 'true' };
+      return { error: 'Must be true or false' };
+    }
+    case 'date': {
+      if (raw === '') return { value: null };
+      const value = normalizeDate(raw);
+      return value ? { value } : { error: 'Must be a valid date (YYYY-MM-DD)' };
+    }
+    case 'list': {
+      // An array, or comma separated text
+      if (raw === '') return { value: [] };
+      const items = Array.isArray(raw) ? raw : typeof raw === 'string' ? raw.split(',') : null;
+      if (!items || items.some(item => typeof item !== 'string')) return { error: 'Must be a list of text values' };
+      const value = items.map(item => item.trim()).filter(Boolean);
+      if (rule.format === 'mac') {
+        const macs = value.map(normalizeMac);
+        return macs.includes(null) ? { error: 'Must be MAC addresses (aa:bb:cc:dd:ee:ff)' } : { value: [...new Set(macs)] };
+      }
+      if (rule.maxLength && value.some(item => item.length > rule.maxLength)) {
+        return { error: `Each value must be at most ${rule.maxLength} characters` };
+      }
+      return { value };
+    }
+    case 'enum': {
+      if (raw === '') return { value: null };
+      return rule.values.includes(raw)
+        ? { value: raw }
+        : { error: `Must be one of: ${rule.values.join(', ')}` };
+    }
+    default:
+      throw new Error(`Unknown field type: ${rule.type}`);
+  }
+}
+
+/**
+ * Validate a create or update payload for an entity.
+ * Create (partial=false) applies defaults and enforces required fields;
+ * update (partial=true) only checks the fields that were sent.
+ *
+ * @param {string} entity - Key of SCHEMAS
+ * @param {object} data - Request payload
+ * @returns {object} Cleaned values keyed by column name
+ * @throws {Error} code VALIDATION_FAILED with `fields` mapping field -> message
+ */
+export function validateEntity(entity, data, { partial = false } = {}) {
+  const schema = SCHEMAS[entity];
+  if (!schema) throw new Error(`No schema for entity: ${entity}`);
+
+  const input = data && typeof data === 'object' ? data : {};
+  const fields = {};
+  const cleaned = {};
+
+  for (const key of Object.keys(input)) {
+    if (!schema[key] && !READ_ONLY_FIELDS.includes(key)) {
+      fields[key] = 'Unknown field';
+    }
+  }
+
+  for (const [key, rule] of Object.entries(schema)) {
+    const raw = input[key];
+
+    if (raw === undefined) {
+      if (partial) continue;
+      if (rule.required) {
+        fields[key] = 'Required';
+      } else if (rule.default !== undefined) {
+        cleaned[key] = rule.default;
+      }
+      continue;
+    }
+
+    const { value, error } = raw === null ? { value: null } : validateField(rule, raw);
+    if (error) {
+      fields[key] = error;
+    } else if (value === null && rule.required) {
+      fields[key] = 'Required';
+    } else if (value === null && rule.default !== undefined) {
+      // Clearing a defaulted field on update keeps the stored value
+      if (!partial) cleaned[key] = rule.default;
+    } else {
+      cleaned[key] = value;
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw validationError('Validation failed', fields);
+  }
+
+  if (partial && Object.keys(cleaned).length === 0) {
+    throw validationError('No fields to update', {});
+  }
+
+  return cleaned;
+}
+
+/**
+ * Validate a tenant's discovery config: an object mapping connector config keys to settings objects.
+ * The connectors themselves check their settings when the agent runs.
+ * @throws {Error} code VALIDATION_FAILED with `fields` mapping config key -> message
+ */
+export function validateDiscoveryConfig(config) {
+  const fields = {};
+  if (!config || typeof config !== 'object' || Array.isArray(config)) {
+    fields.config = 'Must be an object of connector settings';
+  } else {
+    for (const [key, settings] of Object.entries(config)) {
+      if (!DISCOVERY_CONFIG_KEY_PATTERN.test(key)) {
+        fields[key] = 'Not a connector config key';
+      } else if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        fields[key] = 'Must be an object of settings';
+      }
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw validationError('Validation failed', fields);
+  }
+  return config;
+}
+
+/**
+ * Validate a tenant's discovery schedule: a five-field cron expression (UTC), or null / '' for the default
+ * @returns {string|null} The trimmed expression, or null
+ * @throws {Error} code VALIDATION_FAILED with `fields.schedule`
+ */
+export function validateDiscoverySchedule(schedule) {
+  if (schedule === null || schedule === undefined || schedule === '') return null;
+  let message = null;
+  if (typeof schedule !== 'string' || schedule.length > 100) {
+    message = 'Must be a cron expression';
+  } else {
+    try {
+      if (!nextCronTime(parseCron(schedule))) message = 'Never matches a date';
+    } catch (error) {
+      message = error.message;
+    }
+  }
+
+  if (message) {
+    throw validationError('Validation failed', { schedule: message });
+  }
+  return schedule.trim();
+}
+
+/**
+ * Validate a tenant's depreciation profiles: asset type -> { method, useful_life_months }
+ * @returns {object} The cleaned profiles
+ * @throws {Error} code VALIDATION_FAILED with fields keyed `<asset type>.<field>`
+ */
+export function validateDepreciationProfiles(profiles) {
+  const fields = {};
+  const cleaned = {};
+  if (!profiles || typeof profiles !== 'object' || Array.isArray(profiles)) {
+    fields.profiles = 'Must be an object of settings per asset type';
+  } else {
+    for (const [assetType, settings] of Object.entries(profiles)) {
+      if (assetType.trim() === '' || assetType.length > SCHEMAS.assets.asset_type.maxLength) {
+        fields[assetType] = 'Not an asset type';
+        continue;
+      }
+      try {
+        cleaned[assetType] = validateEntity('depreciation_profile', settings);
+      } catch (error) {
+        if (error.code !== 'VALIDATION_FAILED') throw error;
+        for (const [field, message] of Object.entries(error.fields)) {
+          fields[`${assetType}.${field}`] = message;
+        }
+      }
+    }
+  }
+
+  if (Object.keys(fields).length > 0) {
+    throw validationError('Validation failed', fields);
+  }
+  return cleaned;
+}
+
+/**
+ * Validate the date a report is taken on (as_of), defaulting to today
+ * @returns {string} YYYY-MM-DD
+ * @throws {Error} code VALIDATION_FAILED with `fields.as_of`
+ */
+export function validateAsOfDate(asOf) {
+  if (asOf === undefined || asOf === '') return new Date().toISOString().slice(0, 10);
+  const value = normalizeDate(asOf);
+  if (!value) {
+    throw validationError('Validation failed', { as_of: 'Must be a valid date (YYYY-MM-DD)' });
+  }
+  return value;
+}
+
+// Longest spend history /api/analytics returns
+export const MAX_ANALYTICS_MONTHS = 60;
+
+/**
+ * Validate how many months of spend history to return, defaulting to 12
+ * @throws {Error} code VALIDATION_FAILED with `fields.months`
+ */
+export function validateAnalyticsMonths(months) {
+  if (months === undefined || months === '') return 12;
+  const value = Number(months);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_ANALYTICS_MONTHS) {
+    throw validationError('Validation failed', { months: `Must be a whole number from 1 to ${MAX_ANALYTICS_MONTHS}` });
+  }
+  return value;
+}
+
+// Trend metrics -> the snapshot entity and column they read (inventory_snapshots, migration 020)
+export const TREND_METRICS = {
+  'assets.count': { entity: 'assets', column: 'count' },
+  'assets.cost': { entity: 'assets', column: 'amount' },
+  'licenses.count': { entity: 'licenses', column: 'count' },
+  'licenses.seats': { entity: 'licenses', column: 'quantity' },
+  'licenses.cost': { entity: 'licenses', column: 'amount' },
+  'contracts.count': { entity: 'contracts', column: 'count' },
+  'contracts.value': { entity: 'contracts', column: 'amount' },
+  'users.count': { entity: 'users', column: 'count' },
+};
+export const TREND_INTERVALS = ['day', 'week', 'month', 'quarter'];
+export const TREND_GROUPS = ['status', 'type', 'currency'];
+// Range a trend covers when `from` is left out
+const DEFAULT_TREND_DAYS = 90;
+
+/**
+ * Validate /api/analytics/trends parameters. `to` defaults to today and `from` to 90 days before it.
+ * Contract values are in several currencies, so contracts.value is grouped by currency unless one is picked.
+ * @returns {{metric: string, entity: string, column: string, from: string, to: string, interval: string,
+ *   group_by: string|null, status: string|null, type: string|null, currency: string|null}}
+ * @throws {Error} code VALIDATION_FAILED with the invalid parameters in `fields`
+ */
+export function validateTrendQuery(query = {}) {
+  const fields = {};
+  const metric = Object.hasOwn(TREND_METRICS, query.metric) ? TREND_METRICS[query.metric] : null;
+  if (!metric) fields.metric = `Must be one of: ${Object.keys(TREND_METRICS).join(', ')}`;
+
+  const to = query.to ? normalizeDate(query.to) : new Date().toISOString().slice(0, 10);
+  if (!to) fields.to = 'Must be a valid date (YYYY-MM-DD)';
+  let from = query.from ? normalizeDate(query.from) : null;
+  if (query.from && !from) fields.from = 'Must be a valid date (YYYY-MM-DD)';
+  if (to && !query.from) {
+    const start = new Date(`${to}T00:00:00Z`);
+    start.setUTCDate(start.getUTCDate() - DEFAULT_TREND_DAYS);
+    from = start.toISOString().slice(0, 10);
+  }
+  if (from && to && from > to) fields.from = 'Must not be after to';
+
+  const interval = query.interval || 'day';
+  if (!TREND_INTERVALS.includes(interval)) fields.interval = `Must be one of: ${TREND_INTERVALS.join(', ')}`;
+  const currency = query.currency ? String(query.currency).toUpperCase() : null;
+  let groupBy = query.group_by || null;
+  if (groupBy && !TREND_GROUPS.includes(groupBy)) fields.group_by = `Must be one of: ${TREND_GROUPS.join(', ')}`;
+  if (query.metric === 'contracts.value' && !groupBy && !currency) groupBy = 'currency';
+
+  if (Object.keys(fields).length > 0) {
+    throw validationError('Validation failed', fields);
+  }
+  return {
+    metric: query.metric,
+    ...metric,
+    from,
+    to,
+    interval,
+    group_by: groupBy,
+    status: query.status || null,
+    type: query.type || null,
+    currency,
+  };
+}
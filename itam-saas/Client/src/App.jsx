@@ -1,19 +1,235 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { Package, Plus, Search, Trash2, Edit2, Menu, X, HardDrive, FileText, Users, FileCheck } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Package, Plus, Search, Trash2, Edit2, History, RotateCcw, UserPlus, UserMinus, KeyRound, Bell, Upload, GitMerge, Check, Radar, Play, RotateCw, Calculator, LayoutDashboard, ShieldCheck, PackageCheck, Rocket, Wrench, Archive, Recycle, Hourglass, Menu, X, HardDrive, FileText, Users, FileCheck, LogOut, Lock, ChevronUp, ChevronDown, ChevronLeft, ChevronRight } from 'lucide-react';
 import * as dbService from './services/db';
 
+const DEFAULT_LIST_PARAMS = { page: 1, limit: 25, sort: 'created_at', order: 'desc', search: '' };
+const PAGE_SIZES = [10, 25, 50, 100];
+const RECORD_LABELS = { assets: 'Asset', licenses: 'License', users: 'User', contracts: 'Contract' };
+const ALERT_DATE_LABELS = { expiration_date: 'Expires', end_date: 'Ends', renewal_date: 'Renewal due' };
+const ALERT_POLL_MS = 5 * 60 * 1000;
+const MISSING_WIDGET_ROWS = 5;
+// Discovery runs are carried out by the agent, so refresh while any is still waiting or running
+const DISCOVERY_POLL_MS = 10 * 1000;
+const DISCOVERY_STATUS_STYLES = {
+  queued: 'bg-slate-600 text-slate-200',
+  running: 'bg-blue-900 text-blue-200',
+  succeeded: 'bg-green-900 text-green-200',
+  partial: 'bg-yellow-900 text-yellow-200',
+  failed: 'bg-red-900 text-red-200',
+};
+// Asset lifecycle as the API enforces it (itam-saas/Agent/lifecycle.js): the states each one can move to
+const ASSET_TRANSITIONS = {
+  Ordered: ['In Stock'],
+  'In Stock': ['Deployed', 'In Repair', 'Pending Retirement', 'Retired'],
+  Deployed: ['In Stock', 'In Repair', 'Pending Retirement', 'Retired'],
+  'In Repair': ['In Stock', 'Deployed', 'Pending Retirement', 'Retired'],
+  'Pending Retirement': ['In Stock', 'Deployed', 'Retired'],
+  Retired: ['In Stock', 'Disposed'],
+  Disposed: [],
+};
+// States a new asset can start in
+const ASSET_INITIAL_STATUSES = ['Ordered', 'In Stock', 'Deployed'];
+const ASSET_STATUS_STYLES = {
+  Ordered: 'bg-slate-600 text-slate-200',
+  'In Stock': 'bg-blue-900 text-blue-200',
+  Deployed: 'bg-green-900 text-green-200',
+  'In Repair': 'bg-yellow-900 text-yellow-200',
+  'Pending Retirement': 'bg-amber-900 text-amber-200',
+  Retired: 'bg-orange-900 text-orange-200',
+  Disposed: 'bg-red-900 text-red-200',
+};
+// Action button moving an asset into each state
+const ASSET_STATUS_ACTIONS = {
+  'In Stock': { label: 'Return to stock', icon: PackageCheck, className: 'text-blue-400 hover:text-blue-300' },
+  Deployed: { label: 'Deploy', icon: Rocket, className: 'text-green-400 hover:text-green-300' },
+  'In Repair': { label: 'Send to repair', icon: Wrench, className: 'text-yellow-400 hover:text-yellow-300' },
+  'Pending Retirement': { label: 'Flag for retirement', icon: Hourglass, className: 'text-amber-400 hover:text-amber-300' },
+  Retired: { label: 'Retire', icon: Archive, className: 'text-orange-400 hover:text-orange-300' },
+  Disposed: { label: 'Dispose', icon: Recycle, className: 'text-red-400 hover:text-red-300' },
+};
+// Moves that need a reason, and the field it is sent in
+const ASSET_STATUS_REASONS = { Retired: 'retirement_reason', Disposed: 'disposal_reason' };
+// A checked-out asset has to be checked in before going back to stock or out of service
+const ASSET_UNASSIGNED_STATUSES = ['In Stock', 'Retired', 'Disposed'];
+// Bar colour per lifecycle state on the dashboard
+const ASSET_STATUS_BAR_COLORS = {
+  Ordered: 'bg-slate-400',
+  'In Stock': 'bg-blue-500',
+  Deployed: 'bg-green-500',
+  'In Repair': 'bg-yellow-500',
+  'Pending Retirement': 'bg-amber-500',
+  Retired: 'bg-orange-500',
+  Disposed: 'bg-red-500',
+};
+// Where a contract's coverage stands today (coverage_status from the API)
+const COVERAGE_STATUS_STYLES = {
+  active: 'bg-green-900 text-green-200',
+  pending: 'bg-yellow-900 text-yellow-200',
+  lapsed: 'bg-red-900 text-red-200',
+};
+const COVERAGE_STATUS_LABELS = { active: 'Covered', pending: 'Coverage pending', lapsed: 'Coverage lapsed' };
+// Covered items listed in a contracts row before "+N more"
+const COVERED_ITEMS_SHOWN = 3;
+const DEPRECIATION_METHOD_LABELS = { straight_line: 'Straight-line', declining_balance: 'Declining balance' };
+const MATCH_IDENTIFIER_LABELS = { serial_number: 'Serial', mac_addresses: 'MAC', hostname: 'Hostname' };
+// Natural key the import matches existing records on
+const IMPORT_KEY_LABELS = { assets: 'asset tag', licenses: 'license key', users: 'email' };
+const IMPORT_PREVIEW_ROWS = 200;
+const ANALYTICS_MONTH_OPTIONS = [6, 12, 24, 36];
+// Breakdown rows shown before the rest are folded into "Other"
+const DASHBOARD_BREAKDOWN_ROWS = 8;
+// Trend metrics on the dashboard (GET /api/analytics/trends); cost and value metrics are money
+const TREND_METRIC_LABELS = {
+  'assets.count': 'Assets',
+  'assets.cost': 'Asset cost',
+  'licenses.count': 'Licenses',
+  'licenses.seats': 'License seats',
+  'licenses.cost': 'License cost',
+  'contracts.count': 'Contracts',
+  'contracts.value': 'Contract value',
+  'users.count': 'Users',
+};
+const TREND_GROUP_LABELS = { '': 'Total', status: 'By status', type: 'By type' };
+const TREND_LINE_COLORS = ['#60a5fa', '#34d399', '#f472b6', '#fbbf24', '#a78bfa', '#f87171'];
+
+// Column holding when an asset entered a state: In Stock -> in_stock_at
+function statusTimestampColumn(status) {
+  return `${status.toLowerCase().replace(/ /g, '_')}_at`;
+}
+
+function formatMoney(value) {
+  return Number(value || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+// Largest rows of an analytics breakdown, with the rest summed into "Other"
+function topBreakdown(rows, limit = DASHBOARD_BREAKDOWN_ROWS) {
+  if (rows.length <= limit) return rows;
+  const rest = rows.slice(limit - 1);
+  return [
+    ...rows.slice(0, limit - 1),
+    { name: `Other (${rest.length})`, count: rest.reduce((sum, row) => sum + row.count, 0), value: rest.reduce((sum, row) => sum + row.value, 0) },
+  ];
+}
+
+// Coverage of an asset or license from its covering contracts: active if any contract covers it today,
+// pending if one is yet to start, lapsed if every one has ended
+function coverageStatus(contracts) {
+  if (contracts.some(contract => contract.coverage_status === 'active')) return 'active';
+  return contracts.some(contract => contract.coverage_status === 'pending') ? 'pending' : 'lapsed';
+}
+
+// YYYY-MM -> "Oct", with the year on January and the first month shown
+function formatMonth(month, withYear) {
+  const date = new Date(`${month}-01T00:00:00`);
+  return date.toLocaleString(undefined, withYear || date.getMonth() === 0 ? { month: 'short', year: '2-digit' } : { month: 'short' });
+}
+
+function formatDuration(startedAt, finishedAt) {
+  if (!startedAt || !finishedAt) return '-';
+  const seconds = Math.max(0, Math.round((new Date(finishedAt) - new Date(startedAt)) / 1000));
+  return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+function formatBytes(bytes) {
+  const value = Number(bytes) || 0;
+  if (value < 1024) return `${value} B`;
+  if (value < 1024 * 1024) return `${(value / 1024).toFixed(1)} KB`;
+  return `${(value / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV' },
+  { value: 'xlsx', label: 'Excel' },
+  { value: 'json', label: 'JSON' },
+  { value: 'pdf', label: 'PDF' },
+];
+
 export default function App() {
-  const [currentScreen, setCurrentScreen] = useState('assets');
+  const [authUser, setAuthUser] = useState(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [loginForm, setLoginForm] = useState({ email: '', password: '' });
+  const [loginError, setLoginError] = useState(null);
+  const [currentScreen, setCurrentScreen] = useState('dashboard');
   const [sidebarOpen, setSidebarOpen] = useState(true);
   const [assets, setAssets] = useState([]);
   const [licenses, setLicenses] = useState([]);
   const [users, setUsers] = useState([]);
   const [contracts, setContracts] = useState([]);
+  const [trashItems, setTrashItems] = useState([]);
+  const [matches, setMatches] = useState([]);
+  const [discoveryRuns, setDiscoveryRuns] = useState([]);
+  // Assets discovery has not seen for a while: { data (longest unseen first), total, days }
+  const [missingAssets, setMissingAssets] = useState(null);
   const [searchTerm, setSearchTerm] = useState('');
   const [showForm, setShowForm] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [editingId, setEditingId] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  // Server-side list state per entity: request params and the last response's pagination/summary
+  const [listParams, setListParams] = useState({
+    assets: DEFAULT_LIST_PARAMS,
+    licenses: DEFAULT_LIST_PARAMS,
+    users: DEFAULT_LIST_PARAMS,
+    contracts: DEFAULT_LIST_PARAMS,
+    trash: { page: 1, limit: 25 },
+    reconciliation: { page: 1, limit: 25, status: 'pending' },
+    discovery: { page: 1, limit: 25, status: '' }
+  });
+  const [listMeta, setListMeta] = useState({});
+  // Header search across all entities, and the record it last jumped to
+  const [globalQuery, setGlobalQuery] = useState('');
+  const [globalResults, setGlobalResults] = useState(null);
+  const [highlightedRecord, setHighlightedRecord] = useState(null);
+  // Audit history panel: the record being inspected and its entries
+  const [historyRecord, setHistoryRecord] = useState(null);
+  const [historyEntries, setHistoryEntries] = useState([]);
+  const [historyError, setHistoryError] = useState(null);
+  // Check-out / check-in dialog: { mode: 'checkout' | 'checkin', asset }
+  const [assignmentDialog, setAssignmentDialog] = useState(null);
+  const [assignmentForm, setAssignmentForm] = useState({ user_id: '', expected_return_date: '', condition: '', notes: '' });
+  const [assignmentHistory, setAssignmentHistory] = useState([]);
+  // Lifecycle move waiting for its reason: { asset, status, reason }
+  const [transitionDialog, setTransitionDialog] = useState(null);
+  // Valuation panel: the asset and its valuation once loaded
+  const [valuationAsset, setValuationAsset] = useState(null);
+  const [valuation, setValuation] = useState(null);
+  const [valuationError, setValuationError] = useState(null);
+  // Depreciation report totals for the stats cards (finance:read)
+  const [assetValue, setAssetValue] = useState(null);
+  // Server-side asset counts for the stats cards: total, discovered and per status
+  const [assetStats, setAssetStats] = useState(null);
+  // Dashboard: /api/analytics response and how many months of spend it covers
+  const [analytics, setAnalytics] = useState(null);
+  const [analyticsMonths, setAnalyticsMonths] = useState(12);
+  const [analyticsError, setAnalyticsError] = useState(null);
+  // Dashboard trend chart: metric, grouping and the series returned
+  const [trendMetric, setTrendMetric] = useState('assets.count');
+  const [trendGroup, setTrendGroup] = useState('');
+  const [trends, setTrends] = useState(null);
+  const [userQuery, setUserQuery] = useState('');
+  const [userOptions, setUserOptions] = useState([]);
+  // License seat panel: the license, its open seats and the allocation form
+  const [seatsLicense, setSeatsLicense] = useState(null);
+  const [seatsData, setSeatsData] = useState({ seats: [], compliance: null });
+  const [seatForm, setSeatForm] = useState({ holder_type: 'user', holder_id: '', notes: '' });
+  const [seatQuery, setSeatQuery] = useState('');
+  const [seatOptions, setSeatOptions] = useState([]);
+  const [licenseCompliance, setLicenseCompliance] = useState(null);
+  // Contract coverage panel: the contract, the items it covers and the attach form
+  const [coverageContract, setCoverageContract] = useState(null);
+  const [coverageItems, setCoverageItems] = useState([]);
+  const [coverageForm, setCoverageForm] = useState({ item_type: 'asset', item_id: '', notes: '' });
+  const [coverageQuery, setCoverageQuery] = useState('');
+  const [coverageOptions, setCoverageOptions] = useState([]);
+  // Contracts governing an asset or license: { entity, id, title } and the contracts once loaded
+  const [coveredRecord, setCoveredRecord] = useState(null);
+  const [coveringContracts, setCoveringContracts] = useState(null);
+  // Bulk import wizard: { entity, file, mapping, report, loading, error }
+  const [importDialog, setImportDialog] = useState(null);
+  // Expiration alerts shown under the header bell
+  const [alerts, setAlerts] = useState([]);
+  const [alertsOpen, setAlertsOpen] = useState(false);
   
   // Prevent duplicate submissions
   const isSubmittingRef = useRef(false);
@@ -23,8 +239,14 @@ export default function App() {
     manufacturer: '',
     model: '',
     serial_number: '',
-    assigned_user_name: '',
-    status: 'In Use'
+    hostname: '',
+    mac_addresses: '',
+    status: 'Deployed',
+    cost: '',
+    purchase_date: '',
+    useful_life_months: '',
+    depreciation_method: '',
+    salvage_value: ''
   });
   const [licenseFormData, setLicenseFormData] = useState({
     license_name: '',
@@ -43,7 +265,7 @@ export default function App() {
     email: '',
     department: '',
     phone: '',
-    role: '',
+    role: 'employee',
     status: 'Active',
     notes: ''
   });
@@ -53,66 +275,553 @@ export default function App() {
     contract_type: '',
     start_date: '',
     end_date: '',
-    value: 0,
+    contract_value: 0,
     currency: 'USD',
     status: 'Active',
-    description: ''
+    notes: ''
   });
 
   useEffect(() => {
-    loadAssets();
-    loadLicenses();
-    loadUsers();
-    loadContracts();
+    // Any request that ends in a 401 sends the user back to the login screen
+    dbService.onUnauthorized(() => setAuthUser(null));
+
+    if (!dbService.hasSession()) {
+      setAuthChecked(true);
+      return;
+    }
+    dbService.getCurrentUser()
+      .then(user => setAuthUser(user))
+      .catch(() => setAuthUser(null))
+      .finally(() => setAuthChecked(true));
+  }, []);
+
+  // Permissions come from the server with the logged-in user
+  const can = useCallback((permission) => Boolean(authUser?.permissions?.includes(permission)), [authUser]);
+  const canDeleteAny = Object.keys(RECORD_LABELS).some(entity => can(`${entity}:delete`));
+
+  // Loaders change only with what they read, so the effects below reload exactly when that changes
+  const loadAlerts = useCallback(async () => {
+    try {
+      const response = await dbService.fetchAlerts();
+      setAlerts(response.alerts);
+    } catch (err) {
+      setAlerts([]);
+    }
   }, []);
 
-  const loadAssets = async () => {
+  const loadAssets = useCallback(async () => {
     try {
       setLoading(true);
       setError(null);
-      const data = await dbService.fetchAssets();
-      // Remove duplicates by ID
-      const uniqueAssets = Array.from(new Map(data.map(item => [item.id, item])).values());
-      setAssets(uniqueAssets);
+      const [result, missing, depreciation, stats] = await Promise.all([
+        dbService.fetchAssets(listParams.assets),
+        dbService.fetchAssets({ stale: true, limit: MISSING_WIDGET_ROWS, sort: 'last_discovered_at', order: 'asc' }),
+        can('finance:read') ? dbService.fetchDepreciationReport({ summary: true }) : null,
+        dbService.getAssetStats(),
+      ]);
+      setAssets(result.data);
+      setListMeta(prev => ({ ...prev, assets: result }));
+      setMissingAssets({ data: missing.data, total: missing.pagination.total, days: missing.missingAfterDays });
+      setAssetValue(depreciation?.totals || null);
+      setAssetStats(stats);
     } catch (err) {
       console.error('Failed to load assets:', err);
       setError('Failed to load assets. Make sure the backend server is running on port 5000.');
     } finally {
       setLoading(false);
     }
-  };
+  }, [listParams.assets, can]);
+
+  const loadAnalytics = useCallback(async () => {
+    try {
+      setAnalyticsError(null);
+      setAnalytics(await dbService.fetchAnalytics({ months: analyticsMonths }));
+    } catch (err) {
+      console.error('Failed to load analytics:', err);
+      setAnalyticsError(`Failed to load analytics: ${err.message}`);
+    }
+  }, [analyticsMonths]);
 
-  const loadLicenses = async () => {
+  // Trends over the same months as the spend charts, weekly for short ranges
+  const loadTrends = useCallback(async () => {
+    const from = new Date();
+    from.setMonth(from.getMonth() - analyticsMonths);
     try {
-      const data = await dbService.fetchLicenses();
-      // Remove duplicates by ID
-      const uniqueLicenses = Array.from(new Map(data.map(item => [item.id, item])).values());
-      setLicenses(uniqueLicenses);
+      setTrends(await dbService.fetchTrends({
+        metric: trendMetric,
+        from: from.toISOString().slice(0, 10),
+        interval: analyticsMonths <= 6 ? 'week' : 'month',
+        group_by: trendGroup,
+      }));
+    } catch (err) {
+      console.error('Failed to load trends:', err);
+      setTrends(null);
+      setAnalyticsError(`Failed to load trends: ${err.message}`);
+    }
+  }, [analyticsMonths, trendMetric, trendGroup]);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      const result = await dbService.fetchTrash(listParams.trash);
+      setTrashItems(result.data);
+      setListMeta(prev => ({ ...prev, trash: result }));
+    } catch (err) {
+      console.error('Failed to load trash:', err);
+      setError(`Failed to load trash: ${err.message}`);
+    }
+  }, [listParams.trash]);
+
+  const loadMatches = useCallback(async () => {
+    try {
+      const result = await dbService.fetchReconciliation(listParams.reconciliation);
+      setMatches(result.data);
+      setListMeta(prev => ({ ...prev, reconciliation: result }));
+    } catch (err) {
+      console.error('Failed to load reconciliation queue:', err);
+      setError(`Failed to load reconciliation queue: ${err.message}`);
+    }
+  }, [listParams.reconciliation]);
+
+  const loadDiscoveryRuns = useCallback(async () => {
+    try {
+      const params = { ...listParams.discovery };
+      if (!params.status) delete params.status;
+      const result = await dbService.fetchDiscoveryRuns(params);
+      setDiscoveryRuns(result.data);
+      setListMeta(prev => ({ ...prev, discovery: result }));
+    } catch (err) {
+      console.error('Failed to load discovery runs:', err);
+      setError(`Failed to load discovery runs: ${err.message}`);
+    }
+  }, [listParams.discovery]);
+
+  const loadLicenses = useCallback(async () => {
+    try {
+      const [result, compliance] = await Promise.all([
+        dbService.fetchLicenses(listParams.licenses),
+        dbService.fetchLicenseCompliance(),
+      ]);
+      setLicenses(result.data);
+      setListMeta(prev => ({ ...prev, licenses: result }));
+      setLicenseCompliance(compliance.summary);
     } catch (err) {
       console.error('Failed to load licenses:', err);
     }
-  };
+  }, [listParams.licenses]);
 
-  const loadUsers = async () => {
+  const loadUsers = useCallback(async () => {
     try {
-      const data = await dbService.fetchUsers();
-      // Remove duplicates by ID
-      const uniqueUsers = Array.from(new Map(data.map(item => [item.id, item])).values());
-      setUsers(uniqueUsers);
+      const result = await dbService.fetchUsers(listParams.users);
+      setUsers(result.data);
+      setListMeta(prev => ({ ...prev, users: result }));
     } catch (err) {
       console.error('Failed to load users:', err);
     }
-  };
+  }, [listParams.users]);
 
-  const loadContracts = async () => {
+  const loadContracts = useCallback(async () => {
     try {
-      const data = await dbService.fetchContracts();
-      // Remove duplicates by ID
-      const uniqueContracts = Array.from(new Map(data.map(item => [item.id, item])).values());
-      setContracts(uniqueContracts);
+      const result = await dbService.fetchContracts(listParams.contracts);
+      setContracts(result.data);
+      setListMeta(prev => ({ ...prev, contracts: result }));
     } catch (err) {
       console.error('Failed to load contracts:', err);
     }
+  }, [listParams.contracts]);
+
+  const loadLicenseSeats = useCallback(async () => {
+    try {
+      setSeatsData(await dbService.fetchLicenseSeats(seatsLicense.id));
+    } catch (err) {
+      setError(`Failed to load seats: ${err.message}`);
+    }
+  }, [seatsLicense]);
+
+  const loadContractCoverage = useCallback(async () => {
+    try {
+      const coverage = await dbService.fetchContractCoverage(coverageContract.id);
+      setCoverageItems(coverage.items);
+    } catch (err) {
+      setError(`Failed to load coverage: ${err.message}`);
+    }
+  }, [coverageContract]);
+
+  useEffect(() => {
+    if (can('assets:read')) loadAssets();
+  }, [can, loadAssets]);
+
+  useEffect(() => {
+    if (can('licenses:read')) loadLicenses();
+  }, [can, loadLicenses]);
+
+  useEffect(() => {
+    if (can('users:read')) loadUsers();
+  }, [can, loadUsers]);
+
+  useEffect(() => {
+    if (can('contracts:read')) loadContracts();
+  }, [can, loadContracts]);
+
+  useEffect(() => {
+    if (authUser && currentScreen === 'dashboard') loadAnalytics();
+  }, [authUser, currentScreen, loadAnalytics]);
+
+  useEffect(() => {
+    if (authUser && currentScreen === 'dashboard') loadTrends();
+  }, [authUser, currentScreen, loadTrends]);
+
+  useEffect(() => {
+    if (authUser && currentScreen === 'trash') loadTrash();
+  }, [authUser, currentScreen, loadTrash]);
+
+  useEffect(() => {
+    if (authUser && currentScreen === 'reconciliation') loadMatches();
+  }, [authUser, currentScreen, loadMatches]);
+
+  useEffect(() => {
+    if (authUser && currentScreen === 'discovery') loadDiscoveryRuns();
+  }, [authUser, currentScreen, loadDiscoveryRuns]);
+
+  const discoveryPending = discoveryRuns.some(run => run.status === 'queued' || run.status === 'running');
+  useEffect(() => {
+    if (!authUser || currentScreen !== 'discovery' || !discoveryPending) return;
+    const timer = setInterval(loadDiscoveryRuns, DISCOVERY_POLL_MS);
+    return () => clearInterval(timer);
+  }, [authUser, currentScreen, discoveryPending, loadDiscoveryRuns]);
+
+  // Alerts are raised by a server job, so poll while logged in
+  useEffect(() => {
+    if (!authUser) return;
+    loadAlerts();
+    const timer = setInterval(loadAlerts, ALERT_POLL_MS);
+    return () => clearInterval(timer);
+  }, [authUser, loadAlerts]);
+
+  // The search box filters every list on the server; wait for typing to pause
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setListParams(prev => {
+        const next = {};
+        for (const [entity, params] of Object.entries(prev)) {
+          // The trash, the reconciliation queue and discovery runs are not searchable
+          const unchanged = params.search === undefined || params.search === searchTerm;
+          next[entity] = unchanged ? params : { ...params, search: searchTerm, page: 1 };
+        }
+        return next;
+      });
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  useEffect(() => {
+    const query = globalQuery.trim();
+    if (!query) {
+      setGlobalResults(null);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      dbService.globalSearch(query, { limit: 10 })
+        .then(response => { if (!cancelled) setGlobalResults(response.results); })
+        .catch(() => { if (!cancelled) setGlobalResults([]); });
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [globalQuery]);
+
+  useEffect(() => {
+    if (!historyRecord) return;
+    let cancelled = false;
+    setHistoryEntries([]);
+    setHistoryError(null);
+    dbService.fetchAuditLog({ entity: historyRecord.entity, id: historyRecord.id, limit: 100 })
+      .then(response => { if (!cancelled) setHistoryEntries(response.data); })
+      .catch(err => { if (!cancelled) setHistoryError(err.message); });
+    return () => { cancelled = true; };
+  }, [historyRecord]);
+
+  useEffect(() => {
+    if (!valuationAsset) return;
+    let cancelled = false;
+    setValuation(null);
+    setValuationError(null);
+    dbService.fetchAssetValuation(valuationAsset.id)
+      .then(result => { if (!cancelled) setValuation(result); })
+      .catch(err => { if (!cancelled) setValuationError(err.message); });
+    return () => { cancelled = true; };
+  }, [valuationAsset]);
+
+  useEffect(() => {
+    if (!assignmentDialog) return;
+    let cancelled = false;
+    setAssignmentHistory([]);
+    dbService.fetchAssetAssignments(assignmentDialog.asset.id)
+      .then(history => { if (!cancelled) setAssignmentHistory(history); })
+      .catch(() => { if (!cancelled) setAssignmentHistory([]); });
+    return () => { cancelled = true; };
+  }, [assignmentDialog]);
+
+  // Active users matching the check-out dialog's search box
+  useEffect(() => {
+    if (assignmentDialog?.mode !== 'checkout') return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      dbService.fetchUsers({ search: userQuery, status: 'Active', sort: 'user_name', order: 'asc', limit: 10 })
+        .then(result => { if (!cancelled) setUserOptions(result.data); })
+        .catch(() => { if (!cancelled) setUserOptions([]); });
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [assignmentDialog, userQuery]);
+
+  useEffect(() => {
+    if (seatsLicense) loadLicenseSeats();
+  }, [seatsLicense, loadLicenseSeats]);
+
+  // Users or assets matching the seat panel's search box
+  useEffect(() => {
+    if (!seatsLicense || !can('licenses:update')) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const request = seatForm.holder_type === 'user'
+        ? dbService.fetchUsers({ search: seatQuery, status: 'Active', sort: 'user_name', order: 'asc', limit: 10 })
+        : dbService.fetchAssets({ search: seatQuery, sort: 'asset_tag', order: 'asc', limit: 10 });
+      request
+        .then(result => { if (!cancelled) setSeatOptions(result.data); })
+        .catch(() => { if (!cancelled) setSeatOptions([]); });
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [seatsLicense, seatForm.holder_type, seatQuery, can]);
+
+  useEffect(() => {
+    if (coverageContract) loadContractCoverage();
+  }, [coverageContract, loadContractCoverage]);
+
+  // Assets or licenses matching the coverage panel's search box
+  useEffect(() => {
+    if (!coverageContract || !can('contracts:update')) return;
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const request = coverageForm.item_type === 'asset'
+        ? dbService.fetchAssets({ search: coverageQuery, sort: 'asset_tag', order: 'asc', limit: 10 })
+        : dbService.fetchLicenses({ search: coverageQuery, sort: 'license_name', order: 'asc', limit: 10 });
+      request
+        .then(result => { if (!cancelled) setCoverageOptions(result.data); })
+        .catch(() => { if (!cancelled) setCoverageOptions([]); });
+    }, 250);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [coverageContract, coverageForm.item_type, coverageQuery, can]);
+
+  useEffect(() => {
+    if (!coveredRecord) return;
+    let cancelled = false;
+    setCoveringContracts(null);
+    dbService.fetchCoveringContracts(coveredRecord.entity, coveredRecord.id)
+      .then(result => { if (!cancelled) setCoveringContracts(result); })
+      .catch(err => {
+        if (cancelled) return;
+        setCoveredRecord(null);
+        setError(`Failed to load contracts: ${err.message}`);
+      });
+    return () => { cancelled = true; };
+  }, [coveredRecord]);
+
+  // Bring the record picked from global search into view once its list has loaded
+  useEffect(() => {
+    if (!highlightedRecord) return;
+    document.getElementById(`record-${highlightedRecord.id}`)?.scrollIntoView({ block: 'center', behavior: 'smooth' });
+  }, [highlightedRecord, assets, licenses, users, contracts]);
+
+  const updateListParams = (entity, changes) => {
+    setListParams(prev => ({ ...prev, [entity]: { ...prev[entity], ...changes } }));
+  };
+
+  const handleLogin = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      setLoginError(null);
+      const user = await dbService.login(loginForm.email.trim(), loginForm.password);
+      setLoginForm({ email: '', password: '' });
+      setAuthUser(user);
+    } catch (err) {
+      setLoginError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRestore = async (item) => {
+    try {
+      setLoading(true);
+      await dbService.restoreRecord(item.entity, item.id);
+      const reload = { assets: loadAssets, licenses: loadLicenses, users: loadUsers, contracts: loadContracts };
+      await Promise.all([loadTrash(), reload[item.entity]()]);
+    } catch (err) {
+      setError(`Failed to restore ${item.title}: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePurge = async (item) => {
+    if (!window.confirm(`Permanently delete ${item.title}? This cannot be undone.`)) return;
+    try {
+      setLoading(true);
+      await dbService.purgeRecord(item.entity, item.id);
+      await loadTrash();
+    } catch (err) {
+      setError(`Failed to purge ${item.title}: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handlePurgeExpired = async () => {
+    if (!window.confirm('Permanently delete every item past the retention period?')) return;
+    try {
+      setLoading(true);
+      await dbService.purgeExpiredTrash();
+      await loadTrash();
+    } catch (err) {
+      setError(`Failed to purge trash: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResolveMatch = async (match, approve) => {
+    try {
+      setLoading(true);
+      const result = approve ? await dbService.approveMatch(match.id) : await dbService.rejectMatch(match.id);
+      if (result.error) setError(result.error);
+      await Promise.all([loadMatches(), loadAssets()]);
+    } catch (err) {
+      setError(`Failed to ${approve ? 'approve' : 'reject'} match: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Queue a run for the discovery agent; connectors limits it to some config keys, e.g. a retry
+  const handleRunDiscovery = async (connectors = []) => {
+    try {
+      setLoading(true);
+      await dbService.runDiscovery(connectors);
+      await loadDiscoveryRuns();
+    } catch (err) {
+      const detail = err.fields?.connectors ? `: ${err.fields.connectors}` : '';
+      setError(`Failed to start discovery: ${err.message}${detail}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleOpenSearchResult = (result) => {
+    setCurrentScreen(result.entity);
+    setShowForm(false);
+    setFieldErrors({});
+    setSearchTerm(result.title);
+    setHighlightedRecord({ entity: result.entity, id: result.id });
+    setGlobalQuery('');
+  };
+
+  const handleAcknowledgeAlert = async (alert) => {
+    try {
+      await dbService.acknowledgeAlert(alert.id);
+      setAlerts(prev => prev.filter(item => item.id !== alert.id));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleOpenAlert = (alert) => {
+    setAlertsOpen(false);
+    handleOpenSearchResult({ entity: alert.entity, id: alert.entity_id, title: alert.title });
+  };
+
+  const openImportDialog = (entity) => {
+    setImportDialog({ entity, file: null, mapping: null, report: null, loading: false, error: null });
+  };
+
+  // Upload the file as a dry run (preview) or for real; the server re-validates every row either way
+  const runImport = async (file, mapping, dryRun) => {
+    const { entity } = importDialog;
+    setImportDialog(prev => ({ ...prev, file, mapping, loading: true, error: null }));
+    try {
+      const report = await dbService.importRecords(entity, file, { mapping, dryRun });
+      setImportDialog(prev => ({ ...prev, report, mapping: report.mapping, loading: false, error: report.error || null }));
+      if (report.committed) {
+        const reload = { assets: loadAssets, licenses: loadLicenses, users: loadUsers, contracts: loadContracts }[entity];
+        await reload();
+      }
+    } catch (err) {
+      setImportDialog(prev => ({ ...prev, report: null, loading: false, error: err.fields?.file || err.message }));
+    }
+  };
+
+  // Download the list as currently searched, filtered and sorted
+  const handleExport = async (entity, format) => {
+    try {
+      const { blob, filename } = await dbService.exportRecords(entity, listParams[entity], format);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleImportMappingChange = (column, field) => {
+    const mapping = { ...importDialog.mapping, [column]: field };
+    if (!field) delete mapping[column];
+    runImport(importDialog.file, mapping, true);
+  };
+
+  const handleLogout = async () => {
+    await dbService.logout();
+    setAuthUser(null);
+    setAssets([]);
+    setLicenses([]);
+    setUsers([]);
+    setContracts([]);
+    setTrashItems([]);
+    setMatches([]);
+    setMissingAssets(null);
+    setGlobalQuery('');
+    setHighlightedRecord(null);
+    setHistoryRecord(null);
+    setAssignmentDialog(null);
+    setTransitionDialog(null);
+    setValuationAsset(null);
+    setAssetValue(null);
+    setAssetStats(null);
+    setAnalytics(null);
+    setTrends(null);
+    setSeatsLicense(null);
+    setCoverageContract(null);
+    setCoveredRecord(null);
+    setAlerts([]);
+    setAlertsOpen(false);
+    setImportDialog(null);
+    setCurrentScreen('dashboard');
+    setShowForm(false);
+    setFieldErrors({});
   };
 
   const handleAddAsset = async () => {
@@ -130,7 +839,9 @@ export default function App() {
       isSubmittingRef.current = true;
       setLoading(true);
       if (editingId) {
-        await dbService.updateAsset(editingId, formData);
+        // Status only changes through the lifecycle actions
+        const { status, ...changes } = formData;
+        await dbService.updateAsset(editingId, changes);
         setEditingId(null);
       } else {
         await dbService.createAsset(formData);
@@ -141,12 +852,20 @@ export default function App() {
         manufacturer: '',
         model: '',
         serial_number: '',
-        assigned_user_name: '',
-        status: 'In Use'
+        hostname: '',
+        mac_addresses: '',
+        status: 'Deployed',
+        cost: '',
+        purchase_date: '',
+        useful_life_months: '',
+        depreciation_method: '',
+        salvage_value: ''
       });
       setShowForm(false);
+      setFieldErrors({});
       await loadAssets();
     } catch (err) {
+      setFieldErrors(err.fields || {});
       setError(`Failed to ${editingId ? 'update' : 'add'} asset: ${err.message}`);
     } finally {
       isSubmittingRef.current = false;
@@ -156,14 +875,21 @@ export default function App() {
 
   const handleEditAsset = (asset) => {
     setEditingId(asset.id);
+    setFieldErrors({});
     setFormData({
       asset_tag: asset.asset_tag,
       asset_type: asset.asset_type,
       manufacturer: asset.manufacturer,
       model: asset.model,
       serial_number: asset.serial_number,
-      assigned_user_name: asset.assigned_user_name,
-      status: asset.status
+      hostname: asset.hostname || '',
+      mac_addresses: (asset.mac_addresses || []).join(', '),
+      status: asset.status,
+      cost: asset.cost ?? '',
+      purchase_date: (asset.purchase_date || '').slice(0, 10),
+      useful_life_months: asset.useful_life_months ?? '',
+      depreciation_method: asset.depreciation_method || '',
+      salvage_value: asset.salvage_value ?? ''
     });
     setShowForm(true);
   };
@@ -171,17 +897,145 @@ export default function App() {
   const handleCancelEdit = () => {
     setEditingId(null);
     setShowForm(false);
+    setFieldErrors({});
     setFormData({
       asset_tag: '',
       asset_type: '',
       manufacturer: '',
       model: '',
       serial_number: '',
-      assigned_user_name: '',
-      status: 'In Use'
+      hostname: '',
+      mac_addresses: '',
+      status: 'Deployed',
+      cost: '',
+      purchase_date: '',
+      useful_life_months: '',
+      depreciation_method: '',
+      salvage_value: ''
     });
   };
 
+  const openAssignmentDialog = (mode, asset) => {
+    setAssignmentForm({ user_id: '', expected_return_date: '', condition: '', notes: '' });
+    setUserQuery('');
+    setFieldErrors({});
+    setAssignmentDialog({ mode, asset });
+  };
+
+  const handleAssignmentSubmit = async () => {
+    const { mode, asset } = assignmentDialog;
+    try {
+      setLoading(true);
+      if (mode === 'checkout') {
+        await dbService.checkoutAsset(asset.id, assignmentForm);
+      } else {
+        await dbService.checkinAsset(asset.id, { condition: assignmentForm.condition, notes: assignmentForm.notes });
+      }
+      setAssignmentDialog(null);
+      setFieldErrors({});
+      await Promise.all([loadAssets(), can('users:read') ? loadUsers() : null]);
+    } catch (err) {
+      setFieldErrors(err.fields || {});
+      setError(`Failed to check ${mode === 'checkout' ? 'out' : 'in'} ${asset.asset_tag}: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openSeatsPanel = (license) => {
+    setSeatForm({ holder_type: 'user', holder_id: '', notes: '' });
+    setSeatQuery('');
+    setFieldErrors({});
+    setSeatsData({ seats: [], compliance: null });
+    setSeatsLicense(license);
+  };
+
+  const handleSeatChange = async (action, holderType, holderId, notes) => {
+    try {
+      setLoading(true);
+      await dbService.updateLicenseSeat(seatsLicense.id, {
+        action,
+        [holderType === 'user' ? 'user_id' : 'asset_id']: holderId,
+        ...(notes ? { notes } : {}),
+      });
+      setSeatForm({ ...seatForm, holder_id: '', notes: '' });
+      setFieldErrors({});
+      await Promise.all([loadLicenseSeats(), loadLicenses()]);
+    } catch (err) {
+      setFieldErrors(err.fields || {});
+      setError(`Failed to ${action} seat: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openCoveragePanel = (contract) => {
+    setCoverageForm({ item_type: 'asset', item_id: '', notes: '' });
+    setCoverageQuery('');
+    setFieldErrors({});
+    setCoverageItems([]);
+    setCoverageContract(contract);
+  };
+
+  // Lists show coverage on both sides, so both are reloaded after a change
+  const reloadCoverageLists = (entity) => Promise.all([
+    loadContractCoverage(),
+    loadContracts(),
+    entity === 'assets' ? loadAssets() : loadLicenses(),
+  ]);
+
+  const handleAttachCoverage = async () => {
+    const entity = coverageForm.item_type === 'asset' ? 'assets' : 'licenses';
+    try {
+      setLoading(true);
+      await dbService.attachCoverage(coverageContract.id, {
+        [coverageForm.item_type === 'asset' ? 'asset_id' : 'license_id']: coverageForm.item_id,
+        ...(coverageForm.notes ? { notes: coverageForm.notes } : {}),
+      });
+      setCoverageForm({ ...coverageForm, item_id: '', notes: '' });
+      setFieldErrors({});
+      await reloadCoverageLists(entity);
+    } catch (err) {
+      setFieldErrors(err.fields || {});
+      setError(`Failed to attach coverage: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleDetachCoverage = async (item) => {
+    try {
+      setLoading(true);
+      await dbService.detachCoverage(coverageContract.id, item.entity, item.item_id);
+      await reloadCoverageLists(item.entity);
+    } catch (err) {
+      setError(`Failed to detach ${item.label}: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleAssetTransition = async (asset, status, reason) => {
+    const reasonField = ASSET_STATUS_REASONS[status];
+    if (reasonField && reason === undefined) {
+      setFieldErrors({});
+      setTransitionDialog({ asset, status, reason: '' });
+      return;
+    }
+    try {
+      setLoading(true);
+      await dbService.transitionAsset(asset.id, reasonField ? { status, [reasonField]: reason } : { status });
+      setTransitionDialog(null);
+      setFieldErrors({});
+      await loadAssets();
+    } catch (err) {
+      setFieldErrors(err.fields || {});
+      setError(`Failed to move ${asset.asset_tag} to ${status}: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   const handleDeleteAsset = async (id) => {
     try {
       setLoading(true);
@@ -260,8 +1114,10 @@ export default function App() {
         notes: ''
       });
       setShowForm(false);
+      setFieldErrors({});
       await loadLicenses();
     } catch (err) {
+      setFieldErrors(err.fields || {});
       setError(`Failed to ${editingId ? 'update' : 'add'} license: ${err.message}`);
     } finally {
       isSubmittingRef.current = false;
@@ -271,6 +1127,7 @@ export default function App() {
 
   const handleEditLicense = (license) => {
     setEditingId(license.id);
+    setFieldErrors({});
     setLicenseFormData(license);
     setShowForm(true);
   };
@@ -313,13 +1170,15 @@ export default function App() {
         email: '',
         department: '',
         phone: '',
-        role: '',
+        role: 'employee',
         status: 'Active',
         notes: ''
       });
       setShowForm(false);
+      setFieldErrors({});
       await loadUsers();
     } catch (err) {
+      setFieldErrors(err.fields || {});
       setError(`Failed to ${editingId ? 'update' : 'add'} user: ${err.message}`);
     } finally {
       isSubmittingRef.current = false;
@@ -329,6 +1188,7 @@ export default function App() {
 
   const handleEditUser = (user) => {
     setEditingId(user.id);
+    setFieldErrors({});
     setUserFormData(user);
     setShowForm(true);
   };
@@ -372,14 +1232,16 @@ export default function App() {
         contract_type: '',
         start_date: '',
         end_date: '',
-        value: 0,
+        contract_value: 0,
         currency: 'USD',
         status: 'Active',
-        description: ''
+        notes: ''
       });
       setShowForm(false);
+      setFieldErrors({});
       await loadContracts();
     } catch (err) {
+      setFieldErrors(err.fields || {});
       setError(`Failed to ${editingId ? 'update' : 'add'} contract: ${err.message}`);
     } finally {
       isSubmittingRef.current = false;
@@ -389,6 +1251,7 @@ export default function App() {
 
   const handleEditContract = (contract) => {
     setEditingId(contract.id);
+    setFieldErrors({});
     setContractFormData(contract);
     setShowForm(true);
   };
@@ -405,28 +1268,332 @@ export default function App() {
     }
   };
 
-  const filteredAssets = searchTerm 
-    ? assets.filter(asset =>
-        asset.asset_tag.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        asset.manufacturer.toLowerCase().includes(searchTerm.toLowerCase()) ||
-        asset.model.toLowerCase().includes(searchTerm.toLowerCase())
-      )
-    : assets;
+  const renderSortHeader = (entity, column, label) => {
+    const params = listParams[entity];
+    const active = params.sort === column;
+    return (
+      <th className="px-6 py-3 text-left text-slate-300 font-semibold">
+        <button
+          onClick={() => updateListParams(entity, {
+            sort: column,
+            order: active && params.order === 'asc' ? 'desc' : 'asc',
+            page: 1
+          })}
+          className="flex items-center gap-1 hover:text-white transition"
+        >
+          {label}
+          {active && (params.order === 'asc' ? <ChevronUp className="w-4 h-4" /> : <ChevronDown className="w-4 h-4" />)}
+        </button>
+      </th>
+    );
+  };
 
-  // Screen rendering functions
-  const renderAssetsScreen = () => (
-    <>
-      {error && (
-        <div className="mb-6 p-4 bg-red-900 border border-red-700 rounded-lg">
-          <p className="text-red-200">{error}</p>
-          <button 
-            onClick={() => setError(null)}
-            className="text-sm mt-2 underline hover:no-underline"
-          >
-            Dismiss
-          </button>
-        </div>
-      )}
+  const renderPagination = (entity) => {
+    const params = listParams[entity];
+    const pagination = listMeta[entity]?.pagination;
+    if (!pagination) return null;
+
+    const first = pagination.total === 0 ? 0 : (params.page - 1) * params.limit + 1;
+    const last = Math.min(params.page * params.limit, pagination.total);
+    return (
+      <div className="flex items-center justify-between px-6 py-3 bg-slate-800 border-t border-slate-600 text-sm text-slate-300">
+        <div className="flex items-center gap-4">
+          <span>Showing {first}-{last} of {pagination.total}</span>
+          {RECORD_LABELS[entity] && (
+            <select
+              value=""
+              onChange={(e) => e.target.value && handleExport(entity, e.target.value)}
+              disabled={pagination.total === 0}
+              className="px-2 py-1 bg-slate-600 border border-slate-500 rounded text-white disabled:opacity-40"
+              title="Download the current view"
+            >
+              <option value="">Export...</option>
+              {EXPORT_FORMATS.map(format => (
+                <option key={format.value} value={format.value}>{format.label}</option>
+              ))}
+            </select>
+          )}
+        </div>
+        <div className="flex items-center gap-3">
+          <select
+            value={params.limit}
+            onChange={(e) => updateListParams(entity, { limit: parseInt(e.target.value), page: 1 })}
+            className="px-2 py-1 bg-slate-600 border border-slate-500 rounded text-white"
+          >
+            {PAGE_SIZES.map(size => (
+              <option key={size} value={size}>{size} / page</option>
+            ))}
+          </select>
+          <button
+            onClick={() => updateListParams(entity, { page: params.page - 1 })}
+            disabled={params.page <= 1}
+            className="p-1 rounded hover:bg-slate-600 disabled:opacity-40 transition"
+          >
+            <ChevronLeft className="w-5 h-5" />
+          </button>
+          <span>Page {params.page} of {pagination.totalPages}</span>
+          <button
+            onClick={() => updateListParams(entity, { page: params.page + 1 })}
+            disabled={!pagination.hasMore}
+            className="p-1 rounded hover:bg-slate-600 disabled:opacity-40 transition"
+          >
+            <ChevronRight className="w-5 h-5" />
+          </button>
+        </div>
+      </div>
+    );
+  };
+
+  const statusCount = (entity, status) => listMeta[entity]?.summary?.byStatus?.[status] || 0;
+
+  // Screen rendering functions
+  const renderKpiTile = (label, value, detail, valueClassName = 'text-white') => (
+    <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
+      <p className="text-slate-400 text-sm">{label}</p>
+      <p className={`text-3xl font-bold mt-2 ${valueClassName}`}>{value}</p>
+      {detail && <p className="text-slate-400 text-xs mt-1">{detail}</p>}
+    </div>
+  );
+
+  // Horizontal bars of an asset breakdown ([{ name, count, value }]), with the cost of each row
+  const renderBreakdownChart = (title, rows, colorFor = () => 'bg-blue-500') => {
+    const max = Math.max(1, ...rows.map(row => row.count));
+    return (
+      <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
+        <h3 className="text-white font-semibold mb-4">{title}</h3>
+        {rows.length === 0 ? (
+          <p className="text-slate-400 text-sm">No assets yet</p>
+        ) : (
+          <div className="space-y-3">
+            {rows.map(row => (
+              <div key={row.name}>
+                <div className="flex justify-between text-sm mb-1">
+                  <span className="text-slate-300 truncate pr-2" title={row.name}>{row.name}</span>
+                  <span className="text-slate-400 whitespace-nowrap">{row.count} · {formatMoney(row.value)}</span>
+                </div>
+                <div className="h-2 bg-slate-800 rounded">
+                  <div className={`h-2 rounded ${colorFor(row.name)}`} style={{ width: `${(row.count / max) * 100}%` }} />
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // A column per month ([{ month: 'YYYY-MM', amount }]); labels thin out on long ranges
+  const renderSpendChart = (title, points, colorClassName) => {
+    const max = Math.max(0, ...points.map(point => point.amount));
+    const total = points.reduce((sum, point) => sum + point.amount, 0);
+    const labelEvery = Math.ceil(points.length / 12);
+    return (
+      <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
+        <div className="flex items-baseline justify-between mb-4">
+          <h3 className="text-white font-semibold">{title}</h3>
+          <span className="text-slate-400 text-sm">{formatMoney(total)} over {points.length} months</span>
+        </div>
+        <div className="flex items-end gap-1 h-40 border-b border-slate-600">
+          {points.map(point => (
+            <div key={point.month} className="flex-1 h-full flex items-end" title={`${formatMonth(point.month, true)}: ${formatMoney(point.amount)}`}>
+              <div
+                className={`w-full rounded-t ${colorClassName}`}
+                style={{ height: max > 0 ? `${(point.amount / max) * 100}%` : 0, minHeight: point.amount > 0 ? 2 : 0 }}
+              />
+            </div>
+          ))}
+        </div>
+        <div className="flex gap-1 mt-2">
+          {points.map((point, index) => (
+            <span key={point.month} className="flex-1 text-center text-slate-500 text-xs truncate">
+              {index % labelEvery === 0 ? formatMonth(point.month, index === 0) : ''}
+            </span>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
+  // Lines of the trend series (largest first), from the nightly inventory snapshots
+  const renderTrendChart = () => {
+    const metrics = Object.keys(TREND_METRIC_LABELS).filter(metric => can(`${metric.split('.')[0]}:read`));
+    const isMoney = /\.(cost|value)$/.test(trendMetric);
+    const formatValue = value => (isMoney ? formatMoney(value) : Number(value).toLocaleString());
+    const series = (trends?.series || []).slice(0, TREND_LINE_COLORS.length);
+    const points = series[0]?.points || [];
+    const max = Math.max(1, ...series.flatMap(line => line.points.map(point => point.value)));
+    const x = index => (points.length > 1 ? (index / (points.length - 1)) * 100 : 50);
+    const y = value => 100 - (Math.max(0, value) / max) * 100;
+    return (
+      <div className="mt-6 bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
+        <div className="flex items-center justify-between gap-4 mb-4">
+          <h3 className="text-white font-semibold">Trends</h3>
+          <div className="flex gap-2">
+            <select
+              value={trendMetric}
+              onChange={(e) => setTrendMetric(e.target.value)}
+              className="px-3 py-1 bg-slate-800 border border-slate-600 rounded-lg text-white text-sm"
+            >
+              {metrics.map(metric => <option key={metric} value={metric}>{TREND_METRIC_LABELS[metric]}</option>)}
+            </select>
+            <select
+              value={trendGroup}
+              onChange={(e) => setTrendGroup(e.target.value)}
+              className="px-3 py-1 bg-slate-800 border border-slate-600 rounded-lg text-white text-sm"
+            >
+              {Object.entries(TREND_GROUP_LABELS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </select>
+          </div>
+        </div>
+        {points.length === 0 ? (
+          <p className="text-slate-400 text-sm">
+            No snapshots in this range yet. The inventory is snapshotted every night, so trends build up from the first one.
+          </p>
+        ) : (
+          <>
+            <div className="flex gap-3">
+              <div className="flex flex-col justify-between text-slate-500 text-xs text-right w-20 shrink-0">
+                <span>{formatValue(max)}</span>
+                <span>{formatValue(0)}</span>
+              </div>
+              <svg viewBox="0 0 100 100" preserveAspectRatio="none" className="h-48 w-full border-l border-b border-slate-600">
+                {series.map((line, index) => (
+                  <polyline
+                    key={line.name}
+                    points={line.points.map((point, position) => `${x(position)},${y(point.value)}`).join(' ')}
+                    fill="none"
+                    stroke={TREND_LINE_COLORS[index]}
+                    strokeWidth="2"
+                    vectorEffect="non-scaling-stroke"
+                  >
+                    <title>{line.name}</title>
+                  </polyline>
+                ))}
+              </svg>
+            </div>
+            <div className="flex justify-between text-slate-500 text-xs mt-2 ml-24">
+              <span>{points[0].snapshot_date}</span>
+              <span>{points[points.length - 1].snapshot_date}</span>
+            </div>
+            <div className="flex flex-wrap gap-x-4 gap-y-1 mt-3 text-sm">
+              {series.map((line, index) => (
+                <span key={line.name} className="flex items-center gap-2 text-slate-300">
+                  <span className="w-3 h-3 rounded-sm" style={{ backgroundColor: TREND_LINE_COLORS[index] }} />
+                  {trends.group_by ? line.name : TREND_METRIC_LABELS[trendMetric]}: {formatValue(line.points[line.points.length - 1].value)}
+                </span>
+              ))}
+              {trends.series.length > series.length && (
+                <span className="text-slate-500">and {trends.series.length - series.length} more</span>
+              )}
+            </div>
+          </>
+        )}
+      </div>
+    );
+  };
+
+  const renderDashboardScreen = () => {
+    const assetsSummary = analytics?.assets;
+    const licensesSummary = analytics?.licenses;
+    const contractsSummary = analytics?.contracts;
+    return (
+      <>
+        {analyticsError && (
+          <div className="mb-6 p-4 bg-red-900 border border-red-700 rounded-lg">
+            <p className="text-red-200">{analyticsError}</p>
+            <button
+              onClick={() => setAnalyticsError(null)}
+              className="text-sm mt-2 underline hover:no-underline"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        <div className="mb-6 flex items-center justify-between">
+          <p className="text-slate-400 text-sm">
+            {analytics ? `As of ${new Date(analytics.generated_at).toLocaleString()}` : 'Loading...'}
+          </p>
+          <select
+            value={analyticsMonths}
+            onChange={(e) => setAnalyticsMonths(Number(e.target.value))}
+            className="px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white"
+          >
+            {ANALYTICS_MONTH_OPTIONS.map(months => (
+              <option key={months} value={months}>Last {months} months</option>
+            ))}
+          </select>
+        </div>
+
+        {analytics && (
+          <>
+            <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-4 gap-4">
+              {assetsSummary && renderKpiTile(
+                'Assets',
+                assetsSummary.total,
+                `${assetsSummary.by_status.find(row => row.name === 'Deployed')?.count || 0} deployed · ${assetsSummary.discovered} discovered · ${assetsSummary.missing} missing`
+              )}
+              {assetsSummary && (assetsSummary.book_value !== null
+                ? renderKpiTile('Asset Book Value', formatMoney(assetsSummary.book_value), `of ${formatMoney(assetsSummary.total_cost)} cost`, 'text-emerald-400')
+                : renderKpiTile('Asset Value', formatMoney(assetsSummary.total_cost), 'cost of the assets not disposed of', 'text-emerald-400'))}
+              {licensesSummary && renderKpiTile(
+                'License Spend',
+                formatMoney(licensesSummary.total_spend),
+                `${licensesSummary.seats_used} of ${licensesSummary.seats} seats in use · ${licensesSummary.expired} expired`,
+                'text-blue-400'
+              )}
+              {contractsSummary && renderKpiTile(
+                'Active Contracts',
+                contractsSummary.active,
+                contractsSummary.by_currency.map(row => `${row.currency} ${formatMoney(row.active_value)}`).join(' · ') || 'No contracts yet',
+                'text-purple-400'
+              )}
+            </div>
+
+            {assetsSummary && (
+              <div className="mt-6 grid grid-cols-1 lg:grid-cols-2 gap-4">
+                {renderBreakdownChart('Assets by Status', assetsSummary.by_status, status => ASSET_STATUS_BAR_COLORS[status])}
+                {renderBreakdownChart('Assets by Type', topBreakdown(assetsSummary.by_type))}
+                {renderBreakdownChart('Assets by Manufacturer', topBreakdown(assetsSummary.by_manufacturer), () => 'bg-indigo-500')}
+                {renderBreakdownChart('Assets by Department', topBreakdown(assetsSummary.by_department), () => 'bg-teal-500')}
+              </div>
+            )}
+
+            {renderTrendChart()}
+
+            {(licensesSummary || contractsSummary) && (
+              <div className="mt-6 grid grid-cols-1 lg:grid-cols-2 gap-4">
+                {licensesSummary && renderSpendChart('License Spend', licensesSummary.spend, 'bg-blue-500')}
+                {contractsSummary?.by_currency.map(({ currency }) => (
+                  <React.Fragment key={currency}>
+                    {renderSpendChart(
+                      `Contract Spend (${currency})`,
+                      contractsSummary.spend.map(({ month, amounts }) => ({ month, amount: amounts[currency] || 0 })),
+                      'bg-purple-500'
+                    )}
+                  </React.Fragment>
+                ))}
+              </div>
+            )}
+          </>
+        )}
+      </>
+    );
+  };
+
+  const renderAssetsScreen = () => (
+    <>
+      {error && (
+        <div className="mb-6 p-4 bg-red-900 border border-red-700 rounded-lg">
+          <p className="text-red-200">{error}</p>
+          <button 
+            onClick={() => setError(null)}
+            className="text-sm mt-2 underline hover:no-underline"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
 
       {loading && (
         <div className="mb-6 p-4 bg-blue-900 border border-blue-700 rounded-lg">
@@ -438,52 +1605,152 @@ export default function App() {
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 mb-8 shadow-xl">
           <h2 className="text-xl font-semibold text-white mb-4">{editingId ? 'Edit Asset' : 'Add New Asset'}</h2>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <input
-              type="text"
-              placeholder="Asset Tag"
-              value={formData.asset_tag}
-              onChange={(e) => setFormData({...formData, asset_tag: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <select
-              value={formData.asset_type}
-              onChange={(e) => setFormData({...formData, asset_type: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
-            >
-              <option value="">Select Type</option>
-              <option value="hardware">Hardware</option>
-              <option value="software">Software</option>
-              <option value="cloud">Cloud</option>
-              <option value="network">Network</option>
-            </select>
-            <input
-              type="text"
-              placeholder="Manufacturer"
-              value={formData.manufacturer}
-              onChange={(e) => setFormData({...formData, manufacturer: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="text"
-              placeholder="Model"
-              value={formData.model}
-              onChange={(e) => setFormData({...formData, model: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="text"
-              placeholder="Serial Number"
-              value={formData.serial_number}
-              onChange={(e) => setFormData({...formData, serial_number: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="email"
-              placeholder="Assigned User"
-              value={formData.assigned_user_name}
-              onChange={(e) => setFormData({...formData, assigned_user_name: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
+            <div>
+              <input
+                type="text"
+                placeholder="Asset Tag"
+                value={formData.asset_tag}
+                onChange={(e) => setFormData({...formData, asset_tag: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('asset_tag')}
+            </div>
+            <div>
+              <select
+                value={formData.asset_type}
+                onChange={(e) => setFormData({...formData, asset_type: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+              >
+                <option value="">Select Type</option>
+                <option value="hardware">Hardware</option>
+                <option value="software">Software</option>
+                <option value="cloud">Cloud</option>
+                <option value="network">Network</option>
+              </select>
+              {renderFieldError('asset_type')}
+            </div>
+            <div>
+              <input
+                type="text"
+                placeholder="Manufacturer"
+                value={formData.manufacturer}
+                onChange={(e) => setFormData({...formData, manufacturer: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('manufacturer')}
+            </div>
+            <div>
+              <input
+                type="text"
+                placeholder="Model"
+                value={formData.model}
+                onChange={(e) => setFormData({...formData, model: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('model')}
+            </div>
+            <div>
+              <input
+                type="text"
+                placeholder="Serial Number"
+                value={formData.serial_number}
+                onChange={(e) => setFormData({...formData, serial_number: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('serial_number')}
+            </div>
+            <div>
+              <input
+                type="text"
+                placeholder="Hostname"
+                value={formData.hostname}
+                onChange={(e) => setFormData({...formData, hostname: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('hostname')}
+            </div>
+            <div>
+              <input
+                type="text"
+                placeholder="MAC Addresses (comma separated)"
+                value={formData.mac_addresses}
+                onChange={(e) => setFormData({...formData, mac_addresses: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('mac_addresses')}
+            </div>
+            <div>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Cost"
+                value={formData.cost}
+                onChange={(e) => setFormData({...formData, cost: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('cost')}
+            </div>
+            <div>
+              <label className="block text-slate-400 text-xs mb-1">Purchase date</label>
+              <input
+                type="date"
+                value={formData.purchase_date}
+                onChange={(e) => setFormData({...formData, purchase_date: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+              />
+              {renderFieldError('purchase_date')}
+            </div>
+            <div>
+              <select
+                value={formData.depreciation_method}
+                onChange={(e) => setFormData({...formData, depreciation_method: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+              >
+                <option value="">Depreciation: asset type default</option>
+                {Object.entries(DEPRECIATION_METHOD_LABELS).map(([method, label]) => (
+                  <option key={method} value={method}>{label}</option>
+                ))}
+              </select>
+              {renderFieldError('depreciation_method')}
+            </div>
+            <div>
+              <input
+                type="number"
+                min="1"
+                placeholder="Useful life in months (blank for the asset type default)"
+                value={formData.useful_life_months}
+                onChange={(e) => setFormData({...formData, useful_life_months: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('useful_life_months')}
+            </div>
+            <div>
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Salvage value"
+                value={formData.salvage_value}
+                onChange={(e) => setFormData({...formData, salvage_value: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('salvage_value')}
+            </div>
+            {!editingId && (
+              <div>
+                <select
+                  value={formData.status}
+                  onChange={(e) => setFormData({...formData, status: e.target.value})}
+                  className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+                >
+                  {ASSET_INITIAL_STATUSES.map(status => (
+                    <option key={status} value={status}>{status}</option>
+                  ))}
+                </select>
+                {renderFieldError('status')}
+              </div>
+            )}
           </div>
           <div className="flex gap-2 mt-4">
             <button
@@ -496,14 +1763,21 @@ export default function App() {
               onClick={() => {
                 setEditingId(null);
                 setShowForm(false);
+                setFieldErrors({});
                 setFormData({
                   asset_tag: '',
                   asset_type: '',
                   manufacturer: '',
                   model: '',
                   serial_number: '',
-                  assigned_user_name: '',
-                  status: 'In Use'
+                  hostname: '',
+                  mac_addresses: '',
+                  status: 'Deployed',
+                  cost: '',
+                  purchase_date: '',
+                  useful_life_months: '',
+                  depreciation_method: '',
+                  salvage_value: ''
                 });
               }}
               className="bg-slate-600 hover:bg-slate-500 text-white px-6 py-2 rounded-lg transition"
@@ -527,31 +1801,56 @@ export default function App() {
         </div>
       </div>
 
+      {listParams.assets.stale && (
+        <div className="mb-4 flex items-center justify-between p-3 bg-red-950 border border-red-800 rounded-lg text-sm">
+          <span className="text-red-200">Showing assets discovery has not seen for {missingAssets?.days ?? '...'} days</span>
+          <button
+            onClick={() => updateListParams('assets', { stale: undefined, page: 1 })}
+            className="text-red-200 underline hover:no-underline"
+          >
+            Show all assets
+          </button>
+        </div>
+      )}
+
       <div className="bg-slate-700 border border-slate-600 rounded-lg overflow-hidden shadow-xl">
         <div className="overflow-x-auto">
           <table className="w-full text-sm">
             <thead className="bg-slate-800 border-b border-slate-600">
               <tr>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Asset Tag</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Type</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Manufacturer</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Model</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Assigned User</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Status</th>
+                {renderSortHeader('assets', 'asset_tag', 'Asset Tag')}
+                {renderSortHeader('assets', 'asset_type', 'Type')}
+                {renderSortHeader('assets', 'manufacturer', 'Manufacturer')}
+                {renderSortHeader('assets', 'model', 'Model')}
+                {renderSortHeader('assets', 'assigned_user_name', 'Assigned User')}
+                {renderSortHeader('assets', 'status', 'Status')}
                 <th className="px-6 py-3 text-left text-slate-300 font-semibold">Actions</th>
               </tr>
             </thead>
             <tbody>
-              {filteredAssets.length === 0 ? (
+              {assets.length === 0 ? (
                 <tr>
                   <td colSpan="7" className="px-6 py-8 text-center text-slate-400">
                     No assets found
                   </td>
                 </tr>
               ) : (
-                filteredAssets.map((asset) => (
-                  <tr key={asset.id} className="border-b border-slate-600 hover:bg-slate-600 transition">
-                    <td className="px-6 py-4 text-white font-medium">{asset.asset_tag}</td>
+                assets.map((asset) => (
+                  <tr key={asset.id} id={`record-${asset.id}`} className={rowClassName(asset.id)}>
+                    <td className="px-6 py-4 text-white font-medium">
+                      {asset.asset_tag}
+                      {renderCoverageBadge('assets', asset.id, asset.asset_tag, asset.covering_contracts)}
+                      {asset.discovery_sources?.length > 0 && (
+                        <span
+                          className="ml-2 text-xs text-cyan-400"
+                          title={asset.discovery_sources
+                            .map(source => `${source.source}: first seen ${new Date(source.first_seen_at).toLocaleDateString()}, last seen ${new Date(source.last_seen_at).toLocaleString()}`)
+                            .join('\n')}
+                        >
+                          ({asset.discovery_sources.map(source => source.source).join(', ')})
+                        </span>
+                      )}
+                    </td>
                     <td className="px-6 py-4 text-slate-300">
                       <span className="bg-blue-900 text-blue-200 px-2 py-1 rounded text-xs">
                         {asset.asset_type}
@@ -559,27 +1858,100 @@ export default function App() {
                     </td>
                     <td className="px-6 py-4 text-slate-300">{asset.manufacturer}</td>
                     <td className="px-6 py-4 text-slate-300">{asset.model}</td>
-                    <td className="px-6 py-4 text-slate-300">{asset.assigned_user_name}</td>
+                    <td className="px-6 py-4 text-slate-300">
+                      {asset.assigned_user_name}
+                      {asset.assigned_user_name && !asset.assigned_user_id && (
+                        <span className="ml-2 text-xs text-yellow-400" title="Not linked to a user account">(unlinked)</span>
+                      )}
+                    </td>
                     <td className="px-6 py-4">
-                      <span className={`px-2 py-1 rounded text-xs font-medium ${
-                        asset.status === 'In Use' ? 'bg-green-900 text-green-200' : 'bg-yellow-900 text-yellow-200'
-                      }`}>
+                      <span
+                        className={`px-2 py-1 rounded text-xs font-medium ${ASSET_STATUS_STYLES[asset.status] || ASSET_STATUS_STYLES.Ordered}`}
+                        title={[
+                          asset[statusTimestampColumn(asset.status)] && `Since ${new Date(asset[statusTimestampColumn(asset.status)]).toLocaleString()}`,
+                          asset.retirement_reason && `Retired: ${asset.retirement_reason}`,
+                          asset.disposal_reason && `Disposed: ${asset.disposal_reason}`,
+                        ].filter(Boolean).join('\n') || undefined}
+                      >
                         {asset.status}
                       </span>
+                      {asset.missing_since && (
+                        <span
+                          className="ml-2 px-2 py-1 rounded text-xs font-medium bg-red-900 text-red-200"
+                          title={`Last seen ${new Date(asset.missing_since).toLocaleString()}`}
+                        >
+                          Missing
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4">
                       <div className="flex gap-2">
-                        <button 
-                          onClick={() => handleEditAsset(asset)}
-                          className="text-blue-400 hover:text-blue-300 transition">
-                          <Edit2 className="w-4 h-4" />
-                        </button>
-                        <button
-                          onClick={() => handleDeleteAsset(asset.id)}
-                          className="text-red-400 hover:text-red-300 transition"
-                        >
-                          <Trash2 className="w-4 h-4" />
-                        </button>
+                        {can('audit:read') && (
+                          <button
+                            onClick={() => setHistoryRecord({ entity: 'assets', id: asset.id, title: asset.asset_tag })}
+                            className="text-slate-400 hover:text-slate-200 transition"
+                            title="History"
+                          >
+                            <History className="w-4 h-4" />
+                          </button>
+                        )}
+                        {can('finance:read') && (
+                          <button
+                            onClick={() => setValuationAsset(asset)}
+                            className="text-emerald-400 hover:text-emerald-300 transition"
+                            title="Valuation"
+                          >
+                            <Calculator className="w-4 h-4" />
+                          </button>
+                        )}
+                        {can('assets:update') && (asset.assigned_user_name ? (
+                          <button
+                            onClick={() => openAssignmentDialog('checkin', asset)}
+                            className="text-yellow-400 hover:text-yellow-300 transition"
+                            title="Check in"
+                          >
+                            <UserMinus className="w-4 h-4" />
+                          </button>
+                        ) : can('users:read') && (
+                          <button
+                            onClick={() => openAssignmentDialog('checkout', asset)}
+                            className="text-green-400 hover:text-green-300 transition"
+                            title="Check out"
+                          >
+                            <UserPlus className="w-4 h-4" />
+                          </button>
+                        ))}
+                        {can('assets:update') && (ASSET_TRANSITIONS[asset.status] || [])
+                          .filter(status => !asset.assigned_user_name || !ASSET_UNASSIGNED_STATUSES.includes(status))
+                          .map(status => {
+                            const action = ASSET_STATUS_ACTIONS[status];
+                            const ActionIcon = action.icon;
+                            return (
+                              <button
+                                key={status}
+                                onClick={() => handleAssetTransition(asset, status)}
+                                className={`${action.className} transition`}
+                                title={asset.status === 'Ordered' ? 'Receive' : action.label}
+                              >
+                                <ActionIcon className="w-4 h-4" />
+                              </button>
+                            );
+                          })}
+                        {can('assets:update') && (
+                          <button 
+                            onClick={() => handleEditAsset(asset)}
+                            className="text-blue-400 hover:text-blue-300 transition">
+                            <Edit2 className="w-4 h-4" />
+                          </button>
+                        )}
+                        {can('assets:delete') && (
+                          <button
+                            onClick={() => handleDeleteAsset(asset.id)}
+                            className="text-red-400 hover:text-red-300 transition"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -588,22 +1960,62 @@ export default function App() {
             </tbody>
           </table>
         </div>
+        {renderPagination('assets')}
       </div>
 
-      <div className="mt-8 grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className={`mt-8 grid grid-cols-1 ${assetValue ? 'md:grid-cols-4' : 'md:grid-cols-3'} gap-4`}>
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
           <p className="text-slate-400 text-sm">Total Assets</p>
-          <p className="text-3xl font-bold text-white mt-2">{assets.length}</p>
+          <p className="text-3xl font-bold text-white mt-2">{assetStats?.total_assets ?? 0}</p>
         </div>
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
-          <p className="text-slate-400 text-sm">In Use</p>
-          <p className="text-3xl font-bold text-green-400 mt-2">{assets.filter(a => a.status === 'In Use').length}</p>
+          <p className="text-slate-400 text-sm">Deployed</p>
+          <p className="text-3xl font-bold text-green-400 mt-2">{assetStats?.by_status.Deployed ?? 0}</p>
         </div>
+        {assetValue && (
+          <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
+            <p className="text-slate-400 text-sm">Book Value</p>
+            <p className="text-3xl font-bold text-emerald-400 mt-2">{formatMoney(assetValue.book_value)}</p>
+            <p className="text-slate-400 text-xs mt-1">
+              of {formatMoney(assetValue.cost)} cost
+              {assetValue.not_depreciable > 0 && ` · ${assetValue.not_depreciable} at cost (no depreciation settings)`}
+            </p>
+          </div>
+        )}
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
-          <p className="text-slate-400 text-sm">Connected to PostgreSQL</p>
-          <p className="text-3xl font-bold text-purple-400 mt-2">✓</p>
+          <p className="text-slate-400 text-sm">Discovered</p>
+          <p className="text-3xl font-bold text-purple-400 mt-2">{assetStats?.discovered ?? 0}</p>
+          <p className="text-slate-400 text-xs mt-1">found by network and cloud discovery</p>
         </div>
       </div>
+
+      {missingAssets?.total > 0 && (
+        <div className="mt-4 bg-slate-700 border border-red-800 rounded-lg p-6 shadow-lg">
+          <div className="flex items-center justify-between mb-3">
+            <p className="text-slate-300 text-sm">
+              <span className="text-2xl font-bold text-red-400 mr-2">{missingAssets.total}</span>
+              missing {missingAssets.total === 1 ? 'device' : 'devices'} - not seen by discovery for {missingAssets.days} days
+            </p>
+            <button
+              onClick={() => updateListParams('assets', { stale: true, page: 1, sort: 'last_discovered_at', order: 'asc' })}
+              className="text-sm text-blue-400 hover:text-blue-300 transition"
+            >
+              Show all
+            </button>
+          </div>
+          <ul className="divide-y divide-slate-600 text-sm">
+            {missingAssets.data.map(asset => (
+              <li key={asset.id} className="py-2 flex items-center justify-between">
+                <span className="text-white">
+                  {asset.asset_tag}
+                  <span className="ml-2 text-slate-400">{[asset.manufacturer, asset.model].filter(Boolean).join(' ')}</span>
+                </span>
+                <span className="text-slate-400">last seen {new Date(asset.missing_since).toLocaleDateString()}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </>
   );
 
@@ -631,64 +2043,88 @@ export default function App() {
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 mb-8 shadow-xl">
           <h2 className="text-xl font-semibold text-white mb-4">{editingId ? 'Edit License' : 'Add New License'}</h2>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <input
-              type="text"
-              placeholder="License Name"
-              value={licenseFormData.license_name}
-              onChange={(e) => setLicenseFormData({...licenseFormData, license_name: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="text"
-              placeholder="License Type"
-              value={licenseFormData.license_type}
-              onChange={(e) => setLicenseFormData({...licenseFormData, license_type: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="text"
-              placeholder="License Key"
-              value={licenseFormData.license_key}
-              onChange={(e) => setLicenseFormData({...licenseFormData, license_key: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="text"
-              placeholder="Software Name"
-              value={licenseFormData.software_name}
-              onChange={(e) => setLicenseFormData({...licenseFormData, software_name: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="text"
-              placeholder="Vendor"
-              value={licenseFormData.vendor}
-              onChange={(e) => setLicenseFormData({...licenseFormData, vendor: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="date"
-              placeholder="Expiration Date"
-              value={licenseFormData.expiration_date}
-              onChange={(e) => setLicenseFormData({...licenseFormData, expiration_date: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="number"
-              placeholder="Quantity"
-              value={licenseFormData.quantity}
-              onChange={(e) => setLicenseFormData({...licenseFormData, quantity: parseInt(e.target.value)})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <select
-              value={licenseFormData.status}
-              onChange={(e) => setLicenseFormData({...licenseFormData, status: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
-            >
-              <option value="Active">Active</option>
-              <option value="Expired">Expired</option>
-              <option value="Inactive">Inactive</option>
-            </select>
+            <div>
+              <input
+                type="text"
+                placeholder="License Name"
+                value={licenseFormData.license_name}
+                onChange={(e) => setLicenseFormData({...licenseFormData, license_name: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('license_name')}
+            </div>
+            <div>
+              <input
+                type="text"
+                placeholder="License Type"
+                value={licenseFormData.license_type}
+                onChange={(e) => setLicenseFormData({...licenseFormData, license_type: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('license_type')}
+            </div>
+            <div>
+              <input
+                type="text"
+                placeholder="License Key"
+                value={licenseFormData.license_key}
+                onChange={(e) => setLicenseFormData({...licenseFormData, license_key: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('license_key')}
+            </div>
+            <div>
+              <input
+                type="text"
+                placeholder="Software Name"
+                value={licenseFormData.software_name}
+                onChange={(e) => setLicenseFormData({...licenseFormData, software_name: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('software_name')}
+            </div>
+            <div>
+              <input
+                type="text"
+                placeholder="Vendor"
+                value={licenseFormData.vendor}
+                onChange={(e) => setLicenseFormData({...licenseFormData, vendor: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('vendor')}
+            </div>
+            <div>
+              <input
+                type="date"
+                placeholder="Expiration Date"
+                value={licenseFormData.expiration_date}
+                onChange={(e) => setLicenseFormData({...licenseFormData, expiration_date: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('expiration_date')}
+            </div>
+            <div>
+              <input
+                type="number"
+                placeholder="Quantity"
+                value={licenseFormData.quantity}
+                onChange={(e) => setLicenseFormData({...licenseFormData, quantity: parseInt(e.target.value)})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('quantity')}
+            </div>
+            <div>
+              <select
+                value={licenseFormData.status}
+                onChange={(e) => setLicenseFormData({...licenseFormData, status: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+              >
+                <option value="Active">Active</option>
+                <option value="Expired">Expired</option>
+                <option value="Inactive">Inactive</option>
+              </select>
+              {renderFieldError('status')}
+            </div>
           </div>
           <div className="flex gap-2 mt-4">
             <button
@@ -701,6 +2137,7 @@ export default function App() {
               onClick={() => {
                 setEditingId(null);
                 setShowForm(false);
+                setFieldErrors({});
                 setLicenseFormData({
                   license_name: '',
                   license_type: '',
@@ -740,28 +2177,37 @@ export default function App() {
           <table className="w-full text-sm">
             <thead className="bg-slate-800 border-b border-slate-600">
               <tr>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">License Name</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Software</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Vendor</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Expiration Date</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Status</th>
+                {renderSortHeader('licenses', 'license_name', 'License Name')}
+                {renderSortHeader('licenses', 'software_name', 'Software')}
+                {renderSortHeader('licenses', 'vendor', 'Vendor')}
+                {renderSortHeader('licenses', 'expiration_date', 'Expiration Date')}
+                {renderSortHeader('licenses', 'quantity', 'Seats')}
+                {renderSortHeader('licenses', 'status', 'Status')}
                 <th className="px-6 py-3 text-left text-slate-300 font-semibold">Actions</th>
               </tr>
             </thead>
             <tbody>
               {licenses.length === 0 ? (
                 <tr>
-                  <td colSpan="6" className="px-6 py-8 text-center text-slate-400">
+                  <td colSpan="7" className="px-6 py-8 text-center text-slate-400">
                     No licenses found
                   </td>
                 </tr>
               ) : (
-                licenses.filter(lic => searchTerm ? lic.license_name.toLowerCase().includes(searchTerm.toLowerCase()) || lic.software_name?.toLowerCase().includes(searchTerm.toLowerCase()) : true).map((license) => (
-                  <tr key={license.id} className="border-b border-slate-600 hover:bg-slate-600 transition">
-                    <td className="px-6 py-4 text-white font-medium">{license.license_name}</td>
+                licenses.map((license) => (
+                  <tr key={license.id} id={`record-${license.id}`} className={rowClassName(license.id)}>
+                    <td className="px-6 py-4 text-white font-medium">
+                      {license.license_name}
+                      {renderCoverageBadge('licenses', license.id, license.license_name, license.covering_contracts)}
+                    </td>
                     <td className="px-6 py-4 text-slate-300">{license.software_name}</td>
                     <td className="px-6 py-4 text-slate-300">{license.vendor}</td>
                     <td className="px-6 py-4 text-slate-300">{license.expiration_date}</td>
+                    <td className="px-6 py-4">
+                      <button onClick={() => openSeatsPanel(license)} className="w-32 text-left" title="Seat holders">
+                        {renderSeatUsage(license.seats_used, license.quantity)}
+                      </button>
+                    </td>
                     <td className="px-6 py-4">
                       <span className={`px-2 py-1 rounded text-xs font-medium ${
                         license.status === 'Active' ? 'bg-green-900 text-green-200' : license.status === 'Expired' ? 'bg-red-900 text-red-200' : 'bg-yellow-900 text-yellow-200'
@@ -771,17 +2217,37 @@ export default function App() {
                     </td>
                     <td className="px-6 py-4">
                       <div className="flex gap-2">
-                        <button 
-                          onClick={() => handleEditLicense(license)}
-                          className="text-blue-400 hover:text-blue-300 transition">
-                          <Edit2 className="w-4 h-4" />
-                        </button>
+                        {can('audit:read') && (
+                          <button
+                            onClick={() => setHistoryRecord({ entity: 'licenses', id: license.id, title: license.license_name })}
+                            className="text-slate-400 hover:text-slate-200 transition"
+                            title="History"
+                          >
+                            <History className="w-4 h-4" />
+                          </button>
+                        )}
                         <button
-                          onClick={() => handleDeleteLicense(license.id)}
-                          className="text-red-400 hover:text-red-300 transition"
+                          onClick={() => openSeatsPanel(license)}
+                          className="text-purple-400 hover:text-purple-300 transition"
+                          title="Seats"
                         >
-                          <Trash2 className="w-4 h-4" />
+                          <KeyRound className="w-4 h-4" />
                         </button>
+                        {can('licenses:update') && (
+                          <button 
+                            onClick={() => handleEditLicense(license)}
+                            className="text-blue-400 hover:text-blue-300 transition">
+                            <Edit2 className="w-4 h-4" />
+                          </button>
+                        )}
+                        {can('licenses:delete') && (
+                          <button
+                            onClick={() => handleDeleteLicense(license.id)}
+                            className="text-red-400 hover:text-red-300 transition"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -790,20 +2256,30 @@ export default function App() {
             </tbody>
           </table>
         </div>
+        {renderPagination('licenses')}
       </div>
 
-      <div className="mt-8 grid grid-cols-1 md:grid-cols-3 gap-4">
+      <div className="mt-8 grid grid-cols-1 md:grid-cols-4 gap-4">
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
           <p className="text-slate-400 text-sm">Total Licenses</p>
-          <p className="text-3xl font-bold text-white mt-2">{licenses.length}</p>
+          <p className="text-3xl font-bold text-white mt-2">{listMeta.licenses?.pagination.total ?? 0}</p>
         </div>
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
           <p className="text-slate-400 text-sm">Active</p>
-          <p className="text-3xl font-bold text-green-400 mt-2">{licenses.filter(l => l.status === 'Active').length}</p>
+          <p className="text-3xl font-bold text-green-400 mt-2">{statusCount('licenses', 'Active')}</p>
         </div>
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
           <p className="text-slate-400 text-sm">Expired</p>
-          <p className="text-3xl font-bold text-red-400 mt-2">{licenses.filter(l => l.status === 'Expired').length}</p>
+          <p className="text-3xl font-bold text-red-400 mt-2">{statusCount('licenses', 'Expired')}</p>
+        </div>
+        <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
+          <p className="text-slate-400 text-sm">Seats Used</p>
+          <p className="text-3xl font-bold text-white mt-2">
+            {licenseCompliance ? `${licenseCompliance.used} / ${licenseCompliance.purchased}` : '-'}
+          </p>
+          {licenseCompliance?.overAllocated > 0 && (
+            <p className="text-red-400 text-sm mt-1">{licenseCompliance.overAllocated} over-allocated</p>
+          )}
         </div>
       </div>
     </>
@@ -833,50 +2309,71 @@ export default function App() {
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 mb-8 shadow-xl">
           <h2 className="text-xl font-semibold text-white mb-4">{editingId ? 'Edit User' : 'Add New User'}</h2>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <input
-              type="text"
-              placeholder="User Name"
-              value={userFormData.user_name}
-              onChange={(e) => setUserFormData({...userFormData, user_name: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="email"
-              placeholder="Email"
-              value={userFormData.email}
-              onChange={(e) => setUserFormData({...userFormData, email: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="text"
-              placeholder="Department"
-              value={userFormData.department}
-              onChange={(e) => setUserFormData({...userFormData, department: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="tel"
-              placeholder="Phone"
-              value={userFormData.phone}
-              onChange={(e) => setUserFormData({...userFormData, phone: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="text"
-              placeholder="Role"
-              value={userFormData.role}
-              onChange={(e) => setUserFormData({...userFormData, role: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <select
-              value={userFormData.status}
-              onChange={(e) => setUserFormData({...userFormData, status: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
-            >
-              <option value="Active">Active</option>
-              <option value="Inactive">Inactive</option>
-              <option value="Suspended">Suspended</option>
-            </select>
+            <div>
+              <input
+                type="text"
+                placeholder="User Name"
+                value={userFormData.user_name}
+                onChange={(e) => setUserFormData({...userFormData, user_name: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('user_name')}
+            </div>
+            <div>
+              <input
+                type="email"
+                placeholder="Email"
+                value={userFormData.email}
+                onChange={(e) => setUserFormData({...userFormData, email: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('email')}
+            </div>
+            <div>
+              <input
+                type="text"
+                placeholder="Department"
+                value={userFormData.department}
+                onChange={(e) => setUserFormData({...userFormData, department: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('department')}
+            </div>
+            <div>
+              <input
+                type="tel"
+                placeholder="Phone"
+                value={userFormData.phone}
+                onChange={(e) => setUserFormData({...userFormData, phone: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('phone')}
+            </div>
+            <div>
+              <select
+                value={userFormData.role}
+                onChange={(e) => setUserFormData({...userFormData, role: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+              >
+                <option value="employee">Employee</option>
+                <option value="auditor">Auditor (read-only)</option>
+                <option value="asset_manager">Asset Manager</option>
+                <option value="admin">Admin</option>
+              </select>
+              {renderFieldError('role')}
+            </div>
+            <div>
+              <select
+                value={userFormData.status}
+                onChange={(e) => setUserFormData({...userFormData, status: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+              >
+                <option value="Active">Active</option>
+                <option value="Inactive">Inactive</option>
+                <option value="Suspended">Suspended</option>
+              </select>
+              {renderFieldError('status')}
+            </div>
           </div>
           <div className="flex gap-2 mt-4">
             <button
@@ -889,12 +2386,13 @@ export default function App() {
               onClick={() => {
                 setEditingId(null);
                 setShowForm(false);
+                setFieldErrors({});
                 setUserFormData({
                   user_name: '',
                   email: '',
                   department: '',
                   phone: '',
-                  role: '',
+                  role: 'employee',
                   status: 'Active',
                   notes: ''
                 });
@@ -925,28 +2423,40 @@ export default function App() {
           <table className="w-full text-sm">
             <thead className="bg-slate-800 border-b border-slate-600">
               <tr>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">User Name</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Email</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Department</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Phone</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Status</th>
+                {renderSortHeader('users', 'user_name', 'User Name')}
+                {renderSortHeader('users', 'email', 'Email')}
+                {renderSortHeader('users', 'department', 'Department')}
+                {renderSortHeader('users', 'phone', 'Phone')}
+                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Equipment</th>
+                {renderSortHeader('users', 'status', 'Status')}
                 <th className="px-6 py-3 text-left text-slate-300 font-semibold">Actions</th>
               </tr>
             </thead>
             <tbody>
               {users.length === 0 ? (
                 <tr>
-                  <td colSpan="6" className="px-6 py-8 text-center text-slate-400">
+                  <td colSpan="7" className="px-6 py-8 text-center text-slate-400">
                     No users found
                   </td>
                 </tr>
               ) : (
-                users.filter(user => searchTerm ? user.user_name.toLowerCase().includes(searchTerm.toLowerCase()) || user.email?.toLowerCase().includes(searchTerm.toLowerCase()) : true).map((user) => (
-                  <tr key={user.id} className="border-b border-slate-600 hover:bg-slate-600 transition">
+                users.map((user) => (
+                  <tr key={user.id} id={`record-${user.id}`} className={rowClassName(user.id)}>
                     <td className="px-6 py-4 text-white font-medium">{user.user_name}</td>
                     <td className="px-6 py-4 text-slate-300">{user.email}</td>
                     <td className="px-6 py-4 text-slate-300">{user.department}</td>
                     <td className="px-6 py-4 text-slate-300">{user.phone}</td>
+                    <td className="px-6 py-4 text-slate-300">
+                      {user.current_assets?.length > 0 ? (
+                        <div className="flex flex-wrap gap-1">
+                          {user.current_assets.map(item => (
+                            <span key={item.id} className="bg-blue-900 text-blue-200 px-2 py-1 rounded text-xs" title={[item.asset_type, item.model].filter(Boolean).join(' · ')}>
+                              {item.asset_tag}
+                            </span>
+                          ))}
+                        </div>
+                      ) : '-'}
+                    </td>
                     <td className="px-6 py-4">
                       <span className={`px-2 py-1 rounded text-xs font-medium ${
                         user.status === 'Active' ? 'bg-green-900 text-green-200' : user.status === 'Suspended' ? 'bg-red-900 text-red-200' : 'bg-yellow-900 text-yellow-200'
@@ -956,17 +2466,30 @@ export default function App() {
                     </td>
                     <td className="px-6 py-4">
                       <div className="flex gap-2">
-                        <button 
-                          onClick={() => handleEditUser(user)}
-                          className="text-blue-400 hover:text-blue-300 transition">
-                          <Edit2 className="w-4 h-4" />
-                        </button>
-                        <button
-                          onClick={() => handleDeleteUser(user.id)}
-                          className="text-red-400 hover:text-red-300 transition"
-                        >
-                          <Trash2 className="w-4 h-4" />
-                        </button>
+                        {can('audit:read') && (
+                          <button
+                            onClick={() => setHistoryRecord({ entity: 'users', id: user.id, title: user.user_name })}
+                            className="text-slate-400 hover:text-slate-200 transition"
+                            title="History"
+                          >
+                            <History className="w-4 h-4" />
+                          </button>
+                        )}
+                        {can('users:update') && (
+                          <button 
+                            onClick={() => handleEditUser(user)}
+                            className="text-blue-400 hover:text-blue-300 transition">
+                            <Edit2 className="w-4 h-4" />
+                          </button>
+                        )}
+                        {can('users:delete') && (
+                          <button
+                            onClick={() => handleDeleteUser(user.id)}
+                            className="text-red-400 hover:text-red-300 transition"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -975,20 +2498,21 @@ export default function App() {
             </tbody>
           </table>
         </div>
+        {renderPagination('users')}
       </div>
 
       <div className="mt-8 grid grid-cols-1 md:grid-cols-3 gap-4">
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
           <p className="text-slate-400 text-sm">Total Users</p>
-          <p className="text-3xl font-bold text-white mt-2">{users.length}</p>
+          <p className="text-3xl font-bold text-white mt-2">{listMeta.users?.pagination.total ?? 0}</p>
         </div>
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
           <p className="text-slate-400 text-sm">Active</p>
-          <p className="text-3xl font-bold text-green-400 mt-2">{users.filter(u => u.status === 'Active').length}</p>
+          <p className="text-3xl font-bold text-green-400 mt-2">{statusCount('users', 'Active')}</p>
         </div>
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
           <p className="text-slate-400 text-sm">Inactive</p>
-          <p className="text-3xl font-bold text-red-400 mt-2">{users.filter(u => u.status === 'Inactive').length}</p>
+          <p className="text-3xl font-bold text-red-400 mt-2">{statusCount('users', 'Inactive')}</p>
         </div>
       </div>
     </>
@@ -1018,81 +2542,106 @@ export default function App() {
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 mb-8 shadow-xl">
           <h2 className="text-xl font-semibold text-white mb-4">{editingId ? 'Edit Contract' : 'Add New Contract'}</h2>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <input
-              type="text"
-              placeholder="Contract Name"
-              value={contractFormData.contract_name}
-              onChange={(e) => setContractFormData({...contractFormData, contract_name: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="text"
-              placeholder="Vendor"
-              value={contractFormData.vendor}
-              onChange={(e) => setContractFormData({...contractFormData, vendor: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <select
-              value={contractFormData.contract_type}
-              onChange={(e) => setContractFormData({...contractFormData, contract_type: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
-            >
-              <option value="">Select Contract Type</option>
-              <option value="Service">Service</option>
-              <option value="Software">Software</option>
-              <option value="Hardware">Hardware</option>
-              <option value="Maintenance">Maintenance</option>
-              <option value="Support">Support</option>
-            </select>
-            <input
-              type="date"
-              placeholder="Start Date"
-              value={contractFormData.start_date}
-              onChange={(e) => setContractFormData({...contractFormData, start_date: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <input
-              type="date"
-              placeholder="End Date"
-              value={contractFormData.end_date}
-              onChange={(e) => setContractFormData({...contractFormData, end_date: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
-            />
-            <div className="flex gap-2">
+            <div>
               <input
-                type="number"
-                placeholder="Value"
-                value={contractFormData.value}
-                onChange={(e) => setContractFormData({...contractFormData, value: parseFloat(e.target.value)})}
-                className="flex-1 px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+                type="text"
+                placeholder="Contract Name"
+                value={contractFormData.contract_name}
+                onChange={(e) => setContractFormData({...contractFormData, contract_name: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('contract_name')}
+            </div>
+            <div>
+              <input
+                type="text"
+                placeholder="Vendor"
+                value={contractFormData.vendor}
+                onChange={(e) => setContractFormData({...contractFormData, vendor: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
               />
+              {renderFieldError('vendor')}
+            </div>
+            <div>
               <select
-                value={contractFormData.currency}
-                onChange={(e) => setContractFormData({...contractFormData, currency: e.target.value})}
-                className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white w-24"
+                value={contractFormData.contract_type}
+                onChange={(e) => setContractFormData({...contractFormData, contract_type: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
               >
-                <option value="USD">USD</option>
-                <option value="EUR">EUR</option>
-                <option value="GBP">GBP</option>
-                <option value="ILS">ILS</option>
+                <option value="">Select Contract Type</option>
+                <option value="Service">Service</option>
+                <option value="Software">Software</option>
+                <option value="Hardware">Hardware</option>
+                <option value="Maintenance">Maintenance</option>
+                <option value="Support">Support</option>
               </select>
+              {renderFieldError('contract_type')}
+            </div>
+            <div>
+              <input
+                type="date"
+                placeholder="Start Date"
+                value={contractFormData.start_date}
+                onChange={(e) => setContractFormData({...contractFormData, start_date: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('start_date')}
+            </div>
+            <div>
+              <input
+                type="date"
+                placeholder="End Date"
+                value={contractFormData.end_date}
+                onChange={(e) => setContractFormData({...contractFormData, end_date: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('end_date')}
+            </div>
+            <div>
+              <div className="flex gap-2">
+                <input
+                  type="number"
+                  placeholder="Value"
+                  value={contractFormData.contract_value}
+                  onChange={(e) => setContractFormData({...contractFormData, contract_value: e.target.value})}
+                  className="flex-1 px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+                />
+                <select
+                  value={contractFormData.currency}
+                  onChange={(e) => setContractFormData({...contractFormData, currency: e.target.value})}
+                  className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white w-24"
+                >
+                  <option value="USD">USD</option>
+                  <option value="EUR">EUR</option>
+                  <option value="GBP">GBP</option>
+                  <option value="ILS">ILS</option>
+                </select>
+              </div>
+              {renderFieldError('contract_value')}
+              {renderFieldError('currency')}
+            </div>
+            <div>
+              <select
+                value={contractFormData.status}
+                onChange={(e) => setContractFormData({...contractFormData, status: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+              >
+                <option value="Active">Active</option>
+                <option value="Expired">Expired</option>
+                <option value="Pending">Pending</option>
+                <option value="Inactive">Inactive</option>
+              </select>
+              {renderFieldError('status')}
+            </div>
+            <div className="col-span-2">
+              <textarea
+                placeholder="Notes"
+                value={contractFormData.notes}
+                onChange={(e) => setContractFormData({...contractFormData, notes: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400 h-20"
+              />
+              {renderFieldError('notes')}
             </div>
-            <select
-              value={contractFormData.status}
-              onChange={(e) => setContractFormData({...contractFormData, status: e.target.value})}
-              className="px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
-            >
-              <option value="Active">Active</option>
-              <option value="Expired">Expired</option>
-              <option value="Pending">Pending</option>
-              <option value="Inactive">Inactive</option>
-            </select>
-            <textarea
-              placeholder="Description"
-              value={contractFormData.description}
-              onChange={(e) => setContractFormData({...contractFormData, description: e.target.value})}
-              className="col-span-2 px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400 h-20"
-            />
           </div>
           <div className="flex gap-2 mt-4">
             <button
@@ -1105,16 +2654,17 @@ export default function App() {
               onClick={() => {
                 setEditingId(null);
                 setShowForm(false);
+                setFieldErrors({});
                 setContractFormData({
                   contract_name: '',
                   vendor: '',
                   contract_type: '',
                   start_date: '',
                   end_date: '',
-                  value: 0,
+                  contract_value: 0,
                   currency: 'USD',
                   status: 'Active',
-                  description: ''
+                  notes: ''
                 });
               }}
               className="bg-slate-600 hover:bg-slate-500 text-white px-6 py-2 rounded-lg transition"
@@ -1143,26 +2693,27 @@ export default function App() {
           <table className="w-full text-sm">
             <thead className="bg-slate-800 border-b border-slate-600">
               <tr>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Contract Name</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Vendor</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Type</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Start Date</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">End Date</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Value</th>
-                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Status</th>
+                {renderSortHeader('contracts', 'contract_name', 'Contract Name')}
+                {renderSortHeader('contracts', 'vendor', 'Vendor')}
+                {renderSortHeader('contracts', 'contract_type', 'Type')}
+                {renderSortHeader('contracts', 'start_date', 'Start Date')}
+                {renderSortHeader('contracts', 'end_date', 'End Date')}
+                {renderSortHeader('contracts', 'contract_value', 'Value')}
+                {renderSortHeader('contracts', 'status', 'Status')}
+                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Covers</th>
                 <th className="px-6 py-3 text-left text-slate-300 font-semibold">Actions</th>
               </tr>
             </thead>
             <tbody>
               {contracts.length === 0 ? (
                 <tr>
-                  <td colSpan="8" className="px-6 py-8 text-center text-slate-400">
+                  <td colSpan="9" className="px-6 py-8 text-center text-slate-400">
                     No contracts found
                   </td>
                 </tr>
               ) : (
-                contracts.filter(contract => searchTerm ? contract.contract_name.toLowerCase().includes(searchTerm.toLowerCase()) || contract.vendor?.toLowerCase().includes(searchTerm.toLowerCase()) : true).map((contract) => (
-                  <tr key={contract.id} className="border-b border-slate-600 hover:bg-slate-600 transition">
+                contracts.map((contract) => (
+                  <tr key={contract.id} id={`record-${contract.id}`} className={rowClassName(contract.id)}>
                     <td className="px-6 py-4 text-white font-medium">{contract.contract_name}</td>
                     <td className="px-6 py-4 text-slate-300">{contract.vendor}</td>
                     <td className="px-6 py-4 text-slate-300">
@@ -1172,7 +2723,7 @@ export default function App() {
                     </td>
                     <td className="px-6 py-4 text-slate-300">{contract.start_date}</td>
                     <td className="px-6 py-4 text-slate-300">{contract.end_date}</td>
-                    <td className="px-6 py-4 text-slate-300">{contract.value} {contract.currency}</td>
+                    <td className="px-6 py-4 text-slate-300">{contract.contract_value} {contract.currency}</td>
                     <td className="px-6 py-4">
                       <span className={`px-2 py-1 rounded text-xs font-medium ${
                         contract.status === 'Active' ? 'bg-green-900 text-green-200' : contract.status === 'Expired' ? 'bg-red-900 text-red-200' : contract.status === 'Pending' ? 'bg-yellow-900 text-yellow-200' : 'bg-slate-900 text-slate-200'
@@ -1180,19 +2731,48 @@ export default function App() {
                         {contract.status}
                       </span>
                     </td>
+                    <td className="px-6 py-4">
+                      <button onClick={() => openCoveragePanel(contract)} className="flex flex-wrap gap-1 text-left" title="Covered assets and licenses">
+                        {contract.covered_items.length === 0 ? (
+                          <span className="text-slate-500 text-xs">Nothing</span>
+                        ) : (
+                          <>
+                            {contract.covered_items.slice(0, COVERED_ITEMS_SHOWN).map(item => (
+                              <span key={item.id} className="bg-slate-600 text-slate-200 px-2 py-0.5 rounded text-xs">{item.label}</span>
+                            ))}
+                            {contract.covered_items.length > COVERED_ITEMS_SHOWN && (
+                              <span className="text-slate-400 text-xs">+{contract.covered_items.length - COVERED_ITEMS_SHOWN} more</span>
+                            )}
+                          </>
+                        )}
+                      </button>
+                    </td>
                     <td className="px-6 py-4">
                       <div className="flex gap-2">
-                        <button 
-                          onClick={() => handleEditContract(contract)}
-                          className="text-blue-400 hover:text-blue-300 transition">
-                          <Edit2 className="w-4 h-4" />
-                        </button>
-                        <button
-                          onClick={() => handleDeleteContract(contract.id)}
-                          className="text-red-400 hover:text-red-300 transition"
-                        >
-                          <Trash2 className="w-4 h-4" />
-                        </button>
+                        {can('audit:read') && (
+                          <button
+                            onClick={() => setHistoryRecord({ entity: 'contracts', id: contract.id, title: contract.contract_name })}
+                            className="text-slate-400 hover:text-slate-200 transition"
+                            title="History"
+                          >
+                            <History className="w-4 h-4" />
+                          </button>
+                        )}
+                        {can('contracts:update') && (
+                          <button 
+                            onClick={() => handleEditContract(contract)}
+                            className="text-blue-400 hover:text-blue-300 transition">
+                            <Edit2 className="w-4 h-4" />
+                          </button>
+                        )}
+                        {can('contracts:delete') && (
+                          <button
+                            onClick={() => handleDeleteContract(contract.id)}
+                            className="text-red-400 hover:text-red-300 transition"
+                          >
+                            <Trash2 className="w-4 h-4" />
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -1201,27 +2781,1252 @@ export default function App() {
             </tbody>
           </table>
         </div>
+        {renderPagination('contracts')}
       </div>
 
       <div className="mt-8 grid grid-cols-1 md:grid-cols-3 gap-4">
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
           <p className="text-slate-400 text-sm">Total Contracts</p>
-          <p className="text-3xl font-bold text-white mt-2">{contracts.length}</p>
+          <p className="text-3xl font-bold text-white mt-2">{listMeta.contracts?.pagination.total ?? 0}</p>
         </div>
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
           <p className="text-slate-400 text-sm">Active</p>
-          <p className="text-3xl font-bold text-green-400 mt-2">{contracts.filter(c => c.status === 'Active').length}</p>
+          <p className="text-3xl font-bold text-green-400 mt-2">{statusCount('contracts', 'Active')}</p>
         </div>
         <div className="bg-slate-700 border border-slate-600 rounded-lg p-6 shadow-lg">
           <p className="text-slate-400 text-sm">Total Value</p>
-          <p className="text-3xl font-bold text-blue-400 mt-2">{contracts.reduce((sum, c) => sum + (c.value || 0), 0).toLocaleString()}</p>
+          <p className="text-3xl font-bold text-blue-400 mt-2">{(listMeta.contracts?.summary.totalValue || 0).toLocaleString()}</p>
         </div>
       </div>
     </>
   );
 
-  const renderScreen = () => {
+  const renderFieldError = (field) => fieldErrors[field] && (
+    <p className="text-red-400 text-xs mt-1">{fieldErrors[field]}</p>
+  );
+
+  const rowClassName = (id) => `border-b border-slate-600 hover:bg-slate-600 transition ${
+    highlightedRecord?.id === id ? 'bg-blue-900/40 ring-1 ring-inset ring-blue-500' : ''
+  }`;
+
+  const renderGlobalSearch = () => (
+    <div className="relative flex-1 max-w-xl mx-6">
+      <Search className="absolute left-3 top-3 w-5 h-5 text-slate-500" />
+      <input
+        type="text"
+        placeholder="Search assets, licenses, users, contracts..."
+        value={globalQuery}
+        onChange={(e) => setGlobalQuery(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Escape') setGlobalQuery('');
+          if (e.key === 'Enter' && globalResults?.length > 0) handleOpenSearchResult(globalResults[0]);
+        }}
+        className="w-full pl-10 pr-4 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white placeholder-slate-500 focus:outline-none focus:border-blue-500"
+      />
+      {globalQuery.trim() && globalResults && (
+        <div className="absolute z-20 mt-2 w-full bg-slate-800 border border-slate-600 rounded-lg shadow-xl max-h-96 overflow-auto">
+          {globalResults.length === 0 ? (
+            <p className="px-4 py-3 text-slate-400 text-sm">No matches</p>
+          ) : globalResults.map(result => (
+            <button
+              key={`${result.entity}-${result.id}`}
+              onClick={() => handleOpenSearchResult(result)}
+              className="w-full text-left px-4 py-3 hover:bg-slate-700 border-b border-slate-700 last:border-b-0 transition"
+            >
+              <div className="flex items-center gap-2">
+                <span className="bg-slate-600 text-slate-200 px-2 py-0.5 rounded text-xs">{RECORD_LABELS[result.entity]}</span>
+                <span className="text-white font-medium truncate">{result.title}</span>
+              </div>
+              {result.subtitle && <p className="text-slate-400 text-xs mt-1 truncate">{result.subtitle}</p>}
+              {result.highlight.some(segment => segment.match) && (
+                <p className="text-slate-300 text-xs mt-1 truncate">
+                  {result.highlight.map((segment, index) => (
+                    segment.match
+                      ? <mark key={index} className="bg-yellow-500/30 text-yellow-200 rounded px-0.5">{segment.text}</mark>
+                      : <span key={index}>{segment.text}</span>
+                  ))}
+                </p>
+              )}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  const renderAlertsBell = () => (
+    <div className="relative mr-4">
+      <button
+        onClick={() => setAlertsOpen(!alertsOpen)}
+        className="relative p-2 hover:bg-slate-700 rounded-lg transition text-slate-300"
+        title="Expiration alerts"
+      >
+        <Bell className="w-6 h-6" />
+        {alerts.length > 0 && (
+          <span className="absolute -top-1 -right-1 bg-red-600 text-white text-xs font-semibold rounded-full min-w-[1.25rem] h-5 px-1 flex items-center justify-center">
+            {alerts.length}
+          </span>
+        )}
+      </button>
+      {alertsOpen && (
+        <div className="absolute right-0 z-20 mt-2 w-96 bg-slate-800 border border-slate-600 rounded-lg shadow-xl max-h-96 overflow-auto">
+          <div className="px-4 py-3 border-b border-slate-700 text-white font-semibold">Upcoming Expirations</div>
+          {alerts.length === 0 ? (
+            <p className="px-4 py-3 text-slate-400 text-sm">Nothing due</p>
+          ) : alerts.map(alert => (
+            <div key={alert.id} className="px-4 py-3 border-b border-slate-700 last:border-b-0 flex items-start justify-between gap-3">
+              <button onClick={() => handleOpenAlert(alert)} className="text-left min-w-0 flex-1">
+                <div className="flex items-center gap-2">
+                  <span className="bg-slate-600 text-slate-200 px-2 py-0.5 rounded text-xs">{RECORD_LABELS[alert.entity]}</span>
+                  <span className="text-white font-medium truncate hover:text-blue-400">{alert.title}</span>
+                </div>
+                <p className={`text-xs mt-1 ${alert.days_left <= 7 ? 'text-red-400' : alert.days_left <= 30 ? 'text-yellow-400' : 'text-slate-400'}`}>
+                  {ALERT_DATE_LABELS[alert.date_field]} {alert.days_left === 0 ? 'today' : `in ${alert.days_left} day${alert.days_left === 1 ? '' : 's'}`} ({alert.due_date})
+                </p>
+              </button>
+              {can(`${alert.entity}:update`) && (
+                <button
+                  onClick={() => handleAcknowledgeAlert(alert)}
+                  className="text-slate-400 hover:text-white text-xs transition"
+                  title="Dismiss"
+                >
+                  <X className="w-4 h-4" />
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+
+  const formatAuditValue = (value) => {
+    if (value === null || value === undefined || value === '') return '—';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  };
+
+  const renderSeatUsage = (used = 0, purchased = 0) => {
+    const over = used > purchased;
+    const percent = purchased > 0 ? Math.min(100, Math.round((used / purchased) * 100)) : (used > 0 ? 100 : 0);
+    return (
+      <>
+        <div className="h-2 bg-slate-600 rounded-full overflow-hidden">
+          <div
+            className={`h-full ${over ? 'bg-red-500' : percent >= 90 ? 'bg-yellow-500' : 'bg-green-500'}`}
+            style={{ width: `${percent}%` }}
+          />
+        </div>
+        <p className={`text-xs mt-1 ${over ? 'text-red-400' : 'text-slate-400'}`}>
+          {used} / {purchased} used{over ? ' - over-allocated' : ''}
+        </p>
+      </>
+    );
+  };
+
+  // Badge on an asset or license row showing whether a contract covers it; opens the covering contracts
+  const renderCoverageBadge = (entity, id, title, contracts) => {
+    if (!contracts?.length) return null;
+    const status = coverageStatus(contracts);
+    return (
+      <button
+        onClick={() => setCoveredRecord({ entity, id, title })}
+        className={`ml-2 inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium align-middle ${COVERAGE_STATUS_STYLES[status]}`}
+        title={contracts
+          .map(contract => `${contract.contract_name}${contract.end_date ? ` (ends ${contract.end_date})` : ''}`)
+          .join('\n')}
+      >
+        <ShieldCheck className="w-3 h-3" />
+        {COVERAGE_STATUS_LABELS[status]}
+      </button>
+    );
+  };
+
+  const renderCoveragePanel = () => (
+    <div className="fixed inset-0 z-30 flex justify-end bg-black/50" onClick={() => setCoverageContract(null)}>
+      <div className="w-full max-w-lg h-full bg-slate-800 border-l border-slate-700 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="px-6 py-4 border-b border-slate-700 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-white">Coverage</h2>
+            <p className="text-slate-400 text-sm truncate">{coverageContract.contract_name}</p>
+          </div>
+          <button onClick={() => setCoverageContract(null)} className="p-2 hover:bg-slate-700 rounded-lg transition text-slate-300">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="flex-1 overflow-auto p-6 space-y-6">
+          {can('contracts:update') && (
+            <div className="space-y-2">
+              <div className="flex gap-2">
+                <select
+                  value={coverageForm.item_type}
+                  onChange={(e) => { setCoverageForm({ ...coverageForm, item_type: e.target.value, item_id: '' }); setCoverageQuery(''); }}
+                  className="px-3 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+                >
+                  <option value="asset">Asset</option>
+                  <option value="license">License</option>
+                </select>
+                <input
+                  type="text"
+                  placeholder={coverageForm.item_type === 'asset' ? 'Search assets...' : 'Search licenses...'}
+                  value={coverageQuery}
+                  onChange={(e) => setCoverageQuery(e.target.value)}
+                  className="flex-1 px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+                />
+              </div>
+              <select
+                value={coverageForm.item_id}
+                onChange={(e) => setCoverageForm({ ...coverageForm, item_id: e.target.value })}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+              >
+                <option value="">{coverageForm.item_type === 'asset' ? 'Select Asset' : 'Select License'}</option>
+                {coverageOptions.map(option => (
+                  <option key={option.id} value={option.id}>
+                    {coverageForm.item_type === 'asset'
+                      ? `${option.asset_tag}${option.model ? ` (${option.model})` : ''}`
+                      : `${option.license_name}${option.software_name ? ` (${option.software_name})` : ''}`}
+                  </option>
+                ))}
+              </select>
+              {renderFieldError('asset_id')}
+              {renderFieldError('license_id')}
+              <input
+                type="text"
+                placeholder="Notes"
+                value={coverageForm.notes}
+                onChange={(e) => setCoverageForm({ ...coverageForm, notes: e.target.value })}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              <button
+                onClick={handleAttachCoverage}
+                disabled={!coverageForm.item_id}
+                className="bg-green-600 hover:bg-green-700 disabled:opacity-40 text-white px-6 py-2 rounded-lg transition"
+              >
+                Attach
+              </button>
+            </div>
+          )}
+
+          <div>
+            <h3 className="text-sm font-semibold text-slate-300 mb-2">Covered Items</h3>
+            {coverageItems.length === 0 ? (
+              <p className="text-slate-400 text-sm">This contract does not cover any assets or licenses</p>
+            ) : (
+              <ul className="space-y-2">
+                {coverageItems.map(item => (
+                  <li key={item.id} className="bg-slate-700 rounded-lg p-3 flex items-center justify-between">
+                    <div className="min-w-0">
+                      <p className="text-white text-sm truncate">
+                        {item.label}
+                        <span className="ml-2 bg-slate-600 text-slate-200 px-2 py-0.5 rounded text-xs">{item.entity === 'assets' ? 'Asset' : 'License'}</span>
+                      </p>
+                      <p className="text-slate-400 text-xs truncate">
+                        {[item.detail, item.status].filter(Boolean).join(' - ')}
+                        {` - since ${new Date(item.attached_at).toLocaleDateString()}`}
+                        {item.attached_by_name && ` by ${item.attached_by_name}`}
+                        {item.notes && ` - ${item.notes}`}
+                      </p>
+                    </div>
+                    {can('contracts:update') && (
+                      <button
+                        onClick={() => handleDetachCoverage(item)}
+                        className="text-red-400 hover:text-red-300 text-sm transition"
+                      >
+                        Detach
+                      </button>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderCoveringContractsPanel = () => (
+    <div className="fixed inset-0 z-30 flex justify-end bg-black/50" onClick={() => setCoveredRecord(null)}>
+      <div className="w-full max-w-lg h-full bg-slate-800 border-l border-slate-700 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="px-6 py-4 border-b border-slate-700 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-white">Contracts</h2>
+            <p className="text-slate-400 text-sm truncate">{coveredRecord.title}</p>
+          </div>
+          <button onClick={() => setCoveredRecord(null)} className="p-2 hover:bg-slate-700 rounded-lg transition text-slate-300">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="flex-1 overflow-auto p-6">
+          {!coveringContracts ? (
+            <p className="text-slate-400 text-sm">Loading...</p>
+          ) : coveringContracts.length === 0 ? (
+            <p className="text-slate-400 text-sm">No contract covers this {coveredRecord.entity === 'assets' ? 'asset' : 'license'}</p>
+          ) : (
+            <ul className="space-y-2">
+              {coveringContracts.map(contract => (
+                <li key={contract.id} className="bg-slate-700 rounded-lg p-3">
+                  <div className="flex items-center justify-between gap-2">
+                    <p className="text-white text-sm truncate">{contract.contract_name}</p>
+                    <span className={`px-2 py-0.5 rounded text-xs font-medium whitespace-nowrap ${COVERAGE_STATUS_STYLES[contract.coverage_status]}`}>
+                      {COVERAGE_STATUS_LABELS[contract.coverage_status]}
+                    </span>
+                  </div>
+                  <p className="text-slate-400 text-xs truncate">
+                    {[contract.vendor, contract.contract_type].filter(Boolean).join(' - ')}
+                    {(contract.start_date || contract.end_date) && ` - ${contract.start_date || '...'} to ${contract.end_date || '...'}`}
+                    {contract.notes && ` - ${contract.notes}`}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderSeatsPanel = () => {
+    const { seats, compliance } = seatsData;
+    return (
+      <div className="fixed inset-0 z-30 flex justify-end bg-black/50" onClick={() => setSeatsLicense(null)}>
+        <div className="w-full max-w-lg h-full bg-slate-800 border-l border-slate-700 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+          <div className="px-6 py-4 border-b border-slate-700 flex items-center justify-between">
+            <div>
+              <h2 className="text-lg font-semibold text-white">Seats</h2>
+              <p className="text-slate-400 text-sm truncate">{seatsLicense.license_name}</p>
+            </div>
+            <button onClick={() => setSeatsLicense(null)} className="p-2 hover:bg-slate-700 rounded-lg transition text-slate-300">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="flex-1 overflow-auto p-6 space-y-6">
+            {compliance && renderSeatUsage(compliance.used, compliance.purchased)}
+
+            {can('licenses:update') && (
+              <div className="space-y-2">
+                <div className="flex gap-2">
+                  <select
+                    value={seatForm.holder_type}
+                    onChange={(e) => { setSeatForm({ ...seatForm, holder_type: e.target.value, holder_id: '' }); setSeatQuery(''); }}
+                    className="px-3 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+                  >
+                    <option value="user">User</option>
+                    <option value="asset">Asset</option>
+                  </select>
+                  <input
+                    type="text"
+                    placeholder={seatForm.holder_type === 'user' ? 'Search users...' : 'Search assets...'}
+                    value={seatQuery}
+                    onChange={(e) => setSeatQuery(e.target.value)}
+                    className="flex-1 px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+                  />
+                </div>
+                <select
+                  value={seatForm.holder_id}
+                  onChange={(e) => setSeatForm({ ...seatForm, holder_id: e.target.value })}
+                  className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+                >
+                  <option value="">{seatForm.holder_type === 'user' ? 'Select User' : 'Select Asset'}</option>
+                  {seatOptions.map(option => (
+                    <option key={option.id} value={option.id}>
+                      {seatForm.holder_type === 'user' ? option.user_name : `${option.asset_tag}${option.model ? ` (${option.model})` : ''}`}
+                    </option>
+                  ))}
+                </select>
+                {renderFieldError('user_id')}
+                {renderFieldError('asset_id')}
+                <input
+                  type="text"
+                  placeholder="Notes"
+                  value={seatForm.notes}
+                  onChange={(e) => setSeatForm({ ...seatForm, notes: e.target.value })}
+                  className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+                />
+                <button
+                  onClick={() => handleSeatChange('allocate', seatForm.holder_type, seatForm.holder_id, seatForm.notes)}
+                  disabled={!seatForm.holder_id}
+                  className="bg-green-600 hover:bg-green-700 disabled:opacity-40 text-white px-6 py-2 rounded-lg transition"
+                >
+                  Allocate Seat
+                </button>
+              </div>
+            )}
+
+            <div>
+              <h3 className="text-sm font-semibold text-slate-300 mb-2">Seat Holders</h3>
+              {seats.length === 0 ? (
+                <p className="text-slate-400 text-sm">No seats allocated</p>
+              ) : (
+                <ul className="space-y-2">
+                  {seats.map(seat => (
+                    <li key={seat.id} className="bg-slate-700 rounded-lg p-3 flex items-center justify-between">
+                      <div className="min-w-0">
+                        <p className="text-white text-sm truncate">
+                          {seat.user_id ? seat.user_name : seat.asset_tag}
+                          <span className="ml-2 bg-slate-600 text-slate-200 px-2 py-0.5 rounded text-xs">{seat.user_id ? 'User' : 'Asset'}</span>
+                        </p>
+                        <p className="text-slate-400 text-xs truncate">
+                          Since {new Date(seat.allocated_at).toLocaleDateString()}
+                          {seat.allocated_by_name && ` by ${seat.allocated_by_name}`}
+                          {seat.notes && ` - ${seat.notes}`}
+                        </p>
+                      </div>
+                      {can('licenses:update') && (
+                        <button
+                          onClick={() => handleSeatChange('release', seat.user_id ? 'user' : 'asset', seat.user_id || seat.asset_id)}
+                          className="text-red-400 hover:text-red-300 text-sm transition"
+                        >
+                          Release
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderImportDialog = () => {
+    const { entity, file, mapping, report, loading, error } = importDialog;
+    const shownRows = report ? report.rows.slice(0, IMPORT_PREVIEW_ROWS) : [];
+    return (
+      <div className="fixed inset-0 z-30 flex items-center justify-center bg-black/50" onClick={() => setImportDialog(null)}>
+        <div className="w-full max-w-4xl max-h-[90vh] bg-slate-800 border border-slate-700 rounded-lg shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+          <div className="px-6 py-4 border-b border-slate-700 flex items-center justify-between">
+            <div>
+              <h2 className="text-lg font-semibold text-white">Import {RECORD_LABELS[entity]}s</h2>
+              {file && <p className="text-slate-400 text-sm truncate">{file.name}</p>}
+            </div>
+            <button onClick={() => setImportDialog(null)} className="p-2 hover:bg-slate-700 rounded-lg transition text-slate-300">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+
+          <div className="flex-1 overflow-auto p-6 space-y-6">
+            {error && (
+              <div className="bg-red-900/40 border border-red-700 text-red-200 px-4 py-3 rounded-lg text-sm">{error}</div>
+            )}
+
+            {!report && (
+              <div className="space-y-2">
+                <input
+                  type="file"
+                  accept=".csv,.xlsx"
+                  disabled={loading}
+                  onChange={(e) => e.target.files[0] && runImport(e.target.files[0], null, true)}
+                  className="block w-full text-slate-300 file:mr-4 file:px-4 file:py-2 file:rounded-lg file:border-0 file:bg-blue-600 file:text-white hover:file:bg-blue-700"
+                />
+                <p className="text-slate-400 text-sm">
+                  CSV or Excel (.xlsx) file with column names in the first row.
+                  {IMPORT_KEY_LABELS[entity]
+                    ? ` Rows with an existing ${IMPORT_KEY_LABELS[entity]} update that record; the rest are created.`
+                    : ' Every row creates a new record.'}
+                </p>
+                {loading && <p className="text-slate-400 text-sm">Checking file...</p>}
+              </div>
+            )}
+
+            {report && (
+              <>
+                <div>
+                  <h3 className="text-sm font-semibold text-slate-300 mb-2">Column Mapping</h3>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-2">
+                    {report.columns.filter(Boolean).map(column => (
+                      <div key={column} className="flex items-center gap-2">
+                        <span className="w-1/2 text-slate-300 text-sm truncate" title={column}>{column}</span>
+                        <select
+                          value={mapping?.[column] || ''}
+                          disabled={loading || report.committed}
+                          onChange={(e) => handleImportMappingChange(column, e.target.value)}
+                          className="w-1/2 px-2 py-1 bg-slate-600 border border-slate-500 rounded text-white text-sm"
+                        >
+                          <option value="">Skip</option>
+                          {report.availableFields.map(field => (
+                            <option key={field} value={field}>{field}</option>
+                          ))}
+                        </select>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+
+                <div className="flex gap-4 text-sm">
+                  <span className="text-slate-300">{report.summary.total} rows</span>
+                  <span className="text-green-400">{report.summary.created} {report.committed ? 'created' : 'to create'}</span>
+                  <span className="text-blue-400">{report.summary.updated} {report.committed ? 'updated' : 'to update'}</span>
+                  <span className={report.summary.failed > 0 ? 'text-red-400' : 'text-slate-400'}>{report.summary.failed} with errors</span>
+                </div>
+
+                {report.committed ? (
+                  <div className="bg-green-900/40 border border-green-700 text-green-200 px-4 py-3 rounded-lg text-sm">Import complete</div>
+                ) : (
+                  <div className="overflow-x-auto">
+                    <table className="w-full text-sm">
+                      <thead className="bg-slate-700">
+                        <tr>
+                          <th className="px-3 py-2 text-left text-slate-300 font-semibold">Line</th>
+                          <th className="px-3 py-2 text-left text-slate-300 font-semibold">Action</th>
+                          <th className="px-3 py-2 text-left text-slate-300 font-semibold">Record</th>
+                          <th className="px-3 py-2 text-left text-slate-300 font-semibold">Errors</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {shownRows.map(row => (
+                          <tr key={row.line} className={`border-t border-slate-700 ${row.errors ? 'bg-red-900/20' : ''}`}>
+                            <td className="px-3 py-2 text-slate-400">{row.line}</td>
+                            <td className="px-3 py-2 text-slate-300">{row.action === 'update' ? 'Update' : 'Create'}</td>
+                            <td className="px-3 py-2 text-white truncate max-w-xs">
+                              {row.key || row.data[Object.keys(row.data)[0]] || '—'}
+                            </td>
+                            <td className="px-3 py-2 text-red-300">
+                              {row.errors && Object.entries(row.errors).map(([field, message]) => `${field}: ${message}`).join('; ')}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    {report.rows.length > shownRows.length && (
+                      <p className="text-slate-400 text-xs mt-2">Showing the first {shownRows.length} of {report.rows.length} rows</p>
+                    )}
+                  </div>
+                )}
+              </>
+            )}
+          </div>
+
+          <div className="px-6 py-4 border-t border-slate-700 flex justify-end gap-2">
+            {report && !report.committed && (
+              <button
+                onClick={() => setImportDialog({ ...importDialog, file: null, mapping: null, report: null, error: null })}
+                className="bg-slate-600 hover:bg-slate-500 text-white px-4 py-2 rounded-lg transition"
+              >
+                Choose Another File
+              </button>
+            )}
+            {report && !report.committed && (
+              <button
+                onClick={() => runImport(file, mapping, false)}
+                disabled={loading || report.summary.failed > 0 || report.summary.total === 0}
+                className="bg-green-600 hover:bg-green-700 disabled:opacity-40 text-white px-4 py-2 rounded-lg transition"
+              >
+                Import {report.summary.total} Rows
+              </button>
+            )}
+            {report?.committed && (
+              <button onClick={() => setImportDialog(null)} className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg transition">
+                Done
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderValuationPanel = () => (
+    <div className="fixed inset-0 z-30 flex items-center justify-center bg-black/50" onClick={() => setValuationAsset(null)}>
+      <div className="w-full max-w-2xl bg-slate-800 border border-slate-700 rounded-lg shadow-xl" onClick={(e) => e.stopPropagation()}>
+        <div className="px-6 py-4 border-b border-slate-700 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-white">Valuation of {valuationAsset.asset_tag}</h2>
+            {valuation && <p className="text-slate-400 text-sm">As of {valuation.as_of}</p>}
+          </div>
+          <button onClick={() => setValuationAsset(null)} className="p-2 hover:bg-slate-700 rounded-lg transition text-slate-300">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="p-6 space-y-4">
+          {valuationError && <p className="text-red-400 text-sm">{valuationError}</p>}
+          {!valuation && !valuationError && <p className="text-slate-400 text-sm">Loading...</p>}
+          {valuation && (
+            <>
+              <div className="grid grid-cols-3 gap-4">
+                <div>
+                  <p className="text-slate-400 text-xs">Cost</p>
+                  <p className="text-white text-lg font-semibold">{formatMoney(valuation.cost)}</p>
+                </div>
+                <div>
+                  <p className="text-slate-400 text-xs">Accumulated depreciation</p>
+                  <p className="text-white text-lg font-semibold">{formatMoney(valuation.accumulated_depreciation)}</p>
+                </div>
+                <div>
+                  <p className="text-slate-400 text-xs">Book value</p>
+                  <p className="text-emerald-400 text-lg font-semibold">{formatMoney(valuation.book_value)}</p>
+                </div>
+              </div>
+              {valuation.depreciable ? (
+                <p className="text-slate-300 text-sm">
+                  {DEPRECIATION_METHOD_LABELS[valuation.method]} over {valuation.useful_life_months} months from {valuation.purchase_date}
+                  {valuation.salvage_value > 0 && ` to a salvage value of ${formatMoney(valuation.salvage_value)}`}
+                  {valuation.settings_source === 'asset_type' && ` (${valuation.asset_type} default)`}
+                  {valuation.disposed_on
+                    ? ` · disposed of ${valuation.disposed_on}, ${formatMoney(valuation.written_off)} written off`
+                    : ` · ${valuation.fully_depreciated ? 'fully depreciated' : `ends ${valuation.end_of_life}`}`}
+                </p>
+              ) : (
+                <p className="text-yellow-400 text-sm">
+                  Carried at cost: set {valuation.missing.map(field => field.replace(/_/g, ' ')).join(', ')} on the asset
+                  {valuation.missing.some(field => field !== 'purchase_date') && ' or its asset type'} to depreciate it.
+                </p>
+              )}
+              {valuation.schedule.length > 0 && (
+                <div className="max-h-72 overflow-auto border border-slate-700 rounded">
+                  <table className="w-full text-sm">
+                    <thead className="bg-slate-900 sticky top-0">
+                      <tr>
+                        <th className="px-4 py-2 text-left text-slate-300 font-semibold">Year</th>
+                        <th className="px-4 py-2 text-right text-slate-300 font-semibold">Opening</th>
+                        <th className="px-4 py-2 text-right text-slate-300 font-semibold">Depreciation</th>
+                        <th className="px-4 py-2 text-right text-slate-300 font-semibold">Written off</th>
+                        <th className="px-4 py-2 text-right text-slate-300 font-semibold">Closing</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {valuation.schedule.map(period => (
+                        <tr key={period.year} className="border-t border-slate-700">
+                          <td className="px-4 py-2 text-white">{period.year}</td>
+                          <td className="px-4 py-2 text-right text-slate-300">{formatMoney(period.opening_value)}</td>
+                          <td className="px-4 py-2 text-right text-slate-300">{formatMoney(period.depreciation)}</td>
+                          <td className="px-4 py-2 text-right text-slate-300">{period.written_off > 0 ? formatMoney(period.written_off) : '-'}</td>
+                          <td className="px-4 py-2 text-right text-white">{formatMoney(period.closing_value)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderTransitionDialog = () => {
+    const { asset, status, reason } = transitionDialog;
+    const reasonField = ASSET_STATUS_REASONS[status];
+    return (
+      <div className="fixed inset-0 z-30 flex items-center justify-center bg-black/50" onClick={() => setTransitionDialog(null)}>
+        <div className="w-full max-w-lg bg-slate-800 border border-slate-700 rounded-lg shadow-xl" onClick={(e) => e.stopPropagation()}>
+          <div className="px-6 py-4 border-b border-slate-700 flex items-center justify-between">
+            <div>
+              <h2 className="text-lg font-semibold text-white">{ASSET_STATUS_ACTIONS[status].label} {asset.asset_tag}</h2>
+              <p className="text-slate-400 text-sm">{asset.status} to {status}</p>
+            </div>
+            <button onClick={() => setTransitionDialog(null)} className="p-2 hover:bg-slate-700 rounded-lg transition text-slate-300">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="p-6 space-y-4">
+            <div>
+              <textarea
+                placeholder={status === 'Disposed' ? 'Disposal reason (e.g. Recycled via vendor, Destroyed)' : 'Retirement reason (e.g. End of life, Lost)'}
+                value={reason}
+                onChange={(e) => setTransitionDialog({ ...transitionDialog, reason: e.target.value })}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+                rows="3"
+              />
+              {renderFieldError(reasonField)}
+              {renderFieldError('status')}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={() => handleAssetTransition(asset, status, reason)}
+                className="bg-green-600 hover:bg-green-700 text-white px-6 py-2 rounded-lg transition"
+              >
+                {ASSET_STATUS_ACTIONS[status].label}
+              </button>
+              <button
+                onClick={() => setTransitionDialog(null)}
+                className="bg-slate-600 hover:bg-slate-500 text-white px-6 py-2 rounded-lg transition"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderAssignmentDialog = () => {
+    const { mode, asset } = assignmentDialog;
+    return (
+      <div className="fixed inset-0 z-30 flex items-center justify-center bg-black/50" onClick={() => setAssignmentDialog(null)}>
+        <div className="w-full max-w-lg bg-slate-800 border border-slate-700 rounded-lg shadow-xl" onClick={(e) => e.stopPropagation()}>
+          <div className="px-6 py-4 border-b border-slate-700 flex items-center justify-between">
+            <div>
+              <h2 className="text-lg font-semibold text-white">{mode === 'checkout' ? 'Check Out' : 'Check In'} {asset.asset_tag}</h2>
+              {mode === 'checkin' && <p className="text-slate-400 text-sm">Held by {asset.assigned_user_name}</p>}
+            </div>
+            <button onClick={() => setAssignmentDialog(null)} className="p-2 hover:bg-slate-700 rounded-lg transition text-slate-300">
+              <X className="w-5 h-5" />
+            </button>
+          </div>
+          <div className="p-6 space-y-4">
+            {mode === 'checkout' && (
+              <>
+                <div>
+                  <input
+                    type="text"
+                    placeholder="Search users..."
+                    value={userQuery}
+                    onChange={(e) => setUserQuery(e.target.value)}
+                    className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400 mb-2"
+                  />
+                  <select
+                    value={assignmentForm.user_id}
+                    onChange={(e) => setAssignmentForm({...assignmentForm, user_id: e.target.value})}
+                    className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+                  >
+                    <option value="">Select User</option>
+                    {userOptions.map(option => (
+                      <option key={option.id} value={option.id}>{option.user_name}{option.email ? ` (${option.email})` : ''}</option>
+                    ))}
+                  </select>
+                  {renderFieldError('user_id')}
+                </div>
+                <div>
+                  <label className="block text-slate-400 text-xs mb-1">Expected return</label>
+                  <input
+                    type="date"
+                    value={assignmentForm.expected_return_date}
+                    onChange={(e) => setAssignmentForm({...assignmentForm, expected_return_date: e.target.value})}
+                    className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white"
+                  />
+                  {renderFieldError('expected_return_date')}
+                </div>
+              </>
+            )}
+            <div>
+              <input
+                type="text"
+                placeholder="Condition (e.g. Good, Scratched lid)"
+                value={assignmentForm.condition}
+                onChange={(e) => setAssignmentForm({...assignmentForm, condition: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+              />
+              {renderFieldError('condition')}
+            </div>
+            <div>
+              <textarea
+                placeholder="Notes"
+                value={assignmentForm.notes}
+                onChange={(e) => setAssignmentForm({...assignmentForm, notes: e.target.value})}
+                className="w-full px-4 py-2 bg-slate-600 border border-slate-500 rounded text-white placeholder-slate-400"
+                rows="2"
+              />
+              {renderFieldError('notes')}
+            </div>
+            <div className="flex gap-2">
+              <button
+                onClick={handleAssignmentSubmit}
+                className="bg-green-600 hover:bg-green-700 text-white px-6 py-2 rounded-lg transition"
+              >
+                {mode === 'checkout' ? 'Check Out' : 'Check In'}
+              </button>
+              <button
+                onClick={() => setAssignmentDialog(null)}
+                className="bg-slate-600 hover:bg-slate-500 text-white px-6 py-2 rounded-lg transition"
+              >
+                Cancel
+              </button>
+            </div>
+
+            {assignmentHistory.length > 0 && (
+              <div className="border-t border-slate-700 pt-4">
+                <h3 className="text-sm font-semibold text-slate-300 mb-2">Assignment History</h3>
+                <ul className="space-y-2 max-h-48 overflow-auto text-xs">
+                  {assignmentHistory.map(entry => (
+                    <li key={entry.id} className="bg-slate-700 rounded p-2">
+                      <p className="text-white">{entry.user_name || 'Unknown user'}</p>
+                      <p className="text-slate-400">
+                        Out {new Date(entry.checked_out_at).toLocaleDateString()}
+                        {entry.checkout_condition && ` (${entry.checkout_condition})`}
+                        {entry.checked_out_by_name && ` by ${entry.checked_out_by_name}`}
+                      </p>
+                      <p className="text-slate-400">
+                        {entry.checked_in_at
+                          ? `In ${new Date(entry.checked_in_at).toLocaleDateString()}${entry.checkin_condition ? ` (${entry.checkin_condition})` : ''}${entry.checked_in_by_name ? ` by ${entry.checked_in_by_name}` : ''}`
+                          : 'Currently checked out'}
+                      </p>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  const renderHistoryPanel = () => (
+    <div className="fixed inset-0 z-30 flex justify-end bg-black/50" onClick={() => setHistoryRecord(null)}>
+      <div className="w-full max-w-lg h-full bg-slate-800 border-l border-slate-700 shadow-xl flex flex-col" onClick={(e) => e.stopPropagation()}>
+        <div className="px-6 py-4 border-b border-slate-700 flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-semibold text-white">History</h2>
+            <p className="text-slate-400 text-sm truncate">{historyRecord.title}</p>
+          </div>
+          <button onClick={() => setHistoryRecord(null)} className="p-2 hover:bg-slate-700 rounded-lg transition text-slate-300">
+            <X className="w-5 h-5" />
+          </button>
+        </div>
+        <div className="flex-1 overflow-auto p-6 space-y-4">
+          {historyError && <p className="text-red-400 text-sm">{historyError}</p>}
+          {!historyError && historyEntries.length === 0 && (
+            <p className="text-slate-400 text-sm">No recorded changes</p>
+          )}
+          {historyEntries.map(entry => (
+            <div key={entry.id} className="bg-slate-700 rounded-lg p-4">
+              <div className="flex items-center justify-between mb-2">
+                <span className="text-white font-medium capitalize">{entry.action}</span>
+                <span className="text-slate-400 text-xs">{new Date(entry.created_at).toLocaleString()}</span>
+              </div>
+              <p className="text-slate-400 text-xs mb-3">
+                by {entry.actor_name || entry.actor_email || 'System'}
+              </p>
+              <table className="w-full text-xs">
+                <tbody>
+                  {Object.entries(entry.changes).map(([field, change]) => (
+                    <tr key={field} className="border-t border-slate-600">
+                      <td className="py-1 pr-2 text-slate-400 align-top">{field}</td>
+                      <td className="py-1 pr-2 text-red-300 line-through align-top break-all">{formatAuditValue(change.before)}</td>
+                      <td className="py-1 text-green-300 align-top break-all">{formatAuditValue(change.after)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderLoginScreen = () => (
+    <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex items-center justify-center p-4">
+      <form
+        onSubmit={handleLogin}
+        className="w-full max-w-sm bg-slate-800 border border-slate-700 rounded-lg p-8 shadow-xl"
+      >
+        <div className="flex items-center gap-2 mb-6">
+          <Package className="w-8 h-8 text-blue-500" />
+          <span className="text-xl font-bold text-white">IT ASSET</span>
+        </div>
+
+        {loginError && (
+          <div className="mb-4 p-3 bg-red-900 border border-red-700 rounded-lg">
+            <p className="text-red-200 text-sm">{loginError}</p>
+          </div>
+        )}
+
+        <div className="space-y-4">
+          <input
+            type="email"
+            placeholder="Email"
+            autoComplete="username"
+            value={loginForm.email}
+            onChange={(e) => setLoginForm({...loginForm, email: e.target.value})}
+            className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded text-white placeholder-slate-400 focus:outline-none focus:border-blue-500"
+          />
+          <input
+            type="password"
+            placeholder="Password"
+            autoComplete="current-password"
+            value={loginForm.password}
+            onChange={(e) => setLoginForm({...loginForm, password: e.target.value})}
+            className="w-full px-4 py-2 bg-slate-700 border border-slate-600 rounded text-white placeholder-slate-400 focus:outline-none focus:border-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={loading}
+            className="w-full bg-blue-600 hover:bg-blue-700 disabled:opacity-50 text-white px-4 py-2 rounded-lg flex items-center justify-center gap-2 transition"
+          >
+            <Lock className="w-4 h-4" />
+            {loading ? 'Signing in...' : 'Sign In'}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+
+  const renderTrashScreen = () => {
+    const retentionDays = listMeta.trash?.retentionDays;
+    return (
+      <>
+        {error && (
+          <div className="mb-6 p-4 bg-red-900 border border-red-700 rounded-lg">
+            <p className="text-red-200">{error}</p>
+            <button
+              onClick={() => setError(null)}
+              className="text-sm mt-2 underline hover:no-underline"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        <div className="mb-6 flex items-center justify-between">
+          <p className="text-slate-400 text-sm">
+            Deleted items can be restored at any time and permanently purged after {retentionDays ?? '...'} days.
+          </p>
+          <button
+            onClick={handlePurgeExpired}
+            className="bg-red-700 hover:bg-red-600 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition"
+          >
+            <Trash2 className="w-4 h-4" />
+            Purge Expired
+          </button>
+        </div>
+
+        <div className="bg-slate-700 border border-slate-600 rounded-lg overflow-hidden shadow-xl">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-800 border-b border-slate-600">
+                <tr>
+                  <th className="px-6 py-3 text-left text-slate-300 font-semibold">Type</th>
+                  <th className="px-6 py-3 text-left text-slate-300 font-semibold">Name</th>
+                  <th className="px-6 py-3 text-left text-slate-300 font-semibold">Details</th>
+                  <th className="px-6 py-3 text-left text-slate-300 font-semibold">Deleted</th>
+                  <th className="px-6 py-3 text-left text-slate-300 font-semibold">Purgeable From</th>
+                  <th className="px-6 py-3 text-left text-slate-300 font-semibold">Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {trashItems.length === 0 ? (
+                  <tr>
+                    <td colSpan="6" className="px-6 py-8 text-center text-slate-400">
+                      Trash is empty
+                    </td>
+                  </tr>
+                ) : (
+                  trashItems.map(item => {
+                    const purgeable = new Date(item.purge_after) <= new Date();
+                    return (
+                      <tr key={`${item.entity}-${item.id}`} className="border-b border-slate-600 hover:bg-slate-600 transition">
+                        <td className="px-6 py-4 text-slate-300">
+                          <span className="bg-slate-600 text-slate-200 px-2 py-1 rounded text-xs">{RECORD_LABELS[item.entity]}</span>
+                        </td>
+                        <td className="px-6 py-4 text-white font-medium">{item.title}</td>
+                        <td className="px-6 py-4 text-slate-300">{item.subtitle || '-'}</td>
+                        <td className="px-6 py-4 text-slate-300">{new Date(item.deleted_at).toLocaleString()}</td>
+                        <td className="px-6 py-4 text-slate-300">{new Date(item.purge_after).toLocaleDateString()}</td>
+                        <td className="px-6 py-4">
+                          <div className="flex gap-2">
+                            <button
+                              onClick={() => handleRestore(item)}
+                              className="text-green-400 hover:text-green-300 transition"
+                              title="Restore"
+                            >
+                              <RotateCcw className="w-4 h-4" />
+                            </button>
+                            <button
+                              onClick={() => handlePurge(item)}
+                              disabled={!purgeable}
+                              className="text-red-400 hover:text-red-300 disabled:opacity-30 disabled:cursor-not-allowed transition"
+                              title={purgeable ? 'Delete permanently' : 'Still within the retention period'}
+                            >
+                              <Trash2 className="w-4 h-4" />
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+          {renderPagination('trash')}
+        </div>
+      </>
+    );
+  };
+
+  const renderMatchIdentifiers = (match) => (
+    <div className="flex flex-wrap gap-1">
+      {match.matched_on.map(identifier => (
+        <span key={identifier} className="bg-green-900 text-green-200 px-2 py-1 rounded text-xs">
+          {MATCH_IDENTIFIER_LABELS[identifier]}
+        </span>
+      ))}
+      {match.conflicts.map(identifier => (
+        <span key={identifier} className="bg-red-900 text-red-200 px-2 py-1 rounded text-xs" title="Differs">
+          {MATCH_IDENTIFIER_LABELS[identifier]} ≠
+        </span>
+      ))}
+    </div>
+  );
+
+  const renderDeviceDetails = (device) => (
+    <div className="text-xs text-slate-400 space-y-0.5">
+      {[device.manufacturer, device.model].filter(Boolean).join(' ') && (
+        <div>{[device.manufacturer, device.model].filter(Boolean).join(' ')}</div>
+      )}
+      <div>Serial: {device.serial_number || '-'}</div>
+      {device.hostname && <div>Host: {device.hostname}</div>}
+      {device.mac_addresses?.length > 0 && <div>MAC: {device.mac_addresses.join(', ')}</div>}
+    </div>
+  );
+
+  const renderReconciliationScreen = () => {
+    const status = listParams.reconciliation.status;
+    return (
+      <>
+        {error && (
+          <div className="mb-6 p-4 bg-red-900 border border-red-700 rounded-lg">
+            <p className="text-red-200">{error}</p>
+            <button
+              onClick={() => setError(null)}
+              className="text-sm mt-2 underline hover:no-underline"
+            >
+              Dismiss
+            </button>
+          </div>
+        )}
+
+        <div className="mb-6 flex items-center justify-between">
+          <p className="text-slate-400 text-sm">
+            Discovered devices that look like assets already in the inventory. Approve to merge them into the asset;
+            reject to keep them apart.
+          </p>
+          <select
+            value={status}
+            onChange={(e) => updateListParams('reconciliation', { status: e.target.value, page: 1 })}
+            className="px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white"
+          >
+            <option value="pending">Pending</option>
+            <option value="approved">Approved</option>
+            <option value="rejected">Rejected</option>
+          </select>
+        </div>
+
+        <div className="bg-slate-700 border border-slate-600 rounded-lg overflow-hidden shadow-xl">
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-slate-800 border-b border-slate-600">
+                <tr>
+                  <th className="px-6 py-3 text-left text-slate-300 font-semibold">Confidence</th>
+                  <th className="px-6 py-3 text-left text-slate-300 font-semibold">Discovered</th>
+                  <th className="px-6 py-3 text-left text-slate-300 font-semibold">Existing Asset</th>
+                  <th className="px-6 py-3 text-left text-slate-300 font-semibold">Matched On</th>
+                  <th className="px-6 py-3 text-left text-slate-300 font-semibold">{status === 'pending' ? 'Actions' : 'Resolved'}</th>
+                </tr>
+              </thead>
+              <tbody>
+                {matches.length === 0 ? (
+                  <tr>
+                    <td colSpan="5" className="px-6 py-8 text-center text-slate-400">
+                      {status === 'pending' ? 'Nothing waiting for review' : `No ${status} matches`}
+                    </td>
+                  </tr>
+                ) : (
+                  matches.map(match => {
+                    const confidence = Math.round(Number(match.confidence) * 100);
+                    return (
+                      <tr key={match.id} className="border-b border-slate-600 hover:bg-slate-600 transition align-top">
+                        <td className="px-6 py-4">
+                          <span className={`px-2 py-1 rounded text-xs font-medium ${
+                            confidence >= 80 ? 'bg-green-900 text-green-200' : confidence >= 50 ? 'bg-yellow-900 text-yellow-200' : 'bg-red-900 text-red-200'
+                          }`}>
+                            {confidence}%
+                          </span>
+                        </td>
+                        <td className="px-6 py-4">
+                          <div className="text-white font-medium">{match.record.source}</div>
+                          {renderDeviceDetails(match.record)}
+                        </td>
+                        <td className="px-6 py-4">
+                          <div className="text-white font-medium">
+                            {match.asset.asset_tag}
+                            {match.asset.deleted_at && <span className="ml-2 text-xs text-red-400">(in trash)</span>}
+                          </div>
+                          {renderDeviceDetails(match.asset)}
+                          {match.asset.assigned_user_name && (
+                            <div className="text-xs text-slate-400">User: {match.asset.assigned_user_name}</div>
+                          )}
+                        </td>
+                        <td className="px-6 py-4">{renderMatchIdentifiers(match)}</td>
+                        <td className="px-6 py-4">
+                          {status === 'pending' ? (
+                            can('assets:update') && (
+                              <div className="flex gap-2">
+                                <button
+                                  onClick={() => handleResolveMatch(match, true)}
+                                  className="text-green-400 hover:text-green-300 transition"
+                                  title="Same device - merge"
+                                >
+                                  <Check className="w-4 h-4" />
+                                </button>
+                                {can('assets:create') && (
+                                  <button
+                                    onClick={() => handleResolveMatch(match, false)}
+                                    className="text-red-400 hover:text-red-300 transition"
+                                    title="Different device"
+                                  >
+                                    <X className="w-4 h-4" />
+                                  </button>
+                                )}
+                              </div>
+                            )
+                          ) : (
+                            <div className="text-xs text-slate-400">
+                              {match.resolved_by_name || 'System'}
+                              <div>{new Date(match.resolved_at).toLocaleString()}</div>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })
+                )}
+              </tbody>
+            </table>
+          </div>
+          {renderPagination('reconciliation')}
+        </div>
+      </>
+    );
+  };
+
+  const renderDiscoveryStatus = (status) => (
+    <span className={`px-2 py-1 rounded text-xs font-medium capitalize ${DISCOVERY_STATUS_STYLES[status] || DISCOVERY_STATUS_STYLES.queued}`}>
+      {status}
+    </span>
+  );
+
+  const renderDiscoveryScreen = () => (
+    <>
+      {error && (
+        <div className="mb-6 p-4 bg-red-900 border border-red-700 rounded-lg">
+          <p className="text-red-200">{error}</p>
+          <button
+            onClick={() => setError(null)}
+            className="text-sm mt-2 underline hover:no-underline"
+          >
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      <div className="mb-6 flex items-center justify-between">
+        <p className="text-slate-400 text-sm">
+          Each run of the discovery agent, with what every connector found. Runs started here wait in the queue
+          until the agent picks them up.
+        </p>
+        <select
+          value={listParams.discovery.status}
+          onChange={(e) => updateListParams('discovery', { status: e.target.value, page: 1 })}
+          className="px-3 py-2 bg-slate-700 border border-slate-600 rounded-lg text-white"
+        >
+          <option value="">All Runs</option>
+          <option value="queued">Queued</option>
+          <option value="running">Running</option>
+          <option value="succeeded">Succeeded</option>
+          <option value="partial">Partial</option>
+          <option value="failed">Failed</option>
+        </select>
+      </div>
+
+      <div className="bg-slate-700 border border-slate-600 rounded-lg overflow-hidden shadow-xl">
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead className="bg-slate-800 border-b border-slate-600">
+              <tr>
+                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Status</th>
+                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Started</th>
+                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Duration</th>
+                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Trigger</th>
+                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Found</th>
+                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Synced</th>
+                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Failed</th>
+                <th className="px-6 py-3 text-left text-slate-300 font-semibold">Connectors</th>
+              </tr>
+            </thead>
+            <tbody>
+              {discoveryRuns.length === 0 ? (
+                <tr>
+                  <td colSpan="8" className="px-6 py-8 text-center text-slate-400">
+                    No discovery runs yet
+                  </td>
+                </tr>
+              ) : (
+                discoveryRuns.map(run => (
+                  <tr key={run.id} className="border-b border-slate-600 hover:bg-slate-600 transition align-top">
+                    <td className="px-6 py-4">
+                      {renderDiscoveryStatus(run.status)}
+                      {run.error && <div className="text-xs text-red-300 mt-2 max-w-xs">{run.error}</div>}
+                    </td>
+                    <td className="px-6 py-4 text-slate-300">
+                      {run.started_at ? new Date(run.started_at).toLocaleString() : (
+                        <span className="text-slate-400">Queued {new Date(run.created_at).toLocaleString()}</span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 text-slate-300">{formatDuration(run.started_at, run.finished_at)}</td>
+                    <td className="px-6 py-4 text-slate-300">
+                      {run.trigger === 'manual' ? 'Manual' : 'Scheduled'}
+                      {run.requested_by_name && <div className="text-xs text-slate-400">{run.requested_by_name}</div>}
+                      {run.connectors.length > 0 && <div className="text-xs text-slate-400">Only: {run.connectors.join(', ')}</div>}
+                    </td>
+                    <td className="px-6 py-4 text-slate-300">{run.assets_found}</td>
+                    <td className="px-6 py-4 text-slate-300">{run.synced}</td>
+                    <td className={`px-6 py-4 ${run.failed > 0 ? 'text-red-300' : 'text-slate-300'}`}>{run.failed}</td>
+                    <td className="px-6 py-4">
+                      {run.connector_runs.length === 0 ? (
+                        <span className="text-slate-400">-</span>
+                      ) : (
+                        <div className="space-y-2">
+                          {run.connector_runs.map(connectorRun => (
+                            <div key={connectorRun.id} className="text-xs">
+                              <div className="flex items-center gap-2">
+                                {renderDiscoveryStatus(connectorRun.status)}
+                                <span className="text-white font-medium">{connectorRun.connector}</span>
+                                {connectorRun.mode === 'delta' && (
+                                  <span className="text-slate-400" title="Only records changed since the previous run">delta</span>
+                                )}
+                                {connectorRun.status === 'failed' && can('discovery:run') && (
+                                  <button
+                                    onClick={() => handleRunDiscovery([connectorRun.config_key])}
+                                    disabled={loading}
+                                    className="text-blue-400 hover:text-blue-300 transition disabled:opacity-50"
+                                    title={`Run ${connectorRun.config_key} again`}
+                                  >
+                                    <RotateCw className="w-4 h-4" />
+                                  </button>
+                                )}
+                              </div>
+                              <div className="text-slate-400 mt-1">
+                                {connectorRun.assets_found} found, {formatBytes(connectorRun.payload_bytes)},{' '}
+                                {formatDuration(connectorRun.started_at, connectorRun.finished_at)}
+                                {connectorRun.attempts > 1 && `, ${connectorRun.attempts} attempts`}
+                              </div>
+                              {connectorRun.error && <div className="text-red-300 mt-1 max-w-xs">{connectorRun.error}</div>}
+                            </div>
+                          ))}
+                        </div>
+                      )}
+                    </td>
+                  </tr>
+                ))
+              )}
+            </tbody>
+          </table>
+        </div>
+        {renderPagination('discovery')}
+      </div>
+    </>
+  );
+
+  const renderScreen = () => {
     switch(currentScreen) {
+      case 'dashboard':
+        return renderDashboardScreen();
       case 'assets':
         return renderAssetsScreen();
       case 'licenses':
@@ -1230,11 +4035,25 @@ export default function App() {
         return renderUsersScreen();
       case 'contracts':
         return renderContractsScreen();
+      case 'trash':
+        return renderTrashScreen();
+      case 'reconciliation':
+        return renderReconciliationScreen();
+      case 'discovery':
+        return renderDiscoveryScreen();
       default:
         return renderAssetsScreen();
     }
   };
 
+  if (!authChecked) {
+    return <div className="min-h-screen bg-slate-900" />;
+  }
+
+  if (!authUser) {
+    return renderLoginScreen();
+  }
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 flex">
       {/* Sidebar */}
@@ -1248,53 +4067,132 @@ export default function App() {
 
         <nav className="flex-1 p-4 space-y-2">
           <button
-            onClick={() => { setCurrentScreen('assets'); setShowForm(false); }}
+            onClick={() => { setCurrentScreen('dashboard'); setShowForm(false); setFieldErrors({}); }}
             className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${
-              currentScreen === 'assets' 
-                ? 'bg-blue-600 text-white' 
+              currentScreen === 'dashboard'
+                ? 'bg-blue-600 text-white'
                 : 'text-slate-400 hover:bg-slate-700'
             }`}
           >
-            <HardDrive className="w-5 h-5" />
-            <span>Assets</span>
+            <LayoutDashboard className="w-5 h-5" />
+            <span>Dashboard</span>
           </button>
 
-          <button
-            onClick={() => { setCurrentScreen('licenses'); setShowForm(false); }}
-            className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${
-              currentScreen === 'licenses' 
-                ? 'bg-blue-600 text-white' 
-                : 'text-slate-400 hover:bg-slate-700'
-            }`}
-          >
-            <FileText className="w-5 h-5" />
-            <span>Licenses</span>
-          </button>
+          {can('assets:read') && (
+            <button
+              onClick={() => { setCurrentScreen('assets'); setShowForm(false); setFieldErrors({}); }}
+              className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${
+                currentScreen === 'assets' 
+                  ? 'bg-blue-600 text-white' 
+                  : 'text-slate-400 hover:bg-slate-700'
+              }`}
+            >
+              <HardDrive className="w-5 h-5" />
+              <span>Assets</span>
+            </button>
+          )}
 
-          <button
-            onClick={() => { setCurrentScreen('users'); setShowForm(false); }}
-            className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${
-              currentScreen === 'users' 
-                ? 'bg-blue-600 text-white' 
-                : 'text-slate-400 hover:bg-slate-700'
-            }`}
-          >
-            <Users className="w-5 h-5" />
-            <span>Users</span>
-          </button>
+          {can('licenses:read') && (
+            <button
+              onClick={() => { setCurrentScreen('licenses'); setShowForm(false); setFieldErrors({}); }}
+              className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${
+                currentScreen === 'licenses' 
+                  ? 'bg-blue-600 text-white' 
+                  : 'text-slate-400 hover:bg-slate-700'
+              }`}
+            >
+              <FileText className="w-5 h-5" />
+              <span>Licenses</span>
+            </button>
+          )}
+
+          {can('users:read') && (
+            <button
+              onClick={() => { setCurrentScreen('users'); setShowForm(false); setFieldErrors({}); }}
+              className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${
+                currentScreen === 'users' 
+                  ? 'bg-blue-600 text-white' 
+                  : 'text-slate-400 hover:bg-slate-700'
+              }`}
+            >
+              <Users className="w-5 h-5" />
+              <span>Users</span>
+            </button>
+          )}
 
+          {can('contracts:read') && (
+            <button
+              onClick={() => { setCurrentScreen('contracts'); setShowForm(false); setFieldErrors({}); }}
+              className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${
+                currentScreen === 'contracts' 
+                  ? 'bg-blue-600 text-white' 
+                  : 'text-slate-400 hover:bg-slate-700'
+              }`}
+            >
+              <FileCheck className="w-5 h-5" />
+              <span>Contracts</span>
+            </button>
+          )}
+
+          {can('assets:read') && (
+            <button
+              onClick={() => { setCurrentScreen('reconciliation'); setShowForm(false); setFieldErrors({}); }}
+              className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${
+                currentScreen === 'reconciliation' 
+                  ? 'bg-blue-600 text-white' 
+                  : 'text-slate-400 hover:bg-slate-700'
+              }`}
+            >
+              <GitMerge className="w-5 h-5" />
+              <span>Reconciliation</span>
+            </button>
+          )}
+
+          {can('discovery:read') && (
+            <button
+              onClick={() => { setCurrentScreen('discovery'); setShowForm(false); setFieldErrors({}); }}
+              className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${
+                currentScreen === 'discovery' 
+                  ? 'bg-blue-600 text-white' 
+                  : 'text-slate-400 hover:bg-slate-700'
+              }`}
+            >
+              <Radar className="w-5 h-5" />
+              <span>Discovery</span>
+            </button>
+          )}
+
+          {canDeleteAny && (
+            <button
+              onClick={() => { setCurrentScreen('trash'); setShowForm(false); setFieldErrors({}); }}
+              className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${
+                currentScreen === 'trash' 
+                  ? 'bg-blue-600 text-white' 
+                  : 'text-slate-400 hover:bg-slate-700'
+              }`}
+            >
+              <Trash2 className="w-5 h-5" />
+              <span>Trash</span>
+            </button>
+          )}
+        </nav>
+
+        <div className="p-4 border-t border-slate-700">
+          {authUser.tenant && (
+            <p className="text-blue-400 text-xs font-medium uppercase tracking-wide truncate mb-1" title={`Tenant: ${authUser.tenant.slug}`}>
+              {authUser.tenant.name}
+            </p>
+          )}
+          <p className="text-white text-sm font-medium truncate">{authUser.user_name}</p>
+          <p className="text-slate-400 text-xs truncate mb-3">{authUser.email}</p>
           <button
-            onClick={() => { setCurrentScreen('contracts'); setShowForm(false); }}
-            className={`w-full flex items-center gap-3 px-4 py-3 rounded-lg transition ${
-              currentScreen === 'contracts' 
-                ? 'bg-blue-600 text-white' 
-                : 'text-slate-400 hover:bg-slate-700'
-            }`}
+            onClick={handleLogout}
+            className="w-full flex items-center gap-3 px-4 py-2 rounded-lg text-slate-400 hover:bg-slate-700 transition"
           >
-            <FileCheck className="w-5 h-5" />
-            <span>Contracts</span>
+            <LogOut className="w-5 h-5" />
+            <span>Log Out</span>
           </button>
-        </nav>
+        </div>
       </aside>
 
       {/* Main Content */}
@@ -1308,8 +4206,33 @@ export default function App() {
             >
               {sidebarOpen ? <X className="w-6 h-6" /> : <Menu className="w-6 h-6" />}
             </button>
+
+            {renderGlobalSearch()}
+
+            {renderAlertsBell()}
+
+            {RECORD_LABELS[currentScreen] && can(`${currentScreen}:create`) && can(`${currentScreen}:update`) && (
+              <button
+                onClick={() => openImportDialog(currentScreen)}
+                className="bg-slate-700 hover:bg-slate-600 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition mr-3"
+              >
+                <Upload className="w-5 h-5" />
+                Import
+              </button>
+            )}
             
-            {currentScreen === 'assets' && (
+            {currentScreen === 'discovery' && can('discovery:run') && (
+              <button
+                onClick={() => handleRunDiscovery()}
+                disabled={loading}
+                className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition disabled:opacity-50"
+              >
+                <Play className="w-5 h-5" />
+                Run Now
+              </button>
+            )}
+
+            {currentScreen === 'assets' && can('assets:create') && (
               <button
                 onClick={() => setShowForm(!showForm)}
                 className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition"
@@ -1319,7 +4242,7 @@ export default function App() {
               </button>
             )}
             
-            {currentScreen === 'licenses' && (
+            {currentScreen === 'licenses' && can('licenses:create') && (
               <button
                 onClick={() => setShowForm(!showForm)}
                 className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition"
@@ -1329,7 +4252,7 @@ export default function App() {
               </button>
             )}
             
-            {currentScreen === 'users' && (
+            {currentScreen === 'users' && can('users:create') && (
               <button
                 onClick={() => setShowForm(!showForm)}
                 className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition"
@@ -1339,7 +4262,7 @@ export default function App() {
               </button>
             )}
             
-            {currentScreen === 'contracts' && (
+            {currentScreen === 'contracts' && can('contracts:create') && (
               <button
                 onClick={() => setShowForm(!showForm)}
                 className="bg-blue-600 hover:bg-blue-700 text-white px-4 py-2 rounded-lg flex items-center gap-2 transition"
@@ -1356,6 +4279,15 @@ export default function App() {
           {renderScreen()}
         </main>
       </div>
+
+      {historyRecord && renderHistoryPanel()}
+      {assignmentDialog && renderAssignmentDialog()}
+      {transitionDialog && renderTransitionDialog()}
+      {valuationAsset && renderValuationPanel()}
+      {seatsLicense && renderSeatsPanel()}
+      {coverageContract && renderCoveragePanel()}
+      {coveredRecord && renderCoveringContractsPanel()}
+      {importDialog && renderImportDialog()}
     </div>
   );
 }
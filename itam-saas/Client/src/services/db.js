@@ -1,14 +1,180 @@
 // Database service for React frontend
 const API_URL = process.env.REACT_APP_API_URL || 'https://it-asset-project-production.up.railway.app/api';
+const SESSION_STORAGE_KEY = 'itam_session';
+
+let unauthorizedHandler = null;
+let refreshPromise = null;
+
+// ============ AUTH FUNCTIONS ============
+
+function getSession() {
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_STORAGE_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function saveSession(session) {
+  localStorage.setItem(SESSION_STORAGE_KEY, JSON.stringify({
+    accessToken: session.accessToken,
+    refreshToken: session.refreshToken,
+  }));
+}
+
+function clearSession() {
+  localStorage.removeItem(SESSION_STORAGE_KEY);
+}
+
+/**
+ * Register a callback for when the session is no longer valid (e.g. show login)
+ */
+export function onUnauthorized(handler) {
+  unauthorizedHandler = handler;
+}
+
+/**
+ * Whether a session is stored locally (it may still be expired)
+ */
+export function hasSession() {
+  return Boolean(getSession()?.accessToken);
+}
+
+/**
+ * Exchange the stored refresh token for a new session.
+ * Concurrent callers share one request so the token is only used once.
+ */
+async function refreshSession() {
+  const session = getSession();
+  if (!session?.refreshToken) return false;
+
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: session.refreshToken }),
+    })
+      .then(async (response) => {
+        if (!response.ok) return false;
+        saveSession(await response.json());
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+}
+
+/**
+ * fetch() against the API with the access token attached.
+ * On a 401 the session is refreshed once; if that fails the login screen is shown.
+ */
+async function apiFetch(path, options = {}, retry = true) {
+  const session = getSession();
+  const headers = { ...options.headers };
+  if (session?.accessToken) {
+    headers.Authorization = `Bearer ${session.accessToken}`;
+  }
+
+  const response = await fetch(`${API_URL}${path}`, { ...options, headers });
+
+  if (response.status === 401) {
+    if (retry && await refreshSession()) {
+      return apiFetch(path, options, false);
+    }
+    clearSession();
+    if (unauthorizedHandler) unauthorizedHandler();
+  }
+  return response;
+}
+
+/**
+ * Build a query string from list parameters, skipping empty values
+ */
+function toQueryString(params = {}) {
+  const query = new URLSearchParams();
+  for (const [key, value] of Object.entries(params)) {
+    if (value !== undefined && value !== null && value !== '') {
+      query.set(key, value);
+    }
+  }
+  const queryString = query.toString();
+  return queryString ? `?${queryString}` : '';
+}
+
+/**
+ * Parse a JSON response, throwing the server's message on failure.
+ * Validation errors (422) carry field-level messages on `error.fields`.
+ */
+async function parseResponse(response, fallbackMessage) {
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const error = new Error(data.error || fallbackMessage);
+    error.fields = data.fields || {};
+    throw error;
+  }
+  return data;
+}
+
+/**
+ * Log in with email and password
+ */
+export async function login(email, password) {
+  const response = await fetch(`${API_URL}/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email, password }),
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok) throw new Error(data.error || 'Login failed');
+  saveSession(data);
+  return data.user;
+}
+
+/**
+ * Log out and revoke the refresh token
+ */
+export async function logout() {
+  const session = getSession();
+  clearSession();
+  try {
+    await fetch(`${API_URL}/auth/logout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken: session?.refreshToken }),
+    });
+  } catch (error) {
+    console.error('Error logging out:', error);
+  }
+}
 
 /**
- * Fetch all assets from server
+ * Get the logged-in user
  */
-export async function fetchAssets() {
+export async function getCurrentUser() {
   try {
-    const response = await fetch(`${API_URL}/assets`);
-    if (!response.ok) throw new Error('Failed to fetch assets');
+    const response = await apiFetch('/auth/me');
+    if (!response.ok) throw new Error('Not authenticated');
     return await response.json();
+  } catch (error) {
+    console.error('Error fetching current user:', error);
+    throw error;
+  }
+}
+
+// ============ ASSETS FUNCTIONS ============
+
+/**
+ * Fetch a page of assets from server
+ * @param {object} params - page, limit, sort, order, search, column filters and stale (missing assets only)
+ * @returns {Promise<{data: Array, pagination: object, summary: object, missingAfterDays: number}>}
+ */
+export async function fetchAssets(params = {}) {
+  try {
+    const response = await apiFetch(`/assets${toQueryString(params)}`);
+    return await parseResponse(response, 'Failed to fetch assets');
   } catch (error) {
     console.error('Error fetching assets:', error);
     throw error;
@@ -20,7 +186,7 @@ export async function fetchAssets() {
  */
 export async function searchAssets(query) {
   try {
-    const response = await fetch(`${API_URL}/assets/search/${encodeURIComponent(query)}`);
+    const response = await apiFetch(`/assets/search/${encodeURIComponent(query)}`);
     if (!response.ok) throw new Error('Failed to search assets');
     return await response.json();
   } catch (error) {
@@ -34,7 +200,7 @@ export async function searchAssets(query) {
  */
 export async function getAssetById(id) {
   try {
-    const response = await fetch(`${API_URL}/assets/${id}`);
+    const response = await apiFetch(`/assets/${id}`);
     if (!response.ok) throw new Error('Asset not found');
     return await response.json();
   } catch (error) {
@@ -48,13 +214,12 @@ export async function getAssetById(id) {
  */
 export async function createAsset(assetData) {
   try {
-    const response = await fetch(`${API_URL}/assets`, {
+    const response = await apiFetch(`/assets`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(assetData),
     });
-    if (!response.ok) throw new Error('Failed to create asset');
-    return await response.json();
+    return await parseResponse(response, 'Failed to create asset');
   } catch (error) {
     console.error('Error creating asset:', error);
     throw error;
@@ -66,13 +231,12 @@ export async function createAsset(assetData) {
  */
 export async function updateAsset(id, assetData) {
   try {
-    const response = await fetch(`${API_URL}/assets/${id}`, {
+    const response = await apiFetch(`/assets/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(assetData),
     });
-    if (!response.ok) throw new Error('Failed to update asset');
-    return await response.json();
+    return await parseResponse(response, 'Failed to update asset');
   } catch (error) {
     console.error('Error updating asset:', error);
     throw error;
@@ -84,7 +248,7 @@ export async function updateAsset(id, assetData) {
  */
 export async function deleteAsset(id) {
   try {
-    const response = await fetch(`${API_URL}/assets/${id}`, {
+    const response = await apiFetch(`/assets/${id}`, {
       method: 'DELETE',
     });
     if (!response.ok) throw new Error('Failed to delete asset');
@@ -96,30 +260,153 @@ export async function deleteAsset(id) {
 }
 
 /**
- * Get asset statistics
+ * Check an asset out to a user
+ * @param {object} checkoutData - user_id, expected_return_date, condition, notes
+ */
+export async function checkoutAsset(id, checkoutData) {
+  try {
+    const response = await apiFetch(`/assets/${id}/checkout`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(checkoutData),
+    });
+    return await parseResponse(response, 'Failed to check out asset');
+  } catch (error) {
+    console.error('Error checking out asset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Check an asset back in
+ * @param {object} checkinData - condition, notes
+ */
+export async function checkinAsset(id, checkinData) {
+  try {
+    const response = await apiFetch(`/assets/${id}/checkin`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(checkinData),
+    });
+    return await parseResponse(response, 'Failed to check in asset');
+  } catch (error) {
+    console.error('Error checking in asset:', error);
+    throw error;
+  }
+}
+
+/**
+ * Move an asset to another lifecycle state
+ * @param {object} transitionData - status, plus retirement_reason or disposal_reason when retiring or disposing
+ */
+export async function transitionAsset(id, transitionData) {
+  try {
+    const response = await apiFetch(`/assets/${id}/transition`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(transitionData),
+    });
+    return await parseResponse(response, 'Failed to change asset status');
+  } catch (error) {
+    console.error('Error changing asset status:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an asset's book value and depreciation schedule
+ * @param {object} params - as_of (YYYY-MM-DD, default today)
+ */
+export async function fetchAssetValuation(id, params = {}) {
+  try {
+    const response = await apiFetch(`/assets/${id}/valuation${toQueryString(params)}`);
+    return await parseResponse(response, 'Failed to fetch asset valuation');
+  } catch (error) {
+    console.error('Error fetching asset valuation:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the depreciation report: book value totals, per asset type and per year
+ * @param {object} params - as_of (YYYY-MM-DD, default today), summary (true to leave out the per-asset valuations)
+ */
+export async function fetchDepreciationReport(params = {}) {
+  try {
+    const response = await apiFetch(`/reports/depreciation${toQueryString(params)}`);
+    return await parseResponse(response, 'Failed to fetch depreciation report');
+  } catch (error) {
+    console.error('Error fetching depreciation report:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get an asset's check-out / check-in history
+ */
+export async function fetchAssetAssignments(id) {
+  try {
+    const response = await apiFetch(`/assets/${id}/assignments`);
+    return await parseResponse(response, 'Failed to fetch assignment history');
+  } catch (error) {
+    console.error('Error fetching asset assignments:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get asset counts: total, discovered and per lifecycle status
  */
 export async function getAssetStats() {
   try {
-    const statsUrl = `${API_URL.replace('/api', '')}/stats`;
-    const response = await fetch(statsUrl);
-    if (!response.ok) throw new Error('Failed to fetch stats');
-    return await response.json();
+    const response = await apiFetch('/stats');
+    return await parseResponse(response, 'Failed to fetch stats');
   } catch (error) {
     console.error('Error fetching stats:', error);
     throw error;
   }
 }
 
+/**
+ * Get dashboard analytics: asset breakdowns and value, license and contract spend
+ * @param {object} params - months (months of spend history, default 12)
+ */
+export async function fetchAnalytics(params = {}) {
+  try {
+    const response = await apiFetch(`/analytics${toQueryString(params)}`);
+    return await parseResponse(response, 'Failed to fetch analytics');
+  } catch (error) {
+    console.error('Error fetching analytics:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a metric over time from the nightly inventory snapshots
+ * @param {object} params - metric (e.g. assets.count), from, to (YYYY-MM-DD), interval (day, week, month, quarter),
+ *   group_by (status, type, currency) and status / type / currency filters
+ */
+export async function fetchTrends(params = {}) {
+  try {
+    const response = await apiFetch(`/analytics/trends${toQueryString(params)}`);
+    return await parseResponse(response, 'Failed to fetch trends');
+  } catch (error) {
+    console.error('Error fetching trends:', error);
+    throw error;
+  }
+}
+
 // ============ LICENSES FUNCTIONS ============
 
 /**
- * Fetch all licenses from server
+ * Fetch a page of licenses from server
+ * @param {object} params - page, limit, sort, order, search and column filters
+ * @returns {Promise<{data: Array, pagination: object, summary: object}>}
  */
-export async function fetchLicenses() {
+export async function fetchLicenses(params = {}) {
   try {
-    const response = await fetch(`${API_URL}/licenses`);
-    if (!response.ok) throw new Error('Failed to fetch licenses');
-    return await response.json();
+    const response = await apiFetch(`/licenses${toQueryString(params)}`);
+    return await parseResponse(response, 'Failed to fetch licenses');
   } catch (error) {
     console.error('Error fetching licenses:', error);
     throw error;
@@ -131,7 +418,7 @@ export async function fetchLicenses() {
  */
 export async function searchLicenses(query) {
   try {
-    const response = await fetch(`${API_URL}/licenses/search/${encodeURIComponent(query)}`);
+    const response = await apiFetch(`/licenses/search/${encodeURIComponent(query)}`);
     if (!response.ok) throw new Error('Failed to search licenses');
     return await response.json();
   } catch (error) {
@@ -145,13 +432,12 @@ export async function searchLicenses(query) {
  */
 export async function createLicense(licenseData) {
   try {
-    const response = await fetch(`${API_URL}/licenses`, {
+    const response = await apiFetch(`/licenses`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(licenseData),
     });
-    if (!response.ok) throw new Error('Failed to create license');
-    return await response.json();
+    return await parseResponse(response, 'Failed to create license');
   } catch (error) {
     console.error('Error creating license:', error);
     throw error;
@@ -163,13 +449,12 @@ export async function createLicense(licenseData) {
  */
 export async function updateLicense(id, licenseData) {
   try {
-    const response = await fetch(`${API_URL}/licenses/${id}`, {
+    const response = await apiFetch(`/licenses/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(licenseData),
     });
-    if (!response.ok) throw new Error('Failed to update license');
-    return await response.json();
+    return await parseResponse(response, 'Failed to update license');
   } catch (error) {
     console.error('Error updating license:', error);
     throw error;
@@ -181,7 +466,7 @@ export async function updateLicense(id, licenseData) {
  */
 export async function deleteLicense(id) {
   try {
-    const response = await fetch(`${API_URL}/licenses/${id}`, {
+    const response = await apiFetch(`/licenses/${id}`, {
       method: 'DELETE',
     });
     if (!response.ok) throw new Error('Failed to delete license');
@@ -192,16 +477,64 @@ export async function deleteLicense(id) {
   }
 }
 
+/**
+ * Used versus purchased seats per license
+ * @param {object} params - over_allocated=true to list violations only
+ * @returns {Promise<{licenses: Array, summary: object}>}
+ */
+export async function fetchLicenseCompliance(params = {}) {
+  try {
+    const response = await apiFetch(`/licenses/compliance${toQueryString(params)}`);
+    return await parseResponse(response, 'Failed to fetch license compliance');
+  } catch (error) {
+    console.error('Error fetching license compliance:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get a license's open seats and its compliance
+ * @returns {Promise<{seats: Array, compliance: object}>}
+ */
+export async function fetchLicenseSeats(id) {
+  try {
+    const response = await apiFetch(`/licenses/${id}/seats`);
+    return await parseResponse(response, 'Failed to fetch license seats');
+  } catch (error) {
+    console.error('Error fetching license seats:', error);
+    throw error;
+  }
+}
+
+/**
+ * Allocate or release a license seat
+ * @param {object} seatData - action ('allocate' | 'release'), user_id or asset_id, notes
+ */
+export async function updateLicenseSeat(id, seatData) {
+  try {
+    const response = await apiFetch(`/licenses/${id}/seats`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(seatData),
+    });
+    return await parseResponse(response, 'Failed to update license seats');
+  } catch (error) {
+    console.error('Error updating license seats:', error);
+    throw error;
+  }
+}
+
 // ============ USERS FUNCTIONS ============
 
 /**
- * Fetch all users from server
+ * Fetch a page of users from server
+ * @param {object} params - page, limit, sort, order, search and column filters
+ * @returns {Promise<{data: Array, pagination: object, summary: object}>}
  */
-export async function fetchUsers() {
+export async function fetchUsers(params = {}) {
   try {
-    const response = await fetch(`${API_URL}/users`);
-    if (!response.ok) throw new Error('Failed to fetch users');
-    return await response.json();
+    const response = await apiFetch(`/users${toQueryString(params)}`);
+    return await parseResponse(response, 'Failed to fetch users');
   } catch (error) {
     console.error('Error fetching users:', error);
     throw error;
@@ -213,7 +546,7 @@ export async function fetchUsers() {
  */
 export async function searchUsers(query) {
   try {
-    const response = await fetch(`${API_URL}/users/search/${encodeURIComponent(query)}`);
+    const response = await apiFetch(`/users/search/${encodeURIComponent(query)}`);
     if (!response.ok) throw new Error('Failed to search users');
     return await response.json();
   } catch (error) {
@@ -227,13 +560,12 @@ export async function searchUsers(query) {
  */
 export async function createUser(userData) {
   try {
-    const response = await fetch(`${API_URL}/users`, {
+    const response = await apiFetch(`/users`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(userData),
     });
-    if (!response.ok) throw new Error('Failed to create user');
-    return await response.json();
+    return await parseResponse(response, 'Failed to create user');
   } catch (error) {
     console.error('Error creating user:', error);
     throw error;
@@ -245,13 +577,12 @@ export async function createUser(userData) {
  */
 export async function updateUser(id, userData) {
   try {
-    const response = await fetch(`${API_URL}/users/${id}`, {
+    const response = await apiFetch(`/users/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(userData),
     });
-    if (!response.ok) throw new Error('Failed to update user');
-    return await response.json();
+    return await parseResponse(response, 'Failed to update user');
   } catch (error) {
     console.error('Error updating user:', error);
     throw error;
@@ -263,11 +594,10 @@ export async function updateUser(id, userData) {
  */
 export async function deleteUser(id) {
   try {
-    const response = await fetch(`${API_URL}/users/${id}`, {
+    const response = await apiFetch(`/users/${id}`, {
       method: 'DELETE',
     });
-    if (!response.ok) throw new Error('Failed to delete user');
-    return await response.json();
+    return await parseResponse(response, 'Failed to delete user');
   } catch (error) {
     console.error('Error deleting user:', error);
     throw error;
@@ -277,13 +607,14 @@ export async function deleteUser(id) {
 // ============ CONTRACTS FUNCTIONS ============
 
 /**
- * Fetch all contracts from server
+ * Fetch a page of contracts from server
+ * @param {object} params - page, limit, sort, order, search and column filters
+ * @returns {Promise<{data: Array, pagination: object, summary: object}>}
  */
-export async function fetchContracts() {
+export async function fetchContracts(params = {}) {
   try {
-    const response = await fetch(`${API_URL}/contracts`);
-    if (!response.ok) throw new Error('Failed to fetch contracts');
-    return await response.json();
+    const response = await apiFetch(`/contracts${toQueryString(params)}`);
+    return await parseResponse(response, 'Failed to fetch contracts');
   } catch (error) {
     console.error('Error fetching contracts:', error);
     throw error;
@@ -295,7 +626,7 @@ export async function fetchContracts() {
  */
 export async function searchContracts(query) {
   try {
-    const response = await fetch(`${API_URL}/contracts/search/${encodeURIComponent(query)}`);
+    const response = await apiFetch(`/contracts/search/${encodeURIComponent(query)}`);
     if (!response.ok) throw new Error('Failed to search contracts');
     return await response.json();
   } catch (error) {
@@ -309,13 +640,12 @@ export async function searchContracts(query) {
  */
 export async function createContract(contractData) {
   try {
-    const response = await fetch(`${API_URL}/contracts`, {
+    const response = await apiFetch(`/contracts`, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(contractData),
     });
-    if (!response.ok) throw new Error('Failed to create contract');
-    return await response.json();
+    return await parseResponse(response, 'Failed to create contract');
   } catch (error) {
     console.error('Error creating contract:', error);
     throw error;
@@ -327,13 +657,12 @@ export async function createContract(contractData) {
  */
 export async function updateContract(id, contractData) {
   try {
-    const response = await fetch(`${API_URL}/contracts/${id}`, {
+    const response = await apiFetch(`/contracts/${id}`, {
       method: 'PUT',
       headers: { 'Content-Type': 'application/json' },
       body: JSON.stringify(contractData),
     });
-    if (!response.ok) throw new Error('Failed to update contract');
-    return await response.json();
+    return await parseResponse(response, 'Failed to update contract');
   } catch (error) {
     console.error('Error updating contract:', error);
     throw error;
@@ -345,7 +674,7 @@ export async function updateContract(id, contractData) {
  */
 export async function deleteContract(id) {
   try {
-    const response = await fetch(`${API_URL}/contracts/${id}`, {
+    const response = await apiFetch(`/contracts/${id}`, {
       method: 'DELETE',
     });
     if (!response.ok) throw new Error('Failed to delete contract');
@@ -355,3 +684,323 @@ export async function deleteContract(id) {
     throw error;
   }
 }
+
+// ============ CONTRACT COVERAGE FUNCTIONS ============
+
+/**
+ * Get the assets and licenses a contract covers
+ * @returns {Promise<{contract: object, items: Array<object>}>}
+ */
+export async function fetchContractCoverage(contractId) {
+  try {
+    const response = await apiFetch(`/contracts/${contractId}/coverage`);
+    return await parseResponse(response, 'Failed to fetch contract coverage');
+  } catch (error) {
+    console.error('Error fetching contract coverage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Cover an asset or a license with a contract
+ * @param {object} coverageData - asset_id or license_id, notes
+ */
+export async function attachCoverage(contractId, coverageData) {
+  try {
+    const response = await apiFetch(`/contracts/${contractId}/coverage`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(coverageData),
+    });
+    return await parseResponse(response, 'Failed to attach coverage');
+  } catch (error) {
+    console.error('Error attaching coverage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Stop a contract covering an asset or a license
+ * @param {string} entity - assets or licenses
+ */
+export async function detachCoverage(contractId, entity, itemId) {
+  try {
+    const response = await apiFetch(`/contracts/${contractId}/coverage/${entity}/${itemId}`, { method: 'DELETE' });
+    return await parseResponse(response, 'Failed to detach coverage');
+  } catch (error) {
+    console.error('Error detaching coverage:', error);
+    throw error;
+  }
+}
+
+/**
+ * Get the contracts covering an asset or a license, each with its coverage_status (active, pending, lapsed)
+ * @param {string} entity - assets or licenses
+ */
+export async function fetchCoveringContracts(entity, id) {
+  try {
+    const response = await apiFetch(`/${entity}/${id}/contracts`);
+    return await parseResponse(response, 'Failed to fetch covering contracts');
+  } catch (error) {
+    console.error('Error fetching covering contracts:', error);
+    throw error;
+  }
+}
+
+// ============ IMPORT FUNCTIONS ============
+
+/**
+ * Upload a CSV or XLSX file to create/update records of an entity.
+ * A rejected import (rows with errors) resolves with the report instead of throwing.
+ * @param {string} entity - assets, licenses, users or contracts
+ * @param {File} file - The spreadsheet
+ * @param {object} options - mapping ({column: field}) and dryRun
+ * @returns {Promise<{dryRun: boolean, committed: boolean, columns: Array, availableFields: Array, mapping: object, summary: object, rows: Array, error?: string}>}
+ */
+export async function importRecords(entity, file, { mapping, dryRun = true } = {}) {
+  try {
+    const body = new FormData();
+    body.append('file', file);
+    body.append('dry_run', String(dryRun));
+    if (mapping) body.append('mapping', JSON.stringify(mapping));
+
+    const response = await apiFetch(`/${entity}/import`, { method: 'POST', body });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok && !data.summary) {
+      const error = new Error(data.error || 'Failed to import');
+      error.fields = data.fields || {};
+      throw error;
+    }
+    return data;
+  } catch (error) {
+    console.error('Error importing records:', error);
+    throw error;
+  }
+}
+
+// ============ EXPORT FUNCTIONS ============
+
+/**
+ * Download a list with its current search, filters and sort (paging is ignored)
+ * @param {string} entity - assets, licenses, users or contracts
+ * @param {object} params - List parameters
+ * @param {string} format - csv, xlsx, json or pdf
+ * @returns {Promise<{blob: Blob, filename: string}>}
+ */
+export async function exportRecords(entity, params = {}, format = 'csv') {
+  try {
+    const response = await apiFetch(`/${entity}/export${toQueryString({ ...params, format })}`);
+    if (!response.ok) {
+      await parseResponse(response, 'Failed to export');
+    }
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `${entity}.${format}`;
+    return { blob: await response.blob(), filename };
+  } catch (error) {
+    console.error('Error exporting records:', error);
+    throw error;
+  }
+}
+
+// ============ TRASH FUNCTIONS ============
+
+/**
+ * Fetch deleted records the current user can restore
+ * @param {object} params - entity, page, limit
+ * @returns {Promise<{data: Array, pagination: object, retentionDays: number}>}
+ */
+export async function fetchTrash(params = {}) {
+  try {
+    const response = await apiFetch(`/trash${toQueryString(params)}`);
+    return await parseResponse(response, 'Failed to fetch trash');
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    throw error;
+  }
+}
+
+/**
+ * Restore a deleted record
+ * @param {string} entity - assets, licenses, users or contracts
+ */
+export async function restoreRecord(entity, id) {
+  try {
+    const response = await apiFetch(`/${entity}/${id}/restore`, { method: 'POST' });
+    return await parseResponse(response, 'Failed to restore record');
+  } catch (error) {
+    console.error('Error restoring record:', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete a trashed record (only after the retention period)
+ */
+export async function purgeRecord(entity, id) {
+  try {
+    const response = await apiFetch(`/trash/${entity}/${id}`, { method: 'DELETE' });
+    return await parseResponse(response, 'Failed to purge record');
+  } catch (error) {
+    console.error('Error purging record:', error);
+    throw error;
+  }
+}
+
+/**
+ * Permanently delete every trashed record past the retention period
+ */
+export async function purgeExpiredTrash() {
+  try {
+    const response = await apiFetch('/trash/purge', { method: 'POST' });
+    return await parseResponse(response, 'Failed to purge trash');
+  } catch (error) {
+    console.error('Error purging trash:', error);
+    throw error;
+  }
+}
+
+// ============ AUDIT FUNCTIONS ============
+
+/**
+ * Fetch change history, newest first
+ * @param {object} params - entity, id, action, page, limit
+ * @returns {Promise<{data: Array, pagination: object}>}
+ */
+export async function fetchAuditLog(params = {}) {
+  try {
+    const response = await apiFetch(`/audit${toQueryString(params)}`);
+    return await parseResponse(response, 'Failed to fetch history');
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    throw error;
+  }
+}
+
+// ============ ALERT FUNCTIONS ============
+
+/**
+ * Fetch pending expiration and renewal alerts, soonest first
+ * @returns {Promise<{alerts: Array, leadDays: Array<number>}>}
+ */
+export async function fetchAlerts() {
+  try {
+    const response = await apiFetch('/alerts');
+    return await parseResponse(response, 'Failed to fetch alerts');
+  } catch (error) {
+    console.error('Error fetching alerts:', error);
+    throw error;
+  }
+}
+
+/**
+ * Dismiss an alert
+ * @param {string} id - Alert ID
+ */
+export async function acknowledgeAlert(id) {
+  try {
+    const response = await apiFetch(`/alerts/${id}/acknowledge`, { method: 'POST' });
+    return await parseResponse(response, 'Failed to acknowledge alert');
+  } catch (error) {
+    console.error('Error acknowledging alert:', error);
+    throw error;
+  }
+}
+
+// ============ RECONCILIATION FUNCTIONS ============
+
+/**
+ * Fetch discovered records matched to existing assets
+ * @param {object} params - status (pending, approved, rejected), source, page, limit
+ * @returns {Promise<{data: Array, pagination: object}>}
+ */
+export async function fetchReconciliation(params = {}) {
+  try {
+    const response = await apiFetch(`/reconciliation${toQueryString(params)}`);
+    return await parseResponse(response, 'Failed to fetch reconciliation queue');
+  } catch (error) {
+    console.error('Error fetching reconciliation queue:', error);
+    throw error;
+  }
+}
+
+/**
+ * Merge a discovered record into the asset it was matched to
+ * @param {string} id - Match ID
+ */
+export async function approveMatch(id) {
+  try {
+    const response = await apiFetch(`/reconciliation/${id}/approve`, { method: 'POST' });
+    return await parseResponse(response, 'Failed to approve match');
+  } catch (error) {
+    console.error('Error approving match:', error);
+    throw error;
+  }
+}
+
+/**
+ * Mark a match as wrong; the record becomes a new asset once all its matches are rejected
+ * @param {string} id - Match ID
+ */
+export async function rejectMatch(id) {
+  try {
+    const response = await apiFetch(`/reconciliation/${id}/reject`, { method: 'POST' });
+    return await parseResponse(response, 'Failed to reject match');
+  } catch (error) {
+    console.error('Error rejecting match:', error);
+    throw error;
+  }
+}
+
+// ============ DISCOVERY RUN FUNCTIONS ============
+
+/**
+ * Fetch discovery runs, newest first, each with its connector runs
+ * @param {object} params - status, trigger (schedule, manual), page, limit
+ * @returns {Promise<{data: Array, pagination: object}>}
+ */
+export async function fetchDiscoveryRuns(params = {}) {
+  try {
+    const response = await apiFetch(`/discovery/runs${toQueryString(params)}`);
+    return await parseResponse(response, 'Failed to fetch discovery runs');
+  } catch (error) {
+    console.error('Error fetching discovery runs:', error);
+    throw error;
+  }
+}
+
+/**
+ * Queue a discovery run; the discovery agent picks it up on its next poll
+ * @param {Array<string>} connectors - Connector config keys to run (e.g. ['aws']); empty for all
+ * @returns {Promise<object>} The queued run
+ */
+export async function runDiscovery(connectors = []) {
+  try {
+    const response = await apiFetch('/discovery/run', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ connectors }),
+    });
+    return await parseResponse(response, 'Failed to queue discovery run');
+  } catch (error) {
+    console.error('Error queueing discovery run:', error);
+    throw error;
+  }
+}
+
+// ============ SEARCH FUNCTIONS ============
+
+/**
+ * Ranked search across every entity the current user can read
+ * @param {string} query - Free text
+ * @param {object} params - Optional limit and types (comma-separated entities)
+ * @returns {Promise<{query: string, results: Array<{entity: string, id: string, title: string, subtitle: string, highlight: Array}>}>}
+ */
+export async function globalSearch(query, params = {}) {
+  try {
+    const response = await apiFetch(`/search${toQueryString({ ...params, q: query })}`);
+    return await parseResponse(response, 'Failed to search');
+  } catch (error) {
+    console.error('Error searching:', error);
+    throw error;
+  }
+}